@@ -0,0 +1,335 @@
+/**
+ * ShipStation Analyzer
+ *
+ * Programmatic entry point for embedding the calculator in other services. analyze() reads and
+ * merges the export files, validates the data, applies the date range and filters and returns
+ * every metric as a plain object. It never prompts, never writes to the console (unless a logger
+ * is passed) and never exits the process: problems are thrown as errors.
+ *
+ *   import { analyze } from 'shipstation-rates-calculator';
+ *
+ *   const result = await analyze({
+ *   	files: ['ShipStation Orders/Feb-March 2025.csv'],
+ *   	dateRange: '02/01/25-02/28/25',
+ *   	filters: { stores: ['Shopify Store'] },
+ *   });
+ *   console.log(result.totals.shippingProfit);
+ *
+ * The command-line interface in index.js is a wrapper around the same functions.
+ */
+
+import { existsSync } from 'fs';
+import chalk from 'chalk';
+import { readAndMergeFiles } from './utils/fileMerger.js';
+import { loadMappingProfile, DEFAULT_MAPPING_PROFILE } from './utils/mappingProfile.js';
+import { validateData, DEFAULT_MAX_ISSUE_RATE } from './utils/dataValidator.js';
+import { loadTagCatalog, resolveTagName, DEFAULT_TAG_CATALOG } from './utils/tagCatalog.js';
+import { filterDataByDateRange, parseDateRange, determineDateRange } from './utils/dateFilter.js';
+import { createTranslator, DEFAULT_LANGUAGE } from './i18n/translator.js';
+import {
+	calculateStoreMetrics,
+	calculateTagMetrics,
+	calculateCarrierMetrics,
+	calculateStoreCarrierMetrics,
+	calculateStoreTagMetrics,
+	calculatePeriodMetrics,
+	calculateWeightBandMetrics,
+	parseWeightBands,
+	calculateDestinationMetrics,
+	calculateOrderDetails,
+	summarizeStoreMetrics,
+	getOrderTags,
+} from './metrics/calculator.js';
+import { detectAnomalies } from './metrics/anomalies.js';
+
+// Logger used when none is passed, so library callers get no console output
+export const SILENT_LOGGER = {
+	log: () => {},
+	info: () => {},
+	warn: () => {},
+	error: () => {},
+};
+
+/**
+ * Loads the mapping profile, then reads, merges and de-duplicates the given files
+ * @param {Object} options - Load options
+ * @param {Array<string>} options.files - CSV or Excel files, or folders of them
+ * @param {string|number} options.sheet - Worksheet name or 1-based index for Excel files (optional)
+ * @param {string} options.mapping - Path to a column mapping profile (defaults to mapping-profile.json if present)
+ * @param {boolean} options.learnMapping - Prompt for the source column of unrecognized fields (CLI only)
+ * @param {Object} options.logger - Console-compatible logger for progress messages (defaults to no output)
+ * @returns {Promise<Object>} - Object with the merged data, per-file source summaries and duplicates dropped
+ * @throws {Error} - If no files are given, a file can't be read, or the --mapping profile doesn't exist
+ */
+export async function loadOrders({ files, sheet, mapping, learnMapping = false, logger = SILENT_LOGGER }) {
+	if (!Array.isArray(files) || files.length === 0) {
+		throw new Error('No files to analyze. Pass one or more CSV or Excel files, or folders of them.');
+	}
+
+	// Load the column mapping profile. A mapping path that doesn't exist yet is
+	// where the learn mapping step saves the profile when headers are unrecognized.
+	const mappingProfilePath = mapping || DEFAULT_MAPPING_PROFILE;
+	let mappingProfile = null;
+	if (existsSync(mappingProfilePath)) {
+		mappingProfile = await loadMappingProfile(mappingProfilePath);
+		logger.log(chalk.gray(`Using mapping profile: ${mappingProfilePath}`));
+	} else if (mapping && !learnMapping) {
+		throw new Error(`Mapping profile not found: ${mapping}`);
+	}
+
+	// Read, merge and de-duplicate the CSV or Excel files
+	logger.log(chalk.yellow('Reading files...'));
+	const { data, sources, totalDuplicates } = await readAndMergeFiles(files, {
+		sheet,
+		mappingProfile,
+		mappingProfilePath,
+		learnMapping,
+		logger,
+	});
+	logger.log(chalk.green(`Successfully read ${data.length} records\n`));
+
+	return { data, sources, totalDuplicates };
+}
+
+/**
+ * Checks whether a value matches one of the filter values, ignoring case
+ * @param {string} value - The order's value
+ * @param {Array<string>} filterValues - Values to match
+ * @returns {boolean} - True if the value is in the list
+ */
+function matchesFilter(value, filterValues) {
+	const normalizedValue = String(value || '')
+		.trim()
+		.toLowerCase();
+	return filterValues.some((filterValue) => String(filterValue).trim().toLowerCase() === normalizedValue);
+}
+
+/**
+ * Keeps the orders matching every given filter
+ * @param {Array<Object>} data - Array of order data
+ * @param {Object} filters - Filters to apply (each is optional)
+ * @param {Array<string>} filters.stores - Keep orders from these stores
+ * @param {Array<string>} filters.carriers - Keep orders shipped with these carriers
+ * @param {Array<string>} filters.tags - Keep orders with at least one of these tags (or their aliases)
+ * @param {Object} tagCatalog - Tag catalog used to match aliases (optional)
+ * @returns {Array<Object>} - Filtered data
+ */
+function filterOrders(data, filters = {}, tagCatalog = null) {
+	const { stores, carriers, tags } = filters;
+
+	return data.filter((order) => {
+		if (stores && stores.length > 0 && !matchesFilter(order.Store, stores)) {
+			return false;
+		}
+
+		if (carriers && carriers.length > 0 && !matchesFilter(order.Carrier, carriers)) {
+			return false;
+		}
+
+		if (tags && tags.length > 0) {
+			const orderTags = getOrderTags(order, tagCatalog);
+			const canonicalTags = tags.map((tag) => resolveTagName(tag, tagCatalog));
+			if (!orderTags.some((tag) => matchesFilter(tag, canonicalTags))) {
+				return false;
+			}
+		}
+
+		return true;
+	});
+}
+
+/**
+ * Loads the tag catalog to analyze with
+ * @param {string|Object} tagCatalog - Path to a catalog file, or a catalog from loadTagCatalog (optional)
+ * @returns {Promise<Object>} - The loaded catalog (the catalog shipped with the calculator by default)
+ */
+async function resolveTagCatalog(tagCatalog) {
+	if (tagCatalog && typeof tagCatalog === 'object') {
+		return tagCatalog;
+	}
+
+	return loadTagCatalog(tagCatalog || DEFAULT_TAG_CATALOG);
+}
+
+/**
+ * Resolves the date range to analyze
+ * @param {string|Object} dateRange - MM/DD/YY-MM/DD/YY string, or an object with startDate and endDate (optional)
+ * @param {Array<Object>} data - Array of order data, used when no date range is given
+ * @param {string} language - Language of the period name: en, zh or bilingual
+ * @returns {Object} - Date filter with shouldFilter, startDate, endDate, periodName and dateRangeStr
+ * @throws {Error} - If the date range can't be parsed
+ */
+function resolveDateRange(dateRange, data, language) {
+	if (!dateRange) {
+		return determineDateRange(data, language);
+	}
+
+	if (typeof dateRange === 'string') {
+		return parseDateRange(dateRange, language);
+	}
+
+	const { startDate, endDate } = dateRange;
+	if (!(startDate instanceof Date) || !(endDate instanceof Date) || isNaN(startDate) || isNaN(endDate)) {
+		throw new Error('Invalid date range. Pass MM/DD/YY-MM/DD/YY or an object with startDate and endDate dates');
+	}
+
+	// Build the same period name and range string as parseDateRange
+	const formatShortDate = (date) =>
+		`${(date.getMonth() + 1).toString().padStart(2, '0')}/${date.getDate().toString().padStart(2, '0')}/${(
+			date.getFullYear() % 100
+		)
+			.toString()
+			.padStart(2, '0')}`;
+	return parseDateRange(`${formatShortDate(startDate)}-${formatShortDate(endDate)}`, language);
+}
+
+/**
+ * Analyzes ShipStation export files and returns every metric as a plain object
+ * @param {Object} options - Analysis options
+ * @param {Array<string>} options.files - CSV or Excel files, or folders of them
+ * @param {string|Object} options.dateRange - MM/DD/YY-MM/DD/YY string or { startDate, endDate } (defaults to all data)
+ * @param {Object} options.filters - Store, carrier and tag filters (see filterOrders)
+ * @param {string|number} options.sheet - Worksheet name or 1-based index for Excel files (optional)
+ * @param {string} options.mapping - Path to a column mapping profile (defaults to mapping-profile.json if present)
+ * @param {string|Object} options.tagCatalog - Path to a tag catalog, or a loaded catalog (defaults to tag-catalog.json)
+ * @param {string} options.groupByPeriod - Add trend metrics bucketed by day, week or month (optional)
+ * @param {string|Array<number>} options.weightBands - Upper limits of the weight bands, e.g. "4oz,8oz,1lb,2lb",
+ *   or limits in ounces (defaults to DEFAULT_WEIGHT_BAND_LIMITS)
+ * @param {string} options.homeCountry - Country code of domestic orders in the destination metrics (default: US)
+ * @param {boolean} options.zip3 - Add the ZIP3 prefix breakdown to the destination metrics (US home country only)
+ * @param {number} options.anomalyFactor - Flag labels costing at least this many times their peer median
+ *   (defaults to DEFAULT_RATE_FACTOR)
+ * @param {number} options.overchargeFactor - Flag orders whose shipping paid is at least this many times the label
+ *   cost (defaults to DEFAULT_OVERCHARGE_FACTOR)
+ * @param {number} options.maxIssueRate - Maximum share of rows each validation check may flag (default 1)
+ * @param {boolean} options.strict - Throw when a validation check flags more rows than maxIssueRate allows
+ * @param {string} options.language - Language of the period name and validation check labels: en, zh or bilingual
+ *   (default: bilingual)
+ * @param {boolean} options.learnMapping - Prompt for the source column of unrecognized fields (CLI only)
+ * @param {Object} options.logger - Console-compatible logger for progress messages (defaults to no output)
+ * @returns {Promise<Object>} - Result with dateFilter, sources, totalDuplicates, orders, validation, totals,
+ *   storeMetrics, tagMetrics, storeTagMetrics, carrierMetrics, storeCarrierMetrics, weightBandMetrics,
+ *   destinationMetrics, anomalyMetrics, trends (null without groupByPeriod), orderDetails (one row per analyzed
+ *   order) and tagCatalog
+ * @throws {Error} - If the files or tag catalog can't be read, the weight bands or anomaly factors are invalid,
+ *   no orders match, or strict validation fails
+ */
+export async function analyze({
+	files,
+	dateRange = null,
+	filters = {},
+	sheet,
+	mapping,
+	tagCatalog: tagCatalogOption,
+	groupByPeriod = null,
+	weightBands,
+	homeCountry,
+	zip3 = false,
+	anomalyFactor,
+	overchargeFactor,
+	maxIssueRate = DEFAULT_MAX_ISSUE_RATE,
+	strict = false,
+	language = DEFAULT_LANGUAGE,
+	learnMapping = false,
+	logger = SILENT_LOGGER,
+}) {
+	// Parse the weight bands before reading, so invalid limits fail fast
+	const bands = parseWeightBands(weightBands);
+
+	const { data: loadedData, sources, totalDuplicates } = await loadOrders({
+		files,
+		sheet,
+		mapping,
+		learnMapping,
+		logger,
+	});
+	let data = loadedData;
+	const tagCatalog = await resolveTagCatalog(tagCatalogOption);
+
+	// Validate every merged row before the date range and filters are applied, since the
+	// date filter keeps rows without a valid date and the filters would hide the rest
+	const validation = validateData(data, { maxIssueRate });
+
+	if (strict && validation.exceededChecks.length > 0) {
+		const { t } = createTranslator(language);
+		const error = new Error(
+			`Data validation failed in strict mode: ${validation.exceededChecks
+				.map((check) => `${t(`validation.${check.id}`)} (${check.percentOfRows}%)`)
+				.join(', ')} exceeded the ${validation.maxIssueRate}% limit`
+		);
+		// Keep the validation result so callers can still report or save the rejected rows
+		error.validation = validation;
+		throw error;
+	}
+
+	// Resolve the date range, analyzing all data when none is given
+	const dateFilter = resolveDateRange(dateRange, data, language);
+	if (dateFilter.shouldFilter) {
+		logger.log(chalk.yellow(`Using date range: ${dateFilter.dateRangeStr.replace('-', ' to ')}`));
+	} else {
+		logger.log(
+			chalk.yellow(
+				`Analyzing all data from ${dateFilter.startDate.toLocaleDateString()} to ${dateFilter.endDate.toLocaleDateString()}`
+			)
+		);
+	}
+
+	// Apply date filter if requested
+	if (dateFilter.shouldFilter) {
+		const originalCount = data.length;
+		data = filterDataByDateRange(data, dateFilter.startDate, dateFilter.endDate, logger);
+		logger.log(
+			chalk.yellow(
+				`Filtered data by date range: ${dateFilter.startDate.toLocaleDateString()} to ${dateFilter.endDate.toLocaleDateString()}`
+			)
+		);
+		logger.log(
+			chalk.green(
+				`Filtered from ${originalCount} to ${data.length} records (${Math.round(
+					(data.length / originalCount) * 100
+				)}% of original data)\n`
+			)
+		);
+
+		if (data.length === 0) {
+			throw new Error('No data matches the specified date range. Please check your date format and try again.');
+		}
+	}
+
+	// Apply store, carrier and tag filters
+	if (Object.values(filters).some((values) => values && values.length > 0)) {
+		const originalCount = data.length;
+		data = filterOrders(data, filters, tagCatalog);
+		logger.log(chalk.yellow(`Filtered from ${originalCount} to ${data.length} records by store, carrier or tag\n`));
+
+		if (data.length === 0) {
+			throw new Error('No data matches the specified filters.');
+		}
+	}
+
+	// Calculate metrics
+	const storeMetrics = calculateStoreMetrics(data, tagCatalog);
+	if (Object.keys(storeMetrics).length === 0) {
+		throw new Error('No store data found. Please check your date range or CSV file.');
+	}
+
+	return {
+		dateFilter,
+		sources,
+		totalDuplicates,
+		orders: data,
+		validation,
+		totals: summarizeStoreMetrics(storeMetrics),
+		storeMetrics,
+		tagMetrics: calculateTagMetrics(data, tagCatalog),
+		storeTagMetrics: calculateStoreTagMetrics(data, tagCatalog),
+		carrierMetrics: calculateCarrierMetrics(data),
+		storeCarrierMetrics: calculateStoreCarrierMetrics(data),
+		weightBandMetrics: calculateWeightBandMetrics(data, bands),
+		destinationMetrics: calculateDestinationMetrics(data, { homeCountry, zip3 }),
+		anomalyMetrics: detectAnomalies(data, { bands, rateFactor: anomalyFactor, overchargeFactor }),
+		trends: groupByPeriod ? calculatePeriodMetrics(data, groupByPeriod, tagCatalog) : null,
+		orderDetails: calculateOrderDetails(data, tagCatalog),
+		tagCatalog,
+	};
+}
@@ -7,40 +7,41 @@
 
 import chalk from 'chalk';
 import Table from 'cli-table3';
+import { STORE_COMPARISON_METRICS, TAG_COMPARISON_METRICS } from '../metrics/comparison.js';
+import { summarizeStoreMetrics, summarizeTagMetrics, DISTRIBUTION_METRICS } from '../metrics/calculator.js';
+import { MIN_ANOMALY_EXCESS, MIN_PEER_LABELS } from '../metrics/anomalies.js';
+import { SIMULATION_METRICS } from '../metrics/simulation.js';
+import { getRevenueExcludedTags } from '../utils/tagCatalog.js';
+import { createTranslator } from '../i18n/translator.js';
 
 /**
- * Formats a number as currency
- * @param {number} value - The value to format
- * @returns {string} - Formatted currency string
- */
-function formatCurrency(value) {
-	return `$${value.toFixed(2)}`;
-}
-
-/**
- * Formats a number as percentage
- * @param {number} value - The value to format
- * @returns {string} - Formatted percentage string
- */
-function formatPercentage(value) {
-	return `${value.toFixed(2)}%`;
-}
-
-/**
- * Colorizes a value based on whether it's positive, negative, or zero
- * @param {string} formattedValue - The pre-formatted value
+ * Colorizes a formatted value based on whether the value is positive, negative, or zero
+ * @param {number} value - The value, rounded to cents before comparing
+ * @param {string} formattedValue - The value as it's displayed
  * @returns {string} - The colorized value
  */
-function colorizeValue(formattedValue) {
-	if (formattedValue.includes('-')) {
+function colorizeValue(value, formattedValue) {
+	const rounded = Math.round(value * 100) / 100;
+	if (rounded < 0) {
 		return chalk.red(formattedValue);
-	} else if (formattedValue === '$0.00' || formattedValue === '0.00%') {
+	} else if (rounded === 0) {
 		return chalk.yellow(formattedValue);
 	} else {
 		return chalk.green(formattedValue);
 	}
 }
 
+/**
+ * Formats a tag's orders as a share of the orders across all stores
+ * @param {number} count - Orders with the tag
+ * @param {number} totalOrders - Total orders across all stores
+ * @param {Object} i18n - Translator from createTranslator
+ * @returns {string} - Formatted percentage, or n/a when there is no total to divide by
+ */
+function formatShareOfAllOrders(count, totalOrders, i18n) {
+	return totalOrders > 0 ? i18n.percent((count / totalOrders) * 100, 1) : i18n.t('common.notApplicable');
+}
+
 /**
  * Displays all store metrics in a single comprehensive table
  * @param {Object} storeMetrics - Store metrics object
@@ -51,7 +52,10 @@ function colorizeValue(formattedValue) {
  * @param {number} totalShippingPaid - Total shipping paid by customers
  * @param {number} totalShippingProfit - Total shipping profit
  * @param {number} totalNetRevenue - Total net revenue
+ * @param {boolean} showRevenueOrders - Add the revenue order rows (when the tag catalog excludes tags from revenue)
+ * @param {boolean} showLabelCosts - Add the voided, return and refunded label rows with gross and net shipping spend
  * @param {string} periodName - Period name for the report (e.g., "Feb 1-Mar 15, 2025")
+ * @param {Object} i18n - Translator from createTranslator
  */
 function displayComprehensiveStoreTable(
 	storeMetrics,
@@ -62,12 +66,17 @@ function displayComprehensiveStoreTable(
 	totalShippingPaid,
 	totalShippingProfit,
 	totalNetRevenue,
-	periodName
+	showRevenueOrders,
+	showLabelCosts,
+	periodName,
+	i18n
 ) {
+	const { t, currency, percent, number } = i18n;
+
 	// Use the period name directly for the table title
-	const period = periodName || 'Current Period';
+	const period = periodName || t('common.currentPeriod');
 
-	console.log(chalk.cyan.bold(`\n${period} Store Shipping Analytics | ${period} 店铺物流分析`));
+	console.log(chalk.cyan.bold(`\n${t('store.title', { period })}`));
 
 	// Reorder stores as specified: TikTok, Shopify, Walmart, Temu, Manual Orders
 	const orderedStores = [];
@@ -94,9 +103,9 @@ function displayComprehensiveStoreTable(
 	// Create table with metrics as rows and stores as columns
 	const table = new Table({
 		head: [
-			chalk.white.bold('Metric | 指标'),
+			chalk.white.bold(t('common.metric')),
 			...orderedStores.map((store) => chalk.white.bold(store)),
-			chalk.white.bold('TOTAL | 总计'),
+			chalk.white.bold(t('common.total')),
 		],
 		style: {
 			head: [], // Disable colors in header
@@ -105,123 +114,240 @@ function displayComprehensiveStoreTable(
 		wordWrap: true,
 	});
 
-	// Format values with percentages for specified fields
-	const formatWithPercent = (value, total, isFormatted = false) => {
-		if (total === 0) return isFormatted ? value : '0';
-
-		// Extract numeric value if it's a formatted currency string
-		let numericValue = value;
-		if (isFormatted) {
-			// Extract numeric value from currency string (remove $ and possible color codes)
-			const plainValue = value.replace(/\u001b\[\d+m/g, ''); // Remove ANSI color codes
-			numericValue = parseFloat(plainValue.replace(/[^\d.-]/g, ''));
-		}
+	// Add the share of the total to a formatted value
+	const formatWithPercent = (formattedValue, value, total) => {
+		if (total === 0) return formattedValue;
 
-		const percent = ((numericValue / total) * 100).toFixed(1);
 		// Use chalk.gray for the percentage part to create visual contrast
-		return `${value} ${chalk.gray(`(${percent}%)`)}`;
+		return `${formattedValue} ${chalk.gray(`(${percent((value / total) * 100, 1)})`)}`;
 	};
 
 	// Add rows for each metric
 	table.push(
 		[
-			'Orders | 订单数',
-			...orderedStores.map((store) => formatWithPercent(storeMetrics[store].count, totalOrders)),
-			chalk.bold(totalOrders),
+			t('metric.orders'),
+			...orderedStores.map((store) =>
+				formatWithPercent(number(storeMetrics[store].count), storeMetrics[store].count, totalOrders)
+			),
+			chalk.bold(number(totalOrders)),
 		],
 		[
-			'Order Value | 订单价值',
+			t('metric.orderValue'),
 			...orderedStores.map((store) =>
-				formatWithPercent(formatCurrency(storeMetrics[store].totalOrderValue), totalOrderValue, true)
+				formatWithPercent(
+					currency(storeMetrics[store].totalOrderValue),
+					storeMetrics[store].totalOrderValue,
+					totalOrderValue
+				)
 			),
-			chalk.bold(formatCurrency(totalOrderValue)),
+			chalk.bold(currency(totalOrderValue)),
 		],
 		[
-			'AOV | 平均订单价值',
-			...orderedStores.map((store) => formatCurrency(storeMetrics[store].averageOrderValue)),
-			chalk.bold(formatCurrency(totalOrderValue / totalOrders)),
+			t('metric.aov'),
+			...orderedStores.map((store) => currency(storeMetrics[store].averageOrderValue)),
+			chalk.bold(currency(totalOrderValue / totalOrders)),
 		],
 		[
-			'Ship Cost | 物流成本',
+			t('metric.shipCost'),
 			...orderedStores.map((store) =>
-				formatWithPercent(formatCurrency(storeMetrics[store].totalRate), totalRate, true)
+				formatWithPercent(currency(storeMetrics[store].totalRate), storeMetrics[store].totalRate, totalRate)
 			),
-			chalk.bold(formatCurrency(totalRate)),
+			chalk.bold(currency(totalRate)),
 		],
 		[
-			'Ship Paid | 物流收入',
+			t('metric.shipPaid'),
 			...orderedStores.map((store) =>
-				formatWithPercent(formatCurrency(storeMetrics[store].totalShippingPaid), totalShippingPaid, true)
+				formatWithPercent(
+					currency(storeMetrics[store].totalShippingPaid),
+					storeMetrics[store].totalShippingPaid,
+					totalShippingPaid
+				)
 			),
-			chalk.bold(formatCurrency(totalShippingPaid)),
+			chalk.bold(currency(totalShippingPaid)),
 		],
 		[
-			'Ship Profit | 物流利润',
-			...orderedStores.map((store) => colorizeValue(formatCurrency(storeMetrics[store].shippingProfit))),
-			chalk.bold(colorizeValue(formatCurrency(totalShippingProfit))),
+			t('metric.shipProfit'),
+			...orderedStores.map((store) =>
+				colorizeValue(storeMetrics[store].shippingProfit, currency(storeMetrics[store].shippingProfit))
+			),
+			chalk.bold(colorizeValue(totalShippingProfit, currency(totalShippingProfit))),
 		],
 		[
-			'Ship Margin | 物流利润率',
-			...orderedStores.map((store) => colorizeValue(formatPercentage(storeMetrics[store].shippingProfitMargin))),
-			chalk.bold(colorizeValue(formatPercentage(overallShippingProfitMargin))),
+			t('metric.shipMargin'),
+			...orderedStores.map((store) =>
+				colorizeValue(storeMetrics[store].shippingProfitMargin, percent(storeMetrics[store].shippingProfitMargin))
+			),
+			chalk.bold(colorizeValue(overallShippingProfitMargin, percent(overallShippingProfitMargin))),
 		],
 		[
-			'Net Revenue | 净收入',
+			t('metric.netRevenue'),
 			...orderedStores.map((store) =>
-				formatWithPercent(colorizeValue(formatCurrency(storeMetrics[store].netRevenue)), totalNetRevenue, true)
+				formatWithPercent(
+					colorizeValue(storeMetrics[store].netRevenue, currency(storeMetrics[store].netRevenue)),
+					storeMetrics[store].netRevenue,
+					totalNetRevenue
+				)
 			),
-			chalk.bold(colorizeValue(formatCurrency(totalNetRevenue))),
+			chalk.bold(colorizeValue(totalNetRevenue, currency(totalNetRevenue))),
 		],
 		[
-			'Net Margin | 净利润率',
-			...orderedStores.map((store) => colorizeValue(formatPercentage(storeMetrics[store].netRevenueMargin))),
-			chalk.bold(colorizeValue(formatPercentage(overallNetRevenueMargin))),
+			t('metric.netMargin'),
+			...orderedStores.map((store) =>
+				colorizeValue(storeMetrics[store].netRevenueMargin, percent(storeMetrics[store].netRevenueMargin))
+			),
+			chalk.bold(colorizeValue(overallNetRevenueMargin, percent(overallNetRevenueMargin))),
 		]
 	);
 
+	// Repeat the revenue figures for revenue orders only
+	if (showRevenueOrders) {
+		const totals = summarizeStoreMetrics(storeMetrics);
+		table.push(
+			[
+				t('metric.revenueOrders'),
+				...orderedStores.map((store) =>
+					formatWithPercent(
+						number(storeMetrics[store].revenueCount),
+						storeMetrics[store].revenueCount,
+						totals.revenueCount
+					)
+				),
+				chalk.bold(number(totals.revenueCount)),
+			],
+			[
+				t('metric.revenueOrderValue'),
+				...orderedStores.map((store) =>
+					formatWithPercent(
+						currency(storeMetrics[store].revenueTotalOrderValue),
+						storeMetrics[store].revenueTotalOrderValue,
+						totals.revenueTotalOrderValue
+					)
+				),
+				chalk.bold(currency(totals.revenueTotalOrderValue)),
+			],
+			[
+				t('metric.revenueAov'),
+				...orderedStores.map((store) => currency(storeMetrics[store].revenueAverageOrderValue)),
+				chalk.bold(currency(totals.revenueAverageOrderValue)),
+			],
+			[
+				t('metric.revenueShipCost'),
+				...orderedStores.map((store) =>
+					formatWithPercent(
+						currency(storeMetrics[store].revenueTotalRate),
+						storeMetrics[store].revenueTotalRate,
+						totals.revenueTotalRate
+					)
+				),
+				chalk.bold(currency(totals.revenueTotalRate)),
+			],
+			[
+				t('metric.revenueNetRevenue'),
+				...orderedStores.map((store) =>
+					colorizeValue(storeMetrics[store].revenueNetRevenue, currency(storeMetrics[store].revenueNetRevenue))
+				),
+				chalk.bold(colorizeValue(totals.revenueNetRevenue, currency(totals.revenueNetRevenue))),
+			],
+			[
+				t('metric.revenueNetMargin'),
+				...orderedStores.map((store) =>
+					colorizeValue(
+						storeMetrics[store].revenueNetRevenueMargin,
+						percent(storeMetrics[store].revenueNetRevenueMargin)
+					)
+				),
+				chalk.bold(colorizeValue(totals.revenueNetRevenueMargin, percent(totals.revenueNetRevenueMargin))),
+			]
+		);
+	}
+
+	// Labels that didn't ship an order, and the shipping spend with and without them
+	if (showLabelCosts) {
+		const totals = summarizeStoreMetrics(storeMetrics);
+		table.push(
+			[
+				t('metric.voidedLabels'),
+				...orderedStores.map((store) => number(storeMetrics[store].voidCount)),
+				chalk.bold(number(totals.voidCount)),
+			],
+			[
+				t('metric.returnLabels'),
+				...orderedStores.map((store) => number(storeMetrics[store].returnCount)),
+				chalk.bold(number(totals.returnCount)),
+			],
+			[
+				t('metric.returnCost'),
+				...orderedStores.map((store) =>
+					formatWithPercent(currency(storeMetrics[store].returnRate), storeMetrics[store].returnRate, totals.returnRate)
+				),
+				chalk.bold(currency(totals.returnRate)),
+			],
+			[
+				t('metric.refundedLabels'),
+				...orderedStores.map((store) => number(storeMetrics[store].refundCount)),
+				chalk.bold(number(totals.refundCount)),
+			],
+			[
+				t('metric.refundedPostage'),
+				...orderedStores.map((store) =>
+					formatWithPercent(
+						currency(storeMetrics[store].refundedRate),
+						storeMetrics[store].refundedRate,
+						totals.refundedRate
+					)
+				),
+				chalk.bold(currency(totals.refundedRate)),
+			],
+			[
+				t('metric.grossShipSpend'),
+				...orderedStores.map((store) =>
+					formatWithPercent(currency(storeMetrics[store].grossRate), storeMetrics[store].grossRate, totals.grossRate)
+				),
+				chalk.bold(currency(totals.grossRate)),
+			],
+			[
+				t('metric.netShipSpend'),
+				...orderedStores.map((store) =>
+					formatWithPercent(currency(storeMetrics[store].netRate), storeMetrics[store].netRate, totals.netRate)
+				),
+				chalk.bold(currency(totals.netRate)),
+			]
+		);
+	}
+
 	console.log(table.toString());
-	console.log(
-		chalk.gray(
-			'AOV = Average Order Value | 平均订单价值, Ship = Shipping | 物流, Net Margin = Net Revenue Margin | 净利润率'
-		)
-	);
+	console.log(chalk.gray(t('store.abbreviations')));
 }
 
 /**
  * Displays all special order metrics in a single comprehensive table
  * @param {Object} tagMetrics - Tag metrics object
  * @param {Array<string>} tags - Array of tag names
- * @param {number} totalTaggedOrders - Total number of tagged orders
- * @param {number} totalTagRate - Total shipping cost for tagged orders
- * @param {number} totalAllStoresOrders - Total number of orders across all stores
+ * @param {Object} totals - Totals across all tags from summarizeTagMetrics
+ * @param {number} totalOrders - Total number of orders across all stores
  * @param {string} periodName - Period name for the report (e.g., "Feb 1-Mar 15, 2025")
+ * @param {Object} tagCatalog - Tag catalog with the tag translations (optional)
+ * @param {Object} i18n - Translator from createTranslator
  */
 function displayComprehensiveTagTable(
 	tagMetrics,
 	tags,
-	totalTaggedOrders,
-	totalTagRate,
-	totalAllStoresOrders,
-	periodName
+	totals,
+	totalOrders,
+	periodName,
+	tagCatalog,
+	i18n
 ) {
-	const period = periodName || 'Current Period';
-	console.log(chalk.cyan.bold(`\n${period} Special Orders Analysis | ${period} 特殊订单分析`));
-
-	// Create a map of tag descriptions in Chinese
-	const tagDescriptions = {
-		'Fulfillment Error': '仓库错误',
-		Giveaways: '免费赠品',
-		Influencer: '网红推广',
-		'Not Delivered': '未送达',
-		Replacement: '替换订单',
-	};
+	const { t, currency, number } = i18n;
+	const period = periodName || t('common.currentPeriod');
+	console.log(chalk.cyan.bold(`\n${t('tag.title', { period })}`));
 
 	// Create table with metrics as rows and tags as columns
 	const table = new Table({
 		head: [
-			chalk.white.bold('Metric | 指标'),
-			...tags.map((tag) => chalk.white.bold(`${tag}\n${tagDescriptions[tag] || ''}`)),
-			chalk.white.bold('TOTAL | 总计'),
+			chalk.white.bold(t('common.metric')),
+			...tags.map((tag) => chalk.white.bold(i18n.tag(tag, tagCatalog, '\n'))),
+			chalk.white.bold(t('common.total')),
 		],
 		style: {
 			head: [], // Disable colors in header
@@ -231,42 +357,218 @@ function displayComprehensiveTagTable(
 	});
 
 	// Calculate percentages for each tag
-	const percentOfTotalOrders = tags.map((tag) => ((tagMetrics[tag].count / totalAllStoresOrders) * 100).toFixed(1));
-	const totalPercentOfAllOrders = ((totalTaggedOrders / totalAllStoresOrders) * 100).toFixed(1);
+	const percentOfTotalOrders = tags.map((tag) => formatShareOfAllOrders(tagMetrics[tag].count, totalOrders, i18n));
+	const totalPercentOfAllOrders = formatShareOfAllOrders(totals.count, totalOrders, i18n);
 
 	// Add rows for each metric
 	table.push(
-		['Orders | 订单数', ...tags.map((tag) => tagMetrics[tag].count), chalk.bold(totalTaggedOrders)],
+		[t('metric.orders'), ...tags.map((tag) => number(tagMetrics[tag].count)), chalk.bold(number(totals.count))],
+		[
+			t('metric.percentOfAllOrders'),
+			...percentOfTotalOrders.map((tagPercent) => chalk.gray(tagPercent)),
+			chalk.bold(chalk.gray(totalPercentOfAllOrders)),
+		],
+		[
+			t('metric.orderValue'),
+			...tags.map((tag) => currency(tagMetrics[tag].totalOrderValue)),
+			chalk.bold(currency(totals.totalOrderValue)),
+		],
+		[
+			t('metric.aov'),
+			...tags.map((tag) => currency(tagMetrics[tag].averageOrderValue)),
+			chalk.bold(currency(totals.averageOrderValue)),
+		],
+		[
+			t('metric.totalShippingCost'),
+			...tags.map((tag) => currency(tagMetrics[tag].totalRate)),
+			chalk.bold(currency(totals.totalRate)),
+		],
+		[
+			t('metric.avgShippingCost'),
+			...tags.map((tag) => currency(tagMetrics[tag].averageRate)),
+			chalk.bold(currency(totals.averageRate)),
+		],
 		[
-			'% of All Orders | 占总订单百分比',
-			...percentOfTotalOrders.map((percent) => chalk.gray(`${percent}%`)),
-			chalk.bold(chalk.gray(`${totalPercentOfAllOrders}%`)),
+			t('metric.shipPaid'),
+			...tags.map((tag) => currency(tagMetrics[tag].totalShippingPaid)),
+			chalk.bold(currency(totals.totalShippingPaid)),
 		],
 		[
-			'Total Shipping Cost | 总物流成本',
-			...tags.map((tag) => formatCurrency(tagMetrics[tag].totalRate)),
-			chalk.bold(formatCurrency(totalTagRate)),
+			t('metric.shipProfit'),
+			...tags.map((tag) => colorizeValue(tagMetrics[tag].shippingProfit, currency(tagMetrics[tag].shippingProfit))),
+			chalk.bold(colorizeValue(totals.shippingProfit, currency(totals.shippingProfit))),
 		],
 		[
-			'Avg Shipping Cost | 平均物流成本',
-			...tags.map((tag) => formatCurrency(tagMetrics[tag].averageRate)),
-			chalk.bold(formatCurrency(totalTagRate / totalTaggedOrders)),
+			t('metric.estimatedCost'),
+			...tags.map((tag) => currency(tagMetrics[tag].estimatedCost)),
+			chalk.bold(currency(totals.estimatedCost)),
 		]
 	);
 
 	console.log(table.toString());
-	console.log(chalk.gray('% of All Orders = Orders with this special category / Total orders across all stores'));
-	console.log(chalk.gray('占总订单百分比 = 特殊类别订单数 / 所有店铺总订单数'));
+	for (const line of i18n.lines('tag.legendPercentOfAll')) {
+		console.log(chalk.gray(line));
+	}
+	console.log(chalk.gray(t('tag.allOrdersBase', { count: number(totalOrders) })));
+}
+
+// Compact tables use short headers (English in bilingual mode) so they stay within 80 columns and keep
+// their alignment when pasted into Slack (double-width Chinese characters shift the columns in most chat fonts)
+const COMPACT_TABLE_STYLE = {
+	head: [], // Disable colors in header
+	border: [], // Disable colors for borders
+	compact: true, // No separator lines between rows
+};
+
+// Widest label shown in the first column of a compact table
+const COMPACT_LABEL_WIDTH = 20;
+
+/**
+ * Shortens a label to fit the first column of a compact table
+ * @param {string} label - The label to shorten
+ * @param {number} width - Maximum number of characters
+ * @returns {string} - The label, cut with an ellipsis if it was too long
+ */
+function truncateLabel(label, width = COMPACT_LABEL_WIDTH) {
+	return label.length > width ? `${label.slice(0, width - 1)}…` : label;
+}
+
+/**
+ * Shortens an order number to fit a compact table, keeping its end, where marketplace order numbers
+ * such as 113-1234567-1234567 differ
+ * @param {string} orderNumber - The order number to shorten
+ * @param {number} width - Maximum number of characters
+ * @returns {string} - The order number, with an ellipsis in place of its start if it was too long
+ */
+function truncateOrderNumber(orderNumber, width) {
+	return orderNumber.length > width ? `…${orderNumber.slice(-(width - 1))}` : orderNumber;
+}
+
+/**
+ * Displays store metrics as one dense table with a row per store, for 80-column terminals
+ * @param {Object} storeMetrics - Store metrics object
+ * @param {Array<string>} stores - Array of store names
+ * @param {Object} totals - Totals across all stores (count, totalOrderValue, totalRate, shippingProfit, netRevenue)
+ * @param {string} periodName - Period name for the report (e.g., "Feb 1-Mar 15, 2025")
+ * @param {Object} i18n - Translator from createTranslator
+ */
+function displayCompactStoreTable(storeMetrics, stores, totals, periodName, i18n) {
+	const { t, compactCurrency, percent, number } = i18n;
+	const period = periodName || t('common.currentPeriod');
+	console.log(chalk.cyan.bold(t('compact.storeTitle', { period })));
+
+	const table = new Table({
+		head: ['compact.store', 'compact.orders', 'compact.aov', 'compact.shipCost', 'compact.shipProfit', 'compact.netMargin'].map(
+			(header) => chalk.white.bold(t(header))
+		),
+		style: COMPACT_TABLE_STYLE,
+	});
+
+	for (const store of stores) {
+		const metrics = storeMetrics[store];
+		table.push([
+			truncateLabel(store),
+			number(metrics.count),
+			compactCurrency(metrics.averageOrderValue),
+			compactCurrency(metrics.totalRate),
+			colorizeValue(metrics.shippingProfit, compactCurrency(metrics.shippingProfit)),
+			colorizeValue(metrics.netRevenueMargin, percent(metrics.netRevenueMargin)),
+		]);
+	}
+
+	const netRevenueMargin = totals.totalOrderValue > 0 ? (totals.netRevenue / totals.totalOrderValue) * 100 : 0;
+	table.push([
+		chalk.white.bold(t('compact.total')),
+		chalk.bold(number(totals.count)),
+		chalk.bold(compactCurrency(totals.count > 0 ? totals.totalOrderValue / totals.count : 0)),
+		chalk.bold(compactCurrency(totals.totalRate)),
+		chalk.bold(colorizeValue(totals.shippingProfit, compactCurrency(totals.shippingProfit))),
+		chalk.bold(colorizeValue(netRevenueMargin, percent(netRevenueMargin))),
+	]);
+
+	console.log(table.toString());
+}
+
+/**
+ * Displays special order metrics as one dense table with a row per tag, for 80-column terminals
+ * @param {Object} tagMetrics - Tag metrics object
+ * @param {Array<string>} tags - Array of tag names
+ * @param {Object} totals - Totals across all tags from summarizeTagMetrics
+ * @param {number} totalOrders - Total number of orders across all stores
+ * @param {string} periodName - Period name for the report (e.g., "Feb 1-Mar 15, 2025")
+ * @param {Object} i18n - Translator from createTranslator
+ */
+function displayCompactTagTable(
+	tagMetrics,
+	tags,
+	totals,
+	totalOrders,
+	periodName,
+	i18n
+) {
+	const { t, compactCurrency, number } = i18n;
+	const period = periodName || t('common.currentPeriod');
+	console.log(chalk.cyan.bold(t('compact.tagTitle', { period })));
+
+	const table = new Table({
+		head: [
+			'compact.tag',
+			'compact.orders',
+			'compact.percentOfAll',
+			'compact.shipCost',
+			'compact.avgCost',
+			'compact.estimatedCost',
+		].map((header) => chalk.white.bold(t(header))),
+		style: COMPACT_TABLE_STYLE,
+	});
+
+	// Tags keep their catalog name, since translations would be cut to the column width
+	for (const tag of tags) {
+		const metrics = tagMetrics[tag];
+		table.push([
+			truncateLabel(tag),
+			number(metrics.count),
+			chalk.gray(formatShareOfAllOrders(metrics.count, totalOrders, i18n)),
+			compactCurrency(metrics.totalRate),
+			compactCurrency(metrics.averageRate),
+			compactCurrency(metrics.estimatedCost),
+		]);
+	}
+
+	table.push([
+		chalk.white.bold(t('compact.total')),
+		chalk.bold(number(totals.count)),
+		chalk.bold(chalk.gray(formatShareOfAllOrders(totals.count, totalOrders, i18n))),
+		chalk.bold(compactCurrency(totals.totalRate)),
+		chalk.bold(compactCurrency(totals.averageRate)),
+		chalk.bold(compactCurrency(totals.estimatedCost)),
+	]);
+
+	console.log(table.toString());
+	console.log(chalk.gray(t('compact.allOrders', { count: number(totalOrders) })));
 }
 
-export function displayStoreMetrics(storeMetrics, periodName) {
-	console.log(chalk.blue.bold('\n=== Store Metrics | 店铺指标 ==='));
+/**
+ * Displays store metrics with a legend and per-store summaries, or as one dense table in compact mode
+ * @param {Object} storeMetrics - Store metrics object
+ * @param {string} periodName - Period name for the report (e.g., "Feb 1-Mar 15, 2025")
+ * @param {Object} options - Display options
+ * @param {boolean} options.compact - Show one 80-column table without legend or narrative
+ * @param {Object} options.tagCatalog - Tag catalog; tags marked with excludeFromRevenue add the revenue order
+ *   figures (optional)
+ * @param {string} options.language - Language of the labels: en, zh or bilingual (default: bilingual)
+ */
+export function displayStoreMetrics(storeMetrics, periodName, options = {}) {
+	const { tagCatalog } = options;
+	const i18n = createTranslator(options.language);
+	const { t, currency, percent, number } = i18n;
+	console.log(chalk.blue.bold(`\n=== ${t('store.heading')} ===`));
 
 	// Get stores and sort by order count (descending)
 	const stores = Object.keys(storeMetrics).sort((a, b) => storeMetrics[b].count - storeMetrics[a].count);
 
 	if (stores.length === 0) {
-		console.log(chalk.yellow('No store data found | 未找到店铺数据'));
+		console.log(chalk.yellow(t('common.noStoreData')));
 		return;
 	}
 
@@ -289,6 +591,32 @@ export function displayStoreMetrics(storeMetrics, periodName) {
 		totalNetRevenue += metrics.netRevenue;
 	}
 
+	// Compact mode: one dense table, no legend, per-store summaries or revenue order rows
+	if (options.compact) {
+		displayCompactStoreTable(
+			storeMetrics,
+			stores,
+			{
+				count: totalOrders,
+				totalOrderValue,
+				totalRate,
+				shippingProfit: totalShippingProfit,
+				netRevenue: totalNetRevenue,
+			},
+			periodName,
+			i18n
+		);
+		return;
+	}
+
+	// Revenue orders are shown when the tag catalog leaves some tags out of revenue
+	const revenueExcludedTags = getRevenueExcludedTags(tagCatalog);
+	const showRevenueOrders = revenueExcludedTags.length > 0;
+
+	// Label cost rows are shown when the data has voided, return or refunded labels
+	const totals = summarizeStoreMetrics(storeMetrics);
+	const showLabelCosts = totals.voidCount + totals.returnCount + totals.refundCount > 0;
+
 	// Display comprehensive store metrics table
 	displayComprehensiveStoreTable(
 		storeMetrics,
@@ -299,165 +627,2056 @@ export function displayStoreMetrics(storeMetrics, periodName) {
 		totalShippingPaid,
 		totalShippingProfit,
 		totalNetRevenue,
-		periodName
+		showRevenueOrders,
+		showLabelCosts,
+		periodName,
+		i18n
 	);
 
 	// Display legend and help text
-	console.log(chalk.gray('\nLegend | 图例:'));
-	console.log(chalk.gray('- AOV = Average Order Value | 平均订单价值'));
-	console.log(chalk.gray('- Ship = Shipping | 物流'));
-	console.log(chalk.gray('- Net Margin = Net Revenue / Order Value | 净利润率 = 净收入 / 订单价值'));
-	console.log(chalk.gray('- Ship Margin = Shipping Profit / Shipping Paid | 物流利润率 = 物流利润 / 物流收入'));
-	console.log(chalk.green('- Green values indicate profit | 绿色表示盈利'));
-	console.log(chalk.red('- Red values indicate loss | 红色表示亏损'));
-	console.log(chalk.yellow('- Yellow values indicate break-even | 黄色表示收支平衡'));
+	console.log(chalk.gray(`\n${t('common.legend')}`));
+	console.log(chalk.gray(t('store.legendAov')));
+	console.log(chalk.gray(t('store.legendShip')));
+	console.log(chalk.gray(t('store.legendNetMargin')));
+	console.log(chalk.gray(t('store.legendShipMargin')));
+	if (showRevenueOrders) {
+		const tags = revenueExcludedTags.map((tag) => i18n.tag(tag, tagCatalog)).join(', ');
+		console.log(chalk.gray(t('store.legendRevenueOrders', { tags })));
+	}
+	if (showLabelCosts) {
+		console.log(chalk.gray(t('store.legendLabelCosts')));
+		console.log(chalk.gray(t('store.legendGrossSpend')));
+		console.log(chalk.gray(t('store.legendNetSpend')));
+	}
+	console.log(chalk.green(t('common.profit')));
+	console.log(chalk.red(t('common.loss')));
+	console.log(chalk.yellow(t('common.breakEven')));
 
 	// Display detailed metrics by section
-	console.log(chalk.blue.bold('\nStores Summary | 店铺摘要:'));
+	console.log(chalk.blue.bold(`\n${t('store.summary')}`));
 	for (const store of stores) {
 		const metrics = storeMetrics[store];
 		console.log(chalk.cyan.bold(`\n${store}:`));
 
 		// Order Summary
 		console.log(
-			chalk.white('Orders | 订单:'),
-			chalk.yellow(`${metrics.count} orders`),
-			chalk.gray(`(AOV: ${formatCurrency(metrics.averageOrderValue)})`)
+			chalk.white(t('store.ordersLabel')),
+			chalk.yellow(t('store.orderCount', { count: number(metrics.count) })),
+			chalk.gray(t('store.aovNote', { aov: currency(metrics.averageOrderValue) }))
 		);
 
 		// Revenue Summary
 		console.log(
-			chalk.white('Revenue | 收入:'),
-			chalk.yellow(formatCurrency(metrics.totalOrderValue)),
+			chalk.white(t('store.revenueLabel')),
+			chalk.yellow(currency(metrics.totalOrderValue)),
 			chalk.gray('→'),
-			colorizeValue(formatCurrency(metrics.netRevenue)),
-			chalk.gray(`(${colorizeValue(formatPercentage(metrics.netRevenueMargin))} margin)`)
+			colorizeValue(metrics.netRevenue, currency(metrics.netRevenue)),
+			chalk.gray(
+				t('store.marginNote', {
+					margin: colorizeValue(metrics.netRevenueMargin, percent(metrics.netRevenueMargin)),
+				})
+			)
 		);
 
 		// Shipping Summary
 		console.log(
-			chalk.white('Shipping | 物流:'),
-			chalk.yellow(`Cost: ${formatCurrency(metrics.totalRate)}`),
-			chalk.gray('vs'),
-			chalk.yellow(`Paid: ${formatCurrency(metrics.totalShippingPaid)}`),
+			chalk.white(t('store.shippingLabel')),
+			chalk.yellow(t('store.cost', { amount: currency(metrics.totalRate) })),
+			chalk.gray(t('store.versus')),
+			chalk.yellow(t('store.paid', { amount: currency(metrics.totalShippingPaid) })),
 			chalk.gray('='),
-			colorizeValue(formatCurrency(metrics.shippingProfit)),
-			chalk.gray(`(${colorizeValue(formatPercentage(metrics.shippingProfitMargin))} margin)`)
+			colorizeValue(metrics.shippingProfit, currency(metrics.shippingProfit)),
+			chalk.gray(
+				t('store.marginNote', {
+					margin: colorizeValue(metrics.shippingProfitMargin, percent(metrics.shippingProfitMargin)),
+				})
+			)
 		);
+
+		// Revenue Orders Summary
+		if (showRevenueOrders) {
+			console.log(
+				chalk.white(t('store.revenueOrdersLabel')),
+				chalk.yellow(t('store.orderCount', { count: number(metrics.revenueCount) })),
+				chalk.gray(t('store.aovNote', { aov: currency(metrics.revenueAverageOrderValue) })),
+				chalk.yellow(currency(metrics.revenueTotalOrderValue)),
+				chalk.gray('→'),
+				colorizeValue(metrics.revenueNetRevenue, currency(metrics.revenueNetRevenue)),
+				chalk.gray(
+					t('store.marginNote', {
+						margin: colorizeValue(metrics.revenueNetRevenueMargin, percent(metrics.revenueNetRevenueMargin)),
+					})
+				)
+			);
+		}
+
+		// Label Summary
+		if (showLabelCosts) {
+			console.log(
+				chalk.white(t('store.labelsLabel')),
+				chalk.yellow(t('store.gross', { amount: currency(metrics.grossRate) })),
+				chalk.gray('→'),
+				chalk.yellow(t('store.net', { amount: currency(metrics.netRate) })),
+				chalk.gray(
+					t('store.labelCounts', {
+						returns: number(metrics.returnCount),
+						returnCost: currency(metrics.returnRate),
+						refunds: number(metrics.refundCount),
+						refunded: currency(metrics.refundedRate),
+						voids: number(metrics.voidCount),
+					})
+				)
+			);
+		}
 	}
 
 	// Display overall summary
-	console.log(chalk.blue.bold('\nOverall Summary | 总体摘要:'));
-	console.log(chalk.white('Total Orders | 总订单数:'), chalk.yellow(totalOrders));
+	const overallNetRevenueMargin = (totalNetRevenue / totalOrderValue) * 100;
+	const overallShippingProfitMargin = (totalShippingProfit / totalShippingPaid) * 100;
+	console.log(chalk.blue.bold(`\n${t('store.overallSummary')}`));
+	console.log(chalk.white(t('store.totalOrdersLabel')), chalk.yellow(number(totalOrders)));
 	console.log(
-		chalk.white('Total Revenue | 总收入:'),
-		chalk.yellow(formatCurrency(totalOrderValue)),
+		chalk.white(t('store.totalRevenueLabel')),
+		chalk.yellow(currency(totalOrderValue)),
 		chalk.gray('→'),
-		colorizeValue(formatCurrency(totalNetRevenue)),
-		chalk.gray(`(${colorizeValue(formatPercentage((totalNetRevenue / totalOrderValue) * 100))} margin)`)
+		colorizeValue(totalNetRevenue, currency(totalNetRevenue)),
+		chalk.gray(t('store.marginNote', { margin: colorizeValue(overallNetRevenueMargin, percent(overallNetRevenueMargin)) }))
 	);
 	console.log(
-		chalk.white('Total Shipping | 总物流:'),
-		chalk.yellow(`Cost: ${formatCurrency(totalRate)}`),
-		chalk.gray('vs'),
-		chalk.yellow(`Paid: ${formatCurrency(totalShippingPaid)}`),
+		chalk.white(t('store.totalShippingLabel')),
+		chalk.yellow(t('store.cost', { amount: currency(totalRate) })),
+		chalk.gray(t('store.versus')),
+		chalk.yellow(t('store.paid', { amount: currency(totalShippingPaid) })),
 		chalk.gray('='),
-		colorizeValue(formatCurrency(totalShippingProfit)),
-		chalk.gray(`(${colorizeValue(formatPercentage((totalShippingProfit / totalShippingPaid) * 100))} margin)`)
+		colorizeValue(totalShippingProfit, currency(totalShippingProfit)),
+		chalk.gray(
+			t('store.marginNote', {
+				margin: colorizeValue(overallShippingProfitMargin, percent(overallShippingProfitMargin)),
+			})
+		)
 	);
+	if (showRevenueOrders) {
+		console.log(
+			chalk.white(t('store.totalRevenueOrdersLabel')),
+			chalk.yellow(t('store.orderCount', { count: number(totals.revenueCount) })),
+			chalk.gray(t('store.aovNote', { aov: currency(totals.revenueAverageOrderValue) })),
+			chalk.yellow(currency(totals.revenueTotalOrderValue)),
+			chalk.gray('→'),
+			colorizeValue(totals.revenueNetRevenue, currency(totals.revenueNetRevenue)),
+			chalk.gray(
+				t('store.marginNote', {
+					margin: colorizeValue(totals.revenueNetRevenueMargin, percent(totals.revenueNetRevenueMargin)),
+				})
+			)
+		);
+	}
+	if (showLabelCosts) {
+		console.log(
+			chalk.white(t('store.totalLabelsLabel')),
+			chalk.yellow(t('store.gross', { amount: currency(totals.grossRate) })),
+			chalk.gray('→'),
+			chalk.yellow(t('store.net', { amount: currency(totals.netRate) })),
+			chalk.gray(
+				t('store.labelCounts', {
+					returns: number(totals.returnCount),
+					returnCost: currency(totals.returnRate),
+					refunds: number(totals.refundCount),
+					refunded: currency(totals.refundedRate),
+					voids: number(totals.voidCount),
+				})
+			)
+		);
+	}
+}
+
+/**
+ * Displays special order metrics for each store, with tags as rows and stores as columns
+ * @param {Object} storeTagMetrics - Store × tag metrics object from calculateStoreTagMetrics
+ * @param {Array<string>} tags - Array of tag names
+ * @param {string} periodName - Period name for the report (e.g., "Feb 1-Mar 15, 2025")
+ * @param {Object} tagCatalog - Tag catalog with the tag translations (optional)
+ * @param {Object} i18n - Translator from createTranslator
+ */
+function displayStoreTagTable(storeTagMetrics, tags, periodName, tagCatalog, i18n) {
+	const { t, currency, percent, number } = i18n;
+	const period = periodName || t('common.currentPeriod');
+
+	// Stores with the most special orders first
+	const taggedOrders = (store) =>
+		Object.values(storeTagMetrics[store]).reduce((sum, metrics) => sum + metrics.count, 0);
+	const stores = Object.keys(storeTagMetrics).sort((a, b) => taggedOrders(b) - taggedOrders(a));
+
+	console.log(chalk.cyan.bold(`\n${t('tag.byStore', { period })}`));
+
+	const table = new Table({
+		head: [chalk.white.bold(t('common.tag')), ...stores.map((store) => chalk.white.bold(store))],
+		style: {
+			head: [], // Disable colors in header
+			border: [], // Disable colors for borders
+		},
+		wordWrap: true,
+	});
+
+	for (const tag of tags) {
+		table.push([
+			chalk.cyan.bold(i18n.tag(tag, tagCatalog, '\n')),
+			...stores.map((store) => {
+				const metrics = storeTagMetrics[store][tag];
+				if (!metrics) return chalk.gray('-');
+
+				return `${number(metrics.count)} ${chalk.gray(`(${percent(metrics.shareOfStoreOrders, 1)})`)}\n${currency(
+					metrics.totalRate
+				)}`;
+			}),
+		]);
+	}
+
+	console.log(table.toString());
+	for (const line of [...i18n.lines('tag.legendStoreCell'), ...i18n.lines('tag.legendStoreShare')]) {
+		console.log(chalk.gray(line));
+	}
 }
 
-export function displayTagMetrics(tagMetrics, periodName) {
-	console.log(chalk.blue.bold('\n=== Special Orders Analysis | 特殊订单分析 ==='));
+/**
+ * Displays special order metrics with legend and category explanations, or as one dense table in compact mode
+ * @param {Object} tagMetrics - Tag metrics object
+ * @param {string} periodName - Period name for the report (e.g., "Feb 1-Mar 15, 2025")
+ * @param {Object} options - Display options
+ * @param {boolean} options.compact - Show one 80-column table without legend or narrative
+ * @param {number} options.totalOrders - Total orders across all stores (totals.count of the analysis), the
+ *   denominator of "% of All Orders"
+ * @param {Object} options.storeTagMetrics - Store × tag metrics from calculateStoreTagMetrics, shown as a
+ *   matrix of tags by store (optional)
+ * @param {Object} options.tagCatalog - Tag catalog with the tag translations and descriptions (optional)
+ * @param {string} options.language - Language of the labels: en, zh or bilingual (default: bilingual)
+ */
+export function displayTagMetrics(tagMetrics, periodName, options = {}) {
+	const { tagCatalog, storeTagMetrics, totalOrders = 0 } = options;
+	const i18n = createTranslator(options.language);
+	const { t, currency, percent, number } = i18n;
+	console.log(chalk.blue.bold(`\n=== ${t('tag.heading')} ===`));
 
 	// Get tags and sort alphabetically
 	const tags = Object.keys(tagMetrics).sort();
 
 	if (tags.length === 0) {
-		console.log(chalk.yellow('No special orders data found | 未找到特殊订单数据'));
+		console.log(chalk.yellow(t('common.noTagData')));
 		return;
 	}
 
 	// Calculate totals for summary
-	let totalTaggedOrders = 0;
-	let totalTagRate = 0;
+	const totals = summarizeTagMetrics(tagMetrics);
 
-	// Collect data for each tag
-	for (const tag of tags) {
-		const metrics = tagMetrics[tag];
-		totalTaggedOrders += metrics.count;
-		totalTagRate += metrics.totalRate;
+	// Compact mode: one dense table, no legend or category explanations
+	if (options.compact) {
+		displayCompactTagTable(tagMetrics, tags, totals, totalOrders, periodName, i18n);
+		return;
 	}
 
-	// Get total orders from all stores - this should be passed from the main function
-	// For now, we'll use a parameter or fallback to the global variable if available
-	const totalAllStoresOrders = global.totalAllStoresOrders || 1781; // Fallback to the number we saw in the report
-
 	// Display comprehensive tag metrics table
-	displayComprehensiveTagTable(tagMetrics, tags, totalTaggedOrders, totalTagRate, totalAllStoresOrders, periodName);
+	displayComprehensiveTagTable(
+		tagMetrics,
+		tags,
+		totals,
+		totalOrders,
+		periodName,
+		tagCatalog,
+		i18n
+	);
 
 	// Display legend and help text
-	console.log(chalk.gray('\nLegend | 图例:'));
-	console.log(chalk.gray('- % of All Orders = Orders with this special category / Total orders across all stores'));
-	console.log(chalk.gray('- 占总订单百分比 = 特殊类别订单数 / 所有店铺总订单数'));
-	console.log(chalk.gray('- Avg Shipping Cost = Total shipping cost / Number of orders'));
-	console.log(chalk.gray('- 平均物流成本 = 总物流成本 / 订单数'));
-
-	// Explain each special order category
-	console.log(chalk.gray('\nSpecial Order Categories | 特殊订单类别:'));
-	console.log(chalk.gray('- Fulfillment Error | 仓库错误: Orders with errors made by warehouse staff'));
-	console.log(chalk.gray('- Giveaways | 免费赠品: Free products given for promotional purposes'));
-	console.log(chalk.gray('- Influencer | 网红推广: Orders sent to influencers for promotion'));
-	console.log(chalk.gray('- Not Delivered | 未送达: Orders that were not delivered to customers'));
-	console.log(chalk.gray('- Replacement | 替换订单: Replacement orders for damaged products'));
+	console.log(chalk.gray(`\n${t('common.legend')}`));
+	for (const line of [
+		...i18n.lines('tag.legendPercentOfAll'),
+		...i18n.lines('tag.legendAverage'),
+		...i18n.lines('tag.legendShipProfit'),
+		...i18n.lines('tag.legendEstimatedCost'),
+	]) {
+		console.log(chalk.gray(`- ${line}`));
+	}
+
+	// Explain each special order category in the tag catalog
+	if (tagCatalog && tagCatalog.tags.length > 0) {
+		console.log(chalk.gray(`\n${t('tag.categories')}`));
+		for (const { name, description } of tagCatalog.tags) {
+			const label = i18n.tag(name, tagCatalog);
+			console.log(chalk.gray(description ? `- ${label}: ${description}` : `- ${label}`));
+		}
+	}
+
+	// Display the tag × store matrix
+	if (storeTagMetrics) {
+		displayStoreTagTable(storeTagMetrics, tags, periodName, tagCatalog, i18n);
+	}
 
 	// Display detailed metrics by section
-	console.log(chalk.blue.bold('\nDetailed Special Orders Analysis | 详细特殊订单分析:'));
+	console.log(chalk.blue.bold(`\n${t('tag.detailed')}`));
 	for (const tag of tags) {
 		const metrics = tagMetrics[tag];
-		const percentOfOrders = ((metrics.count / totalTaggedOrders) * 100).toFixed(1);
-		const percentOfCost = ((metrics.totalRate / totalTagRate) * 100).toFixed(1);
-		const percentOfAllOrders = ((metrics.count / totalAllStoresOrders) * 100).toFixed(1);
+		const percentOfOrders = percent((metrics.count / totals.count) * 100, 1);
+		const percentOfCost = percent((metrics.totalRate / totals.totalRate) * 100, 1);
+		const percentOfAllOrders = formatShareOfAllOrders(metrics.count, totalOrders, i18n);
 
-		console.log(chalk.cyan.bold(`\n${tag} | ${getChineseTagName(tag)}:`));
+		console.log(chalk.cyan.bold(`\n${i18n.tag(tag, tagCatalog)}:`));
+		console.log(
+			chalk.white(t('store.ordersLabel')),
+			chalk.yellow(t('store.orderCount', { count: number(metrics.count) })),
+			chalk.gray(t('tag.ordersNote', { percentOfTagged: percentOfOrders, percentOfAll: percentOfAllOrders }))
+		);
 		console.log(
-			chalk.white('Orders | 订单:'),
-			chalk.yellow(`${metrics.count} orders`),
-			chalk.gray(`(${percentOfOrders}% of special orders, ${percentOfAllOrders}% of all orders)`)
+			chalk.white(t('store.shippingLabel')),
+			chalk.yellow(t('tag.total', { amount: currency(metrics.totalRate) })),
+			chalk.gray(t('tag.costNote', { percentOfCost })),
+			chalk.gray(t('tag.average', { amount: currency(metrics.averageRate) }))
 		);
 		console.log(
-			chalk.white('Shipping | 物流:'),
-			chalk.yellow(`Total: ${formatCurrency(metrics.totalRate)}`),
-			chalk.gray(`(${percentOfCost}% of special orders cost)`),
-			chalk.gray(`Avg: ${formatCurrency(metrics.averageRate)}`)
+			chalk.white(t('tag.valueLabel')),
+			chalk.yellow(
+				t('tag.value', {
+					orderValue: currency(metrics.totalOrderValue),
+					average: currency(metrics.averageOrderValue),
+					paid: currency(metrics.totalShippingPaid),
+				})
+			),
+			colorizeValue(metrics.shippingProfit, currency(metrics.shippingProfit))
 		);
+		console.log(chalk.white(t('tag.estimatedCostLabel')), chalk.yellow(currency(metrics.estimatedCost)));
 	}
 
 	// Display overall tag summary
-	console.log(chalk.blue.bold('\nSpecial Orders Summary | 特殊订单摘要:'));
-	console.log(
-		chalk.white('Total Special Orders | 总特殊订单:'),
-		chalk.yellow(totalTaggedOrders),
-		chalk.gray(`(${((totalTaggedOrders / totalAllStoresOrders) * 100).toFixed(1)}% of all orders)`)
-	);
-	console.log(chalk.white('Total Shipping Cost | 总物流成本:'), chalk.yellow(formatCurrency(totalTagRate)));
+	console.log(chalk.blue.bold(`\n${t('tag.summary')}`));
 	console.log(
-		chalk.white('Average Cost per Order | 每单平均成本:'),
-		chalk.yellow(formatCurrency(totalTagRate / totalTaggedOrders))
+		chalk.white(t('tag.totalOrdersLabel')),
+		chalk.yellow(number(totals.count)),
+		chalk.gray(t('tag.allOrdersNote', { percent: formatShareOfAllOrders(totals.count, totalOrders, i18n) }))
 	);
-	console.log(chalk.white('Unique Categories | 独特类别:'), chalk.yellow(tags.length));
+	console.log(chalk.white(t('tag.totalCostLabel')), chalk.yellow(currency(totals.totalRate)));
+	console.log(chalk.white(t('tag.averageCostLabel')), chalk.yellow(currency(totals.averageRate)));
+	console.log(chalk.white(t('tag.totalEstimatedCostLabel')), chalk.yellow(currency(totals.estimatedCost)));
+	console.log(chalk.white(t('tag.uniqueCategoriesLabel')), chalk.yellow(number(tags.length)));
 }
 
 /**
- * Helper function to get Chinese tag names
+ * Displays the records read from each source file and the duplicates dropped while merging
+ * @param {Array<Object>} sources - Source summaries from readAndMergeFiles
+ * @param {Object} options - Display options
+ * @param {boolean} options.compact - Show one 80-column table with short headers, without the legend
+ * @param {string} options.language - Language of the labels: en, zh or bilingual (default: bilingual)
  */
-function getChineseTagName(tag) {
-	const tagMap = {
-		'Fulfillment Error': '仓库错误',
-		Giveaways: '免费赠品',
-		Influencer: '网红推广',
-		'Not Delivered': '未送达',
-		Replacement: '替换订单',
-	};
-	return tagMap[tag] || tag;
+export function displaySourceSummary(sources, options = {}) {
+	const i18n = createTranslator(options.language);
+	const { t, number } = i18n;
+	console.log(chalk.blue.bold(`\n=== ${t('source.heading')} ===`));
+
+	let totalRecords = 0;
+	let totalDuplicates = 0;
+	let totalIncluded = 0;
+
+	if (options.compact) {
+		const compactTable = new Table({
+			head: ['compact.file', 'compact.records', 'compact.duplicates', 'compact.included'].map((header) =>
+				chalk.white.bold(t(header))
+			),
+			style: COMPACT_TABLE_STYLE,
+		});
+
+		for (const source of sources) {
+			totalRecords += source.records;
+			totalDuplicates += source.duplicates;
+			totalIncluded += source.included;
+
+			compactTable.push([
+				truncateLabel(source.fileName, COMPACT_LABEL_WIDTH + 10),
+				number(source.records),
+				source.duplicates > 0 ? chalk.yellow(number(source.duplicates)) : number(source.duplicates),
+				number(source.included),
+			]);
+		}
+
+		compactTable.push([
+			chalk.white.bold(t('compact.total')),
+			chalk.bold(number(totalRecords)),
+			chalk.bold(number(totalDuplicates)),
+			chalk.bold(number(totalIncluded)),
+		]);
+
+		console.log(compactTable.toString());
+		return;
+	}
+
+	const table = new Table({
+		head: [
+			chalk.white.bold(t('source.file')),
+			chalk.white.bold(t('source.records')),
+			chalk.white.bold(t('source.duplicates')),
+			chalk.white.bold(t('source.included')),
+		],
+		style: {
+			head: [], // Disable colors in header
+			border: [], // Disable colors for borders
+		},
+	});
+
+	for (const source of sources) {
+		totalRecords += source.records;
+		totalDuplicates += source.duplicates;
+		totalIncluded += source.included;
+
+		table.push([
+			source.fileName,
+			number(source.records),
+			source.duplicates > 0 ? chalk.yellow(number(source.duplicates)) : number(source.duplicates),
+			number(source.included),
+		]);
+	}
+
+	table.push([
+		chalk.bold(t('common.total')),
+		chalk.bold(number(totalRecords)),
+		chalk.bold(number(totalDuplicates)),
+		chalk.bold(number(totalIncluded)),
+	]);
+
+	console.log(table.toString());
+	for (const line of i18n.lines('source.legend')) {
+		console.log(chalk.gray(line));
+	}
+}
+
+/**
+ * Displays the data quality summary produced by validateData
+ * @param {Object} validation - Validation result from validateData
+ * @param {Object} options - Display options
+ * @param {boolean} options.compact - Show one 80-column table without the example rows (--rejects saves them)
+ * @param {string} options.language - Language of the labels: en, zh or bilingual (default: bilingual)
+ */
+export function displayValidationReport(validation, options = {}) {
+	const i18n = createTranslator(options.language);
+	const { t, percent, number } = i18n;
+	console.log(chalk.blue.bold(`\n=== ${t('validation.heading')} ===`));
+
+	if (validation.invalidRows === 0) {
+		console.log(chalk.green(t('validation.allPassed', { count: number(validation.totalRows) })));
+		return;
+	}
+
+	if (options.compact) {
+		const compactTable = new Table({
+			head: ['compact.check', 'compact.rows', 'compact.percentOfRows'].map((header) => chalk.white.bold(t(header))),
+			style: COMPACT_TABLE_STYLE,
+		});
+
+		for (const check of validation.checks) {
+			let checkPercent = percent(check.percentOfRows);
+			if (check.thresholdExceeded) {
+				checkPercent = chalk.red(checkPercent);
+			} else if (check.count > 0) {
+				checkPercent = chalk.yellow(checkPercent);
+			} else {
+				checkPercent = chalk.green(checkPercent);
+			}
+
+			compactTable.push([t(`compact.${check.id}`), number(check.count), checkPercent]);
+		}
+
+		compactTable.push([
+			chalk.white.bold(t('compact.withIssues')),
+			chalk.bold(number(validation.invalidRows)),
+			chalk.bold(percent((validation.invalidRows / validation.totalRows) * 100)),
+		]);
+
+		console.log(compactTable.toString());
+		console.log(chalk.gray(t('compact.threshold', { rate: validation.maxIssueRate })));
+		return;
+	}
+
+	const table = new Table({
+		head: [
+			chalk.white.bold(t('validation.check')),
+			chalk.white.bold(t('validation.rows')),
+			chalk.white.bold(t('validation.percentOfRows')),
+			chalk.white.bold(t('validation.examples')),
+		],
+		style: {
+			head: [], // Disable colors in header
+			border: [], // Disable colors for borders
+		},
+		wordWrap: true,
+	});
+
+	for (const check of validation.checks) {
+		// Show the first few offending rows so they can be found in the source file
+		const examples = check.rows
+			.slice(0, 5)
+			.map((row) => {
+				const location = row.sourceFile ? `${row.sourceFile}:${row.sourceRow}` : `${row.sourceRow}`;
+				return row.orderNumber !== undefined ? `${location} / ${row.orderNumber}` : location;
+			})
+			.join(', ');
+		const more = check.rows.length > 5 ? chalk.gray(` ${t('validation.more', { count: check.rows.length - 5 })}`) : '';
+
+		let checkPercent = percent(check.percentOfRows);
+		if (check.thresholdExceeded) {
+			checkPercent = chalk.red(checkPercent);
+		} else if (check.count > 0) {
+			checkPercent = chalk.yellow(checkPercent);
+		} else {
+			checkPercent = chalk.green(checkPercent);
+		}
+
+		table.push([t(`validation.${check.id}`), number(check.count), checkPercent, `${examples}${more}`]);
+	}
+
+	table.push([
+		chalk.bold(t('validation.rowsWithIssues')),
+		chalk.bold(number(validation.invalidRows)),
+		chalk.bold(percent((validation.invalidRows / validation.totalRows) * 100)),
+		'',
+	]);
+
+	console.log(table.toString());
+	console.log(chalk.gray(t('validation.threshold', { rate: validation.maxIssueRate })));
+}
+
+/**
+ * Displays carrier and service level metrics, and the store × carrier cross-tab
+ * @param {Object} carrierMetrics - Carrier metrics object from calculateCarrierMetrics
+ * @param {Object} storeCarrierMetrics - Store × carrier metrics object from calculateStoreCarrierMetrics
+ * @param {string} periodName - Period name for the report (e.g., "Feb 1-Mar 15, 2025")
+ * @param {Object} options - Display options
+ * @param {boolean} options.compact - Show one 80-column table without the store cross-tab or notes
+ * @param {string} options.language - Language of the labels: en, zh or bilingual (default: bilingual)
+ */
+export function displayCarrierMetrics(carrierMetrics, storeCarrierMetrics, periodName, options = {}) {
+	const i18n = createTranslator(options.language);
+	const { t, currency, percent, number } = i18n;
+	console.log(chalk.blue.bold(`\n=== ${t('carrier.heading')} ===`));
+
+	// Get carriers and sort by shipping spend (descending)
+	const carriers = Object.keys(carrierMetrics).sort(
+		(a, b) => carrierMetrics[b].totalRate - carrierMetrics[a].totalRate
+	);
+
+	if (carriers.length === 0) {
+		console.log(chalk.yellow(t('common.noCarrierData')));
+		return;
+	}
+
+	const period = periodName || t('common.currentPeriod');
+	if (options.compact) {
+		console.log(chalk.cyan.bold(t('compact.carrierTitle', { period })));
+	} else {
+		console.log(chalk.cyan.bold(`\n${t('carrier.title', { period })}`));
+	}
+
+	// Create table with one row per carrier followed by its services
+	let table;
+	if (options.compact) {
+		table = new Table({
+			head: ['compact.carrierService', 'compact.labels', 'compact.shipCost', 'compact.avgCost', 'compact.share'].map(
+				(header) => chalk.white.bold(t(header))
+			),
+			style: COMPACT_TABLE_STYLE,
+		});
+	} else {
+		table = new Table({
+			head: [
+				chalk.white.bold(t('carrier.carrierService')),
+				chalk.white.bold(t('metric.labels')),
+				chalk.white.bold(t('metric.shipCost')),
+				chalk.white.bold(t('metric.avgCost')),
+				chalk.white.bold(t('metric.shareOfSpend')),
+			],
+			style: {
+				head: [], // Disable colors in header
+				border: [], // Disable colors for borders
+			},
+			wordWrap: true,
+		});
+	}
+
+	// Compact mode drops the cents of large amounts to keep the table in 80 columns
+	const amount = options.compact ? i18n.compactCurrency : currency;
+	let totalLabels = 0;
+	let totalRate = 0;
+
+	for (const carrier of carriers) {
+		const metrics = carrierMetrics[carrier];
+		totalLabels += metrics.count;
+		totalRate += metrics.totalRate;
+
+		table.push([
+			chalk.cyan.bold(options.compact ? truncateLabel(carrier, COMPACT_LABEL_WIDTH + 10) : carrier),
+			chalk.bold(number(metrics.count)),
+			chalk.bold(amount(metrics.totalRate)),
+			chalk.bold(amount(metrics.averageRate)),
+			chalk.bold(percent(metrics.shareOfSpend)),
+		]);
+
+		// Services within the carrier, most expensive first
+		const services = Object.keys(metrics.services).sort(
+			(a, b) => metrics.services[b].totalRate - metrics.services[a].totalRate
+		);
+		for (const service of services) {
+			const serviceMetrics = metrics.services[service];
+			table.push([
+				`  ${options.compact ? truncateLabel(service, COMPACT_LABEL_WIDTH + 8) : service}`,
+				number(serviceMetrics.count),
+				amount(serviceMetrics.totalRate),
+				amount(serviceMetrics.averageRate),
+				chalk.gray(percent(serviceMetrics.shareOfSpend)),
+			]);
+		}
+	}
+
+	table.push([
+		chalk.white.bold(t(options.compact ? 'compact.total' : 'common.total')),
+		chalk.bold(number(totalLabels)),
+		chalk.bold(amount(totalRate)),
+		chalk.bold(amount(totalLabels > 0 ? totalRate / totalLabels : 0)),
+		chalk.bold(percent(100)),
+	]);
+
+	console.log(table.toString());
+
+	// Compact mode: the store cross-tab grows with the number of stores, so it's left out
+	if (options.compact) {
+		return;
+	}
+	for (const line of i18n.lines('carrier.legendShare')) {
+		console.log(chalk.gray(line));
+	}
+
+	// Display the store × carrier cross-tab with stores as columns, like the store metrics table
+	const stores = Object.keys(storeCarrierMetrics).sort((a, b) => {
+		const countA = Object.values(storeCarrierMetrics[a]).reduce((sum, metrics) => sum + metrics.count, 0);
+		const countB = Object.values(storeCarrierMetrics[b]).reduce((sum, metrics) => sum + metrics.count, 0);
+		return countB - countA;
+	});
+
+	console.log(chalk.cyan.bold(`\n${t('carrier.byStore', { period })}`));
+
+	const crossTab = new Table({
+		head: [chalk.white.bold(t('common.carrier')), ...stores.map((store) => chalk.white.bold(store))],
+		style: {
+			head: [], // Disable colors in header
+			border: [], // Disable colors for borders
+		},
+		wordWrap: true,
+	});
+
+	for (const carrier of carriers) {
+		crossTab.push([
+			chalk.cyan.bold(carrier),
+			...stores.map((store) => {
+				const metrics = storeCarrierMetrics[store][carrier];
+				if (!metrics) return chalk.gray('-');
+
+				return `${number(metrics.count)} × ${currency(metrics.averageRate)}\n${currency(
+					metrics.totalRate
+				)} ${chalk.gray(`(${percent(metrics.shareOfSpend)})`)}`;
+			}),
+		]);
+	}
+
+	console.log(crossTab.toString());
+	for (const line of i18n.lines('carrier.legendCell')) {
+		console.log(chalk.gray(line));
+	}
+}
+
+/**
+ * Displays a weight band cross-tab with one column per store or carrier and one row per band
+ * @param {string} title - Table title
+ * @param {Array<Object>} bands - Weight bands from parseWeightBands
+ * @param {Object} groupMetrics - Weight band metrics keyed by store or carrier, then band label
+ * @param {Object} i18n - Translator from createTranslator
+ */
+function displayWeightBandCrossTab(title, bands, groupMetrics, i18n) {
+	const { t, currency, number } = i18n;
+
+	// Columns with the most weighed labels first
+	const countLabels = (group) => Object.values(groupMetrics[group]).reduce((sum, metrics) => sum + metrics.count, 0);
+	const groups = Object.keys(groupMetrics).sort((a, b) => countLabels(b) - countLabels(a));
+
+	console.log(chalk.cyan.bold(`\n${title}`));
+
+	const crossTab = new Table({
+		head: [chalk.white.bold(t('weight.band')), ...groups.map((group) => chalk.white.bold(group))],
+		style: {
+			head: [], // Disable colors in header
+			border: [], // Disable colors for borders
+		},
+		wordWrap: true,
+	});
+
+	for (const { label } of bands) {
+		crossTab.push([
+			chalk.cyan.bold(label),
+			...groups.map((group) => {
+				const metrics = groupMetrics[group][label];
+				if (!metrics) return chalk.gray('-');
+
+				const costPerPound = `${currency(metrics.costPerPound)}${chalk.gray('/lb')}`;
+				return `${number(metrics.count)} × ${currency(metrics.averageRate)}\n${costPerPound}`;
+			}),
+		]);
+	}
+
+	console.log(crossTab.toString());
+}
+
+/**
+ * Displays shipping cost by package weight band, with the store and carrier cross-tabs
+ * @param {Object} weightBandMetrics - Weight band metrics from calculateWeightBandMetrics
+ * @param {string} periodName - Period name for the report (e.g., "Feb 1-Mar 15, 2025")
+ * @param {Object} options - Display options
+ * @param {boolean} options.compact - Only show the overall table, with short headers
+ * @param {string} options.language - Language of the labels: en, zh or bilingual (default: bilingual)
+ */
+export function displayWeightBandMetrics(weightBandMetrics, periodName, options = {}) {
+	const i18n = createTranslator(options.language);
+	const { t, currency, percent, number } = i18n;
+	const { bands, overall, totals, byStore, byCarrier, weighedLabels, unweighedLabels } = weightBandMetrics;
+	console.log(chalk.blue.bold(`\n=== ${t('weight.heading')} ===`));
+
+	if (weighedLabels === 0) {
+		console.log(chalk.yellow(t('common.noWeightData')));
+		return;
+	}
+
+	const period = periodName || t('common.currentPeriod');
+	if (options.compact) {
+		console.log(chalk.cyan.bold(t('compact.weightTitle', { period })));
+	} else {
+		console.log(chalk.cyan.bold(`\n${t('weight.title', { period })}`));
+	}
+
+	// Create table with one row per weight band
+	let table;
+	if (options.compact) {
+		table = new Table({
+			head: [
+				'compact.weightBand',
+				'compact.labels',
+				'compact.shipCost',
+				'compact.avgCost',
+				'compact.costPerPound',
+				'compact.share',
+			].map((header) => chalk.white.bold(t(header))),
+			style: COMPACT_TABLE_STYLE,
+		});
+	} else {
+		table = new Table({
+			head: [
+				chalk.white.bold(t('weight.band')),
+				chalk.white.bold(t('metric.labels')),
+				chalk.white.bold(t('metric.shipCost')),
+				chalk.white.bold(t('metric.avgCost')),
+				chalk.white.bold(t('metric.weightLb')),
+				chalk.white.bold(t('metric.costPerPound')),
+				chalk.white.bold(t('metric.shareOfLabels')),
+			],
+			style: {
+				head: [], // Disable colors in header
+				border: [], // Disable colors for borders
+			},
+		});
+	}
+
+	for (const { label } of bands) {
+		const metrics = overall[label];
+
+		if (metrics.count === 0) {
+			const emptyColumns = options.compact ? 4 : 5;
+			table.push([label, chalk.gray('0'), ...Array(emptyColumns).fill(chalk.gray('-'))]);
+			continue;
+		}
+
+		if (options.compact) {
+			table.push([
+				label,
+				number(metrics.count),
+				currency(metrics.totalRate),
+				currency(metrics.averageRate),
+				currency(metrics.costPerPound),
+				percent(metrics.shareOfLabels),
+			]);
+		} else {
+			table.push([
+				chalk.cyan.bold(label),
+				number(metrics.count),
+				currency(metrics.totalRate),
+				currency(metrics.averageRate),
+				number(metrics.totalWeight, 1),
+				currency(metrics.costPerPound),
+				chalk.gray(percent(metrics.shareOfLabels)),
+			]);
+		}
+	}
+
+	const totalRow = [
+		chalk.white.bold(t(options.compact ? 'compact.total' : 'common.total')),
+		chalk.bold(number(totals.count)),
+		chalk.bold(currency(totals.totalRate)),
+		chalk.bold(currency(totals.averageRate)),
+	];
+	if (!options.compact) {
+		totalRow.push(chalk.bold(number(totals.totalWeight, 1)));
+	}
+	totalRow.push(chalk.bold(currency(totals.costPerPound)), chalk.bold(percent(totals.shareOfLabels)));
+	table.push(totalRow);
+
+	console.log(table.toString());
+	if (unweighedLabels > 0) {
+		console.log(chalk.yellow(t('weight.unweighed', { count: number(unweighedLabels) })));
+	}
+
+	// Compact mode: the cross-tabs grow with the number of stores and carriers, so they're left out
+	if (options.compact) {
+		return;
+	}
+	for (const key of ['weight.legendBands', 'weight.legendCostPerPound', 'weight.legendShare']) {
+		for (const line of i18n.lines(key)) {
+			console.log(chalk.gray(line));
+		}
+	}
+
+	// Display the store and carrier cross-tabs with the bands as rows
+	displayWeightBandCrossTab(t('weight.byStore', { period }), bands, byStore, i18n);
+	displayWeightBandCrossTab(t('weight.byCarrier', { period }), bands, byCarrier, i18n);
+	for (const line of i18n.lines('weight.legendCell')) {
+		console.log(chalk.gray(line));
+	}
+}
+
+// Destinations (states, countries or ZIP3 prefixes) listed in the console before pointing to --save for the rest
+const DESTINATION_LIST_LIMIT = 20;
+
+/**
+ * Builds the console row of a destination entry
+ * @param {string} label - Displayed destination
+ * @param {Object} metrics - Destination metrics entry
+ * @param {boolean} compact - Leave out the shipping paid column
+ * @param {Object} i18n - Translator from createTranslator
+ * @returns {Array<string>} - Table row
+ */
+function buildDestinationRow(label, metrics, compact, i18n) {
+	const { currency, percent, number } = i18n;
+	const row = [label, number(metrics.count), currency(metrics.totalRate), currency(metrics.averageRate)];
+	if (!compact) {
+		row.push(currency(metrics.totalShippingPaid));
+	}
+	row.push(colorizeValue(metrics.shippingProfit, currency(metrics.shippingProfit)), percent(metrics.shareOfOrders));
+	return row;
+}
+
+/**
+ * Displays one destination table with a row per state, country or ZIP3 prefix, most orders first
+ * @param {string} title - Table title
+ * @param {Object} groups - Destination metrics keyed by state, country or ZIP3 prefix
+ * @param {string} groupHeader - Header of the destination column
+ * @param {Object} i18n - Translator from createTranslator
+ */
+function displayDestinationTable(title, groups, groupHeader, i18n) {
+	const { t } = i18n;
+	console.log(chalk.cyan.bold(`\n${title}`));
+
+	const table = new Table({
+		head: [
+			chalk.white.bold(groupHeader),
+			chalk.white.bold(t('metric.orders')),
+			chalk.white.bold(t('metric.shipCost')),
+			chalk.white.bold(t('metric.avgCost')),
+			chalk.white.bold(t('metric.shipPaid')),
+			chalk.white.bold(t('metric.shipProfit')),
+			chalk.white.bold(t('metric.shareOfOrders')),
+		],
+		style: {
+			head: [], // Disable colors in header
+			border: [], // Disable colors for borders
+		},
+	});
+
+	// Most orders first, most expensive first among equals
+	const keys = Object.keys(groups).sort(
+		(a, b) => groups[b].count - groups[a].count || groups[b].averageRate - groups[a].averageRate
+	);
+	for (const key of keys.slice(0, DESTINATION_LIST_LIMIT)) {
+		table.push(buildDestinationRow(chalk.cyan.bold(key), groups[key], false, i18n));
+	}
+
+	console.log(table.toString());
+	if (keys.length > DESTINATION_LIST_LIMIT) {
+		console.log(chalk.gray(t('destination.more', { count: keys.length - DESTINATION_LIST_LIMIT })));
+	}
+}
+
+/**
+ * Displays shipping metrics by destination: domestic vs international, then per state, country and ZIP3 prefix
+ * @param {Object} destinationMetrics - Destination metrics from calculateDestinationMetrics
+ * @param {string} periodName - Period name for the report (e.g., "Feb 1-Mar 15, 2025")
+ * @param {Object} options - Display options
+ * @param {boolean} options.compact - Only show the domestic vs international table, with short headers
+ * @param {string} options.language - Language of the labels: en, zh or bilingual (default: bilingual)
+ */
+export function displayDestinationMetrics(destinationMetrics, periodName, options = {}) {
+	const i18n = createTranslator(options.language);
+	const { t, currency, percent, number } = i18n;
+	const { homeCountry, totals, domestic, international, byState, byCountry, byZip3, unknownDestinations } =
+		destinationMetrics;
+	console.log(chalk.blue.bold(`\n=== ${t('destination.heading')} ===`));
+
+	if (totals.count === 0) {
+		console.log(chalk.yellow(t('common.noDestinationData')));
+		return;
+	}
+
+	const period = periodName || t('common.currentPeriod');
+	if (options.compact) {
+		console.log(chalk.cyan.bold(t('compact.destinationTitle', { period })));
+	} else {
+		console.log(chalk.cyan.bold(`\n${t('destination.title', { period })}`));
+	}
+
+	// Create table with a domestic and an international row
+	let table;
+	if (options.compact) {
+		table = new Table({
+			head: [
+				'compact.destination',
+				'compact.orders',
+				'compact.shipCost',
+				'compact.avgCost',
+				'compact.shipProfit',
+				'compact.share',
+			].map((header) => chalk.white.bold(t(header))),
+			style: COMPACT_TABLE_STYLE,
+		});
+	} else {
+		table = new Table({
+			head: [
+				chalk.white.bold(t('destination.destination')),
+				chalk.white.bold(t('metric.orders')),
+				chalk.white.bold(t('metric.shipCost')),
+				chalk.white.bold(t('metric.avgCost')),
+				chalk.white.bold(t('metric.shipPaid')),
+				chalk.white.bold(t('metric.shipProfit')),
+				chalk.white.bold(t('metric.shareOfOrders')),
+			],
+			style: {
+				head: [], // Disable colors in header
+				border: [], // Disable colors for borders
+			},
+		});
+	}
+
+	const domesticLabel = t('destination.domestic', { country: homeCountry });
+	const internationalLabel = t('destination.international');
+	table.push(
+		buildDestinationRow(
+			options.compact ? domesticLabel : chalk.cyan.bold(domesticLabel),
+			domestic,
+			options.compact,
+			i18n
+		),
+		buildDestinationRow(
+			options.compact ? internationalLabel : chalk.cyan.bold(internationalLabel),
+			international,
+			options.compact,
+			i18n
+		)
+	);
+
+	const totalRow = [
+		chalk.white.bold(t(options.compact ? 'compact.total' : 'common.total')),
+		chalk.bold(number(totals.count)),
+		chalk.bold(currency(totals.totalRate)),
+		chalk.bold(currency(totals.averageRate)),
+	];
+	if (!options.compact) {
+		totalRow.push(chalk.bold(currency(totals.totalShippingPaid)));
+	}
+	totalRow.push(
+		chalk.bold(colorizeValue(totals.shippingProfit, currency(totals.shippingProfit))),
+		chalk.bold(percent(totals.shareOfOrders))
+	);
+	table.push(totalRow);
+
+	console.log(table.toString());
+	if (unknownDestinations > 0) {
+		console.log(chalk.yellow(t('destination.unknown', { count: number(unknownDestinations) })));
+	}
+
+	// Compact mode: the state, country and ZIP3 tables grow with the destinations, so they're left out
+	if (options.compact) {
+		return;
+	}
+	for (const line of i18n.lines('destination.legendDomestic', { country: homeCountry })) {
+		console.log(chalk.gray(line));
+	}
+	for (const line of i18n.lines('destination.legendShare')) {
+		console.log(chalk.gray(line));
+	}
+
+	// Display the state, country and ZIP3 tables
+	if (Object.keys(byState).length > 0) {
+		displayDestinationTable(t('destination.byState', { period }), byState, t('destination.state'), i18n);
+	}
+	if (Object.keys(byCountry).length > 0) {
+		displayDestinationTable(t('destination.byCountry', { period }), byCountry, t('destination.country'), i18n);
+	}
+	if (byZip3 && Object.keys(byZip3).length > 0) {
+		displayDestinationTable(t('destination.byZip3', { period }), byZip3, t('destination.zip3'), i18n);
+	}
+}
+
+// Width of the longest bar of a histogram, in characters
+const HISTOGRAM_WIDTH = 40;
+
+/**
+ * Displays one distribution table with a row per store or tag for one per-order value
+ * @param {string} title - Table title, or null when the compact title was already shown
+ * @param {Object} groupMetrics - Store or tag metrics with their distribution
+ * @param {Array<string>} groups - Stores or tags in display order
+ * @param {string} metric - Per-order value: rate, orderValue or shippingProfit
+ * @param {string} groupHeader - Header of the store or tag column
+ * @param {Function} groupLabel - Builds the displayed label of a store or tag
+ * @param {boolean} compact - Use short headers and no row separators
+ * @param {Object} i18n - Translator from createTranslator
+ */
+function displayDistributionTable(title, groupMetrics, groups, metric, groupHeader, groupLabel, compact, i18n) {
+	const { t, currency, number } = i18n;
+	if (title) {
+		console.log(chalk.cyan.bold(`\n${title}`));
+	}
+
+	// Shipping profit is colored by sign, the other values are plain amounts
+	const format = (value) =>
+		metric === 'shippingProfit' ? colorizeValue(value, currency(value)) : currency(value);
+
+	// Compact mode: only the median, P90 and max, so the table fits in 80 columns
+	if (compact) {
+		const compactTable = new Table({
+			head: [groupHeader, t('compact.orders'), t('compact.median'), t('distribution.p90'), t('compact.max')].map(
+				(header) => chalk.white.bold(header)
+			),
+			style: COMPACT_TABLE_STYLE,
+		});
+
+		for (const group of groups) {
+			const distribution = groupMetrics[group].distribution[metric];
+			if (distribution.count === 0) {
+				continue;
+			}
+
+			compactTable.push([
+				truncateLabel(groupLabel(group)),
+				number(distribution.count),
+				format(distribution.median),
+				format(distribution.p90),
+				format(distribution.max),
+			]);
+		}
+
+		console.log(compactTable.toString());
+		return;
+	}
+
+	const table = new Table({
+		head: [
+			groupHeader,
+			t('metric.orders'),
+			t('distribution.min'),
+			t('distribution.median'),
+			t('distribution.mean'),
+			t('distribution.p90'),
+			t('distribution.p95'),
+			t('distribution.p99'),
+			t('distribution.max'),
+			t('distribution.stdDev'),
+		].map((header) => chalk.white.bold(header)),
+		style: {
+			head: [], // Disable colors in header
+			border: [], // Disable colors for borders
+		},
+	});
+
+	for (const group of groups) {
+		const distribution = groupMetrics[group].distribution[metric];
+		if (distribution.count === 0) {
+			continue;
+		}
+
+		table.push([
+			chalk.cyan.bold(groupLabel(group)),
+			number(distribution.count),
+			format(distribution.min),
+			format(distribution.median),
+			format(distribution.mean),
+			format(distribution.p90),
+			format(distribution.p95),
+			format(distribution.p99),
+			format(distribution.max),
+			currency(distribution.stdDev),
+		]);
+	}
+
+	console.log(table.toString());
+}
+
+/**
+ * Displays an ASCII histogram with one row per bin and a bar scaled to the fullest bin
+ * @param {string} title - Histogram title
+ * @param {Array<Object>} histogram - Bins from calculateDistribution
+ * @param {Object} i18n - Translator from createTranslator
+ */
+function displayHistogram(title, histogram, i18n) {
+	const { currency, number } = i18n;
+	console.log(chalk.cyan.bold(`\n${title}`));
+
+	const ranges = histogram.map((bin) => `${currency(bin.min)} - ${currency(bin.max)}`);
+	const rangeWidth = Math.max(...ranges.map((range) => range.length));
+	const largestCount = Math.max(...histogram.map((bin) => bin.count));
+
+	histogram.forEach((bin, index) => {
+		// Any bin with orders gets at least one character, so a single outlier stays visible
+		const barLength = bin.count > 0 ? Math.max(1, Math.round((bin.count / largestCount) * HISTOGRAM_WIDTH)) : 0;
+		const bar = barLength > 0 ? `${chalk.green('#'.repeat(barLength))} ` : '';
+		console.log(`${chalk.gray(ranges[index].padStart(rangeWidth))} | ${bar}${number(bin.count)}`);
+	});
+}
+
+/**
+ * Displays the spread of the per-order Rate, order value and shipping profit of each store and tag,
+ * with a Rate histogram per store
+ * @param {Object} storeMetrics - Store metrics from calculateStoreMetrics, or null to leave out the store tables
+ * @param {Object} tagMetrics - Tag metrics from calculateTagMetrics, or null to leave out the tag tables
+ * @param {string} periodName - Period name for the report (e.g., "Feb 1-Mar 15, 2025")
+ * @param {Object} options - Display options
+ * @param {boolean} options.compact - Only show the median, P90 and max Rate of each store and tag, with short headers
+ * @param {Object} options.tagCatalog - Tag catalog with the tag translations (optional)
+ * @param {string} options.language - Language of the labels: en, zh or bilingual (default: bilingual)
+ */
+export function displayDistributionMetrics(storeMetrics, tagMetrics, periodName, options = {}) {
+	const { tagCatalog } = options;
+	const i18n = createTranslator(options.language);
+	const { t } = i18n;
+	console.log(chalk.blue.bold(`\n=== ${t('distribution.heading')} ===`));
+
+	const period = periodName || t('common.currentPeriod');
+	const sections = [];
+
+	// Stores with the most orders first, tags alphabetically as in the tag tables
+	if (storeMetrics) {
+		sections.push({
+			groupMetrics: storeMetrics,
+			groups: Object.keys(storeMetrics).sort((a, b) => storeMetrics[b].count - storeMetrics[a].count),
+			groupHeader: t(options.compact ? 'compact.store' : 'common.store'),
+			groupLabel: (store) => store,
+			titleKeys: {
+				rate: 'distribution.rateByStore',
+				orderValue: 'distribution.orderValueByStore',
+				shippingProfit: 'distribution.shippingProfitByStore',
+			},
+		});
+	}
+	if (tagMetrics && Object.keys(tagMetrics).length > 0) {
+		sections.push({
+			groupMetrics: tagMetrics,
+			groups: Object.keys(tagMetrics).sort(),
+			groupHeader: t(options.compact ? 'compact.tag' : 'common.tag'),
+			groupLabel: (tag) => i18n.tag(tag, tagCatalog),
+			titleKeys: {
+				rate: 'distribution.rateByTag',
+				orderValue: 'distribution.orderValueByTag',
+				shippingProfit: 'distribution.shippingProfitByTag',
+			},
+		});
+	}
+
+	// Compact mode: only the Rate of each store and tag, with no histograms
+	if (options.compact) {
+		console.log(chalk.cyan.bold(t('compact.distributionTitle', { period })));
+		for (const { groupMetrics, groups, groupHeader, groupLabel } of sections) {
+			displayDistributionTable(null, groupMetrics, groups, 'rate', groupHeader, groupLabel, true, i18n);
+		}
+		return;
+	}
+
+	for (const { groupMetrics, groups, groupHeader, groupLabel, titleKeys } of sections) {
+		for (const metric of DISTRIBUTION_METRICS) {
+			const title = t(titleKeys[metric], { period });
+			displayDistributionTable(title, groupMetrics, groups, metric, groupHeader, groupLabel, false, i18n);
+		}
+	}
+
+	console.log(chalk.gray(`\n${t('common.legend')}`));
+	for (const line of [
+		...i18n.lines('distribution.legendPercentile'),
+		...i18n.lines('distribution.legendMean'),
+		...i18n.lines('distribution.legendStdDev'),
+	]) {
+		console.log(chalk.gray(`- ${line}`));
+	}
+
+	// Display the Rate histogram of each store, so a single mis-rated label stands out
+	if (storeMetrics) {
+		for (const store of sections[0].groups) {
+			const { histogram } = storeMetrics[store].distribution.rate;
+			if (histogram.length > 0) {
+				displayHistogram(t('distribution.histogram', { period, store }), histogram, i18n);
+			}
+		}
+		for (const line of i18n.lines('distribution.legendHistogram')) {
+			console.log(chalk.gray(line));
+		}
+	}
+}
+
+// Orders listed in the review table before pointing to --save for the rest
+const ANOMALY_LIST_LIMIT = 20;
+
+// Widest order number and store in the compact table of orders to review
+const COMPACT_ANOMALY_LABEL_WIDTH = 14;
+
+/**
+ * Describes the peer group an anomaly was compared with
+ * @param {Object} anomaly - Anomaly from detectAnomalies
+ * @param {Object} i18n - Translator from createTranslator
+ * @returns {string} - Peer group fields joined with slashes, or "All labels", with the peer label count below
+ *   ("-" for overcharged orders)
+ */
+function formatPeerGroup(anomaly, i18n) {
+	if (anomaly.peerLevel === null) {
+		return '-';
+	}
+	const fields = anomaly.peerGroup.filter((field) => field !== '');
+	const group = fields.length > 0 ? fields.join(' / ') : i18n.t('anomaly.allLabels');
+	return `${group}\n${i18n.t('anomaly.peerCount', { count: i18n.number(anomaly.peerLabels) })}`;
+}
+
+/**
+ * Displays the ranked table of orders to review: labels with a Rate far above their peers and
+ * orders whose shipping paid is far above their label cost
+ * @param {Object} anomalyMetrics - Anomalies from detectAnomalies
+ * @param {string} periodName - Period name for the report (e.g., "Feb 1-Mar 15, 2025")
+ * @param {Object} options - Display options
+ * @param {boolean} options.compact - Leave out the carrier, service, weight, ship paid, expected and peer group
+ *   columns and the legend, and shorten long order numbers and stores
+ * @param {string} options.language - Language of the labels: en, zh or bilingual (default: bilingual)
+ */
+export function displayAnomalies(anomalyMetrics, periodName, options = {}) {
+	const i18n = createTranslator(options.language);
+	const { t, currency, number } = i18n;
+	const { labels, rateFactor, overchargeFactor, highRate, overcharge, anomalies } = anomalyMetrics;
+	console.log(chalk.blue.bold(`\n=== ${t('anomaly.heading')} ===`));
+
+	if (anomalies.length === 0) {
+		console.log(chalk.green(t('anomaly.none', { labels: number(labels) })));
+		return;
+	}
+
+	const period = periodName || t('common.currentPeriod');
+	if (options.compact) {
+		console.log(chalk.cyan.bold(t('compact.anomalyTitle', { period })));
+	} else {
+		console.log(chalk.cyan.bold(`\n${t('anomaly.title', { period })}`));
+	}
+
+	// Create table with one row per flagged label, largest excess first
+	let table;
+	if (options.compact) {
+		table = new Table({
+			head: [
+				'anomaly.rank',
+				'compact.reason',
+				'compact.orderNumber',
+				'compact.store',
+				'compact.shipCost',
+				'compact.excess',
+			].map((header) => chalk.white.bold(t(header))),
+			style: COMPACT_TABLE_STYLE,
+		});
+	} else {
+		table = new Table({
+			head: [
+				chalk.white.bold(t('anomaly.rank')),
+				chalk.white.bold(t('anomaly.reason')),
+				chalk.white.bold(t('order.orderNumber')),
+				chalk.white.bold(t('common.store')),
+				chalk.white.bold(t('common.carrier')),
+				chalk.white.bold(t('weight.band')),
+				chalk.white.bold(t('metric.shipCost')),
+				chalk.white.bold(t('metric.shipPaid')),
+				chalk.white.bold(t('anomaly.expected')),
+				chalk.white.bold(t('anomaly.excess')),
+				chalk.white.bold(t('anomaly.peerGroup')),
+			],
+			style: {
+				head: [], // Disable colors in header
+				border: [], // Disable colors for borders
+			},
+			wordWrap: true,
+		});
+	}
+
+	for (const anomaly of anomalies.slice(0, ANOMALY_LIST_LIMIT)) {
+		const reason = t(options.compact ? `compact.${anomaly.reason}` : `anomaly.${anomaly.reason}`);
+		const coloredReason = anomaly.reason === 'highRate' ? chalk.red(reason) : chalk.yellow(reason);
+
+		if (options.compact) {
+			table.push([
+				number(anomaly.rank),
+				coloredReason,
+				truncateOrderNumber(anomaly.orderNumber, COMPACT_ANOMALY_LABEL_WIDTH),
+				truncateLabel(anomaly.store, COMPACT_ANOMALY_LABEL_WIDTH),
+				i18n.compactCurrency(anomaly.rate),
+				i18n.compactCurrency(anomaly.excess),
+			]);
+		} else {
+			table.push([
+				number(anomaly.rank),
+				coloredReason,
+				anomaly.orderNumber,
+				anomaly.store,
+				`${anomaly.carrier}\n${chalk.gray(anomaly.service)}`,
+				anomaly.weightBand || chalk.gray('-'),
+				currency(anomaly.rate),
+				currency(anomaly.shippingPaid),
+				currency(anomaly.expected),
+				anomaly.ratio !== null
+					? `${chalk.bold(currency(anomaly.excess))}\n${chalk.gray(`${number(anomaly.ratio, 1)}×`)}`
+					: chalk.bold(currency(anomaly.excess)),
+				chalk.gray(formatPeerGroup(anomaly, i18n)),
+			]);
+		}
+	}
+
+	console.log(table.toString());
+
+	// Compact mode puts each language of the notes on its own line to stay within 80 columns
+	const noteLines = (key, params) => (options.compact ? i18n.lines(key, params) : [t(key, params)]);
+	if (anomalies.length > ANOMALY_LIST_LIMIT) {
+		for (const line of noteLines('anomaly.more', { count: anomalies.length - ANOMALY_LIST_LIMIT })) {
+			console.log(chalk.gray(line));
+		}
+	}
+	const summary = { highRate: number(highRate), overcharge: number(overcharge), labels: number(labels) };
+	for (const line of noteLines('anomaly.summary', summary)) {
+		console.log(chalk.yellow(line));
+	}
+
+	// Compact mode: no legend
+	if (options.compact) {
+		return;
+	}
+	console.log(chalk.gray(`\n${t('common.legend')}`));
+	for (const line of [
+		...i18n.lines('anomaly.legendHighRate', { factor: rateFactor, amount: currency(MIN_ANOMALY_EXCESS) }),
+		...i18n.lines('anomaly.legendOvercharge', { factor: overchargeFactor, amount: currency(MIN_ANOMALY_EXCESS) }),
+		...i18n.lines('anomaly.legendPeers', { count: MIN_PEER_LABELS }),
+	]) {
+		console.log(chalk.gray(`- ${line}`));
+	}
+}
+
+/**
+ * Displays a trend table with one row per period
+ * @param {string} title - Table title
+ * @param {Array<Object>} rows - Rows with a label and the metrics to display (or null when there were no orders)
+ * @param {boolean} compact - Use short headers and no row separators
+ * @param {Object} i18n - Translator from createTranslator
+ */
+function displayTrendTable(title, rows, compact, i18n) {
+	const { t, number } = i18n;
+	const currency = compact ? i18n.compactCurrency : i18n.currency;
+	console.log(chalk.cyan.bold(compact ? title : `\n${title}`));
+
+	let table;
+	if (compact) {
+		table = new Table({
+			head: [
+				'compact.period',
+				'compact.orders',
+				'compact.shipCost',
+				'compact.shipPaid',
+				'compact.shipProfit',
+				'compact.aov',
+			].map((header) => chalk.white.bold(t(header))),
+			style: COMPACT_TABLE_STYLE,
+		});
+	} else {
+		table = new Table({
+			head: [
+				chalk.white.bold(t('common.period')),
+				chalk.white.bold(t('metric.orders')),
+				chalk.white.bold(t('metric.shipCost')),
+				chalk.white.bold(t('metric.shipPaid')),
+				chalk.white.bold(t('metric.shipProfit')),
+				chalk.white.bold(t('metric.aov')),
+			],
+			style: {
+				head: [], // Disable colors in header
+				border: [], // Disable colors for borders
+			},
+		});
+	}
+
+	for (const { label, metrics } of rows) {
+		if (!metrics) {
+			table.push([label, chalk.gray('0'), chalk.gray('-'), chalk.gray('-'), chalk.gray('-'), chalk.gray('-')]);
+			continue;
+		}
+
+		table.push([
+			label,
+			number(metrics.count),
+			currency(metrics.totalRate),
+			currency(metrics.totalShippingPaid),
+			colorizeValue(metrics.shippingProfit, currency(metrics.shippingProfit)),
+			currency(metrics.averageOrderValue),
+		]);
+	}
+
+	console.log(table.toString());
+}
+
+/**
+ * Displays time-series trend tables for all stores combined and for each store
+ * @param {Object} trends - Trend metrics from calculatePeriodMetrics
+ * @param {string} periodName - Period name for the report (e.g., "Feb 1-Mar 15, 2025")
+ * @param {Object} options - Display options
+ * @param {boolean} options.compact - Show only the all-stores table, without per-store tables or notes
+ * @param {string} options.language - Language of the labels: en, zh or bilingual (default: bilingual)
+ */
+export function displayTrendMetrics(trends, periodName, options = {}) {
+	const i18n = createTranslator(options.language);
+	const { t } = i18n;
+	console.log(chalk.blue.bold(`\n=== ${t(`trend.${trends.period}`)} ===`));
+
+	if (trends.buckets.length === 0) {
+		console.log(chalk.yellow(t('trend.noDatedOrders')));
+		return;
+	}
+
+	const period = periodName || t('common.currentPeriod');
+
+	// Bucket labels follow the language's date format
+	const bucketLabel = (bucket) => i18n.periodLabel(bucket.startDate, trends.period);
+
+	// Compact mode: all stores combined in a single table
+	if (options.compact) {
+		displayTrendTable(
+			t('compact.trendTitle', { period }),
+			trends.buckets.map((bucket) => ({ label: bucketLabel(bucket), metrics: bucket.totals })),
+			true,
+			i18n
+		);
+		return;
+	}
+
+	// All stores combined
+	displayTrendTable(
+		t('trend.allStores', { period }),
+		trends.buckets.map((bucket) => ({ label: bucketLabel(bucket), metrics: bucket.totals })),
+		false,
+		i18n
+	);
+
+	// One table per store, busiest store first
+	const storeCounts = {};
+	for (const bucket of trends.buckets) {
+		for (const store in bucket.storeMetrics) {
+			storeCounts[store] = (storeCounts[store] || 0) + bucket.storeMetrics[store].count;
+		}
+	}
+	const stores = Object.keys(storeCounts).sort((a, b) => storeCounts[b] - storeCounts[a]);
+
+	for (const store of stores) {
+		displayTrendTable(
+			`${store}`,
+			trends.buckets.map((bucket) => ({ label: bucketLabel(bucket), metrics: bucket.storeMetrics[store] || null })),
+			false,
+			i18n
+		);
+	}
+
+	if (trends.undatedOrders > 0) {
+		console.log(chalk.yellow(t('trend.undated', { count: i18n.number(trends.undatedOrders) })));
+	}
+	console.log(chalk.gray(t('trend.abbreviations')));
+}
+
+/**
+ * Formats a metric value according to its comparison format
+ * @param {number} value - The value to format
+ * @param {string} format - number, currency or percentage
+ * @param {Object} i18n - Translator from createTranslator
+ * @returns {string} - Formatted value
+ */
+function formatMetricValue(value, format, i18n) {
+	if (format === 'currency') return i18n.currency(value);
+	if (format === 'percentage') return i18n.percent(value);
+	return i18n.number(value);
+}
+
+/**
+ * Formats a change between periods with an explicit sign for increases
+ * @param {number} change - The change to format
+ * @param {string} format - number, currency or percentage
+ * @param {Object} i18n - Translator from createTranslator
+ * @returns {string} - Formatted change, e.g. "+$12.50", "-3" or "0"
+ */
+function formatChange(change, format, i18n) {
+	const formatted = formatMetricValue(change, format, i18n);
+	return change > 0 ? `+${formatted}` : formatted;
+}
+
+/**
+ * Displays one comparison table with metrics as rows and the two periods side by side
+ * @param {string} title - Table title
+ * @param {Object} groupComparison - Comparison of one group (store, tag or all stores)
+ * @param {Array<Object>} metricDefinitions - Metrics to display
+ * @param {string} baseLabel - Label of the base period
+ * @param {string} currentLabel - Label of the current period
+ * @param {Object} i18n - Translator from createTranslator
+ */
+function displayComparisonTable(title, groupComparison, metricDefinitions, baseLabel, currentLabel, i18n) {
+	const { t } = i18n;
+
+	let status = '';
+	if (!groupComparison.inBase) status = chalk.green(` ${t('comparison.new')}`);
+	if (!groupComparison.inCurrent) status = chalk.red(` ${t('comparison.notInCurrent')}`);
+	console.log(chalk.cyan.bold(`\n${title}`) + status);
+
+	const table = new Table({
+		head: [
+			chalk.white.bold(t('common.metric')),
+			chalk.white.bold(baseLabel),
+			chalk.white.bold(currentLabel),
+			chalk.white.bold(t('comparison.change')),
+			chalk.white.bold(t('comparison.changePercent')),
+		],
+		style: {
+			head: [], // Disable colors in header
+			border: [], // Disable colors for borders
+		},
+	});
+
+	for (const { key, labelKey, format } of metricDefinitions) {
+		const metric = groupComparison.metrics[key];
+		const percentChange =
+			metric.percentChange === null
+				? chalk.gray(t('common.notApplicable'))
+				: colorizeValue(metric.percentChange, formatChange(metric.percentChange, 'percentage', i18n));
+
+		table.push([
+			t(labelKey),
+			formatMetricValue(metric.base, format, i18n),
+			formatMetricValue(metric.current, format, i18n),
+			colorizeValue(metric.change, formatChange(metric.change, format, i18n)),
+			percentChange,
+		]);
+	}
+
+	console.log(table.toString());
+}
+
+/**
+ * Displays a period-over-period comparison of store and tag metrics
+ * @param {Object} comparison - Comparison from buildComparison
+ * @param {Object} options - Display options
+ * @param {boolean} options.storeOnly - Only display store comparisons
+ * @param {boolean} options.tagOnly - Only display tag comparisons
+ * @param {Object} options.tagCatalog - Tag catalog with the tag translations (optional)
+ * @param {string} options.language - Language of the labels: en, zh or bilingual (default: bilingual)
+ */
+export function displayComparison(comparison, options = {}) {
+	const { baseLabel, currentLabel } = comparison;
+	const i18n = createTranslator(options.language);
+	const { t } = i18n;
+
+	if (!options.tagOnly) {
+		console.log(chalk.blue.bold(`\n=== ${t('comparison.storeHeading')} ===`));
+		console.log(chalk.gray(`${baseLabel} → ${currentLabel}`));
+
+		displayComparisonTable(
+			t('common.allStores'),
+			comparison.totals,
+			STORE_COMPARISON_METRICS,
+			baseLabel,
+			currentLabel,
+			i18n
+		);
+
+		// Busiest stores in the current period first
+		const stores = Object.keys(comparison.stores).sort(
+			(a, b) => comparison.stores[b].metrics.count.current - comparison.stores[a].metrics.count.current
+		);
+		for (const store of stores) {
+			displayComparisonTable(
+				store,
+				comparison.stores[store],
+				STORE_COMPARISON_METRICS,
+				baseLabel,
+				currentLabel,
+				i18n
+			);
+		}
+	}
+
+	if (!options.storeOnly) {
+		console.log(chalk.blue.bold(`\n=== ${t('comparison.tagHeading')} ===`));
+
+		const tags = Object.keys(comparison.tags).sort();
+		if (tags.length === 0) {
+			console.log(chalk.yellow(t('common.noTagData')));
+		}
+		for (const tag of tags) {
+			displayComparisonTable(
+				i18n.tag(tag, options.tagCatalog),
+				comparison.tags[tag],
+				TAG_COMPARISON_METRICS,
+				baseLabel,
+				currentLabel,
+				i18n
+			);
+		}
+	}
+
+	// Display legend
+	console.log(chalk.gray(`\n${t('common.legend')}`));
+	console.log(chalk.gray(t('comparison.legendChange')));
+	console.log(chalk.gray(t('comparison.legendChangePercent')));
+	console.log(chalk.gray(t('comparison.legendMargin')));
+	console.log(chalk.green(t('comparison.increase')));
+	console.log(chalk.red(t('comparison.decrease')));
+	console.log(chalk.yellow(t('comparison.noChange')));
+}
+
+// Unmatched labels listed in the console before pointing to --output for the rest
+const RECONCILIATION_LIST_LIMIT = 20;
+
+/**
+ * Colorizes a billed vs quoted difference: overbilling is a loss, underbilling a saving
+ * @param {number} difference - Billed - Quoted
+ * @param {string} formattedValue - The difference as it's displayed
+ * @returns {string} - The colorized difference
+ */
+function colorizeDifference(difference, formattedValue) {
+	return colorizeValue(-difference, formattedValue);
+}
+
+/**
+ * Displays one billed vs quoted table with a row per group (store, carrier or tag) and a total row
+ * @param {string} title - Table title
+ * @param {Object} groups - Reconciliation entries keyed by group
+ * @param {string} groupHeader - Header of the group column
+ * @param {Function} groupLabel - Builds the displayed label of a group key
+ * @param {Object} totals - Reconciliation entry of all matched labels, or null to leave out the total row
+ * @param {Object} i18n - Translator from createTranslator
+ */
+function displayReconciliationTable(title, groups, groupHeader, groupLabel, totals, i18n) {
+	const { t, currency, percent, number } = i18n;
+	console.log(chalk.cyan.bold(`\n${title}`));
+
+	const table = new Table({
+		head: [
+			chalk.white.bold(groupHeader),
+			chalk.white.bold(t('metric.labels')),
+			chalk.white.bold(t('reconcile.adjusted')),
+			chalk.white.bold(t('reconcile.quoted')),
+			chalk.white.bold(t('reconcile.billed')),
+			chalk.white.bold(t('reconcile.difference')),
+			chalk.white.bold(t('reconcile.differencePercent')),
+		],
+		style: {
+			head: [], // Disable colors in header
+			border: [], // Disable colors for borders
+		},
+		wordWrap: true,
+	});
+
+	// Largest differences first
+	const keys = Object.keys(groups).sort((a, b) => groups[b].difference - groups[a].difference);
+	for (const key of keys) {
+		const entry = groups[key];
+		table.push([
+			chalk.cyan.bold(groupLabel(key)),
+			number(entry.labels),
+			entry.adjustedLabels > 0 ? chalk.yellow(number(entry.adjustedLabels)) : number(entry.adjustedLabels),
+			currency(entry.quoted),
+			currency(entry.billed),
+			colorizeDifference(entry.difference, formatChange(entry.difference, 'currency', i18n)),
+			colorizeDifference(entry.differencePercent, formatChange(entry.differencePercent, 'percentage', i18n)),
+		]);
+	}
+
+	if (totals) {
+		table.push([
+			chalk.white.bold(t('common.total')),
+			chalk.bold(number(totals.labels)),
+			chalk.bold(number(totals.adjustedLabels)),
+			chalk.bold(currency(totals.quoted)),
+			chalk.bold(currency(totals.billed)),
+			chalk.bold(colorizeDifference(totals.difference, formatChange(totals.difference, 'currency', i18n))),
+			chalk.bold(
+				colorizeDifference(totals.differencePercent, formatChange(totals.differencePercent, 'percentage', i18n))
+			),
+		]);
+	}
+
+	console.log(table.toString());
+}
+
+/**
+ * Displays the reconciliation of a carrier invoice against the ShipStation label rates
+ * @param {Object} reconciliation - Reconciliation from reconcileInvoice
+ * @param {string} invoiceName - File name of the carrier invoice
+ * @param {string} periodName - Period name of the analyzed orders (e.g., "Feb 1-Mar 15, 2025")
+ * @param {Object} options - Display options
+ * @param {Object} options.tagCatalog - Tag catalog with the tag translations (optional)
+ * @param {string} options.language - Language of the labels: en, zh or bilingual (default: bilingual)
+ */
+export function displayReconciliation(reconciliation, invoiceName, periodName, options = {}) {
+	const i18n = createTranslator(options.language);
+	const { t, currency, number } = i18n;
+	const period = periodName || t('common.currentPeriod');
+
+	console.log(chalk.blue.bold(`\n=== ${t('reconcile.heading')} ===`));
+	console.log(chalk.gray(t('reconcile.invoice', { file: invoiceName })));
+
+	if (reconciliation.matched.length === 0) {
+		console.log(chalk.yellow(t('reconcile.noMatches')));
+	} else {
+		displayReconciliationTable(
+			t('reconcile.byStore', { period }),
+			reconciliation.byStore,
+			t('common.store'),
+			(store) => store,
+			reconciliation.totals,
+			i18n
+		);
+		displayReconciliationTable(
+			t('reconcile.byCarrier', { period }),
+			reconciliation.byCarrier,
+			t('common.carrier'),
+			(carrier) => carrier,
+			reconciliation.totals,
+			i18n
+		);
+
+		// Labels with several tags count toward each, so the tag table has no total row
+		if (Object.keys(reconciliation.byTag).length > 0) {
+			displayReconciliationTable(
+				t('reconcile.byTag', { period }),
+				reconciliation.byTag,
+				t('common.tag'),
+				(tag) => i18n.tag(tag, options.tagCatalog),
+				null,
+				i18n
+			);
+		}
+
+		// Largest adjustments by label, whichever way they went
+		console.log(chalk.cyan.bold(`\n${t('reconcile.largestAdjustments')}`));
+		const adjusted = reconciliation.matched.filter((label) => label.adjusted);
+		if (adjusted.length === 0) {
+			console.log(chalk.green(t('reconcile.noAdjustments')));
+		} else {
+			const adjustmentsTable = new Table({
+				head: [
+					chalk.white.bold(t('order.trackingNumber')),
+					chalk.white.bold(t('order.orderNumber')),
+					chalk.white.bold(t('common.store')),
+					chalk.white.bold(t('reconcile.quoted')),
+					chalk.white.bold(t('reconcile.billed')),
+					chalk.white.bold(t('reconcile.difference')),
+					chalk.white.bold(t('reconcile.charges')),
+				],
+				style: {
+					head: [], // Disable colors in header
+					border: [], // Disable colors for borders
+				},
+				wordWrap: true,
+			});
+
+			for (const label of adjusted.slice(0, RECONCILIATION_LIST_LIMIT)) {
+				adjustmentsTable.push([
+					label.trackingNumber,
+					label.orderNumber,
+					label.store,
+					currency(label.quoted),
+					currency(label.billed),
+					colorizeDifference(label.difference, formatChange(label.difference, 'currency', i18n)),
+					label.charges.join(', '),
+				]);
+			}
+
+			console.log(adjustmentsTable.toString());
+			if (adjusted.length > RECONCILIATION_LIST_LIMIT) {
+				console.log(chalk.gray(t('reconcile.more', { count: adjusted.length - RECONCILIATION_LIST_LIMIT })));
+			}
+		}
+	}
+
+	// Billed return and refunded labels, apart from the shipped orders
+	const otherLabels = {};
+	if (reconciliation.returns.labels > 0) {
+		otherLabels[t('reconcile.returnLabel')] = reconciliation.returns;
+	}
+	if (reconciliation.refunds.labels > 0) {
+		otherLabels[t('reconcile.refundedLabel')] = reconciliation.refunds;
+	}
+	if (Object.keys(otherLabels).length > 0) {
+		displayReconciliationTable(
+			t('reconcile.otherLabels', { period }),
+			otherLabels,
+			t('reconcile.labelType'),
+			(labelType) => labelType,
+			null,
+			i18n
+		);
+	}
+
+	// ShipStation labels the invoice doesn't bill
+	const { unmatchedLabels, unmatchedInvoiceLabels } = reconciliation;
+	console.log(chalk.cyan.bold(`\n${t('reconcile.unmatchedLabels', { count: number(unmatchedLabels.length) })}`));
+	if (unmatchedLabels.length === 0) {
+		console.log(chalk.green(t('reconcile.none')));
+	} else {
+		const labelsTable = new Table({
+			head: [
+				chalk.white.bold(t('order.trackingNumber')),
+				chalk.white.bold(t('order.orderNumber')),
+				chalk.white.bold(t('common.store')),
+				chalk.white.bold(t('common.carrier')),
+				chalk.white.bold(t('reconcile.quoted')),
+			],
+			style: {
+				head: [], // Disable colors in header
+				border: [], // Disable colors for borders
+			},
+		});
+
+		for (const label of unmatchedLabels.slice(0, RECONCILIATION_LIST_LIMIT)) {
+			labelsTable.push([label.trackingNumber, label.orderNumber, label.store, label.carrier, currency(label.quoted)]);
+		}
+
+		console.log(labelsTable.toString());
+		if (unmatchedLabels.length > RECONCILIATION_LIST_LIMIT) {
+			console.log(chalk.gray(t('reconcile.more', { count: unmatchedLabels.length - RECONCILIATION_LIST_LIMIT })));
+		}
+	}
+
+	// Invoice charges for labels that aren't in the analyzed orders
+	console.log(
+		chalk.cyan.bold(`\n${t('reconcile.unmatchedInvoiceLabels', { count: number(unmatchedInvoiceLabels.length) })}`)
+	);
+	if (unmatchedInvoiceLabels.length === 0) {
+		console.log(chalk.green(t('reconcile.none')));
+	} else {
+		const invoiceTable = new Table({
+			head: [
+				chalk.white.bold(t('order.trackingNumber')),
+				chalk.white.bold(t('common.carrier')),
+				chalk.white.bold(t('reconcile.billed')),
+				chalk.white.bold(t('reconcile.charges')),
+			],
+			style: {
+				head: [], // Disable colors in header
+				border: [], // Disable colors for borders
+			},
+			wordWrap: true,
+		});
+
+		for (const invoiceLabel of unmatchedInvoiceLabels.slice(0, RECONCILIATION_LIST_LIMIT)) {
+			invoiceTable.push([
+				invoiceLabel.trackingNumber,
+				invoiceLabel.carrier,
+				currency(invoiceLabel.billed),
+				invoiceLabel.charges.join(', '),
+			]);
+		}
+
+		console.log(invoiceTable.toString());
+		if (unmatchedInvoiceLabels.length > RECONCILIATION_LIST_LIMIT) {
+			console.log(
+				chalk.gray(t('reconcile.more', { count: unmatchedInvoiceLabels.length - RECONCILIATION_LIST_LIMIT }))
+			);
+		}
+	}
+
+	// Carriers sometimes bill labels that were voided in ShipStation
+	const { billedVoidedLabels } = reconciliation;
+	if (billedVoidedLabels.length > 0) {
+		console.log(
+			chalk.cyan.bold(`\n${t('reconcile.billedVoidedLabels', { count: number(billedVoidedLabels.length) })}`)
+		);
+		const voidedTable = new Table({
+			head: [
+				chalk.white.bold(t('order.trackingNumber')),
+				chalk.white.bold(t('common.carrier')),
+				chalk.white.bold(t('reconcile.billed')),
+				chalk.white.bold(t('reconcile.charges')),
+			],
+			style: {
+				head: [], // Disable colors in header
+				border: [], // Disable colors for borders
+			},
+			wordWrap: true,
+		});
+
+		for (const invoiceLabel of billedVoidedLabels.slice(0, RECONCILIATION_LIST_LIMIT)) {
+			voidedTable.push([
+				invoiceLabel.trackingNumber,
+				invoiceLabel.carrier,
+				chalk.red(currency(invoiceLabel.billed)),
+				invoiceLabel.charges.join(', '),
+			]);
+		}
+
+		console.log(voidedTable.toString());
+		if (billedVoidedLabels.length > RECONCILIATION_LIST_LIMIT) {
+			console.log(
+				chalk.gray(t('reconcile.more', { count: billedVoidedLabels.length - RECONCILIATION_LIST_LIMIT }))
+			);
+		}
+	}
+
+	// Rows that couldn't be matched either way
+	if (reconciliation.voidedLabels > 0) {
+		console.log(chalk.gray(`\n${t('reconcile.voidedLabels', { count: number(reconciliation.voidedLabels) })}`));
+	}
+	if (reconciliation.ordersWithoutTracking > 0) {
+		console.log(
+			chalk.yellow(`\n${t('reconcile.ordersWithoutTracking', { count: number(reconciliation.ordersWithoutTracking) })}`)
+		);
+	}
+	if (reconciliation.untrackedCharges.lines > 0) {
+		console.log(
+			chalk.yellow(
+				t('reconcile.untrackedCharges', {
+					count: number(reconciliation.untrackedCharges.lines),
+					amount: currency(reconciliation.untrackedCharges.billed),
+				})
+			)
+		);
+	}
+
+	// Display legend
+	console.log(chalk.gray(`\n${t('common.legend')}`));
+	console.log(chalk.gray(t('reconcile.legendDifference')));
+	console.log(chalk.gray(t('reconcile.legendAdjusted')));
+	console.log(chalk.gray(t('reconcile.legendTags')));
+	console.log(chalk.gray(t('reconcile.legendLabelTypes')));
+	console.log(chalk.red(t('reconcile.overbilled')));
+	console.log(chalk.green(t('reconcile.underbilled')));
+}
+
+/**
+ * Describes a shipping rule, e.g. "Free at or above $50.00, otherwise $5.99"
+ * @param {Object} rule - Rule with freeAbove and flatRate (null when not set)
+ * @param {Object} i18n - Translator from createTranslator
+ * @returns {string} - Translated description of the rule
+ */
+function formatShippingRule(rule, i18n) {
+	const { t, currency } = i18n;
+	const freeAbove = rule.freeAbove !== null ? currency(rule.freeAbove) : null;
+	const flatRate = rule.flatRate !== null ? currency(rule.flatRate) : null;
+
+	if (freeAbove !== null && flatRate !== null) return t('simulate.ruleFreeAboveFlat', { freeAbove, flatRate });
+	if (freeAbove !== null) return t('simulate.ruleFreeAbove', { freeAbove });
+	if (flatRate !== null) return t('simulate.ruleFlat', { flatRate });
+	return t('simulate.ruleNone');
+}
+
+/**
+ * Displays a shipping rule simulation: the rule and order outcomes of each store, then the current and
+ * simulated store metrics side by side
+ * @param {Object} simulation - Simulation from simulateShippingRules
+ * @param {string} periodName - Period name of the analyzed orders (e.g., "Feb 1-Mar 15, 2025")
+ * @param {Object} options - Display options
+ * @param {string} options.language - Language of the labels: en, zh or bilingual (default: bilingual)
+ */
+export function displaySimulation(simulation, periodName, options = {}) {
+	const i18n = createTranslator(options.language);
+	const { t, number } = i18n;
+	const period = periodName || t('common.currentPeriod');
+	const { outcomes, outcomeTotals } = simulation;
+
+	console.log(chalk.blue.bold(`\n=== ${t('simulate.heading')} ===`));
+	console.log(chalk.gray(t('simulate.defaultRule', { rule: formatShippingRule(simulation.rules, i18n) })));
+
+	// Busiest stores first
+	const stores = Object.keys(simulation.stores).sort((a, b) => outcomes[b].orders - outcomes[a].orders);
+
+	console.log(chalk.cyan.bold(`\n${t('simulate.byStore', { period })}`));
+	const rulesTable = new Table({
+		head: [
+			chalk.white.bold(t('common.store')),
+			chalk.white.bold(t('simulate.rule')),
+			chalk.white.bold(t('metric.orders')),
+			chalk.white.bold(t('simulate.free')),
+			chalk.white.bold(t('simulate.flat')),
+			chalk.white.bold(t('simulate.unchanged')),
+			chalk.white.bold(t('simulate.excluded')),
+		],
+		style: {
+			head: [], // Disable colors in header
+			border: [], // Disable colors for borders
+		},
+		wordWrap: true,
+	});
+
+	for (const store of stores) {
+		const outcome = outcomes[store];
+		rulesTable.push([
+			chalk.cyan.bold(store),
+			formatShippingRule(outcome, i18n),
+			number(outcome.orders),
+			number(outcome.free),
+			number(outcome.flat),
+			number(outcome.unchanged),
+			number(outcome.excluded),
+		]);
+	}
+	rulesTable.push([
+		chalk.white.bold(t('common.total')),
+		'',
+		chalk.bold(number(outcomeTotals.orders)),
+		chalk.bold(number(outcomeTotals.free)),
+		chalk.bold(number(outcomeTotals.flat)),
+		chalk.bold(number(outcomeTotals.unchanged)),
+		chalk.bold(number(outcomeTotals.excluded)),
+	]);
+	console.log(rulesTable.toString());
+
+	// Current and simulated metrics side by side
+	const actualLabel = t('simulate.actual');
+	const simulatedLabel = t('simulate.simulated');
+	displayComparisonTable(
+		t('common.allStores'),
+		simulation.totals,
+		SIMULATION_METRICS,
+		actualLabel,
+		simulatedLabel,
+		i18n
+	);
+	for (const store of stores) {
+		displayComparisonTable(store, simulation.stores[store], SIMULATION_METRICS, actualLabel, simulatedLabel, i18n);
+	}
+
+	// Display legend
+	console.log(chalk.gray(`\n${t('common.legend')}`));
+	console.log(chalk.gray(t('simulate.legendChange')));
+	console.log(chalk.gray(t('simulate.legendChangePercent')));
+	console.log(chalk.gray(t('comparison.legendMargin')));
+	console.log(chalk.gray(t('simulate.legendSubtotal')));
+	console.log(chalk.gray(t('simulate.legendFree')));
+	console.log(chalk.gray(t('simulate.legendExcluded')));
+	console.log(chalk.green(t('comparison.increase')));
+	console.log(chalk.red(t('comparison.decrease')));
+	console.log(chalk.yellow(t('comparison.noChange')));
 }
@@ -0,0 +1,1225 @@
+/**
+ * Message Catalog
+ *
+ * Every label, heading and legend line shown in the console or written to a report, in English
+ * and Chinese. Bilingual output joins the two as "English | 中文" unless a message has its own
+ * bilingual text (short table headers and sentences that embed values).
+ *
+ * Placeholders such as {count} are filled in by the translator.
+ */
+
+export const MESSAGES = {
+	// Common labels
+	'common.metric': { en: 'Metric', zh: '指标' },
+	'common.total': { en: 'TOTAL', zh: '总计' },
+	'common.legend': { en: 'Legend:', zh: '图例:', bilingual: 'Legend | 图例:' },
+	'common.value': { en: 'Value', zh: '数值', bilingual: 'Value' },
+	'common.currentPeriod': { en: 'Current Period', zh: '本期', bilingual: 'Current Period' },
+	'common.allStores': { en: 'All Stores', zh: '所有店铺' },
+	'common.store': { en: 'Store', zh: '店铺' },
+	'common.tag': { en: 'Tag', zh: '标签' },
+	'common.carrier': { en: 'Carrier', zh: '承运商' },
+	'common.service': { en: 'Service', zh: '服务' },
+	'common.period': { en: 'Period', zh: '期间' },
+	'common.periodRange': { en: '{start}-{end}, {year}', zh: '{year}年{start}-{end}', bilingual: '{start}-{end}, {year}' },
+	'common.notApplicable': { en: 'n/a', zh: '不适用', bilingual: 'n/a' },
+	'common.noStoreData': { en: 'No store data found', zh: '未找到店铺数据' },
+	'common.noTagData': { en: 'No special orders data found', zh: '未找到特殊订单数据' },
+	'common.noCarrierData': { en: 'No carrier data found', zh: '未找到承运商数据' },
+	'common.noWeightData': { en: 'No package weights found', zh: '未找到包裹重量数据' },
+	'common.noDestinationData': { en: 'No destination data found', zh: '未找到目的地数据' },
+	'common.profit': { en: '- Green values indicate profit', zh: '- 绿色表示盈利', bilingual: '- Green values indicate profit | 绿色表示盈利' },
+	'common.loss': { en: '- Red values indicate loss', zh: '- 红色表示亏损', bilingual: '- Red values indicate loss | 红色表示亏损' },
+	'common.breakEven': {
+		en: '- Yellow values indicate break-even',
+		zh: '- 黄色表示收支平衡',
+		bilingual: '- Yellow values indicate break-even | 黄色表示收支平衡',
+	},
+
+	// Metrics
+	'metric.orders': { en: 'Orders', zh: '订单数' },
+	'metric.orderValue': { en: 'Order Value', zh: '订单价值' },
+	'metric.aov': { en: 'AOV', zh: '平均订单价值' },
+	'metric.shipCost': { en: 'Ship Cost', zh: '物流成本' },
+	'metric.avgShipCost': { en: 'Avg Ship Cost', zh: '平均物流成本' },
+	'metric.shipPaid': { en: 'Ship Paid', zh: '物流收入' },
+	'metric.avgShipPaid': { en: 'Avg Ship Paid', zh: '平均物流收入' },
+	'metric.shipProfit': { en: 'Ship Profit', zh: '物流利润' },
+	'metric.shipMargin': { en: 'Ship Margin', zh: '物流利润率' },
+	'metric.netRevenue': { en: 'Net Revenue', zh: '净收入' },
+	'metric.netMargin': { en: 'Net Margin', zh: '净利润率' },
+	'metric.revenueOrders': { en: 'Revenue Orders', zh: '收入订单数' },
+	'metric.revenueOrderValue': { en: 'Revenue Order Value', zh: '收入订单价值' },
+	'metric.revenueAov': { en: 'Revenue AOV', zh: '收入订单平均价值' },
+	'metric.revenueShipCost': { en: 'Revenue Ship Cost', zh: '收入订单物流成本' },
+	'metric.revenueNetRevenue': { en: 'Revenue Net Revenue', zh: '收入订单净收入' },
+	'metric.revenueNetMargin': { en: 'Revenue Net Margin', zh: '收入订单净利润率' },
+	'metric.voidedLabels': { en: 'Voided Labels', zh: '作废运单数' },
+	'metric.returnLabels': { en: 'Return Labels', zh: '退货运单数' },
+	'metric.returnCost': { en: 'Return Cost', zh: '退货运费' },
+	'metric.refundedLabels': { en: 'Refunded Labels', zh: '已退款运单数' },
+	'metric.refundedPostage': { en: 'Refunded Postage', zh: '已退运费' },
+	'metric.grossShipSpend': { en: 'Gross Ship Spend', zh: '物流总支出' },
+	'metric.netShipSpend': { en: 'Net Ship Spend', zh: '物流净支出' },
+	'metric.percentOfAllOrders': { en: '% of All Orders', zh: '占总订单百分比' },
+	'metric.allStoresOrders': { en: 'Total Orders (All Stores)', zh: '所有店铺总订单数' },
+	'metric.totalShippingCost': { en: 'Total Shipping Cost', zh: '总物流成本' },
+	'metric.avgShippingCost': { en: 'Avg Shipping Cost', zh: '平均物流成本' },
+	'metric.estimatedCost': { en: 'Estimated Cost', zh: '预估成本' },
+	'metric.labels': { en: 'Labels', zh: '运单数' },
+	'metric.avgCost': { en: 'Avg Cost', zh: '平均成本' },
+	'metric.shareOfSpend': { en: 'Share of Spend', zh: '支出占比' },
+	'metric.shareOfStoreSpend': { en: 'Share of Store Spend', zh: '占店铺支出比例' },
+	'metric.storeOrders': { en: 'Store Orders', zh: '店铺订单数' },
+	'metric.shareOfStoreOrders': { en: '% of Store Orders', zh: '占店铺订单百分比' },
+	'metric.weightLb': { en: 'Weight (lb)', zh: '重量 (磅)' },
+	'metric.costPerPound': { en: 'Cost / lb', zh: '每磅成本' },
+	'metric.shareOfLabels': { en: 'Share of Labels', zh: '运单占比' },
+	'metric.shareOfOrders': { en: 'Share of Orders', zh: '订单占比' },
+
+	// Order detail columns
+	'order.orderNumber': { en: 'Order #', zh: '订单号' },
+	'order.orderDate': { en: 'Order Date', zh: '订单日期' },
+	'order.trackingNumber': { en: 'Tracking #', zh: '运单号' },
+	'order.tags': { en: 'Tags', zh: '标签' },
+
+	// Compact tables keep short English headers in bilingual mode, so they stay within 80 columns
+	// and keep their alignment when pasted into Slack
+	'compact.storeTitle': { en: '{period} Store Metrics', zh: '{period} 店铺指标', bilingual: '{period} Store Metrics' },
+	'compact.tagTitle': { en: '{period} Special Orders', zh: '{period} 特殊订单', bilingual: '{period} Special Orders' },
+	'compact.carrierTitle': {
+		en: '{period} Carriers & Services',
+		zh: '{period} 承运商与服务',
+		bilingual: '{period} Carriers & Services',
+	},
+	'compact.trendTitle': { en: '{period} All Stores', zh: '{period} 所有店铺', bilingual: '{period} All Stores' },
+	'compact.store': { en: 'Store', zh: '店铺', bilingual: 'Store' },
+	'compact.tag': { en: 'Tag', zh: '标签', bilingual: 'Tag' },
+	'compact.period': { en: 'Period', zh: '期间', bilingual: 'Period' },
+	'compact.orders': { en: 'Orders', zh: '订单', bilingual: 'Orders' },
+	'compact.aov': { en: 'AOV', zh: '客单价', bilingual: 'AOV' },
+	'compact.shipCost': { en: 'Ship Cost', zh: '物流成本', bilingual: 'Ship Cost' },
+	'compact.shipPaid': { en: 'Ship Paid', zh: '物流收入', bilingual: 'Ship Paid' },
+	'compact.shipProfit': { en: 'Ship P/L', zh: '物流盈亏', bilingual: 'Ship P/L' },
+	'compact.netMargin': { en: 'Net %', zh: '净利率', bilingual: 'Net %' },
+	'compact.percentOfAll': { en: '% All', zh: '占比', bilingual: '% All' },
+	'compact.avgCost': { en: 'Avg Cost', zh: '平均成本', bilingual: 'Avg Cost' },
+	'compact.estimatedCost': { en: 'Est Cost', zh: '预估成本', bilingual: 'Est Cost' },
+	'compact.carrierService': { en: 'Carrier / Service', zh: '承运商 / 服务', bilingual: 'Carrier / Service' },
+	'compact.labels': { en: 'Labels', zh: '运单数', bilingual: 'Labels' },
+	'compact.share': { en: 'Share', zh: '占比', bilingual: 'Share' },
+	'compact.weightTitle': { en: '{period} Weight Bands', zh: '{period} 重量区间', bilingual: '{period} Weight Bands' },
+	'compact.weightBand': { en: 'Weight', zh: '重量', bilingual: 'Weight' },
+	'compact.costPerPound': { en: '$/lb', zh: '每磅', bilingual: '$/lb' },
+	'compact.destinationTitle': { en: '{period} Destinations', zh: '{period} 目的地', bilingual: '{period} Destinations' },
+	'compact.destination': { en: 'Destination', zh: '目的地', bilingual: 'Destination' },
+	'compact.median': { en: 'Median', zh: '中位', bilingual: 'Median' },
+	'compact.max': { en: 'Max', zh: '最大', bilingual: 'Max' },
+	'compact.anomalyTitle': {
+		en: '{period} Orders to Review',
+		zh: '{period} 待核查订单',
+		bilingual: '{period} Orders to Review',
+	},
+	'compact.orderNumber': { en: 'Order #', zh: '订单号', bilingual: 'Order #' },
+	'compact.reason': { en: 'Reason', zh: '原因', bilingual: 'Reason' },
+	'compact.highRate': { en: 'High Rate', zh: '运费异常高', bilingual: 'High Rate' },
+	'compact.overcharge': { en: 'Overcharged', zh: '多收运费', bilingual: 'Overcharged' },
+	'compact.excess': { en: 'Excess', zh: '超出', bilingual: 'Excess' },
+	'compact.distributionTitle': {
+		en: '{period} Rate Spread per Order',
+		zh: '{period} 每单运费分布',
+		bilingual: '{period} Rate Spread per Order',
+	},
+	'compact.total': { en: 'TOTAL', zh: '总计', bilingual: 'TOTAL' },
+	'compact.file': { en: 'File', zh: '文件', bilingual: 'File' },
+	'compact.records': { en: 'Records', zh: '记录数', bilingual: 'Records' },
+	'compact.duplicates': { en: 'Dupes', zh: '重复', bilingual: 'Dupes' },
+	'compact.included': { en: 'Included', zh: '已包含', bilingual: 'Included' },
+	'compact.check': { en: 'Check', zh: '检查项', bilingual: 'Check' },
+	'compact.rows': { en: 'Rows', zh: '行数', bilingual: 'Rows' },
+	'compact.percentOfRows': { en: '% Rows', zh: '行占比', bilingual: '% Rows' },
+	'compact.withIssues': { en: 'With issues', zh: '有问题的行', bilingual: 'With issues' },
+	'compact.threshold': {
+		en: 'Red = more than {rate}% of rows flagged',
+		zh: '红色 = 超过 {rate}% 的行被标记',
+		bilingual: 'Red = more than {rate}% of rows flagged',
+	},
+	'compact.missingStore': { en: 'Missing Store', zh: '缺少店铺', bilingual: 'Missing Store' },
+	'compact.nonPositiveRate': { en: 'Zero/Negative Rate', zh: '运费为零或负数', bilingual: 'Zero/Negative Rate' },
+	'compact.unparseableDate': { en: 'Unparseable Date', zh: '日期无法解析', bilingual: 'Unparseable Date' },
+	'compact.duplicateOrderNumber': { en: 'Duplicate Order #', zh: '重复订单号', bilingual: 'Duplicate Order #' },
+	'compact.shippingPaidExceedsTotal': { en: 'Ship Paid > Total', zh: '物流收入大于总额', bilingual: 'Ship Paid > Total' },
+	'compact.allOrders': { en: '% All = share of {count} orders', zh: '占比 = 占 {count} 个订单的比例', bilingual: '% All = share of {count} orders' },
+
+	// Store metrics
+	'store.heading': { en: 'Store Metrics', zh: '店铺指标' },
+	'store.title': {
+		en: '{period} Store Shipping Analytics',
+		zh: '{period} 店铺物流分析',
+		bilingual: '{period} Store Shipping Analytics | {period} 店铺物流分析',
+	},
+	'store.abbreviations': {
+		en: 'AOV = Average Order Value, Ship = Shipping, Net Margin = Net Revenue Margin',
+		zh: '平均订单价值 = 订单价值 / 订单数, 物流 = 运输, 净利润率 = 净收入 / 订单价值',
+		bilingual: 'AOV = Average Order Value | 平均订单价值, Ship = Shipping | 物流, Net Margin = Net Revenue Margin | 净利润率',
+	},
+	'store.legendAov': {
+		en: '- AOV = Average Order Value',
+		zh: '- 平均订单价值 = 订单价值 / 订单数',
+		bilingual: '- AOV = Average Order Value | 平均订单价值',
+	},
+	'store.legendShip': { en: '- Ship = Shipping', zh: '- 物流 = 运输', bilingual: '- Ship = Shipping | 物流' },
+	'store.legendNetMargin': {
+		en: '- Net Margin = Net Revenue / Order Value',
+		zh: '- 净利润率 = 净收入 / 订单价值',
+		bilingual: '- Net Margin = Net Revenue / Order Value | 净利润率 = 净收入 / 订单价值',
+	},
+	'store.legendShipMargin': {
+		en: '- Ship Margin = Shipping Profit / Shipping Paid',
+		zh: '- 物流利润率 = 物流利润 / 物流收入',
+		bilingual: '- Ship Margin = Shipping Profit / Shipping Paid | 物流利润率 = 物流利润 / 物流收入',
+	},
+	'store.legendShare': {
+		en: '- % = Share of the TOTAL column',
+		zh: '- % = 占总计的比例',
+		bilingual: '- % = Share of the TOTAL column | % = 占总计的比例',
+	},
+	'store.legendShipCost': {
+		en: '- Ship Cost = Total shipping cost paid to carrier',
+		zh: '- 物流成本 = 支付给物流公司的总成本',
+		bilingual: '- Ship Cost = Total shipping cost paid to carrier | 物流成本 = 支付给物流公司的总成本',
+	},
+	'store.legendShipPaid': {
+		en: '- Ship Paid = Total shipping fees collected from customers',
+		zh: '- 物流收入 = 从客户处收取的总物流费用',
+		bilingual: '- Ship Paid = Total shipping fees collected from customers | 物流收入 = 从客户处收取的总物流费用',
+	},
+	'store.legendShipProfit': {
+		en: '- Ship Profit = Difference between shipping paid and shipping cost',
+		zh: '- 物流利润 = 物流收入与物流成本之间的差额',
+		bilingual:
+			'- Ship Profit = Difference between shipping paid and shipping cost | 物流利润 = 物流收入与物流成本之间的差额',
+	},
+	'store.legendNetRevenue': {
+		en: '- Net Revenue = Order value minus shipping cost',
+		zh: '- 净收入 = 订单价值减去物流成本',
+		bilingual: '- Net Revenue = Order value minus shipping cost | 净收入 = 订单价值减去物流成本',
+	},
+	'store.legendRevenueOrders': {
+		en: '- Revenue Orders = Orders without the tags {tags}; the Revenue rows repeat the store figures for these orders only',
+		zh: '- 收入订单 = 不含标签 {tags} 的订单; 收入订单各行只统计这些订单',
+		bilingual:
+			'- Revenue Orders = Orders without the tags {tags}; the Revenue rows repeat the store figures for these orders only | 收入订单 = 不含以上标签的订单, 收入订单各行只统计这些订单',
+	},
+	'store.legendLabelCosts': {
+		en: '- Ship Cost covers shipped orders only; voided labels are left out, return and refunded labels are listed apart',
+		zh: '- 物流成本只统计已发货订单; 作废运单不计入, 退货和已退款运单单独列出',
+		bilingual:
+			'- Ship Cost covers shipped orders only; voided labels are left out, return and refunded labels are listed apart | 物流成本只统计已发货订单; 作废运单不计入, 退货和已退款运单单独列出',
+	},
+	'store.legendGrossSpend': {
+		en: '- Gross Ship Spend = Ship Cost + Return Cost + Refunded Postage',
+		zh: '- 物流总支出 = 物流成本 + 退货运费 + 已退运费',
+		bilingual: '- Gross Ship Spend = Ship Cost + Return Cost + Refunded Postage | 物流总支出 = 物流成本 + 退货运费 + 已退运费',
+	},
+	'store.legendNetSpend': {
+		en: '- Net Ship Spend = Gross Ship Spend - Refunded Postage',
+		zh: '- 物流净支出 = 物流总支出 - 已退运费',
+		bilingual: '- Net Ship Spend = Gross Ship Spend - Refunded Postage | 物流净支出 = 物流总支出 - 已退运费',
+	},
+	'store.summary': { en: 'Stores Summary:', zh: '店铺摘要:', bilingual: 'Stores Summary | 店铺摘要:' },
+	'store.overallSummary': { en: 'Overall Summary:', zh: '总体摘要:', bilingual: 'Overall Summary | 总体摘要:' },
+	'store.ordersLabel': { en: 'Orders:', zh: '订单:', bilingual: 'Orders | 订单:' },
+	'store.revenueLabel': { en: 'Revenue:', zh: '收入:', bilingual: 'Revenue | 收入:' },
+	'store.shippingLabel': { en: 'Shipping:', zh: '物流:', bilingual: 'Shipping | 物流:' },
+	'store.totalOrdersLabel': { en: 'Total Orders:', zh: '总订单数:', bilingual: 'Total Orders | 总订单数:' },
+	'store.totalRevenueLabel': { en: 'Total Revenue:', zh: '总收入:', bilingual: 'Total Revenue | 总收入:' },
+	'store.totalShippingLabel': { en: 'Total Shipping:', zh: '总物流:', bilingual: 'Total Shipping | 总物流:' },
+	'store.orderCount': { en: '{count} orders', zh: '{count} 单', bilingual: '{count} orders' },
+	'store.aovNote': { en: '(AOV: {aov})', zh: '(平均订单价值: {aov})', bilingual: '(AOV: {aov})' },
+	'store.revenueOrdersLabel': { en: 'Revenue Orders:', zh: '收入订单:', bilingual: 'Revenue Orders | 收入订单:' },
+	'store.totalRevenueOrdersLabel': {
+		en: 'Total Revenue Orders:',
+		zh: '总收入订单:',
+		bilingual: 'Total Revenue Orders | 总收入订单:',
+	},
+	'store.labelsLabel': { en: 'Labels:', zh: '运单:', bilingual: 'Labels | 运单:' },
+	'store.totalLabelsLabel': { en: 'Total Labels:', zh: '总运单:', bilingual: 'Total Labels | 总运单:' },
+	'store.gross': { en: 'Gross: {amount}', zh: '总支出: {amount}', bilingual: 'Gross: {amount}' },
+	'store.net': { en: 'Net: {amount}', zh: '净支出: {amount}', bilingual: 'Net: {amount}' },
+	'store.labelCounts': {
+		en: '({returns} returns {returnCost}, {refunds} refunded {refunded}, {voids} voided)',
+		zh: '(退货 {returns} 单 {returnCost}, 已退款 {refunds} 单 {refunded}, 作废 {voids} 单)',
+		bilingual: '({returns} returns {returnCost}, {refunds} refunded {refunded}, {voids} voided)',
+	},
+	'store.marginNote': { en: '({margin} margin)', zh: '(利润率 {margin})', bilingual: '({margin} margin)' },
+	'store.cost': { en: 'Cost: {amount}', zh: '成本: {amount}', bilingual: 'Cost: {amount}' },
+	'store.paid': { en: 'Paid: {amount}', zh: '收入: {amount}', bilingual: 'Paid: {amount}' },
+	'store.versus': { en: 'vs', zh: '对比', bilingual: 'vs' },
+
+	// Sentences with values, used in the CSV and Excel summaries
+	'summary.orders': {
+		en: 'Orders: {count} orders (AOV: {aov})',
+		zh: '订单: {count} 单 (平均订单价值: {aov})',
+		bilingual: 'Orders | 订单: {count} orders (AOV: {aov})',
+	},
+	'summary.revenueOrders': {
+		en: 'Revenue Orders: {count} orders (AOV: {aov}) {orderValue} → {netRevenue} ({margin} margin)',
+		zh: '收入订单: {count} 单 (平均订单价值: {aov}) {orderValue} → {netRevenue} (利润率 {margin})',
+		bilingual: 'Revenue Orders | 收入订单: {count} orders (AOV: {aov}) {orderValue} → {netRevenue} ({margin} margin)',
+	},
+	'summary.totalRevenueOrders': {
+		en: 'Total Revenue Orders: {count} orders (AOV: {aov}) {orderValue} → {netRevenue} ({margin} margin)',
+		zh: '总收入订单: {count} 单 (平均订单价值: {aov}) {orderValue} → {netRevenue} (利润率 {margin})',
+		bilingual:
+			'Total Revenue Orders | 总收入订单: {count} orders (AOV: {aov}) {orderValue} → {netRevenue} ({margin} margin)',
+	},
+	'summary.revenue': {
+		en: 'Revenue: {orderValue} → {netRevenue} ({margin} margin)',
+		zh: '收入: {orderValue} → {netRevenue} (利润率 {margin})',
+		bilingual: 'Revenue | 收入: {orderValue} → {netRevenue} ({margin} margin)',
+	},
+	'summary.shipping': {
+		en: 'Shipping: Cost: {cost} vs Paid: {paid} = {profit} ({margin} margin)',
+		zh: '物流: 成本: {cost} 对比 收入: {paid} = {profit} (利润率 {margin})',
+		bilingual: 'Shipping | 物流: Cost: {cost} vs Paid: {paid} = {profit} ({margin} margin)',
+	},
+	'summary.labels': {
+		en: 'Labels: Gross: {gross} → Net: {net} ({returns} returns {returnCost}, {refunds} refunded {refunded}, {voids} voided)',
+		zh: '运单: 总支出: {gross} → 净支出: {net} (退货 {returns} 单 {returnCost}, 已退款 {refunds} 单 {refunded}, 作废 {voids} 单)',
+		bilingual:
+			'Labels | 运单: Gross: {gross} → Net: {net} ({returns} returns {returnCost}, {refunds} refunded {refunded}, {voids} voided)',
+	},
+	'summary.totalLabels': {
+		en: 'Total Labels: Gross: {gross} → Net: {net} ({returns} returns {returnCost}, {refunds} refunded {refunded}, {voids} voided)',
+		zh: '总运单: 总支出: {gross} → 净支出: {net} (退货 {returns} 单 {returnCost}, 已退款 {refunds} 单 {refunded}, 作废 {voids} 单)',
+		bilingual:
+			'Total Labels | 总运单: Gross: {gross} → Net: {net} ({returns} returns {returnCost}, {refunds} refunded {refunded}, {voids} voided)',
+	},
+	'summary.totalOrders': { en: 'Total Orders: {count}', zh: '总订单数: {count}', bilingual: 'Total Orders | 总订单数: {count}' },
+	'summary.totalRevenue': {
+		en: 'Total Revenue: {orderValue} → {netRevenue} ({margin} margin)',
+		zh: '总收入: {orderValue} → {netRevenue} (利润率 {margin})',
+		bilingual: 'Total Revenue | 总收入: {orderValue} → {netRevenue} ({margin} margin)',
+	},
+	'summary.totalShipping': {
+		en: 'Total Shipping: Cost: {cost} vs Paid: {paid} = {profit} ({margin} margin)',
+		zh: '总物流: 成本: {cost} 对比 收入: {paid} = {profit} (利润率 {margin})',
+		bilingual: 'Total Shipping | 总物流: Cost: {cost} vs Paid: {paid} = {profit} ({margin} margin)',
+	},
+	'summary.tagOrders': {
+		en: 'Orders: {count} orders ({percentOfTagged} of special orders, {percentOfAll} of all orders)',
+		zh: '订单: {count} 单 (占特殊订单 {percentOfTagged}, 占所有订单 {percentOfAll})',
+		bilingual: 'Orders | 订单: {count} orders ({percentOfTagged} of special orders, {percentOfAll} of all orders)',
+	},
+	'summary.tagShipping': {
+		en: 'Shipping: Total: {cost} ({percentOfCost} of special orders cost) Avg: {average}',
+		zh: '物流: 总计: {cost} (占特殊订单成本 {percentOfCost}) 平均: {average}',
+		bilingual: 'Shipping | 物流: Total: {cost} ({percentOfCost} of special orders cost) Avg: {average}',
+	},
+	'summary.tagValue': {
+		en: 'Value: Order Value: {orderValue} (Avg: {average}) Ship Paid: {paid} Ship Profit: {profit}',
+		zh: '价值: 订单价值: {orderValue} (平均: {average}) 物流收入: {paid} 物流利润: {profit}',
+		bilingual: 'Value | 价值: Order Value: {orderValue} (Avg: {average}) Ship Paid: {paid} Ship Profit: {profit}',
+	},
+	'summary.tagEstimatedCost': {
+		en: 'Estimated Cost: {cost}',
+		zh: '预估成本: {cost}',
+		bilingual: 'Estimated Cost | 预估成本: {cost}',
+	},
+	'summary.totalTagOrders': {
+		en: 'Total Special Orders: {count} ({percentOfAll} of all orders)',
+		zh: '总特殊订单: {count} (占所有订单 {percentOfAll})',
+		bilingual: 'Total Special Orders | 总特殊订单: {count} ({percentOfAll} of all orders)',
+	},
+	'summary.totalTagCost': {
+		en: 'Total Shipping Cost: {cost}',
+		zh: '总物流成本: {cost}',
+		bilingual: 'Total Shipping Cost | 总物流成本: {cost}',
+	},
+	'summary.averageTagCost': {
+		en: 'Average Cost per Order: {cost}',
+		zh: '每单平均成本: {cost}',
+		bilingual: 'Average Cost per Order | 每单平均成本: {cost}',
+	},
+	'summary.totalTagEstimatedCost': {
+		en: 'Total Estimated Cost: {cost}',
+		zh: '总预估成本: {cost}',
+		bilingual: 'Total Estimated Cost | 总预估成本: {cost}',
+	},
+	'summary.uniqueCategories': {
+		en: 'Unique Categories: {count}',
+		zh: '独特类别: {count}',
+		bilingual: 'Unique Categories | 独特类别: {count}',
+	},
+
+	// Special orders
+	'tag.heading': { en: 'Special Orders Analysis', zh: '特殊订单分析' },
+	'tag.title': {
+		en: '{period} Special Orders Analysis',
+		zh: '{period} 特殊订单分析',
+		bilingual: '{period} Special Orders Analysis | {period} 特殊订单分析',
+	},
+	'tag.legendPercentOfAll': {
+		en: '% of All Orders = Orders with this special category / Total orders across all stores',
+		zh: '占总订单百分比 = 特殊类别订单数 / 所有店铺总订单数',
+	},
+	'tag.allOrdersBase': {
+		en: '% of All Orders is based on {count} orders across all stores',
+		zh: '占总订单百分比基于所有店铺的 {count} 个订单',
+	},
+	'tag.legendAverage': {
+		en: 'Avg Shipping Cost = Total shipping cost / Number of orders',
+		zh: '平均物流成本 = 总物流成本 / 订单数',
+	},
+	'tag.legendShipProfit': {
+		en: 'Ship Profit = Ship Paid - Ship Cost',
+		zh: '物流利润 = 物流收入 - 物流成本',
+	},
+	'tag.legendEstimatedCost': {
+		en: "Estimated Cost = Order Value + Ship Cost - Ship Paid (the products sent out plus the shipping the customer didn't pay for)",
+		zh: '预估成本 = 订单价值 + 物流成本 - 物流收入 (寄出的商品加上客户未支付的运费)',
+	},
+	'tag.categories': { en: 'Special Order Categories:', zh: '特殊订单类别:', bilingual: 'Special Order Categories | 特殊订单类别:' },
+	'tag.detailed': {
+		en: 'Detailed Special Orders Analysis:',
+		zh: '详细特殊订单分析:',
+		bilingual: 'Detailed Special Orders Analysis | 详细特殊订单分析:',
+	},
+	'tag.summary': { en: 'Special Orders Summary:', zh: '特殊订单摘要:', bilingual: 'Special Orders Summary | 特殊订单摘要:' },
+	'tag.ordersNote': {
+		en: '({percentOfTagged} of special orders, {percentOfAll} of all orders)',
+		zh: '(占特殊订单 {percentOfTagged}, 占所有订单 {percentOfAll})',
+		bilingual: '({percentOfTagged} of special orders, {percentOfAll} of all orders)',
+	},
+	'tag.total': { en: 'Total: {amount}', zh: '总计: {amount}', bilingual: 'Total: {amount}' },
+	'tag.costNote': {
+		en: '({percentOfCost} of special orders cost)',
+		zh: '(占特殊订单成本 {percentOfCost})',
+		bilingual: '({percentOfCost} of special orders cost)',
+	},
+	'tag.average': { en: 'Avg: {amount}', zh: '平均: {amount}', bilingual: 'Avg: {amount}' },
+	'tag.valueLabel': { en: 'Value:', zh: '价值:', bilingual: 'Value | 价值:' },
+	'tag.value': {
+		en: 'Order Value: {orderValue} (Avg: {average}) Ship Paid: {paid} Ship Profit:',
+		zh: '订单价值: {orderValue} (平均: {average}) 物流收入: {paid} 物流利润:',
+		bilingual: 'Order Value: {orderValue} (Avg: {average}) Ship Paid: {paid} Ship Profit:',
+	},
+	'tag.estimatedCostLabel': { en: 'Estimated Cost:', zh: '预估成本:', bilingual: 'Estimated Cost | 预估成本:' },
+	'tag.allOrdersNote': { en: '({percent} of all orders)', zh: '(占所有订单 {percent})', bilingual: '({percent} of all orders)' },
+	'tag.totalOrdersLabel': { en: 'Total Special Orders:', zh: '总特殊订单:', bilingual: 'Total Special Orders | 总特殊订单:' },
+	'tag.totalCostLabel': { en: 'Total Shipping Cost:', zh: '总物流成本:', bilingual: 'Total Shipping Cost | 总物流成本:' },
+	'tag.averageCostLabel': {
+		en: 'Average Cost per Order:',
+		zh: '每单平均成本:',
+		bilingual: 'Average Cost per Order | 每单平均成本:',
+	},
+	'tag.uniqueCategoriesLabel': { en: 'Unique Categories:', zh: '独特类别:', bilingual: 'Unique Categories | 独特类别:' },
+	'tag.totalEstimatedCostLabel': {
+		en: 'Total Estimated Cost:',
+		zh: '总预估成本:',
+		bilingual: 'Total Estimated Cost | 总预估成本:',
+	},
+	'tag.byStore': {
+		en: '{period} Special Orders by Store',
+		zh: '{period} 各店铺特殊订单',
+		bilingual: '{period} Special Orders by Store | {period} 各店铺特殊订单',
+	},
+	'tag.legendStoreShare': {
+		en: "% of Store Orders = Orders with the tag / The store's orders",
+		zh: '占店铺订单百分比 = 带该标签的订单数 / 该店铺订单数',
+	},
+	'tag.legendStoreCell': {
+		en: "Each cell: Orders (% of the store's orders), Ship Cost",
+		zh: '每格: 订单数 (占该店铺订单的百分比), 物流成本',
+	},
+
+	// Source files
+	'source.heading': { en: 'Source Files', zh: '源文件' },
+	'source.file': { en: 'File', zh: '文件' },
+	'source.records': { en: 'Records', zh: '记录数' },
+	'source.duplicates': { en: 'Duplicates Dropped', zh: '已删除重复' },
+	'source.included': { en: 'Included', zh: '已包含' },
+	'source.legend': {
+		en: 'Duplicates = Orders with the same Order # and Tracking # already read from an earlier file',
+		zh: '重复 = 订单号和跟踪号与先前文件中的订单相同',
+	},
+	'source.line': {
+		en: '- {fileName}: {records} records, {duplicates} duplicates dropped, {included} included',
+		zh: '- {fileName}: {records} 条记录, 删除 {duplicates} 条重复, 包含 {included} 条',
+		bilingual:
+			'- {fileName}: {records} records, {duplicates} duplicates dropped, {included} included | {records} 条记录, 删除 {duplicates} 条重复, 包含 {included} 条',
+	},
+
+	// Data quality
+	'validation.heading': { en: 'Data Quality', zh: '数据质量' },
+	'validation.allPassed': {
+		en: 'All {count} rows passed validation',
+		zh: '所有 {count} 行均通过验证',
+		bilingual: 'All {count} rows passed validation | 所有行均通过验证',
+	},
+	'validation.check': { en: 'Check', zh: '检查项' },
+	'validation.rows': { en: 'Rows', zh: '行数' },
+	'validation.percentOfRows': { en: '% of Rows', zh: '行占比' },
+	'validation.examples': { en: 'Examples (File:Row / Order #)', zh: '示例 (文件:行 / 订单号)' },
+	'validation.more': { en: '(+{count} more)', zh: '(另有 {count} 行)', bilingual: '(+{count} more)' },
+	'validation.rowsWithIssues': { en: 'Rows with issues', zh: '有问题的行' },
+	'validation.threshold': {
+		en: 'Red = more than {rate}% of rows flagged',
+		zh: '红色 = 超过 {rate}% 的行被标记',
+	},
+	'validation.missingStore': { en: 'Missing Store', zh: '缺少店铺' },
+	'validation.nonPositiveRate': { en: 'Zero/Negative Rate', zh: '运费为零或负数' },
+	'validation.unparseableDate': { en: 'Unparseable Date', zh: '日期无法解析' },
+	'validation.duplicateOrderNumber': { en: 'Duplicate Order #', zh: '重复订单号' },
+	'validation.shippingPaidExceedsTotal': { en: 'Ship Paid > Order Total', zh: '物流收入大于订单总额' },
+
+	// Rejected rows CSV
+	'rejects.file': { en: 'File', zh: '文件' },
+	'rejects.row': { en: 'Row', zh: '行' },
+	'rejects.issues': { en: 'Validation Issues', zh: '验证问题' },
+
+	// Carriers
+	'carrier.heading': { en: 'Carrier & Service Metrics', zh: '承运商与服务指标' },
+	'carrier.title': {
+		en: '{period} Shipping Cost by Carrier & Service',
+		zh: '{period} 按承运商与服务的物流成本',
+		bilingual: '{period} Shipping Cost by Carrier & Service | {period} 按承运商与服务的物流成本',
+	},
+	'carrier.carrierService': { en: 'Carrier / Service', zh: '承运商 / 服务' },
+	'carrier.allServices': { en: 'All Services', zh: '所有服务' },
+	'carrier.byStore': {
+		en: '{period} Carriers by Store',
+		zh: '{period} 各店铺承运商分布',
+		bilingual: '{period} Carriers by Store | {period} 各店铺承运商分布',
+	},
+	'carrier.byStoreHeading': { en: 'Carriers by Store', zh: '各店铺承运商分布' },
+	'carrier.legendShare': {
+		en: 'Share of Spend = Carrier or service shipping cost / Total shipping cost',
+		zh: '支出占比 = 承运商或服务物流成本 / 总物流成本',
+	},
+	'carrier.legendStoreShare': {
+		en: "Share of Store Spend = Carrier shipping cost / Store's shipping cost",
+		zh: '占店铺支出比例 = 承运商物流成本 / 店铺物流成本',
+	},
+	'carrier.legendCell': {
+		en: "Each cell: Labels × Avg Cost, Ship Cost (share of the store's shipping spend)",
+		zh: '每格: 运单数 × 平均成本, 物流成本 (占该店铺物流支出的比例)',
+	},
+
+	// Weight bands
+	'weight.heading': { en: 'Weight Band Metrics', zh: '重量区间指标' },
+	'weight.title': {
+		en: '{period} Shipping Cost by Weight Band',
+		zh: '{period} 按重量区间的物流成本',
+		bilingual: '{period} Shipping Cost by Weight Band | {period} 按重量区间的物流成本',
+	},
+	'weight.band': { en: 'Weight Band', zh: '重量区间' },
+	'weight.byStore': {
+		en: '{period} Weight Bands by Store',
+		zh: '{period} 各店铺重量区间',
+		bilingual: '{period} Weight Bands by Store | {period} 各店铺重量区间',
+	},
+	'weight.byCarrier': {
+		en: '{period} Weight Bands by Carrier',
+		zh: '{period} 各承运商重量区间',
+		bilingual: '{period} Weight Bands by Carrier | {period} 各承运商重量区间',
+	},
+	'weight.unweighed': {
+		en: '{count} labels without a weight are left out',
+		zh: '{count} 个无重量的运单未计入',
+		bilingual: '{count} labels without a weight are left out | {count} 个无重量的运单未计入',
+	},
+	'weight.legendBands': {
+		en: 'Each band includes its upper limit; weights without a unit are read as ounces',
+		zh: '每个区间包含其上限; 无单位的重量按盎司计算',
+	},
+	'weight.legendCostPerPound': {
+		en: 'Cost / lb = Band shipping cost / Band weight in pounds',
+		zh: '每磅成本 = 区间物流成本 / 区间总重量 (磅)',
+	},
+	'weight.legendShare': {
+		en: 'Share of Labels = Band labels / Weighed labels',
+		zh: '运单占比 = 区间运单数 / 有重量的运单数',
+	},
+	'weight.legendCell': {
+		en: 'Each cell: Labels × Avg Cost, Cost / lb',
+		zh: '每格: 运单数 × 平均成本, 每磅成本',
+	},
+
+	// Destinations
+	'destination.heading': { en: 'Destination Metrics', zh: '目的地指标' },
+	'destination.title': {
+		en: '{period} Domestic vs International Shipping',
+		zh: '{period} 国内与国际物流',
+		bilingual: '{period} Domestic vs International Shipping | {period} 国内与国际物流',
+	},
+	'destination.destination': { en: 'Destination', zh: '目的地' },
+	'destination.domestic': {
+		en: 'Domestic ({country})',
+		zh: '国内 ({country})',
+		bilingual: 'Domestic | 国内 ({country})',
+	},
+	'destination.international': { en: 'International', zh: '国际' },
+	'destination.state': { en: 'State / Region', zh: '州 / 地区' },
+	'destination.country': { en: 'Country', zh: '国家' },
+	'destination.zip3': { en: 'ZIP3', zh: 'ZIP3', bilingual: 'ZIP3' },
+	'destination.byState': {
+		en: '{period} Domestic Orders by State / Region',
+		zh: '{period} 各州 / 地区国内订单',
+		bilingual: '{period} Domestic Orders by State / Region | {period} 各州 / 地区国内订单',
+	},
+	'destination.byCountry': {
+		en: '{period} International Orders by Country',
+		zh: '{period} 各国家国际订单',
+		bilingual: '{period} International Orders by Country | {period} 各国家国际订单',
+	},
+	'destination.byZip3': {
+		en: '{period} Domestic Orders by ZIP3 Prefix',
+		zh: '{period} 各 ZIP3 前缀国内订单',
+		bilingual: '{period} Domestic Orders by ZIP3 Prefix | {period} 各 ZIP3 前缀国内订单',
+	},
+	'destination.more': {
+		en: '... and {count} more (use --save for every row)',
+		zh: '... 另有 {count} 条 (使用 --save 保存所有行)',
+		bilingual: '... and {count} more (use --save for every row) | 另有 {count} 条 (使用 --save 保存所有行)',
+	},
+	'destination.unknown': {
+		en: '{count} orders without a destination are left out',
+		zh: '{count} 个无目的地的订单未计入',
+		bilingual: '{count} orders without a destination are left out | {count} 个无目的地的订单未计入',
+	},
+	'destination.legendDomestic': {
+		en: 'Orders without a ship-to country count as domestic ({country})',
+		zh: '无收货国家的订单按国内 ({country}) 计算',
+		bilingual:
+			'Orders without a ship-to country count as domestic ({country}) | 无收货国家的订单按国内 ({country}) 计算',
+	},
+	'destination.legendShare': {
+		en: 'Share of Orders = Orders / Orders with a destination',
+		zh: '订单占比 = 订单数 / 有目的地的订单数',
+	},
+
+	// Distribution statistics
+	'distribution.heading': { en: 'Distribution Statistics', zh: '分布统计' },
+	'distribution.rateByStore': {
+		en: '{period} Shipping Cost (Rate) per Order by Store',
+		zh: '{period} 各店铺每单物流成本',
+		bilingual: '{period} Shipping Cost (Rate) per Order by Store | {period} 各店铺每单物流成本',
+	},
+	'distribution.orderValueByStore': {
+		en: '{period} Order Value per Order by Store',
+		zh: '{period} 各店铺每单订单金额',
+		bilingual: '{period} Order Value per Order by Store | {period} 各店铺每单订单金额',
+	},
+	'distribution.shippingProfitByStore': {
+		en: '{period} Shipping Profit per Order by Store',
+		zh: '{period} 各店铺每单物流利润',
+		bilingual: '{period} Shipping Profit per Order by Store | {period} 各店铺每单物流利润',
+	},
+	'distribution.rateByTag': {
+		en: '{period} Shipping Cost (Rate) per Order by Tag',
+		zh: '{period} 各标签每单物流成本',
+		bilingual: '{period} Shipping Cost (Rate) per Order by Tag | {period} 各标签每单物流成本',
+	},
+	'distribution.orderValueByTag': {
+		en: '{period} Order Value per Order by Tag',
+		zh: '{period} 各标签每单订单金额',
+		bilingual: '{period} Order Value per Order by Tag | {period} 各标签每单订单金额',
+	},
+	'distribution.shippingProfitByTag': {
+		en: '{period} Shipping Profit per Order by Tag',
+		zh: '{period} 各标签每单物流利润',
+		bilingual: '{period} Shipping Profit per Order by Tag | {period} 各标签每单物流利润',
+	},
+	'distribution.min': { en: 'Min', zh: '最小值' },
+	'distribution.mean': { en: 'Mean', zh: '平均值' },
+	'distribution.median': { en: 'Median', zh: '中位数' },
+	'distribution.p90': { en: 'P90', zh: 'P90', bilingual: 'P90' },
+	'distribution.p95': { en: 'P95', zh: 'P95', bilingual: 'P95' },
+	'distribution.p99': { en: 'P99', zh: 'P99', bilingual: 'P99' },
+	'distribution.max': { en: 'Max', zh: '最大值' },
+	'distribution.stdDev': { en: 'Std Dev', zh: '标准差' },
+	'distribution.histogram': {
+		en: '{period} Shipping Cost (Rate) Histogram: {store}',
+		zh: '{period} 物流成本直方图: {store}',
+		bilingual: '{period} Shipping Cost (Rate) Histogram | 物流成本直方图: {store}',
+	},
+	'distribution.legendPercentile': {
+		en: 'P90 = 90% of orders are at or below this value (P95 and P99 likewise)',
+		zh: 'P90 = 90% 的订单不超过此值 (P95 和 P99 同理)',
+	},
+	'distribution.legendMean': {
+		en: 'A mean well above the median points to a few expensive outliers',
+		zh: '平均值远高于中位数说明存在少数高额异常订单',
+	},
+	'distribution.legendStdDev': {
+		en: 'Std Dev = How far orders typically are from the mean (population standard deviation)',
+		zh: '标准差 = 订单与平均值的典型偏离程度 (总体标准差)',
+	},
+	'distribution.legendHistogram': {
+		en: 'Each row counts the orders whose Rate falls in its range; the last row includes its upper limit',
+		zh: '每行统计运费落在该区间的订单数; 最后一行包含上限',
+	},
+
+	// Trends
+	// Anomalies
+	'anomaly.heading': { en: 'Orders to Review', zh: '待核查订单' },
+	'anomaly.title': {
+		en: '{period} Orders to Review, Largest Excess First',
+		zh: '{period} 待核查订单 (按超出金额排序)',
+		bilingual: '{period} Orders to Review, Largest Excess First | {period} 待核查订单 (按超出金额排序)',
+	},
+	'anomaly.none': {
+		en: 'No outlier labels or overcharged orders found ({labels} labels checked)',
+		zh: '未发现异常运单或多收运费的订单 (已检查 {labels} 张运单)',
+		bilingual:
+			'No outlier labels or overcharged orders found ({labels} labels checked) | 未发现异常运单或多收运费的订单 (已检查 {labels} 张运单)',
+	},
+	'anomaly.summary': {
+		en: 'Flagged: {highRate} high Rate, {overcharge} overcharged ({labels} labels checked)',
+		zh: '已标记: 运费异常高 {highRate} 个, 多收运费 {overcharge} 个 (已检查 {labels} 张运单)',
+		bilingual:
+			'Flagged: {highRate} high Rate, {overcharge} overcharged ({labels} labels checked) | 已标记: 运费异常高 {highRate} 个, 多收运费 {overcharge} 个 (已检查 {labels} 张运单)',
+	},
+	'anomaly.rank': { en: '#', zh: '#', bilingual: '#' },
+	'anomaly.reason': { en: 'Reason', zh: '原因' },
+	'anomaly.highRate': { en: 'High Rate', zh: '运费异常高' },
+	'anomaly.overcharge': { en: 'Overcharged', zh: '多收运费' },
+	'anomaly.expected': { en: 'Expected', zh: '预期' },
+	'anomaly.excess': { en: 'Excess', zh: '超出金额' },
+	'anomaly.ratio': { en: '× Expected', zh: '预期倍数' },
+	'anomaly.peerGroup': { en: 'Peer Group', zh: '对比组' },
+	'anomaly.peerLabels': { en: 'Peer Labels', zh: '对比运单数' },
+	'anomaly.allLabels': { en: 'All labels', zh: '所有运单' },
+	'anomaly.peerCount': { en: '{count} labels', zh: '{count} 张运单' },
+	'anomaly.more': {
+		en: '... and {count} more (use --save for every order)',
+		zh: '... 另有 {count} 条 (使用 --save 保存所有订单)',
+		bilingual: '... and {count} more (use --save for every order) | 另有 {count} 条 (使用 --save 保存所有订单)',
+	},
+	'anomaly.legendHighRate': {
+		en: 'High Rate = Rate at least {factor}× the median Rate of its peer group (Expected) and {amount} or more above it',
+		zh: '运费异常高 = 运费至少为对比组运费中位数 (预期) 的 {factor} 倍, 且高出 {amount} 或以上',
+	},
+	'anomaly.legendOvercharge': {
+		en: 'Overcharged = Ship Paid at least {factor}× the Rate (Expected) and {amount} or more above it',
+		zh: '多收运费 = 物流收入至少为运费 (预期) 的 {factor} 倍, 且高出 {amount} 或以上',
+	},
+	'anomaly.legendPeers': {
+		en: 'Peer Group = Labels of the same store, carrier, service and weight band; with fewer than {count} labels, the same carrier, service and weight band in any store, then the same carrier and service, then all labels',
+		zh: '对比组 = 同店铺、承运商、服务和重量区间的运单; 少于 {count} 张时依次改用任意店铺的同承运商、服务和重量区间, 同承运商和服务, 以及所有运单',
+	},
+
+	'trend.day': { en: 'Daily Trends', zh: '每日趋势' },
+	'trend.week': { en: 'Weekly Trends', zh: '每周趋势' },
+	'trend.month': { en: 'Monthly Trends', zh: '每月趋势' },
+	'trend.allStores': {
+		en: '{period} All Stores',
+		zh: '{period} 所有店铺',
+		bilingual: '{period} All Stores | {period} 所有店铺',
+	},
+	'trend.weekOf': { en: 'Week of {date}', zh: '{date} 当周', bilingual: 'Week of {date}' },
+	'trend.startDate': { en: 'Start Date', zh: '开始日期' },
+	'trend.noDatedOrders': { en: 'No dated orders found', zh: '未找到带日期的订单' },
+	'trend.undated': {
+		en: '{count} orders without a valid date are not included in the trends',
+		zh: '{count} 个无有效日期的订单未计入趋势',
+	},
+	'trend.abbreviations': {
+		en: 'AOV = Average Order Value, Ship = Shipping',
+		zh: '平均订单价值 = 订单价值 / 订单数, 物流 = 运输',
+		bilingual: 'AOV = Average Order Value | 平均订单价值, Ship = Shipping | 物流',
+	},
+
+	// Comparison
+	'comparison.storeHeading': { en: 'Store Comparison', zh: '店铺对比' },
+	'comparison.tagHeading': { en: 'Special Orders Comparison', zh: '特殊订单对比' },
+	'comparison.title': { en: 'Comparison', zh: '对比' },
+	'comparison.new': { en: '(new)', zh: '(新增)', bilingual: '(new | 新增)' },
+	'comparison.notInCurrent': {
+		en: '(not in current period)',
+		zh: '(本期无数据)',
+		bilingual: '(not in current period | 本期无数据)',
+	},
+	'comparison.group': { en: 'Group', zh: '分组' },
+	'comparison.name': { en: 'Name', zh: '名称' },
+	'comparison.base': { en: 'Base ({label})', zh: '基期 ({label})', bilingual: 'Base | 基期 ({label})' },
+	'comparison.current': { en: 'Current ({label})', zh: '本期 ({label})', bilingual: 'Current | 本期 ({label})' },
+	'comparison.change': { en: 'Change', zh: '变化' },
+	'comparison.changePercent': { en: 'Change %', zh: '变化率' },
+	'comparison.legendChange': { en: '- Change = Current - Base', zh: '- 变化 = 本期 - 基期', bilingual: '- Change = Current - Base | 变化 = 本期 - 基期' },
+	'comparison.legendChangePercent': {
+		en: '- Change % = Change / Base (n/a when Base is 0)',
+		zh: '- 变化率 = 变化 / 基期 (基期为0时不适用)',
+		bilingual: '- Change % = Change / Base (n/a when Base is 0) | 变化率 = 变化 / 基期 (基期为0时不适用)',
+	},
+	'comparison.legendMargin': {
+		en: '- Margin changes are in percentage points',
+		zh: '- 利润率变化以百分点表示',
+		bilingual: '- Margin changes are in percentage points | 利润率变化以百分点表示',
+	},
+	'comparison.increase': {
+		en: '- Green values indicate an increase',
+		zh: '- 绿色表示增加',
+		bilingual: '- Green values indicate an increase | 绿色表示增加',
+	},
+	'comparison.decrease': {
+		en: '- Red values indicate a decrease',
+		zh: '- 红色表示减少',
+		bilingual: '- Red values indicate a decrease | 红色表示减少',
+	},
+	'comparison.noChange': {
+		en: '- Yellow values indicate no change',
+		zh: '- 黄色表示不变',
+		bilingual: '- Yellow values indicate no change | 黄色表示不变',
+	},
+
+	// Carrier invoice reconciliation
+	'reconcile.heading': { en: 'Carrier Invoice Reconciliation', zh: '承运商账单对账' },
+	'reconcile.invoice': { en: 'Invoice: {file}', zh: '账单: {file}', bilingual: 'Invoice | 账单: {file}' },
+	'reconcile.byStore': {
+		en: 'Billed vs Quoted by Store ({period})',
+		zh: '各店铺账单金额与报价 ({period})',
+		bilingual: 'Billed vs Quoted by Store | 各店铺账单金额与报价 ({period})',
+	},
+	'reconcile.byCarrier': {
+		en: 'Billed vs Quoted by Carrier ({period})',
+		zh: '各承运商账单金额与报价 ({period})',
+		bilingual: 'Billed vs Quoted by Carrier | 各承运商账单金额与报价 ({period})',
+	},
+	'reconcile.byTag': {
+		en: 'Billed vs Quoted by Tag ({period})',
+		zh: '各标签账单金额与报价 ({period})',
+		bilingual: 'Billed vs Quoted by Tag | 各标签账单金额与报价 ({period})',
+	},
+	'reconcile.adjusted': { en: 'Adjusted', zh: '有调整' },
+	'reconcile.quoted': { en: 'Quoted', zh: '报价' },
+	'reconcile.billed': { en: 'Billed', zh: '账单金额' },
+	'reconcile.difference': { en: 'Difference', zh: '差额' },
+	'reconcile.differencePercent': { en: 'Difference %', zh: '差额率' },
+	'reconcile.status': { en: 'Status', zh: '状态' },
+	'reconcile.charges': { en: 'Charges', zh: '费用明细' },
+	'reconcile.statusMatched': { en: 'Matched', zh: '一致' },
+	'reconcile.statusAdjusted': { en: 'Adjusted', zh: '有调整' },
+	'reconcile.statusNotBilled': { en: 'Not on invoice', zh: '账单中无' },
+	'reconcile.statusNotInShipStation': { en: 'Not in ShipStation', zh: 'ShipStation中无' },
+	'reconcile.statusReturn': { en: 'Return label', zh: '退货运单' },
+	'reconcile.statusRefund': { en: 'Refunded label', zh: '已退款运单' },
+	'reconcile.statusBilledVoided': { en: 'Voided label billed', zh: '作废运单被计费' },
+	'reconcile.otherLabels': {
+		en: 'Return and Refunded Labels ({period})',
+		zh: '退货和已退款运单 ({period})',
+		bilingual: 'Return and Refunded Labels | 退货和已退款运单 ({period})',
+	},
+	'reconcile.labelType': { en: 'Label Type', zh: '运单类型' },
+	'reconcile.returnLabel': { en: 'Return', zh: '退货' },
+	'reconcile.refundedLabel': { en: 'Refunded', zh: '已退款' },
+	'reconcile.billedVoidedLabels': {
+		en: 'Invoice Charges for Voided Labels ({count})',
+		zh: '作废运单的账单费用 ({count})',
+		bilingual: 'Invoice Charges for Voided Labels | 作废运单的账单费用 ({count})',
+	},
+	'reconcile.largestAdjustments': { en: 'Largest Adjustments', zh: '最大调整' },
+	'reconcile.noAdjustments': {
+		en: 'Every matched label was billed at its quoted rate',
+		zh: '所有已匹配运单均按报价计费',
+	},
+	'reconcile.unmatchedLabels': {
+		en: 'ShipStation Labels Not on the Invoice ({count})',
+		zh: '账单中未出现的ShipStation运单 ({count})',
+		bilingual: 'ShipStation Labels Not on the Invoice | 账单中未出现的ShipStation运单 ({count})',
+	},
+	'reconcile.unmatchedInvoiceLabels': {
+		en: 'Invoice Labels Not in ShipStation ({count})',
+		zh: 'ShipStation中未出现的账单运单 ({count})',
+		bilingual: 'Invoice Labels Not in ShipStation | ShipStation中未出现的账单运单 ({count})',
+	},
+	'reconcile.none': { en: 'None', zh: '无' },
+	'reconcile.more': {
+		en: '... and {count} more (use --output to save every label)',
+		zh: '... 另有 {count} 条 (使用 --output 保存所有运单)',
+		bilingual: '... and {count} more (use --output to save every label) | 另有 {count} 条 (使用 --output 保存所有运单)',
+	},
+	'reconcile.noMatches': {
+		en: 'No invoice line matched a ShipStation label. Check that the invoice covers the same period as the orders.',
+		zh: '没有账单行与ShipStation运单匹配。请检查账单与订单是否为同一期间。',
+	},
+	'reconcile.ordersWithoutTracking': {
+		en: 'Orders without a tracking number (not reconciled): {count}',
+		zh: '无运单号的订单 (未对账): {count}',
+		bilingual: 'Orders without a tracking number (not reconciled) | 无运单号的订单 (未对账): {count}',
+	},
+	'reconcile.voidedLabels': {
+		en: 'Voided labels (not reconciled): {count}',
+		zh: '作废运单 (未对账): {count}',
+		bilingual: 'Voided labels (not reconciled) | 作废运单 (未对账): {count}',
+	},
+	'reconcile.untrackedCharges': {
+		en: 'Invoice charges without a tracking number: {count} lines ({amount})',
+		zh: '无运单号的账单费用: {count} 行 ({amount})',
+		bilingual: 'Invoice charges without a tracking number | 无运单号的账单费用: {count} ({amount})',
+	},
+	'reconcile.legendDifference': {
+		en: '- Difference = Billed - Quoted, Difference % = Difference / Quoted',
+		zh: '- 差额 = 账单金额 - 报价, 差额率 = 差额 / 报价',
+		bilingual: '- Difference = Billed - Quoted, Difference % = Difference / Quoted | 差额 = 账单金额 - 报价, 差额率 = 差额 / 报价',
+	},
+	'reconcile.legendAdjusted': {
+		en: '- Adjusted: Labels billed at least $0.01 more or less than quoted',
+		zh: '- 有调整: 账单金额与报价相差至少 $0.01 的运单',
+		bilingual: '- Adjusted: Labels billed at least $0.01 more or less than quoted | 有调整: 账单金额与报价相差至少 $0.01 的运单',
+	},
+	'reconcile.legendTags': {
+		en: '- Labels with several tags count toward each tag',
+		zh: '- 带多个标签的运单计入每个标签',
+		bilingual: '- Labels with several tags count toward each tag | 带多个标签的运单计入每个标签',
+	},
+	'reconcile.legendLabelTypes': {
+		en: '- Totals cover shipped orders; return and refunded labels are reconciled apart, voided labels are skipped',
+		zh: '- 合计只统计已发货订单; 退货和已退款运单单独对账, 作废运单不对账',
+		bilingual:
+			'- Totals cover shipped orders; return and refunded labels are reconciled apart, voided labels are skipped | 合计只统计已发货订单; 退货和已退款运单单独对账, 作废运单不对账',
+	},
+	'reconcile.overbilled': {
+		en: '- Red values indicate the carrier billed more than quoted',
+		zh: '- 红色表示账单金额高于报价',
+		bilingual: '- Red values indicate the carrier billed more than quoted | 红色表示账单金额高于报价',
+	},
+	'reconcile.underbilled': {
+		en: '- Green values indicate the carrier billed less than quoted',
+		zh: '- 绿色表示账单金额低于报价',
+		bilingual: '- Green values indicate the carrier billed less than quoted | 绿色表示账单金额低于报价',
+	},
+
+	// Shipping rule simulation
+	'simulate.heading': { en: 'Free Shipping Simulation', zh: '包邮规则模拟' },
+	'simulate.defaultRule': {
+		en: 'Default rule: {rule}',
+		zh: '默认规则: {rule}',
+		bilingual: 'Default rule | 默认规则: {rule}',
+	},
+	'simulate.ruleFreeAboveFlat': {
+		en: 'Free at or above {freeAbove}, otherwise {flatRate}',
+		zh: '满 {freeAbove} 包邮, 否则 {flatRate}',
+		bilingual: 'Free at or above {freeAbove}, otherwise {flatRate} | 满 {freeAbove} 包邮, 否则 {flatRate}',
+	},
+	'simulate.ruleFreeAbove': {
+		en: 'Free at or above {freeAbove}, otherwise as paid',
+		zh: '满 {freeAbove} 包邮, 否则按实付',
+		bilingual: 'Free at or above {freeAbove}, otherwise as paid | 满 {freeAbove} 包邮, 否则按实付',
+	},
+	'simulate.ruleFlat': {
+		en: '{flatRate} on every order',
+		zh: '每单 {flatRate}',
+		bilingual: '{flatRate} on every order | 每单 {flatRate}',
+	},
+	'simulate.ruleNone': { en: 'As paid', zh: '按实付' },
+	'simulate.rule': { en: 'Rule', zh: '规则' },
+	'simulate.byStore': {
+		en: 'Orders by Rule ({period})',
+		zh: '各规则订单数 ({period})',
+		bilingual: 'Orders by Rule | 各规则订单数 ({period})',
+	},
+	'simulate.free': { en: 'Free', zh: '包邮' },
+	'simulate.flat': { en: 'Flat Rate', zh: '固定运费' },
+	'simulate.unchanged': { en: 'As Paid', zh: '按实付' },
+	'simulate.excluded': { en: 'Excluded', zh: '不计入' },
+	'simulate.actual': { en: 'Current', zh: '当前' },
+	'simulate.simulated': { en: 'Simulated', zh: '模拟' },
+	'simulate.legendChange': {
+		en: '- Change = Simulated - Current',
+		zh: '- 变化 = 模拟 - 当前',
+		bilingual: '- Change = Simulated - Current | 变化 = 模拟 - 当前',
+	},
+	'simulate.legendChangePercent': {
+		en: '- Change % = Change / Current (n/a when Current is 0)',
+		zh: '- 变化率 = 变化 / 当前 (当前为0时不适用)',
+		bilingual: '- Change % = Change / Current (n/a when Current is 0) | 变化率 = 变化 / 当前 (当前为0时不适用)',
+	},
+	'simulate.legendSubtotal': {
+		en: '- Orders keep their subtotal (Order Total - Shipping Paid); Order Total moves with the simulated shipping',
+		zh: '- 订单保留小计 (订单总额 - 实付运费), 订单总额随模拟运费变化',
+		bilingual:
+			'- Orders keep their subtotal (Order Total - Shipping Paid); Order Total moves with the simulated shipping | 订单保留小计 (订单总额 - 实付运费), 订单总额随模拟运费变化',
+	},
+	'simulate.legendFree': {
+		en: '- Free: Subtotal at or above the threshold; Flat Rate: below it; As Paid: no rule applies, or Shipping Paid is more than Order Total',
+		zh: '- 包邮: 小计达到门槛; 固定运费: 未达到门槛; 按实付: 无适用规则, 或实付运费高于订单总额',
+		bilingual:
+			'- Free: Subtotal at or above the threshold; Flat Rate: below it; As Paid: no rule applies, or Shipping Paid is more than Order Total | 包邮: 小计达到门槛; 固定运费: 未达到门槛; 按实付: 无适用规则, 或实付运费高于订单总额',
+	},
+	'simulate.legendExcluded': {
+		en: '- Excluded: Orders with a tag excluded from revenue (e.g. giveaways) keep the shipping they paid',
+		zh: '- 不计入: 带不计入营收标签的订单 (如赠品) 保留实付运费',
+		bilingual:
+			'- Excluded: Orders with a tag excluded from revenue (e.g. giveaways) keep the shipping they paid | 不计入: 带不计入营收标签的订单 (如赠品) 保留实付运费',
+	},
+
+	// Report files
+	'report.title': {
+		en: 'ShipStation Analytics Report for {period}',
+		zh: 'ShipStation {period} 分析报告',
+		bilingual: 'ShipStation Analytics Report for {period} | ShipStation {period} 分析报告',
+	},
+	'report.sourceFiles': { en: 'SOURCE FILES', zh: '源文件' },
+	'report.storeMetrics': { en: 'STORE METRICS', zh: '店铺指标' },
+	'report.specialOrders': { en: 'SPECIAL ORDERS ANALYSIS', zh: '特殊订单分析' },
+	'report.carrierMetrics': { en: 'CARRIER & SERVICE METRICS', zh: '承运商与服务指标' },
+	'report.carriersByStore': { en: 'CARRIERS BY STORE', zh: '各店铺承运商分布' },
+	'report.weightBands': { en: 'WEIGHT BAND METRICS', zh: '重量区间指标' },
+	'report.weightBandsByStore': { en: 'WEIGHT BANDS BY STORE', zh: '各店铺重量区间' },
+	'report.weightBandsByCarrier': { en: 'WEIGHT BANDS BY CARRIER', zh: '各承运商重量区间' },
+	'report.destinations': { en: 'DESTINATION METRICS', zh: '目的地指标' },
+	'report.destinationsByState': { en: 'DOMESTIC ORDERS BY STATE / REGION', zh: '各州 / 地区国内订单' },
+	'report.destinationsByCountry': { en: 'INTERNATIONAL ORDERS BY COUNTRY', zh: '各国家国际订单' },
+	'report.anomalies': { en: 'ORDERS TO REVIEW', zh: '待核查订单' },
+	'report.destinationsByZip3': { en: 'DOMESTIC ORDERS BY ZIP3 PREFIX', zh: '各 ZIP3 前缀国内订单' },
+	'report.specialOrdersByStore': { en: 'SPECIAL ORDERS BY STORE', zh: '各店铺特殊订单' },
+	'report.charts': { en: 'CHARTS', zh: '图表' },
+	'report.day': { en: 'DAILY TRENDS', zh: '每日趋势' },
+	'report.week': { en: 'WEEKLY TRENDS', zh: '每周趋势' },
+	'report.month': { en: 'MONTHLY TRENDS', zh: '每月趋势' },
+
+	// Excel worksheet names (at most 31 characters)
+	'sheet.overview': { en: 'Overview', zh: '概述' },
+	'sheet.storeMetrics': { en: 'Store Metrics', zh: '店铺指标' },
+	'sheet.specialOrders': { en: 'Special Orders', zh: '特殊订单' },
+	'sheet.charts': { en: 'Charts', zh: '图表' },
+	'sheet.tagsByStore': { en: 'Tags by Store', zh: '各店铺标签' },
+	'sheet.carriers': { en: 'Carriers', zh: '承运商' },
+	'sheet.weightBands': { en: 'Weight Bands', zh: '重量区间' },
+	'sheet.destinations': { en: 'Destinations', zh: '目的地' },
+	'sheet.anomalies': { en: 'Review Orders', zh: '待核查订单' },
+	'sheet.trends': { en: 'Trends', zh: '趋势' },
+	'sheet.comparison': { en: 'Comparison', zh: '对比' },
+	'sheet.orders': { en: 'Orders', zh: '订单明细' },
+
+	// Excel overview sheet
+	'overview.title': {
+		en: 'ShipStation Analytics Report - {period}',
+		zh: 'ShipStation 分析报告 - {period}',
+		bilingual: 'ShipStation Analytics Report - {period} | ShipStation 分析报告 - {period}',
+	},
+	'overview.generatedOn': {
+		en: 'Generated on: {date}',
+		zh: '生成日期: {date}',
+		bilingual: 'Generated on: {date} | 生成日期: {date}',
+	},
+	'overview.sourceFile': {
+		en: 'Source file: {fileName}',
+		zh: '源文件: {fileName}',
+		bilingual: 'Source file: {fileName} | 源文件: {fileName}',
+	},
+	'overview.reportOverview': { en: 'REPORT OVERVIEW', zh: '报告概述' },
+	'overview.intro': {
+		en: 'This report contains detailed shipping and order analytics for your ShipStation data.',
+		zh: '此报告包含您的 ShipStation 数据的详细物流和订单分析。',
+	},
+	'overview.organized': {
+		en: 'The report is organized into the following worksheets:',
+		zh: '报告分为以下工作表:',
+		bilingual: 'The report is organized into the following worksheets: | 报告分为以下工作表:',
+	},
+	'overview.storeMetricsTable': { en: '   - Comprehensive table of metrics by store', zh: '   - 按店铺划分的综合指标表', bilingual: '   - Comprehensive table of metrics by store | 按店铺划分的综合指标表' },
+	'overview.storeMetricsCounts': {
+		en: '   - Order counts, values, and shipping costs',
+		zh: '   - 订单数量、价值和物流成本',
+		bilingual: '   - Order counts, values, and shipping costs | 订单数量、价值和物流成本',
+	},
+	'overview.storeMetricsMargins': {
+		en: '   - Profit margins and revenue analysis',
+		zh: '   - 利润率和收入分析',
+		bilingual: '   - Profit margins and revenue analysis | 利润率和收入分析',
+	},
+	'overview.storeMetricsBreakdown': {
+		en: '   - Detailed breakdown by store',
+		zh: '   - 按店铺的详细分析',
+		bilingual: '   - Detailed breakdown by store | 按店铺的详细分析',
+	},
+	'overview.storeMetricsRevenueOrders': {
+		en: '   - Revenue order rows: the same figures without orders tagged {tags}',
+		zh: '   - 收入订单行: 不含标签 {tags} 的订单的相同指标',
+		bilingual: '   - Revenue order rows: the same figures without orders tagged {tags} | 收入订单行: 不含以上标签的订单的相同指标',
+	},
+	'overview.storeMetricsLabels': {
+		en: '   - Label rows: voided, return and refunded labels with gross and net shipping spend',
+		zh: '   - 运单行: 作废、退货和已退款运单, 以及物流总支出和净支出',
+		bilingual:
+			'   - Label rows: voided, return and refunded labels with gross and net shipping spend | 运单行: 作废、退货和已退款运单, 以及物流总支出和净支出',
+	},
+	'overview.specialOrdersTags': {
+		en: '   - Analysis of orders with special tags',
+		zh: '   - 带有特殊标签的订单分析',
+		bilingual: '   - Analysis of orders with special tags | 带有特殊标签的订单分析',
+	},
+	'overview.specialOrdersBreakdown': {
+		en: '   - Breakdown by tag category',
+		zh: '   - 按标签类别的分析',
+		bilingual: '   - Breakdown by tag category | 按标签类别的分析',
+	},
+	'overview.specialOrdersCosts': {
+		en: '   - Shipping costs for special order types',
+		zh: '   - 特殊订单类型的物流成本',
+		bilingual: '   - Shipping costs for special order types | 特殊订单类型的物流成本',
+	},
+	'overview.specialOrdersPercent': {
+		en: '   - Percentage of total orders',
+		zh: '   - 占总订单的百分比',
+		bilingual: '   - Percentage of total orders | 占总订单的百分比',
+	},
+	'overview.chartsStores': {
+		en: '   - Shipping cost by store and shipping profit by store',
+		zh: '   - 各店铺物流成本和物流利润',
+		bilingual: '   - Shipping cost by store and shipping profit by store | 各店铺物流成本和物流利润',
+	},
+	'overview.chartsTags': {
+		en: '   - Share of special orders by tag',
+		zh: '   - 各标签特殊订单占比',
+		bilingual: '   - Share of special orders by tag | 各标签特殊订单占比',
+	},
+	'overview.tagsByStoreMatrix': {
+		en: '   - Orders and shipping cost of each special order tag in each store',
+		zh: '   - 各店铺每个特殊订单标签的订单数和物流成本',
+		bilingual:
+			'   - Orders and shipping cost of each special order tag in each store | 各店铺每个特殊订单标签的订单数和物流成本',
+	},
+	'overview.tagsByStoreShare': {
+		en: "   - Each tag's share of the store's orders",
+		zh: '   - 各标签占该店铺订单的比例',
+		bilingual: "   - Each tag's share of the store's orders | 各标签占该店铺订单的比例",
+	},
+	'overview.carriersSpend': {
+		en: '   - Labels, shipping cost and share of spend by carrier and service',
+		zh: '   - 按承运商和服务的运单数、物流成本和支出占比',
+		bilingual:
+			'   - Labels, shipping cost and share of spend by carrier and service | 按承运商和服务的运单数、物流成本和支出占比',
+	},
+	'overview.carriersByStore': {
+		en: '   - Carrier breakdown for each store',
+		zh: '   - 各店铺的承运商分布',
+		bilingual: '   - Carrier breakdown for each store | 各店铺的承运商分布',
+	},
+	'overview.weightBandsCost': {
+		en: '   - Labels, shipping cost, average cost and cost per pound by package weight band',
+		zh: '   - 按包裹重量区间的运单数、物流成本、平均成本和每磅成本',
+		bilingual:
+			'   - Labels, shipping cost, average cost and cost per pound by package weight band | 按包裹重量区间的运单数、物流成本、平均成本和每磅成本',
+	},
+	'overview.weightBandsBreakdown': {
+		en: '   - Weight bands for each store and each carrier',
+		zh: '   - 各店铺和各承运商的重量区间',
+		bilingual: '   - Weight bands for each store and each carrier | 各店铺和各承运商的重量区间',
+	},
+	'overview.destinationsSplit': {
+		en: '   - Orders, shipping cost, average cost and shipping profit, domestic vs international',
+		zh: '   - 国内与国际的订单数、物流成本、平均成本和物流利润',
+		bilingual:
+			'   - Orders, shipping cost, average cost and shipping profit, domestic vs international | 国内与国际的订单数、物流成本、平均成本和物流利润',
+	},
+	'overview.anomaliesList': {
+		en: '   - Labels with a Rate far above their peers and orders that paid far more than the label cost',
+		zh: '   - 运费远高于同类运单的运单, 以及物流收入远高于运费的订单',
+		bilingual:
+			'   - Labels with a Rate far above their peers and orders that paid far more than the label cost | 运费远高于同类运单的运单, 以及物流收入远高于运费的订单',
+	},
+	'overview.anomaliesRanked': {
+		en: '   - Ranked by excess, with the expected amount and the peer group each label was compared with',
+		zh: '   - 按超出金额排序, 含预期金额和对比组',
+		bilingual:
+			'   - Ranked by excess, with the expected amount and the peer group each label was compared with | 按超出金额排序, 含预期金额和对比组',
+	},
+	'overview.destinationsRegions': {
+		en: '   - The same figures by state or region, by country and by ZIP3 prefix',
+		zh: '   - 按州或地区、国家和 ZIP3 前缀的相同数据',
+		bilingual: '   - The same figures by state or region, by country and by ZIP3 prefix | 按州或地区、国家和 ZIP3 前缀的相同数据',
+	},
+	'overview.trendsMetrics': {
+		en: '   - Orders, shipping cost, shipping paid, profit and AOV per period',
+		zh: '   - 各期间的订单、物流成本、物流收入、利润和平均订单价值',
+		bilingual:
+			'   - Orders, shipping cost, shipping paid, profit and AOV per period | 各期间的订单、物流成本、物流收入、利润和平均订单价值',
+	},
+	'overview.trendsStores': {
+		en: '   - All stores combined and each store',
+		zh: '   - 所有店铺合计及各店铺',
+		bilingual: '   - All stores combined and each store | 所有店铺合计及各店铺',
+	},
+	'overview.comparisonPeriods': {
+		en: '   - {base} compared with {current}',
+		zh: '   - {base} 与 {current} 对比',
+		bilingual: '   - {base} compared with {current} | {base} 与 {current} 对比',
+	},
+	'overview.comparisonChanges': {
+		en: '   - Change and change % for every store and tag metric',
+		zh: '   - 各店铺和标签指标的变化和变化率',
+		bilingual: '   - Change and change % for every store and tag metric | 各店铺和标签指标的变化和变化率',
+	},
+	'overview.ordersFields': {
+		en: '   - Every analyzed order with its standardized fields and shipping profit',
+		zh: '   - 每个分析订单的标准字段和物流利润',
+		bilingual: '   - Every analyzed order with its standardized fields and shipping profit | 每个分析订单的标准字段和物流利润',
+	},
+	'overview.ordersTags': {
+		en: '   - Tags each order was counted toward, with filters on every column',
+		zh: '   - 每个订单计入的标签, 每列均可筛选',
+		bilingual: '   - Tags each order was counted toward, with filters on every column | 每个订单计入的标签, 每列均可筛选',
+	},
+	'overview.instructions': { en: 'INSTRUCTIONS', zh: '使用说明' },
+	'overview.formulas': {
+		en: '- Totals, averages, margins and shares are formulas: edit an Orders, Order Value, Ship Cost or Ship Paid cell and the workbook and charts recalculate',
+		zh: '- 总计、平均值、利润率和占比均为公式: 修改订单数、订单价值、物流成本或物流收入后, 工作簿和图表会自动重新计算',
+		bilingual:
+			'- Totals, averages, margins and shares are formulas: edit an Orders, Order Value, Ship Cost or Ship Paid cell and the workbook and charts recalculate | 总计、平均值、利润率和占比均为公式: 修改订单数、订单价值、物流成本或物流收入后, 工作簿和图表会自动重新计算',
+	},
+	'overview.keyMetrics': { en: 'Key Metrics Explained:', zh: '关键指标解释:', bilingual: 'Key Metrics Explained | 关键指标解释:' },
+	'overview.aov': {
+		en: '- AOV (Average Order Value): Total order value divided by number of orders',
+		zh: '- 平均订单价值: 总订单价值除以订单数量',
+		bilingual: '- AOV (Average Order Value): Total order value divided by number of orders | 平均订单价值: 总订单价值除以订单数量',
+	},
+	'overview.shipMargin': {
+		en: '- Ship Margin: Shipping profit as a percentage of shipping paid',
+		zh: '- 物流利润率: 物流利润占物流收入的百分比',
+		bilingual: '- Ship Margin: Shipping profit as a percentage of shipping paid | 物流利润率: 物流利润占物流收入的百分比',
+	},
+	'overview.netMargin': {
+		en: '- Net Margin: Net revenue as a percentage of order value',
+		zh: '- 净利润率: 净收入占订单价值的百分比',
+		bilingual: '- Net Margin: Net revenue as a percentage of order value | 净利润率: 净收入占订单价值的百分比',
+	},
+	'overview.shipCost': {
+		en: '- Ship Cost: Total shipping cost paid to carrier',
+		zh: '- 物流成本: 支付给物流公司的总成本',
+		bilingual: '- Ship Cost: Total shipping cost paid to carrier | 物流成本: 支付给物流公司的总成本',
+	},
+	'overview.shipPaid': {
+		en: '- Ship Paid: Total shipping fees collected from customers',
+		zh: '- 物流收入: 从客户处收取的总物流费用',
+		bilingual: '- Ship Paid: Total shipping fees collected from customers | 物流收入: 从客户处收取的总物流费用',
+	},
+	'overview.shipProfit': {
+		en: '- Ship Profit: Difference between shipping paid and shipping cost',
+		zh: '- 物流利润: 物流收入与物流成本之间的差额',
+		bilingual: '- Ship Profit: Difference between shipping paid and shipping cost | 物流利润: 物流收入与物流成本之间的差额',
+	},
+	'overview.netRevenue': {
+		en: '- Net Revenue: Order value minus shipping cost',
+		zh: '- 净收入: 订单价值减去物流成本',
+		bilingual: '- Net Revenue: Order value minus shipping cost | 净收入: 订单价值减去物流成本',
+	},
+	'overview.support': {
+		en: 'For questions or support, contact your analytics team.',
+		zh: '如有问题或需要支持，请联系您的分析团队。',
+	},
+
+	// Excel charts
+	'chart.linked': {
+		en: 'Chart data is linked to the Store Metrics and Special Orders worksheets',
+		zh: '图表数据链接到店铺指标和特殊订单工作表',
+	},
+	'chart.shipCostByStore': { en: 'Shipping Cost by Store', zh: '各店铺物流成本' },
+	'chart.shipProfitByStore': { en: 'Shipping Profit by Store', zh: '各店铺物流利润' },
+	'chart.specialOrder': { en: 'Special Order', zh: '特殊订单' },
+	'chart.specialOrdersShare': { en: 'Special Orders Share', zh: '特殊订单占比' },
+};
@@ -0,0 +1,229 @@
+/**
+ * Translator
+ *
+ * This module looks up messages in the catalog for the language chosen with --lang, and formats
+ * numbers and dates for that language's locale. Reporters and exporters create one translator per
+ * call and use it for every label and value they print or write.
+ *
+ * Languages:
+ *   en        - English only (en-US formatting)
+ *   zh        - Chinese only (zh-CN formatting)
+ *   bilingual - "English | 中文" labels (en-US formatting), the default
+ */
+
+import { MESSAGES } from './messages.js';
+import { getTagTranslation } from '../utils/tagCatalog.js';
+
+// Languages accepted by --lang
+export const LANGUAGES = ['en', 'zh', 'bilingual'];
+
+// Language used when --lang isn't given
+export const DEFAULT_LANGUAGE = 'bilingual';
+
+// Locale used to format numbers and dates in each language
+const LOCALES = {
+	en: 'en-US',
+	zh: 'zh-CN',
+	bilingual: 'en-US',
+};
+
+// Excel date format of each language
+const EXCEL_DATE_FORMATS = {
+	en: 'mm/dd/yyyy',
+	zh: 'yyyy/mm/dd',
+	bilingual: 'mm/dd/yyyy',
+};
+
+/**
+ * Replaces {name} placeholders in a message
+ * @param {string} text - Message text
+ * @param {Object} params - Placeholder values
+ * @returns {string} - Message with the placeholders filled in
+ */
+function fillPlaceholders(text, params) {
+	return text.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+/**
+ * Creates a translator for a language
+ * @param {string} language - en, zh or bilingual (default: bilingual)
+ * @returns {Object} - Translator with the language, its locale, and message and formatting functions
+ * @throws {Error} - If the language isn't supported
+ */
+export function createTranslator(language = DEFAULT_LANGUAGE) {
+	if (!LANGUAGES.includes(language)) {
+		throw new Error(`Invalid language "${language}". Use one of: ${LANGUAGES.join(', ')}`);
+	}
+
+	const locale = LOCALES[language];
+
+	const currencyFormat = new Intl.NumberFormat(locale, {
+		style: 'currency',
+		currency: 'USD',
+		currencyDisplay: 'narrowSymbol',
+		signDisplay: 'negative', // Values that round to zero show as $0.00, not -$0.00
+	});
+	const wholeCurrencyFormat = new Intl.NumberFormat(locale, {
+		style: 'currency',
+		currency: 'USD',
+		currencyDisplay: 'narrowSymbol',
+		minimumFractionDigits: 0,
+		maximumFractionDigits: 0,
+		signDisplay: 'negative',
+	});
+	const dateFormat = new Intl.DateTimeFormat(locale, { year: 'numeric', month: '2-digit', day: '2-digit' });
+	const longDateFormat = new Intl.DateTimeFormat(locale, { year: 'numeric', month: 'long', day: 'numeric' });
+	const monthFormat = new Intl.DateTimeFormat(locale, { year: 'numeric', month: 'short' });
+	const monthDayFormat = new Intl.DateTimeFormat(locale, { month: 'short', day: 'numeric' });
+
+	/**
+	 * Gets a message in the translator's language
+	 * @param {string} key - Message key, e.g. "metric.orders"
+	 * @param {Object} params - Placeholder values (optional)
+	 * @returns {string} - Translated message
+	 * @throws {Error} - If the message isn't in the catalog
+	 */
+	function t(key, params = {}) {
+		const message = MESSAGES[key];
+		if (!message) {
+			throw new Error(`Unknown message "${key}"`);
+		}
+
+		if (language === 'bilingual') {
+			const text = message.bilingual || `${message.en} | ${message.zh}`;
+			return fillPlaceholders(text, params);
+		}
+
+		return fillPlaceholders(message[language], params);
+	}
+
+	/**
+	 * Gets a message as separate lines, one per language in bilingual mode
+	 * @param {string} key - Message key
+	 * @param {Object} params - Placeholder values (optional)
+	 * @returns {Array<string>} - The English and Chinese lines, or the single translated line
+	 */
+	function lines(key, params = {}) {
+		if (language === 'bilingual') {
+			return [fillPlaceholders(MESSAGES[key].en, params), fillPlaceholders(MESSAGES[key].zh, params)];
+		}
+		return [t(key, params)];
+	}
+
+	/**
+	 * Gets the display name of a tag from the tag catalog
+	 * @param {string} name - Canonical tag name
+	 * @param {Object} tagCatalog - Tag catalog with the tag translations (optional)
+	 * @param {string} separator - Separator between the name and translation in bilingual mode
+	 * @returns {string} - Tag name, translation, or both
+	 */
+	function tag(name, tagCatalog, separator = ' | ') {
+		const translation = getTagTranslation(name, tagCatalog, 'zh');
+		if (language === 'en' || !translation) return name;
+		if (language === 'zh') return translation;
+		return `${name}${separator}${translation}`;
+	}
+
+	/**
+	 * Formats an amount in US dollars
+	 * @param {number} value - The value to format
+	 * @returns {string} - Formatted currency string, e.g. "$1,234.50"
+	 */
+	function currency(value) {
+		return currencyFormat.format(value);
+	}
+
+	/**
+	 * Formats an amount for a compact table, leaving out the cents from $1,000 up so large totals stay narrow
+	 * @param {number} value - The value to format
+	 * @returns {string} - Formatted currency string, e.g. "$12.50" or "$1,235"
+	 */
+	function compactCurrency(value) {
+		return Math.abs(value) >= 1000 ? wholeCurrencyFormat.format(value) : currencyFormat.format(value);
+	}
+
+	/**
+	 * Formats a count or other plain number
+	 * @param {number} value - The value to format
+	 * @param {number} decimals - Number of decimals (default: 0)
+	 * @returns {string} - Formatted number with the locale's grouping
+	 */
+	function number(value, decimals = 0) {
+		return value.toLocaleString(locale, {
+			minimumFractionDigits: decimals,
+			maximumFractionDigits: decimals,
+			signDisplay: 'negative',
+		});
+	}
+
+	/**
+	 * Formats a value that is already a percentage (12.5 for 12.5%)
+	 * @param {number} value - The percentage to format
+	 * @param {number} decimals - Number of decimals (default: 2)
+	 * @returns {string} - Formatted percentage string
+	 */
+	function percent(value, decimals = 2) {
+		return `${number(value, decimals)}%`;
+	}
+
+	/**
+	 * Formats a calendar date, e.g. "02/03/2025" or "2025/02/03"
+	 * @param {Date} value - The date to format
+	 * @returns {string} - Formatted date
+	 */
+	function date(value) {
+		return dateFormat.format(value);
+	}
+
+	/**
+	 * Formats a date with the month written out, e.g. "February 3, 2025" or "2025年2月3日"
+	 * @param {Date} value - The date to format
+	 * @returns {string} - Formatted date
+	 */
+	function longDate(value) {
+		return longDateFormat.format(value);
+	}
+
+	/**
+	 * Builds the label of a trend bucket
+	 * @param {Date} startDate - First day of the bucket
+	 * @param {string} period - Bucket size: day, week or month
+	 * @returns {string} - Label such as "02/03/2025", "Week of 02/03/2025" or "Feb 2025"
+	 */
+	function periodLabel(startDate, period) {
+		if (period === 'month') return monthFormat.format(startDate);
+		if (period === 'week') return t('trend.weekOf', { date: date(startDate) });
+		return date(startDate);
+	}
+
+	/**
+	 * Builds the name of a reporting period from its first and last day
+	 * @param {Date} startDate - First day of the period
+	 * @param {Date} endDate - Last day of the period
+	 * @returns {string} - Period name such as "Feb 1-Mar 28, 2025" or "2025年2月1日-3月28日"
+	 */
+	function periodName(startDate, endDate) {
+		return t('common.periodRange', {
+			start: monthDayFormat.format(startDate),
+			end: monthDayFormat.format(endDate),
+			year: endDate.getFullYear(),
+		});
+	}
+
+	return {
+		language,
+		locale,
+		excelDateFormat: EXCEL_DATE_FORMATS[language],
+		t,
+		lines,
+		tag,
+		currency,
+		compactCurrency,
+		number,
+		percent,
+		date,
+		longDate,
+		periodLabel,
+		periodName,
+	};
+}
@@ -4,97 +4,87 @@
  * ShipStation Rates Calculator
  *
  * A command-line tool to analyze ShipStation CSV data and calculate metrics.
- * This is the main entry point that handles command-line arguments and
- * orchestrates the application flow.
+ * This is the main entry point that handles command-line arguments, prompts and
+ * console output. Reading, filtering and calculating are done by analyzer.js.
  */
 
-import { Command } from 'commander';
+import { Command, Option } from 'commander';
 import chalk from 'chalk';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { readCSVFile } from './utils/fileReader.js';
-import { calculateStoreMetrics, calculateTagMetrics } from './metrics/calculator.js';
-import { displayStoreMetrics, displayTagMetrics } from './display/reporter.js';
+import { analyze, loadOrders } from './analyzer.js';
+import { DEFAULT_RATE_FACTOR, DEFAULT_OVERCHARGE_FACTOR } from './metrics/anomalies.js';
+import {
+	calculateStoreMetrics,
+	calculateTagMetrics,
+	summarizeStoreMetrics,
+	TREND_PERIODS,
+	DEFAULT_HOME_COUNTRY,
+} from './metrics/calculator.js';
+import {
+	displayStoreMetrics,
+	displayTagMetrics,
+	displaySourceSummary,
+	displayValidationReport,
+	displayCarrierMetrics,
+	displayWeightBandMetrics,
+	displayDestinationMetrics,
+	displayDistributionMetrics,
+	displayAnomalies,
+	displayTrendMetrics,
+	displayComparison,
+	displayReconciliation,
+	displaySimulation,
+} from './display/reporter.js';
 import { selectCSVFile } from './utils/fileSelector.js';
-import { saveReportToCSV } from './utils/reportExporter.js';
+import { DEFAULT_MAPPING_PROFILE, loadMappingProfile } from './utils/mappingProfile.js';
+import { loadTagCatalog, DEFAULT_TAG_CATALOG } from './utils/tagCatalog.js';
+import { DEFAULT_MAX_ISSUE_RATE } from './utils/dataValidator.js';
+import { buildComparison } from './metrics/comparison.js';
+import { reconcileInvoice } from './metrics/reconciliation.js';
+import { readInvoiceFile } from './utils/invoiceReader.js';
+import { simulateShippingRules } from './metrics/simulation.js';
+import { createShippingRules, loadShippingRules, hasShippingRule } from './utils/shippingRules.js';
+import {
+	saveReportToCSV,
+	saveRejectsToCSV,
+	saveOrderDetailsToCSV,
+	getOrderDetailsPath,
+	saveReconciliationToCSV,
+} from './utils/reportExporter.js';
 import { saveReportToExcel } from './utils/excelExporter.js';
-import { promptDateRange, filterDataByDateRange } from './utils/dateFilter.js';
+import { buildJSONReport, writeJSONReport, OUTPUT_FORMATS } from './utils/jsonExporter.js';
+import { promptDateRange, filterDataByDateRange, parseDateRange } from './utils/dateFilter.js';
+import { LANGUAGES, DEFAULT_LANGUAGE } from './i18n/translator.js';
 
 // Get the directory name in ESM
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 /**
- * Determines the date range from the data
- * @param {Array<Object>} data - Array of order data
- * @returns {Object} - Object with startDate, endDate, and periodName
+ * Determines whether results are written as JSON or NDJSON instead of console tables
+ * @param {Object} options - Command-line options
+ * @returns {boolean} - True for --format json and --format ndjson
  */
-function determineDateRange(data) {
-	// Find the earliest and latest dates in the data
-	let earliestDate = new Date('2100-01-01'); // Future date as initial value
-	let latestDate = new Date('1900-01-01'); // Past date as initial value
-	let dateFields = ['Order Date', 'OrderDate', 'Date', 'Ship Date', 'ShipDate'];
-
-	// Parse date strings in MM/DD/YYYY format
-	const parseDate = (dateStr) => {
-		// Handle MM/DD/YYYY format
-		const parts = dateStr.split('/');
-		if (parts.length === 3) {
-			const month = parseInt(parts[0], 10);
-			const day = parseInt(parts[1], 10);
-			const year = parseInt(parts[2], 10);
-			return new Date(year, month - 1, day);
-		}
-		// Fallback to standard Date parsing
-		return new Date(dateStr);
-	};
-
-	// Iterate through the data to find the date range
-	for (const order of data) {
-		for (const field of dateFields) {
-			if (order[field]) {
-				const orderDate = parseDate(order[field]);
-
-				// Skip invalid dates
-				if (isNaN(orderDate.getTime())) continue;
-
-				// Update earliest and latest dates
-				if (orderDate < earliestDate) earliestDate = new Date(orderDate);
-				if (orderDate > latestDate) latestDate = new Date(orderDate);
+function isMachineReadable(options) {
+	return options.format === 'json' || options.format === 'ndjson';
+}
 
-				// Once we find a valid date field, we can break the inner loop
-				break;
-			}
-		}
+/**
+ * Shows the validation report and saves the rejected rows when --rejects is given
+ * @param {Object} validation - Validation result from validateData
+ * @param {Object} options - Command-line options
+ * @param {Object} logger - Console-compatible logger for progress messages
+ */
+async function reportValidation(validation, options, logger) {
+	if (!isMachineReadable(options)) {
+		displayValidationReport(validation, { compact: options.compact, language: options.lang });
 	}
 
-	// Format the period name
-	const startMonthName = earliestDate.toLocaleString('en-US', { month: 'short' });
-	const startDay = earliestDate.getDate();
-	const endMonthName = latestDate.toLocaleString('en-US', { month: 'short' });
-	const endDay = latestDate.getDate();
-	const year = latestDate.getFullYear();
-
-	// Create a period name that includes the exact dates
-	const periodName = `${startMonthName} ${startDay}-${endMonthName} ${endDay}, ${year}`;
-
-	// Format date strings for display
-	const startDateStr = `${(earliestDate.getMonth() + 1).toString().padStart(2, '0')}/${earliestDate
-		.getDate()
-		.toString()
-		.padStart(2, '0')}/${(earliestDate.getFullYear() % 100).toString().padStart(2, '0')}`;
-	const endDateStr = `${(latestDate.getMonth() + 1).toString().padStart(2, '0')}/${latestDate
-		.getDate()
-		.toString()
-		.padStart(2, '0')}/${(latestDate.getFullYear() % 100).toString().padStart(2, '0')}`;
-
-	return {
-		shouldFilter: false, // We're not filtering, just determining the range
-		startDate: earliestDate,
-		endDate: latestDate,
-		periodName,
-		dateRangeStr: `${startDateStr}-${endDateStr}`,
-	};
+	if (options.rejects && validation.invalidRows > 0) {
+		const rejectsPath = await saveRejectsToCSV(validation, options.rejects, { language: options.lang });
+		logger.log(chalk.yellow(`Saved ${validation.invalidRows} rejected rows to: ${rejectsPath}`));
+	}
 }
 
 // Set up command-line interface
@@ -103,167 +93,506 @@ const program = new Command();
 program
 	.name('shipstation-calculator')
 	.description('Calculate metrics from ShipStation CSV data')
-	.argument('[filename]', 'CSV file to analyze (optional - will show file selector if not provided)')
+	// Keep options after a subcommand name (e.g. "compare --save") with that subcommand
+	.enablePositionalOptions()
+	.argument(
+		'[filenames...]',
+		'CSV or Excel files, or folders of them, to analyze (optional - will show file selector if not provided)'
+	)
 	.option('-s, --store-only', 'Only calculate store metrics')
 	.option('-t, --tag-only', 'Only calculate tag metrics')
 	.option('-c, --compact', 'Display metrics in compact table format')
+	.addOption(
+		new Option('-f, --format <format>', 'Output format: console tables, a JSON report, or NDJSON records')
+			.choices(OUTPUT_FORMATS)
+			.default('table')
+	)
+	.option('-o, --output <path>', 'Write --format json or ndjson output to a file instead of stdout')
 	.option('--save', 'Save the report to an Excel file')
 	.option('--csv', 'Save the report as CSV instead of Excel (when used with --save)')
+	.option(
+		'--details',
+		'Add an order-level detail sheet to the saved report and save the orders to a CSV file next to it (when used with --save)'
+	)
 	.option('-d, --date-range <range>', 'Filter by date range in MM/DD/YY-MM/DD/YY format')
 	.option('--no-prompt', 'Skip interactive prompts and analyze all data')
-	.action(async (filename, options) => {
+	.option('--sheet <sheet>', 'Worksheet name or 1-based index to read from Excel files (defaults to the first sheet)')
+	.option(
+		'-m, --mapping <profile>',
+		`Column mapping profile (JSON or YAML) pinning source columns to standard fields (defaults to ${DEFAULT_MAPPING_PROFILE} if present)`
+	)
+	.addOption(
+		new Option('-g, --group-by-period <period>', 'Add trend tables bucketed by day, week or month').choices(
+			TREND_PERIODS
+		)
+	)
+	.option(
+		'--weight-bands [limits]',
+		'Show shipping cost by package weight band, optionally with the upper limits of the bands, e.g. 4oz,8oz,1lb,2lb (defaults to 4oz,8oz,1lb,2lb,5lb,10lb)'
+	)
+	.option('--destinations', 'Show domestic vs international shipping and the state, country and ZIP3 breakdowns')
+	.option(
+		'--home-country <code>',
+		'Country code of domestic orders in the destination metrics (orders shipped elsewhere are international)',
+		DEFAULT_HOME_COUNTRY
+	)
+	.option('--zip3', 'Add a ZIP3 prefix breakdown of domestic orders to the destination metrics (US only)')
+	.option('--anomalies', 'Show the labels and orders to review: Rates far above their peers and overcharged shipping')
+	.option(
+		'--anomaly-factor <factor>',
+		`Flag labels costing at least this many times the median Rate of their peers (default: ${DEFAULT_RATE_FACTOR})`,
+		parseFloat
+	)
+	.option(
+		'--overcharge-factor <factor>',
+		`Flag orders paying at least this many times the label cost (default: ${DEFAULT_OVERCHARGE_FACTOR})`,
+		parseFloat
+	)
+	.option(
+		'--tag-catalog <path>',
+		'Tag catalog (JSON or YAML) with tag aliases, translations and descriptions (defaults to tag-catalog.json)'
+	)
+	.addOption(
+		new Option('--lang <language>', 'Language of the console tables and saved reports')
+			.choices(LANGUAGES)
+			.default(DEFAULT_LANGUAGE)
+	)
+	.option('--carriers', 'Show carrier and service metrics')
+	.option('--distribution', 'Show the median, percentiles, min/max and standard deviation of store and tag values')
+	.option('--all', 'Show every optional report section')
+	.option('--rejects <path>', 'Save rows that fail data validation to a CSV file')
+	.option('--strict', 'Fail the run when any validation check flags more rows than --max-issue-rate allows')
+	.option(
+		'--max-issue-rate <percent>',
+		'Maximum share of rows (in percent) each validation check may flag in strict mode',
+		parseFloat,
+		DEFAULT_MAX_ISSUE_RATE
+	)
+	.action(async (filenames, options) => {
+		// Machine-readable output keeps stdout for the report: progress goes to stderr and nothing prompts
+		const machineReadable = isMachineReadable(options);
+		const logger = machineReadable ? new console.Console(process.stderr) : console;
+
 		try {
-			console.log(chalk.blue('ShipStation Rates Calculator'));
+			if (machineReadable) {
+				if (filenames.length === 0) {
+					throw new Error(`Pass the files to analyze when using --format ${options.format}`);
+				}
+				options.prompt = false;
+			}
+
+			logger.log(chalk.blue('ShipStation Rates Calculator'));
 
 			// If no filename is provided, show the file selector
-			const fileToAnalyze = filename || (await selectCSVFile());
+			const filesToAnalyze = filenames.length > 0 ? filenames : [await selectCSVFile()];
+
+			// Use the command-line date range, or ask for one unless prompts are off (empty means all data)
+			let dateRange = options.dateRange || null;
+			if (!dateRange && options.prompt !== false) {
+				const dateFilter = await promptDateRange();
+				if (dateFilter.shouldFilter) {
+					dateRange = dateFilter.dateRangeStr;
+				}
+			}
 
-			console.log(chalk.gray(`Analyzing file: ${fileToAnalyze}\n`));
+			logger.log(chalk.gray(`Analyzing: ${filesToAnalyze.join(', ')}\n`));
+
+			let result;
+			try {
+				result = await analyze({
+					files: filesToAnalyze,
+					dateRange,
+					sheet: options.sheet,
+					mapping: options.mapping,
+					tagCatalog: options.tagCatalog,
+					groupByPeriod: options.groupByPeriod,
+					// --weight-bands without limits shows the default bands
+					weightBands: typeof options.weightBands === 'string' ? options.weightBands : null,
+					homeCountry: options.homeCountry,
+					zip3: options.zip3,
+					anomalyFactor: options.anomalyFactor,
+					overchargeFactor: options.overchargeFactor,
+					maxIssueRate: options.maxIssueRate,
+					strict: options.strict,
+					language: options.lang,
+					learnMapping: options.prompt !== false,
+					logger,
+				});
+			} catch (error) {
+				// Strict validation failures still show the report and save the rejected rows
+				if (error.validation) {
+					await reportValidation(error.validation, options, logger);
+				}
+				throw error;
+			}
 
-			// Read and parse the CSV file
-			console.log(chalk.yellow('Reading CSV file...'));
-			let data = await readCSVFile(fileToAnalyze);
-			console.log(chalk.green(`Successfully read ${data.length} records\n`));
+			const {
+				dateFilter,
+				sources,
+				totalDuplicates,
+				validation,
+				totals,
+				storeMetrics,
+				tagMetrics,
+				storeTagMetrics,
+				carrierMetrics,
+				storeCarrierMetrics,
+				weightBandMetrics,
+				destinationMetrics,
+				anomalyMetrics,
+				trends,
+				orderDetails,
+				tagCatalog,
+			} = result;
+
+			// Show per-file record and duplicate counts when merging several files
+			// (machine-readable runs include the summaries in their output instead)
+			if ((sources.length > 1 || totalDuplicates > 0) && !machineReadable) {
+				displaySourceSummary(sources, { compact: options.compact, language: options.lang });
+			}
 
-			// Handle date filtering
-			let dateFilter;
+			await reportValidation(validation, options, logger);
+
+			if (machineReadable) {
+				// Write the JSON or NDJSON report instead of the console tables
+				const report = buildJSONReport({
+					storeMetrics,
+					tagMetrics,
+					dateFilter,
+					sources,
+					validation,
+					carrierMetrics,
+					storeCarrierMetrics,
+					weightBandMetrics,
+					destinationMetrics,
+					anomalyMetrics,
+					trends,
+					tagCatalog,
+					language: options.lang,
+				});
+				const outputPath = await writeJSONReport(report, options.format, options.output);
+				if (outputPath) {
+					logger.log(chalk.green(`Report saved to: ${outputPath}`));
+				}
+			} else {
+				if (!options.tagOnly) {
+					// Display store metrics with date range in the title
+					displayStoreMetrics(storeMetrics, dateFilter.periodName, {
+						compact: options.compact,
+						tagCatalog,
+						language: options.lang,
+					});
+				}
 
-			// If date range is provided as a command line option, use it
-			if (options.dateRange) {
-				// Parse the date range from command line
-				const [startDateStr, endDateStr] = options.dateRange.split('-');
+				if (trends && !options.tagOnly) {
+					// Display per-period trend tables
+					displayTrendMetrics(trends, dateFilter.periodName, { compact: options.compact, language: options.lang });
+				}
 
-				// Validate format
-				if (!startDateStr || !endDateStr || !startDateStr.includes('/') || !endDateStr.includes('/')) {
-					throw new Error('Invalid date range format. Use MM/DD/YY-MM/DD/YY');
+				if ((options.carriers || options.all) && !options.storeOnly && !options.tagOnly) {
+					// Display carrier and service metrics
+					displayCarrierMetrics(carrierMetrics, storeCarrierMetrics, dateFilter.periodName, {
+						compact: options.compact,
+						language: options.lang,
+					});
 				}
 
-				// Parse start date
-				const startParts = startDateStr.split('/');
-				const startMonth = parseInt(startParts[0], 10);
-				const startDay = parseInt(startParts[1], 10);
-				const startYear = parseInt(startParts[2], 10);
-				const fullStartYear = 2000 + startYear;
-
-				// Parse end date
-				const endParts = endDateStr.split('/');
-				const endMonth = parseInt(endParts[0], 10);
-				const endDay = parseInt(endParts[1], 10);
-				const endYear = parseInt(endParts[2], 10);
-				const fullEndYear = 2000 + endYear;
-
-				const startDate = new Date(fullStartYear, startMonth - 1, startDay);
-				const endDate = new Date(fullEndYear, endMonth - 1, endDay);
-
-				// Create period name with exact dates
-				const startMonthName = startDate.toLocaleString('en-US', { month: 'short' });
-				const endMonthName = endDate.toLocaleString('en-US', { month: 'short' });
-				const periodName = `${startMonthName} ${startDay}-${endMonthName} ${endDay}, ${endDate.getFullYear()}`;
-
-				dateFilter = {
-					shouldFilter: true,
-					startDate,
-					endDate,
-					periodName,
-					dateRangeStr: options.dateRange,
-				};
+				if ((options.weightBands || options.all) && !options.storeOnly && !options.tagOnly) {
+					// Display shipping cost by package weight band
+					displayWeightBandMetrics(weightBandMetrics, dateFilter.periodName, {
+						compact: options.compact,
+						language: options.lang,
+					});
+				}
 
-				console.log(chalk.yellow(`Using date range from command line: ${startDateStr} to ${endDateStr}`));
-			} else if (options.prompt === false) {
-				// Skip prompt if --no-prompt option is provided
-				dateFilter = determineDateRange(data);
-				console.log(
-					chalk.yellow(
-						`Analyzing all data from ${dateFilter.startDate.toLocaleDateString()} to ${dateFilter.endDate.toLocaleDateString()}`
-					)
-				);
-			} else {
-				// Otherwise prompt for date range
-				dateFilter = await promptDateRange();
-
-				// If no date range was provided in the prompt, determine it from the data
-				if (!dateFilter.shouldFilter) {
-					dateFilter = determineDateRange(data);
-					console.log(
-						chalk.yellow(
-							`Analyzing all data from ${dateFilter.startDate.toLocaleDateString()} to ${dateFilter.endDate.toLocaleDateString()}`
-						)
+				if ((options.destinations || options.all) && !options.storeOnly && !options.tagOnly) {
+					// Display domestic vs international shipping and the state, country and ZIP3 breakdowns
+					displayDestinationMetrics(destinationMetrics, dateFilter.periodName, {
+						compact: options.compact,
+						language: options.lang,
+					});
+				}
+
+				if ((options.anomalies || options.all) && !options.storeOnly && !options.tagOnly) {
+					// Display the ranked labels and orders to review
+					displayAnomalies(anomalyMetrics, dateFilter.periodName, {
+						compact: options.compact,
+						language: options.lang,
+					});
+				}
+
+				if (!options.storeOnly) {
+					// Display tag metrics with the total orders across all stores as the "% of All Orders" denominator
+					displayTagMetrics(tagMetrics, dateFilter.periodName, {
+						compact: options.compact,
+						totalOrders: totals.count,
+						storeTagMetrics,
+						tagCatalog,
+						language: options.lang,
+					});
+				}
+
+				if (options.distribution || options.all) {
+					// Display the spread of the per-order values behind the store and tag averages
+					displayDistributionMetrics(
+						options.tagOnly ? null : storeMetrics,
+						options.storeOnly ? null : tagMetrics,
+						dateFilter.periodName,
+						{ compact: options.compact, tagCatalog, language: options.lang }
 					);
 				}
 			}
 
-			// Apply date filter if requested
-			if (dateFilter.shouldFilter) {
-				const originalCount = data.length;
-				data = filterDataByDateRange(data, dateFilter.startDate, dateFilter.endDate);
-				console.log(
-					chalk.yellow(
-						`Filtered data by date range: ${dateFilter.startDate.toLocaleDateString()} to ${dateFilter.endDate.toLocaleDateString()}`
-					)
-				);
-				console.log(
-					chalk.green(
-						`Filtered from ${originalCount} to ${data.length} records (${Math.round(
-							(data.length / originalCount) * 100
-						)}% of original data)\n`
-					)
-				);
+			// Save report if --save option is provided
+			if (options.save) {
+				let savedFilePath;
+				if (options.csv) {
+					// Save as CSV if --csv option is provided
+					logger.log(chalk.yellow('\nSaving report to CSV file...'));
+					savedFilePath = await saveReportToCSV(storeMetrics, tagMetrics, dateFilter.periodName, null, {
+						sources,
+						trends,
+						tagCatalog,
+						totalOrders: totals.count,
+						language: options.lang,
+					});
+					logger.log(chalk.green(`Report saved to: ${savedFilePath}`));
+				} else {
+					// Save as Excel by default
+					logger.log(chalk.yellow('\nSaving report to Excel file...'));
+					savedFilePath = await saveReportToExcel(storeMetrics, tagMetrics, dateFilter.periodName, null, {
+						sources,
+						carrierMetrics,
+						storeCarrierMetrics,
+						weightBandMetrics,
+						destinationMetrics,
+						anomalyMetrics,
+						trends,
+						storeTagMetrics,
+						orderDetails: options.details ? orderDetails : null,
+						tagCatalog,
+						totalOrders: totals.count,
+						language: options.lang,
+					});
+					logger.log(chalk.green(`Report saved to: ${savedFilePath}`));
+				}
 
-				// Check if we have data after filtering
-				if (data.length === 0) {
-					console.log(
-						chalk.red(
-							'No data matches the specified date range. Please check your date format and try again.'
-						)
-					);
-					process.exit(1);
+				// Save the order-level detail rows next to the report
+				if (options.details) {
+					const detailsPath = await saveOrderDetailsToCSV(orderDetails, getOrderDetailsPath(savedFilePath), {
+						language: options.lang,
+					});
+					logger.log(chalk.green(`Order details saved to: ${detailsPath}`));
 				}
 			}
+		} catch (error) {
+			logger.error(chalk.red(`Error: ${error.message}`));
+			process.exit(1);
+		}
+	});
 
-			// Calculate metrics
-			const storeMetrics = calculateStoreMetrics(data);
-			const tagMetrics = calculateTagMetrics(data);
+program
+	.command('compare')
+	.description('Compare store and tag metrics between two files, or two date ranges of the same data')
+	.argument(
+		'[filenames...]',
+		'Two files (base, then current), or the files to split by --base-range and --current-range'
+	)
+	.option('--base-range <range>', 'Base period date range in MM/DD/YY-MM/DD/YY format')
+	.option('--current-range <range>', 'Current period date range in MM/DD/YY-MM/DD/YY format')
+	.option('-s, --store-only', 'Only compare store metrics')
+	.option('-t, --tag-only', 'Only compare tag metrics')
+	.option('--save', 'Save the comparison to an Excel file')
+	.option('--no-prompt', 'Skip interactive prompts')
+	.option('--sheet <sheet>', 'Worksheet name or 1-based index to read from Excel files (defaults to the first sheet)')
+	.option('-m, --mapping <profile>', 'Column mapping profile (JSON or YAML) pinning source columns to standard fields')
+	.option('--tag-catalog <path>', 'Tag catalog (JSON or YAML) with tag aliases, translations and descriptions')
+	.addOption(
+		new Option('--lang <language>', 'Language of the console tables and saved report')
+			.choices(LANGUAGES)
+			.default(DEFAULT_LANGUAGE)
+	)
+	.action(async (filenames, options) => {
+		try {
+			console.log(chalk.blue('ShipStation Rates Calculator - Comparison'));
+
+			const tagCatalog = await loadTagCatalog(options.tagCatalog || DEFAULT_TAG_CATALOG);
+
+			let base;
+			let current;
+
+			if (options.baseRange && options.currentRange) {
+				// Split one data set into two date ranges
+				const filesToAnalyze = filenames.length > 0 ? filenames : [await selectCSVFile()];
+				console.log(chalk.gray(`Analyzing: ${filesToAnalyze.join(', ')}\n`));
+
+				const { data, sources, totalDuplicates } = await loadOrders({
+					files: filesToAnalyze,
+					sheet: options.sheet,
+					mapping: options.mapping,
+					learnMapping: options.prompt !== false,
+					logger: console,
+				});
+				if (sources.length > 1 || totalDuplicates > 0) {
+					displaySourceSummary(sources, { language: options.lang });
+				}
+				const baseFilter = parseDateRange(options.baseRange, options.lang);
+				const currentFilter = parseDateRange(options.currentRange, options.lang);
+
+				base = {
+					label: baseFilter.periodName,
+					data: filterDataByDateRange(data, baseFilter.startDate, baseFilter.endDate),
+				};
+				current = {
+					label: currentFilter.periodName,
+					data: filterDataByDateRange(data, currentFilter.startDate, currentFilter.endDate),
+				};
+			} else if (filenames.length === 2) {
+				// Compare two files, each optionally narrowed to its own date range
+				const periods = [];
+				for (const [index, filename] of filenames.entries()) {
+					console.log(chalk.gray(`Analyzing ${index === 0 ? 'base' : 'current'} file: ${filename}\n`));
+					let { data } = await loadOrders({
+						files: [filename],
+						sheet: options.sheet,
+						mapping: options.mapping,
+						learnMapping: options.prompt !== false,
+						logger: console,
+					});
+
+					const range = index === 0 ? options.baseRange : options.currentRange;
+					if (range) {
+						const dateFilter = parseDateRange(range, options.lang);
+						data = filterDataByDateRange(data, dateFilter.startDate, dateFilter.endDate);
+					}
+
+					periods.push({ label: path.basename(filename), data });
+				}
+				[base, current] = periods;
+			} else {
+				throw new Error('Compare needs two files, or --base-range and --current-range to split the data');
+			}
 
-			// Check if we have store metrics
-			if (Object.keys(storeMetrics).length === 0) {
-				console.log(chalk.red('No store data found. Please check your date range or CSV file.'));
-				process.exit(1);
+			for (const period of [base, current]) {
+				if (period.data.length === 0) {
+					throw new Error(`No data found for ${period.label}. Please check your files and date ranges.`);
+				}
 			}
 
-			// Calculate total orders across all stores
-			let totalAllStoresOrders = 0;
-			if (!options.tagOnly) {
-				// Count total orders from store metrics
-				const stores = Object.keys(storeMetrics);
-				for (const store of stores) {
-					totalAllStoresOrders += storeMetrics[store].count;
+			// Calculate metrics for both periods and compare them
+			const comparison = buildComparison(
+				{
+					label: base.label,
+					storeMetrics: calculateStoreMetrics(base.data, tagCatalog),
+					tagMetrics: calculateTagMetrics(base.data, tagCatalog),
+				},
+				{
+					label: current.label,
+					storeMetrics: calculateStoreMetrics(current.data, tagCatalog),
+					tagMetrics: calculateTagMetrics(current.data, tagCatalog),
 				}
+			);
 
-				// Make total orders available globally
-				global.totalAllStoresOrders = totalAllStoresOrders;
+			displayComparison(comparison, {
+				storeOnly: options.storeOnly,
+				tagOnly: options.tagOnly,
+				tagCatalog,
+				language: options.lang,
+			});
 
-				// Display store metrics with date range in the title
-				displayStoreMetrics(storeMetrics, dateFilter.periodName);
+			// Save report if --save option is provided, with the current period as the main report
+			if (options.save) {
+				console.log(chalk.yellow('\nSaving comparison to Excel file...'));
+				const currentStoreMetrics = calculateStoreMetrics(current.data, tagCatalog);
+				const savedFilePath = await saveReportToExcel(
+					currentStoreMetrics,
+					calculateTagMetrics(current.data, tagCatalog),
+					current.label,
+					null,
+					{
+						comparison,
+						tagCatalog,
+						totalOrders: summarizeStoreMetrics(currentStoreMetrics).count,
+						language: options.lang,
+					}
+				);
+				console.log(chalk.green(`Report saved to: ${savedFilePath}`));
 			}
+		} catch (error) {
+			console.error(chalk.red(`Error: ${error.message}`));
+			process.exit(1);
+		}
+	});
+
+program
+	.command('reconcile')
+	.description('Reconcile a carrier invoice against the ShipStation label rates by tracking number')
+	.argument('<invoice>', 'Carrier invoice (CSV or Excel) with a tracking number and billed amount per line')
+	.argument(
+		'[filenames...]',
+		'CSV or Excel files, or folders of them, with the orders the invoice bills (optional - will show file selector if not provided)'
+	)
+	.option('-d, --date-range <range>', 'Only reconcile orders in a date range in MM/DD/YY-MM/DD/YY format')
+	.option('-o, --output <path>', 'Save every matched and unmatched label to a CSV file')
+	.option('--no-prompt', 'Skip interactive prompts')
+	.option('--sheet <sheet>', 'Worksheet name or 1-based index to read from Excel files (defaults to the first sheet)')
+	.option('-m, --mapping <profile>', 'Column mapping profile (JSON or YAML) pinning source columns to standard fields')
+	.option(
+		'--invoice-mapping <profile>',
+		'Column mapping profile (JSON or YAML) pinning the invoice columns of "Tracking #", "Billed Amount", "Carrier" and "Charge Description"'
+	)
+	.option('--tag-catalog <path>', 'Tag catalog (JSON or YAML) with tag aliases, translations and descriptions')
+	.addOption(
+		new Option('--lang <language>', 'Language of the console tables and saved labels')
+			.choices(LANGUAGES)
+			.default(DEFAULT_LANGUAGE)
+	)
+	.action(async (invoice, filenames, options) => {
+		try {
+			console.log(chalk.blue('ShipStation Rates Calculator - Invoice Reconciliation'));
+
+			// Load the invoice column mapping profile first, so a bad profile fails before the orders are read
+			const invoiceMappingProfile = options.invoiceMapping ? await loadMappingProfile(options.invoiceMapping) : null;
 
-			if (!options.storeOnly) {
-				// Display tag metrics with total orders count
-				displayTagMetrics(tagMetrics, dateFilter.periodName);
+			// If no filename is provided, show the file selector
+			const filesToAnalyze = filenames.length > 0 ? filenames : [await selectCSVFile()];
+			console.log(chalk.gray(`Analyzing: ${filesToAnalyze.join(', ')}\n`));
+
+			const { dateFilter, sources, totalDuplicates, orders, tagCatalog } = await analyze({
+				files: filesToAnalyze,
+				dateRange: options.dateRange || null,
+				sheet: options.sheet,
+				mapping: options.mapping,
+				tagCatalog: options.tagCatalog,
+				learnMapping: options.prompt !== false,
+				language: options.lang,
+				logger: console,
+			});
+			if (sources.length > 1 || totalDuplicates > 0) {
+				displaySourceSummary(sources, { language: options.lang });
 			}
 
-			// Save report if --save option is provided
-			if (options.save) {
-				if (options.csv) {
-					// Save as CSV if --csv option is provided
-					console.log(chalk.yellow('\nSaving report to CSV file...'));
-					const savedFilePath = await saveReportToCSV(storeMetrics, tagMetrics, dateFilter.periodName);
-					console.log(chalk.green(`Report saved to: ${savedFilePath}`));
-				} else {
-					// Save as Excel by default
-					console.log(chalk.yellow('\nSaving report to Excel file...'));
-					const savedFilePath = await saveReportToExcel(storeMetrics, tagMetrics, dateFilter.periodName);
-					console.log(chalk.green(`Report saved to: ${savedFilePath}`));
-				}
+			// Read the carrier invoice, with its own column mapping profile
+			console.log(chalk.yellow(`Reading invoice: ${invoice}`));
+			const invoiceLines = await readInvoiceFile(invoice, { mappingProfile: invoiceMappingProfile });
+			if (invoiceLines.length === 0) {
+				throw new Error(`No invoice lines found in ${invoice}`);
+			}
+			console.log(chalk.green(`Successfully read ${invoiceLines.length} invoice lines`));
+
+			const reconciliation = reconcileInvoice(orders, invoiceLines, tagCatalog);
+
+			displayReconciliation(reconciliation, path.basename(invoice), dateFilter.periodName, {
+				tagCatalog,
+				language: options.lang,
+			});
+
+			// Save every label if --output is provided
+			if (options.output) {
+				const savedFilePath = await saveReconciliationToCSV(reconciliation, options.output, {
+					language: options.lang,
+				});
+				console.log(chalk.green(`\nReconciliation saved to: ${savedFilePath}`));
 			}
 		} catch (error) {
 			console.error(chalk.red(`Error: ${error.message}`));
@@ -271,4 +600,76 @@ program
 		}
 	});
 
+program
+	.command('simulate')
+	.description('Replay the orders under hypothetical free-shipping rules and compare the store metrics')
+	.argument(
+		'[filenames...]',
+		'CSV or Excel files, or folders of them (optional - will show file selector if not provided)'
+	)
+	.option('--free-above <amount>', 'Free shipping for orders with a subtotal at or above this amount, e.g. 50')
+	.option(
+		'--flat-rate <amount>',
+		'Shipping charged on orders below the free-shipping threshold (or on every order without one), e.g. 5.99'
+	)
+	.option(
+		'--rules <path>',
+		'Shipping rules (JSON or YAML) with a default rule and per-store rules (--free-above and --flat-rate replace the default)'
+	)
+	.option('-d, --date-range <range>', 'Only simulate orders in a date range in MM/DD/YY-MM/DD/YY format')
+	.option('--no-prompt', 'Skip interactive prompts')
+	.option('--sheet <sheet>', 'Worksheet name or 1-based index to read from Excel files (defaults to the first sheet)')
+	.option('-m, --mapping <profile>', 'Column mapping profile (JSON or YAML) pinning source columns to standard fields')
+	.option('--tag-catalog <path>', 'Tag catalog (JSON or YAML) with tag aliases, translations and descriptions')
+	.addOption(
+		new Option('--lang <language>', 'Language of the console tables')
+			.choices(LANGUAGES)
+			.default(DEFAULT_LANGUAGE)
+	)
+	.action(async (filenames, options) => {
+		try {
+			console.log(chalk.blue('ShipStation Rates Calculator - Free Shipping Simulation'));
+
+			// Resolve the rules first, so bad rules fail before the orders are read. The rules file was validated
+			// when loaded, so only --free-above and --flat-rate can be invalid here
+			const fileRules = options.rules ? await loadShippingRules(options.rules) : createShippingRules({});
+			const rules = createShippingRules(
+				{
+					...fileRules,
+					freeAbove: options.freeAbove !== undefined ? options.freeAbove : fileRules.freeAbove,
+					flatRate: options.flatRate !== undefined ? options.flatRate : fileRules.flatRate,
+				},
+				'command line options'
+			);
+			if (!hasShippingRule(rules)) {
+				throw new Error('Simulate needs a rule: use --free-above, --flat-rate or --rules');
+			}
+
+			// If no filename is provided, show the file selector
+			const filesToAnalyze = filenames.length > 0 ? filenames : [await selectCSVFile()];
+			console.log(chalk.gray(`Analyzing: ${filesToAnalyze.join(', ')}\n`));
+
+			const { dateFilter, sources, totalDuplicates, orders, tagCatalog } = await analyze({
+				files: filesToAnalyze,
+				dateRange: options.dateRange || null,
+				sheet: options.sheet,
+				mapping: options.mapping,
+				tagCatalog: options.tagCatalog,
+				learnMapping: options.prompt !== false,
+				language: options.lang,
+				logger: console,
+			});
+			if (sources.length > 1 || totalDuplicates > 0) {
+				displaySourceSummary(sources, { language: options.lang });
+			}
+
+			const simulation = simulateShippingRules(orders, rules, tagCatalog);
+
+			displaySimulation(simulation, dateFilter.periodName, { language: options.lang });
+		} catch (error) {
+			console.error(chalk.red(`Error: ${error.message}`));
+			process.exit(1);
+		}
+	});
+
 program.parse();
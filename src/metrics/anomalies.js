@@ -0,0 +1,229 @@
+/**
+ * Anomaly Detection
+ *
+ * This module flags individual labels worth a second look. A label is compared with its peers: the
+ * labels of the same store, carrier, service and weight band. When that group is too small to have a
+ * norm, the comparison falls back to broader groups (the same carrier, service and weight band in any
+ * store, then the same carrier and service, then every label). Orders are also flagged when the customer
+ * paid much more for shipping than the label cost, which may mean they were overcharged.
+ *
+ * Values are read with readOrderValues, as in calculateStoreMetrics, so the flagged labels add up to
+ * the store totals they are part of.
+ */
+
+import { getOrderDate } from '../utils/dateFilter.js';
+import {
+	readOrderValues,
+	extractWeightInOunces,
+	findWeightBand,
+	parseWeightBands,
+	calculatePercentile,
+} from './calculator.js';
+
+// A label costing at least this many times its peer median is flagged
+export const DEFAULT_RATE_FACTOR = 3;
+
+// An order whose shipping paid is at least this many times its label cost is flagged
+export const DEFAULT_OVERCHARGE_FACTOR = 2;
+
+// Labels flagged by less than this amount aren't worth a review
+export const MIN_ANOMALY_EXCESS = 5;
+
+// A peer group needs at least this many labels (the flagged one included) to have a norm
+export const MIN_PEER_LABELS = 5;
+
+// Peer groups from the most to the least specific, with the label fields that define them
+const PEER_LEVELS = [
+	{ level: 'storeCarrierServiceBand', fields: ['store', 'carrier', 'service', 'weightBand'] },
+	{ level: 'carrierServiceBand', fields: ['carrier', 'service', 'weightBand'] },
+	{ level: 'carrierService', fields: ['carrier', 'service'] },
+	{ level: 'all', fields: [] },
+];
+
+// Columns of the review export, in display order, with the message keys of their headers
+export const ANOMALY_FIELDS = [
+	{ key: 'rank', labelKey: 'anomaly.rank', format: 'count' },
+	{ key: 'reason', labelKey: 'anomaly.reason', format: 'reason' },
+	{ key: 'orderNumber', labelKey: 'order.orderNumber', format: 'text' },
+	{ key: 'orderDate', labelKey: 'order.orderDate', format: 'date' },
+	{ key: 'store', labelKey: 'common.store', format: 'text' },
+	{ key: 'carrier', labelKey: 'common.carrier', format: 'text' },
+	{ key: 'service', labelKey: 'common.service', format: 'text' },
+	{ key: 'weightBand', labelKey: 'weight.band', format: 'text' },
+	{ key: 'trackingNumber', labelKey: 'order.trackingNumber', format: 'text' },
+	{ key: 'rate', labelKey: 'metric.shipCost', format: 'currency' },
+	{ key: 'shippingPaid', labelKey: 'metric.shipPaid', format: 'currency' },
+	{ key: 'expected', labelKey: 'anomaly.expected', format: 'currency' },
+	{ key: 'excess', labelKey: 'anomaly.excess', format: 'currency' },
+	{ key: 'ratio', labelKey: 'anomaly.ratio', format: 'ratio' },
+	{ key: 'peerGroup', labelKey: 'anomaly.peerGroup', format: 'list' },
+	{ key: 'peerLabels', labelKey: 'anomaly.peerLabels', format: 'count' },
+];
+
+/**
+ * Checks an anomaly factor option
+ * @param {number} value - Factor as passed (undefined for the default)
+ * @param {number} defaultValue - Factor used when none is passed
+ * @param {string} name - Option name for the error message
+ * @returns {number} - The factor
+ * @throws {Error} - If the factor isn't a number greater than 1
+ */
+function resolveFactor(value, defaultValue, name) {
+	if (value === undefined || value === null) {
+		return defaultValue;
+	}
+	const factor = Number(value);
+	if (!Number.isFinite(factor) || factor <= 1) {
+		throw new Error(`Invalid ${name} "${value}": use a number greater than 1, e.g. ${defaultValue}`);
+	}
+	return factor;
+}
+
+/**
+ * Builds the key of a label's peer group at one level
+ * @param {Object} label - Label with store, carrier, service and weightBand
+ * @param {Array<string>} fields - Fields that define the peer group
+ * @returns {string} - Group key
+ */
+function getPeerKey(label, fields) {
+	return JSON.stringify(fields.map((field) => label[field]));
+}
+
+/**
+ * Flags labels whose Rate is far above the norm of their peers and orders whose shipping paid is
+ * far above their label cost
+ *
+ * The norm of a peer group is the median Rate of its labels, so the outliers being looked for don't
+ * pull it up. Each label is compared with the most specific peer group that has at least
+ * MIN_PEER_LABELS labels. Both checks also need the excess to reach MIN_ANOMALY_EXCESS.
+ *
+ * @param {Array<Object>} data - Array of ShipStation order data
+ * @param {Object} options - Detection options
+ * @param {Array<Object>} options.bands - Weight bands from parseWeightBands (defaults to DEFAULT_WEIGHT_BAND_LIMITS)
+ * @param {number} options.rateFactor - Flag labels costing at least this many times their peer median
+ *   (default: DEFAULT_RATE_FACTOR)
+ * @param {number} options.overchargeFactor - Flag orders whose shipping paid is at least this many times the label
+ *   cost (default: DEFAULT_OVERCHARGE_FACTOR)
+ * @returns {Object} - Object with the number of checked labels, the factors, the highRate and overcharge counts,
+ *   and the anomalies ranked by excess (rank 1 is the largest); an order can be flagged for both reasons
+ * @throws {Error} - If a factor isn't a number greater than 1
+ */
+export function detectAnomalies(data, options = {}) {
+	const bands = options.bands || parseWeightBands();
+	const rateFactor = resolveFactor(options.rateFactor, DEFAULT_RATE_FACTOR, 'anomaly factor');
+	const overchargeFactor = resolveFactor(options.overchargeFactor, DEFAULT_OVERCHARGE_FACTOR, 'overcharge factor');
+
+	// Read each shipped label with the same values as the store metrics
+	const labels = [];
+	for (const order of data) {
+		const { store, labelType, rate, shippingPaid } = readOrderValues(order);
+
+		// Voided, return and refunded labels aren't orders
+		if (labelType !== 'shipment') {
+			continue;
+		}
+
+		const band = findWeightBand(extractWeightInOunces(order), bands);
+
+		labels.push({
+			orderNumber: order['Order #'] !== undefined ? String(order['Order #']) : '',
+			orderDate: getOrderDate(order),
+			store,
+			carrier: order.Carrier || 'Unknown',
+			service: order.Service || 'Unknown',
+			weightBand: band ? band.label : '',
+			trackingNumber: order['Tracking #'] !== undefined ? String(order['Tracking #']).trim() : '',
+			rate,
+			shippingPaid,
+		});
+	}
+
+	// Collect the Rates of every peer group, then take their medians
+	const peerRates = PEER_LEVELS.map(() => new Map());
+	for (const label of labels) {
+		PEER_LEVELS.forEach(({ fields }, index) => {
+			const key = getPeerKey(label, fields);
+			if (!peerRates[index].has(key)) {
+				peerRates[index].set(key, []);
+			}
+			peerRates[index].get(key).push(label.rate);
+		});
+	}
+	const peerMedians = peerRates.map((groups) => {
+		const medians = new Map();
+		for (const [key, rates] of groups) {
+			const sortedRates = [...rates].sort((a, b) => a - b);
+			medians.set(key, { median: calculatePercentile(sortedRates, 50), labels: rates.length });
+		}
+		return medians;
+	});
+
+	const anomalies = [];
+	for (const label of labels) {
+		const { rate, shippingPaid } = label;
+		const details = {
+			orderNumber: label.orderNumber,
+			orderDate: label.orderDate,
+			store: label.store,
+			carrier: label.carrier,
+			service: label.service,
+			weightBand: label.weightBand,
+			trackingNumber: label.trackingNumber,
+			rate: parseFloat(rate.toFixed(2)),
+			shippingPaid: parseFloat(shippingPaid.toFixed(2)),
+		};
+
+		// Compare the Rate with the most specific peer group that has a norm
+		const levelIndex = PEER_LEVELS.findIndex(
+			({ fields }, index) => peerMedians[index].get(getPeerKey(label, fields)).labels >= MIN_PEER_LABELS
+		);
+		if (levelIndex !== -1) {
+			const { level, fields } = PEER_LEVELS[levelIndex];
+			const peers = peerMedians[levelIndex].get(getPeerKey(label, fields));
+			const excess = rate - peers.median;
+
+			if (rate >= peers.median * rateFactor && excess >= MIN_ANOMALY_EXCESS) {
+				anomalies.push({
+					reason: 'highRate',
+					...details,
+					expected: parseFloat(peers.median.toFixed(2)),
+					excess: parseFloat(excess.toFixed(2)),
+					ratio: peers.median > 0 ? parseFloat((rate / peers.median).toFixed(2)) : null,
+					peerLevel: level,
+					peerGroup: fields.map((field) => label[field]),
+					peerLabels: peers.labels,
+				});
+			}
+		}
+
+		// Compare what the customer paid for shipping with what the label cost
+		const overcharge = shippingPaid - rate;
+		if (shippingPaid >= rate * overchargeFactor && overcharge >= MIN_ANOMALY_EXCESS) {
+			anomalies.push({
+				reason: 'overcharge',
+				...details,
+				expected: parseFloat(rate.toFixed(2)),
+				excess: parseFloat(overcharge.toFixed(2)),
+				ratio: rate > 0 ? parseFloat((shippingPaid / rate).toFixed(2)) : null,
+				peerLevel: null,
+				peerGroup: [],
+				peerLabels: null,
+			});
+		}
+	}
+
+	// Largest excess first: the most money at stake is reviewed first
+	anomalies.sort((a, b) => b.excess - a.excess);
+	anomalies.forEach((anomaly, index) => {
+		anomaly.rank = index + 1;
+	});
+
+	return {
+		labels: labels.length,
+		rateFactor,
+		overchargeFactor,
+		highRate: anomalies.filter(({ reason }) => reason === 'highRate').length,
+		overcharge: anomalies.filter(({ reason }) => reason === 'overcharge').length,
+		anomalies,
+	};
+}
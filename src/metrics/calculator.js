@@ -5,12 +5,18 @@
  * It includes calculations for store-based metrics and tag-based metrics.
  */
 
+import { getOrderDate } from '../utils/dateFilter.js';
+import { resolveTagName, isExcludedFromRevenue } from '../utils/tagCatalog.js';
+
+// Supported time-series bucket sizes
+export const TREND_PERIODS = ['day', 'week', 'month'];
+
 /**
  * Safely extracts a numeric value from a field that might be a string or number
  * @param {any} value - The value to extract a number from
  * @returns {number} - The extracted number or 0 if invalid
  */
-function extractNumericValue(value) {
+export function extractNumericValue(value) {
 	if (value === undefined || value === null) {
 		return 0;
 	}
@@ -27,25 +33,238 @@ function extractNumericValue(value) {
 	return 0;
 }
 
+/**
+ * Extracts the order total (the value of the products on the order)
+ * @param {Object} order - ShipStation order data
+ * @returns {number} - Order total, or 0 if the order has none
+ */
+export function extractOrderTotal(order) {
+	return extractNumericValue(order['Order Total']) || extractNumericValue(order['OrderTotal']) || 0;
+}
+
+/**
+ * Extracts the shipping paid by the customer
+ * @param {Object} order - ShipStation order data
+ * @returns {number} - Shipping paid, or 0 if the customer paid none
+ */
+export function extractShippingPaid(order) {
+	return extractNumericValue(order['Shipping']) || extractNumericValue(order['Shipping Paid']) || 0;
+}
+
+// Values of a void, return or refund indicator column that don't mean yes
+const NEGATIVE_INDICATOR_VALUES = ['', 'false', 'no', 'n', '0', 'none', 'n/a', 'null', '-', 'pending', 'rejected', 'denied'];
+
+/**
+ * Determines whether a void, return or refund indicator column is set
+ * @param {any} value - Indicator value, e.g. true, "Yes", "1", a void date or a refund status
+ * @returns {boolean} - True unless the value is empty, zero or a negative value such as "No" or "Rejected"
+ */
+function isIndicatorSet(value) {
+	if (value === undefined || value === null) {
+		return false;
+	}
+
+	if (typeof value === 'boolean') {
+		return value;
+	}
+
+	if (typeof value === 'number') {
+		return value !== 0;
+	}
+
+	return !NEGATIVE_INDICATOR_VALUES.includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * Gets the type of label a row is, from its Voided, Refunded and Return Label columns
+ *
+ * A voided label was never used and is left out of every metric. A label whose postage was
+ * refunded, or a return label, was bought but didn't ship an order: both are reported as separate
+ * shipping cost lines of their store instead of as orders.
+ *
+ * @param {Object} order - ShipStation order data
+ * @returns {string} - void, refund, return or shipment
+ */
+export function getLabelType(order) {
+	if (isIndicatorSet(order.Voided)) {
+		return 'void';
+	}
+	if (isIndicatorSet(order.Refunded)) {
+		return 'refund';
+	}
+	if (isIndicatorSet(order['Return Label'])) {
+		return 'return';
+	}
+	return 'shipment';
+}
+
+/**
+ * Reads the values every per-order metric starts from, so store metrics and the checks built on
+ * them read an order the same way
+ * @param {Object} order - ShipStation order data
+ * @returns {Object} - Object with the store ('Unknown' if missing), labelType (see getLabelType), rate,
+ *   orderTotal and shippingPaid
+ */
+export function readOrderValues(order) {
+	return {
+		store: order.Store || 'Unknown',
+		labelType: getLabelType(order),
+		rate: extractNumericValue(order.Rate),
+		orderTotal: extractOrderTotal(order),
+		shippingPaid: extractShippingPaid(order),
+	};
+}
+
+// Equal-width bins of the histogram in each distribution
+export const HISTOGRAM_BINS = 10;
+
+// Per-order values described by the distribution statistics of each store and tag
+export const DISTRIBUTION_METRICS = ['rate', 'orderValue', 'shippingProfit'];
+
+/**
+ * Calculates a percentile of sorted values, interpolating between the two closest ranks
+ * (the same method as Excel's PERCENTILE.INC)
+ * @param {Array<number>} sortedValues - Values sorted in ascending order (at least one)
+ * @param {number} percentile - Percentile from 0 to 100
+ * @returns {number} - The percentile
+ */
+export function calculatePercentile(sortedValues, percentile) {
+	const rank = (percentile / 100) * (sortedValues.length - 1);
+	const lower = Math.floor(rank);
+	const upper = Math.ceil(rank);
+	return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (rank - lower);
+}
+
+/**
+ * Calculates the distribution statistics of per-order values: minimum, maximum, mean, median, P90,
+ * P95, P99, standard deviation and an equal-width histogram
+ * @param {Array<number>} values - Per-order values (e.g. the Rate of every order of a store)
+ * @param {number} binCount - Number of histogram bins (default: HISTOGRAM_BINS)
+ * @returns {Object} - Statistics with count, min, max, mean, median, p90, p95, p99, stdDev (population standard
+ *   deviation) and histogram (bins with min, max and count; the last bin includes its max)
+ */
+export function calculateDistribution(values, binCount = HISTOGRAM_BINS) {
+	const distribution = {
+		count: values.length,
+		min: 0,
+		max: 0,
+		mean: 0,
+		median: 0,
+		p90: 0,
+		p95: 0,
+		p99: 0,
+		stdDev: 0,
+		histogram: [],
+	};
+	if (values.length === 0) {
+		return distribution;
+	}
+
+	const sortedValues = [...values].sort((a, b) => a - b);
+	const mean = sortedValues.reduce((sum, value) => sum + value, 0) / sortedValues.length;
+	const variance = sortedValues.reduce((sum, value) => sum + (value - mean) ** 2, 0) / sortedValues.length;
+
+	distribution.min = sortedValues[0];
+	distribution.max = sortedValues[sortedValues.length - 1];
+	distribution.mean = mean;
+	distribution.median = calculatePercentile(sortedValues, 50);
+	distribution.p90 = calculatePercentile(sortedValues, 90);
+	distribution.p95 = calculatePercentile(sortedValues, 95);
+	distribution.p99 = calculatePercentile(sortedValues, 99);
+	distribution.stdDev = Math.sqrt(variance);
+
+	// Equal-width bins from min to max; a single bin when every value is the same
+	const bins = distribution.max > distribution.min ? binCount : 1;
+	const binWidth = (distribution.max - distribution.min) / bins;
+	for (let index = 0; index < bins; index++) {
+		distribution.histogram.push({
+			min: distribution.min + binWidth * index,
+			max: index === bins - 1 ? distribution.max : distribution.min + binWidth * (index + 1),
+			count: 0,
+		});
+	}
+	for (const value of sortedValues) {
+		const index = binWidth > 0 ? Math.min(Math.floor((value - distribution.min) / binWidth), bins - 1) : 0;
+		distribution.histogram[index].count += 1;
+	}
+
+	// Round to 2 decimal places for currency
+	for (const key of ['min', 'max', 'mean', 'median', 'p90', 'p95', 'p99', 'stdDev']) {
+		distribution[key] = parseFloat(distribution[key].toFixed(2));
+	}
+	for (const bin of distribution.histogram) {
+		bin.min = parseFloat(bin.min.toFixed(2));
+		bin.max = parseFloat(bin.max.toFixed(2));
+	}
+
+	return distribution;
+}
+
+/**
+ * Creates empty lists of the per-order values a distribution is calculated from
+ * @returns {Object} - Empty value lists keyed by DISTRIBUTION_METRICS
+ */
+function createDistributionValues() {
+	return { rate: [], orderValue: [], shippingProfit: [] };
+}
+
+/**
+ * Adds an order's values to the lists a distribution is calculated from
+ * @param {Object} values - Value lists from createDistributionValues
+ * @param {number} rate - Label cost of the order
+ * @param {number} orderTotal - Order value
+ * @param {number} shippingPaid - Shipping paid by the customer
+ */
+function addDistributionValues(values, rate, orderTotal, shippingPaid) {
+	values.rate.push(rate);
+	values.orderValue.push(orderTotal);
+	values.shippingProfit.push(shippingPaid - rate);
+}
+
+/**
+ * Calculates the distribution statistics of each per-order value
+ * @param {Object} values - Value lists from createDistributionValues
+ * @returns {Object} - Distributions from calculateDistribution keyed by DISTRIBUTION_METRICS
+ */
+function finalizeDistributionValues(values) {
+	return {
+		rate: calculateDistribution(values.rate),
+		orderValue: calculateDistribution(values.orderValue),
+		shippingProfit: calculateDistribution(values.shippingProfit),
+	};
+}
+
 /**
  * Calculates metrics grouped by store
+ *
+ * Every shipment counts toward the store metrics. The revenue* metrics repeat orders, order value,
+ * AOV, shipping cost, net revenue and net margin for revenue orders only: orders without a tag
+ * that the tag catalog marks with excludeFromRevenue.
+ *
+ * Voided labels are only counted (voidCount). Return labels and labels with refunded postage are
+ * counted with their cost (returnCount/returnRate, refundCount/refundedRate) but aren't orders, so
+ * totalRate is the cost of shipped orders. Gross shipping spend adds the return and refunded labels
+ * to it; net shipping spend takes the refunds back out.
+ *
+ * Next to the averages, distribution holds the spread of the Rate, order value and shipping profit
+ * of the store's orders (see calculateDistribution), so a few mis-rated labels don't hide in a mean.
+ *
  * @param {Array<Object>} data - Array of ShipStation order data
+ * @param {Object} tagCatalog - Tag catalog with the tags excluded from revenue (optional; without it every
+ *   order is a revenue order)
  * @returns {Object} - Object with store metrics
  */
-export function calculateStoreMetrics(data) {
+export function calculateStoreMetrics(data, tagCatalog = null) {
 	// Initialize results object
 	const storeMetrics = {};
+	const storeValues = {};
 
 	// Process each order
 	for (const order of data) {
-		const store = order.Store || 'Unknown';
-		const rate = extractNumericValue(order.Rate);
-
-		// Extract order total (assuming it's in a field called "Order Total" or similar)
-		const orderTotal = extractNumericValue(order['Order Total']) || extractNumericValue(order['OrderTotal']) || 0;
+		const { store, labelType, rate, orderTotal, shippingPaid } = readOrderValues(order);
 
-		// Extract shipping paid by customer (assuming it's in a field called "Shipping" or similar)
-		const shippingPaid = extractNumericValue(order['Shipping']) || extractNumericValue(order['Shipping Paid']) || 0;
+		// Giveaways, replacements and other excluded tags aren't customer purchases
+		const isRevenueOrder = !getOrderTags(order, tagCatalog).some((tag) => isExcludedFromRevenue(tag, tagCatalog));
 
 		// Initialize store data if it doesn't exist
 		if (!storeMetrics[store]) {
@@ -61,7 +280,38 @@ export function calculateStoreMetrics(data) {
 				shippingProfitMargin: 0,
 				netRevenue: 0,
 				netRevenueMargin: 0,
+				revenueCount: 0,
+				revenueTotalOrderValue: 0,
+				revenueAverageOrderValue: 0,
+				revenueTotalRate: 0,
+				revenueNetRevenue: 0,
+				revenueNetRevenueMargin: 0,
+				voidCount: 0,
+				returnCount: 0,
+				returnRate: 0,
+				refundCount: 0,
+				refundedRate: 0,
+				grossRate: 0,
+				netRate: 0,
+				distribution: null,
 			};
+			storeValues[store] = createDistributionValues();
+		}
+
+		// Voided, return and refunded labels are counted apart from the orders
+		if (labelType === 'void') {
+			storeMetrics[store].voidCount += 1;
+			continue;
+		}
+		if (labelType === 'return') {
+			storeMetrics[store].returnCount += 1;
+			storeMetrics[store].returnRate += rate;
+			continue;
+		}
+		if (labelType === 'refund') {
+			storeMetrics[store].refundCount += 1;
+			storeMetrics[store].refundedRate += rate;
+			continue;
 		}
 
 		// Update metrics
@@ -69,6 +319,13 @@ export function calculateStoreMetrics(data) {
 		storeMetrics[store].totalRate += rate;
 		storeMetrics[store].totalOrderValue += orderTotal;
 		storeMetrics[store].totalShippingPaid += shippingPaid;
+		addDistributionValues(storeValues[store], rate, orderTotal, shippingPaid);
+
+		if (isRevenueOrder) {
+			storeMetrics[store].revenueCount += 1;
+			storeMetrics[store].revenueTotalOrderValue += orderTotal;
+			storeMetrics[store].revenueTotalRate += rate;
+		}
 	}
 
 	// Calculate averages and profit metrics
@@ -95,6 +352,20 @@ export function calculateStoreMetrics(data) {
 		metrics.netRevenueMargin =
 			metrics.totalOrderValue > 0 ? (metrics.netRevenue / metrics.totalOrderValue) * 100 : 0;
 
+		// Calculate the same figures for revenue orders only
+		metrics.revenueAverageOrderValue =
+			metrics.revenueCount > 0 ? metrics.revenueTotalOrderValue / metrics.revenueCount : 0;
+		metrics.revenueNetRevenue = metrics.revenueTotalOrderValue - metrics.revenueTotalRate;
+		metrics.revenueNetRevenueMargin =
+			metrics.revenueTotalOrderValue > 0 ? (metrics.revenueNetRevenue / metrics.revenueTotalOrderValue) * 100 : 0;
+
+		// Calculate gross shipping spend (every label bought) and net spend (after refunds)
+		metrics.grossRate = metrics.totalRate + metrics.returnRate + metrics.refundedRate;
+		metrics.netRate = metrics.grossRate - metrics.refundedRate;
+
+		// Calculate the spread of the per-order values
+		metrics.distribution = finalizeDistributionValues(storeValues[store]);
+
 		// Round to 2 decimal places for currency
 		metrics.totalRate = parseFloat(metrics.totalRate.toFixed(2));
 		metrics.averageRate = parseFloat(metrics.averageRate.toFixed(2));
@@ -106,33 +377,68 @@ export function calculateStoreMetrics(data) {
 		metrics.shippingProfitMargin = parseFloat(metrics.shippingProfitMargin.toFixed(2));
 		metrics.netRevenue = parseFloat(metrics.netRevenue.toFixed(2));
 		metrics.netRevenueMargin = parseFloat(metrics.netRevenueMargin.toFixed(2));
+		metrics.revenueTotalOrderValue = parseFloat(metrics.revenueTotalOrderValue.toFixed(2));
+		metrics.revenueAverageOrderValue = parseFloat(metrics.revenueAverageOrderValue.toFixed(2));
+		metrics.revenueTotalRate = parseFloat(metrics.revenueTotalRate.toFixed(2));
+		metrics.revenueNetRevenue = parseFloat(metrics.revenueNetRevenue.toFixed(2));
+		metrics.revenueNetRevenueMargin = parseFloat(metrics.revenueNetRevenueMargin.toFixed(2));
+		metrics.returnRate = parseFloat(metrics.returnRate.toFixed(2));
+		metrics.refundedRate = parseFloat(metrics.refundedRate.toFixed(2));
+		metrics.grossRate = parseFloat(metrics.grossRate.toFixed(2));
+		metrics.netRate = parseFloat(metrics.netRate.toFixed(2));
 	}
 
 	return storeMetrics;
 }
 
+/**
+ * Gets the tags of an order, with aliases resolved to their canonical name
+ * @param {Object} order - ShipStation order data
+ * @param {Object} tagCatalog - Tag catalog from loadTagCatalog (optional)
+ * @returns {Array<string>} - Unique canonical tags (empty if the order has none)
+ */
+export function getOrderTags(order, tagCatalog = null) {
+	// Skip if no tags
+	if (!order.Tags || String(order.Tags).trim() === '') {
+		return [];
+	}
+
+	// Split tags (they might be comma-separated), counting a tag and its alias only once
+	const tags = String(order.Tags)
+		.split(',')
+		.map((tag) => tag.trim())
+		.filter((tag) => tag)
+		.map((tag) => resolveTagName(tag, tagCatalog));
+	return [...new Set(tags)];
+}
+
 /**
  * Calculates metrics grouped by tags
+ *
+ * Besides the shipping cost, each tag reports the value of the orders that went out and the
+ * shipping customers paid for them. The estimated cost of a tag assumes its products were given
+ * away: Order Value + Ship Cost - Ship Paid. As with stores, distribution holds the spread of the
+ * Rate, order value and shipping profit of the tag's orders.
+ *
  * @param {Array<Object>} data - Array of ShipStation order data
+ * @param {Object} tagCatalog - Tag catalog used to merge aliases into canonical tags (optional)
  * @returns {Object} - Object with tag metrics
  */
-export function calculateTagMetrics(data) {
+export function calculateTagMetrics(data, tagCatalog = null) {
 	// Initialize results object
 	const tagMetrics = {};
+	const tagValues = {};
 
 	// Process each order
 	for (const order of data) {
-		// Skip if no tags
-		if (!order.Tags || order.Tags.trim() === '') {
+		const tags = getOrderTags(order, tagCatalog);
+		if (tags.length === 0 || getLabelType(order) !== 'shipment') {
 			continue;
 		}
 
-		// Split tags (they might be comma-separated)
-		const tags = order.Tags.split(',')
-			.map((tag) => tag.trim())
-			.filter((tag) => tag);
-
 		const rate = extractNumericValue(order.Rate);
+		const orderTotal = extractOrderTotal(order);
+		const shippingPaid = extractShippingPaid(order);
 
 		// Process each tag
 		for (const tag of tags) {
@@ -142,26 +448,908 @@ export function calculateTagMetrics(data) {
 					count: 0,
 					totalRate: 0,
 					averageRate: 0,
+					totalOrderValue: 0,
+					averageOrderValue: 0,
+					totalShippingPaid: 0,
+					averageShippingPaid: 0,
+					shippingProfit: 0,
+					estimatedCost: 0,
+					distribution: null,
 				};
+				tagValues[tag] = createDistributionValues();
 			}
 
 			// Update metrics
 			tagMetrics[tag].count += 1;
 			tagMetrics[tag].totalRate += rate;
+			tagMetrics[tag].totalOrderValue += orderTotal;
+			tagMetrics[tag].totalShippingPaid += shippingPaid;
+			addDistributionValues(tagValues[tag], rate, orderTotal, shippingPaid);
 		}
 	}
 
-	// Calculate average rates
+	// Calculate averages, shipping profit and estimated cost
 	for (const tag in tagMetrics) {
 		const metrics = tagMetrics[tag];
 
-		// Calculate average rate
+		// Calculate averages
 		metrics.averageRate = metrics.count > 0 ? metrics.totalRate / metrics.count : 0;
+		metrics.averageOrderValue = metrics.count > 0 ? metrics.totalOrderValue / metrics.count : 0;
+		metrics.averageShippingPaid = metrics.count > 0 ? metrics.totalShippingPaid / metrics.count : 0;
+
+		// Calculate shipping profit (what customer paid minus what we paid)
+		metrics.shippingProfit = metrics.totalShippingPaid - metrics.totalRate;
+
+		// Estimate what the special orders cost: the products sent out plus the shipping not paid for
+		metrics.estimatedCost = metrics.totalOrderValue - metrics.shippingProfit;
+
+		// Calculate the spread of the per-order values
+		metrics.distribution = finalizeDistributionValues(tagValues[tag]);
 
 		// Round to 2 decimal places for currency
 		metrics.totalRate = parseFloat(metrics.totalRate.toFixed(2));
 		metrics.averageRate = parseFloat(metrics.averageRate.toFixed(2));
+		metrics.totalOrderValue = parseFloat(metrics.totalOrderValue.toFixed(2));
+		metrics.averageOrderValue = parseFloat(metrics.averageOrderValue.toFixed(2));
+		metrics.totalShippingPaid = parseFloat(metrics.totalShippingPaid.toFixed(2));
+		metrics.averageShippingPaid = parseFloat(metrics.averageShippingPaid.toFixed(2));
+		metrics.shippingProfit = parseFloat(metrics.shippingProfit.toFixed(2));
+		metrics.estimatedCost = parseFloat(metrics.estimatedCost.toFixed(2));
 	}
 
 	return tagMetrics;
 }
+
+/**
+ * Creates an empty carrier/service metrics object
+ * @returns {Object} - Carrier metrics with zeroed counters
+ */
+function createCarrierMetricsEntry() {
+	return {
+		count: 0,
+		totalRate: 0,
+		averageRate: 0,
+		shareOfSpend: 0,
+	};
+}
+
+/**
+ * Calculates averages and share of spend for a carrier metrics entry and rounds its values
+ * @param {Object} metrics - Carrier metrics entry
+ * @param {number} totalSpend - Total shipping spend the share is calculated against
+ */
+function finalizeCarrierMetricsEntry(metrics, totalSpend) {
+	metrics.averageRate = metrics.count > 0 ? metrics.totalRate / metrics.count : 0;
+	metrics.shareOfSpend = totalSpend > 0 ? (metrics.totalRate / totalSpend) * 100 : 0;
+
+	// Round to 2 decimal places for currency
+	metrics.totalRate = parseFloat(metrics.totalRate.toFixed(2));
+	metrics.averageRate = parseFloat(metrics.averageRate.toFixed(2));
+	metrics.shareOfSpend = parseFloat(metrics.shareOfSpend.toFixed(2));
+}
+
+/**
+ * Calculates metrics grouped by carrier, with a breakdown by service level within each carrier
+ * @param {Array<Object>} data - Array of ShipStation order data
+ * @returns {Object} - Object with carrier metrics, each with a services object of service-level metrics
+ */
+export function calculateCarrierMetrics(data) {
+	// Initialize results object
+	const carrierMetrics = {};
+	let totalSpend = 0;
+
+	// Process each order
+	for (const order of data) {
+		// Only shipped orders: voided, return and refunded labels are store cost lines
+		if (getLabelType(order) !== 'shipment') {
+			continue;
+		}
+
+		const carrier = order.Carrier || 'Unknown';
+		const service = order.Service || 'Unknown';
+		const rate = extractNumericValue(order.Rate);
+
+		// Initialize carrier and service data if they don't exist
+		if (!carrierMetrics[carrier]) {
+			carrierMetrics[carrier] = { ...createCarrierMetricsEntry(), services: {} };
+		}
+		if (!carrierMetrics[carrier].services[service]) {
+			carrierMetrics[carrier].services[service] = createCarrierMetricsEntry();
+		}
+
+		// Update metrics
+		carrierMetrics[carrier].count += 1;
+		carrierMetrics[carrier].totalRate += rate;
+		carrierMetrics[carrier].services[service].count += 1;
+		carrierMetrics[carrier].services[service].totalRate += rate;
+		totalSpend += rate;
+	}
+
+	// Calculate averages and share of total spend
+	for (const carrier in carrierMetrics) {
+		for (const service in carrierMetrics[carrier].services) {
+			finalizeCarrierMetricsEntry(carrierMetrics[carrier].services[service], totalSpend);
+		}
+		finalizeCarrierMetricsEntry(carrierMetrics[carrier], totalSpend);
+	}
+
+	return carrierMetrics;
+}
+
+/**
+ * Calculates carrier metrics for each store (store × carrier cross-tab)
+ * @param {Array<Object>} data - Array of ShipStation order data
+ * @returns {Object} - Object keyed by store, then by carrier; share of spend is relative to the store's spend
+ */
+export function calculateStoreCarrierMetrics(data) {
+	// Initialize results object
+	const storeCarrierMetrics = {};
+	const storeSpend = {};
+
+	// Process each order
+	for (const order of data) {
+		// Only shipped orders: voided, return and refunded labels are store cost lines
+		if (getLabelType(order) !== 'shipment') {
+			continue;
+		}
+
+		const store = order.Store || 'Unknown';
+		const carrier = order.Carrier || 'Unknown';
+		const rate = extractNumericValue(order.Rate);
+
+		// Initialize store and carrier data if they don't exist
+		if (!storeCarrierMetrics[store]) {
+			storeCarrierMetrics[store] = {};
+			storeSpend[store] = 0;
+		}
+		if (!storeCarrierMetrics[store][carrier]) {
+			storeCarrierMetrics[store][carrier] = createCarrierMetricsEntry();
+		}
+
+		// Update metrics
+		storeCarrierMetrics[store][carrier].count += 1;
+		storeCarrierMetrics[store][carrier].totalRate += rate;
+		storeSpend[store] += rate;
+	}
+
+	// Calculate averages and share of each store's spend
+	for (const store in storeCarrierMetrics) {
+		for (const carrier in storeCarrierMetrics[store]) {
+			finalizeCarrierMetricsEntry(storeCarrierMetrics[store][carrier], storeSpend[store]);
+		}
+	}
+
+	return storeCarrierMetrics;
+}
+
+/**
+ * Calculates tag metrics for each store (store × tag cross-tab)
+ * @param {Array<Object>} data - Array of ShipStation order data
+ * @param {Object} tagCatalog - Tag catalog used to merge aliases into canonical tags (optional)
+ * @returns {Object} - Object keyed by store, then by tag; every store is listed, even without tagged orders,
+ *   and shareOfStoreOrders is the percentage of the store's orders (tagged or not) that carry the tag
+ */
+export function calculateStoreTagMetrics(data, tagCatalog = null) {
+	// Initialize results object
+	const storeTagMetrics = {};
+	const storeOrders = {};
+
+	// Process each order
+	for (const order of data) {
+		// Only shipped orders, so the store's order count matches the store metrics
+		if (getLabelType(order) !== 'shipment') {
+			continue;
+		}
+
+		const store = order.Store || 'Unknown';
+		const rate = extractNumericValue(order.Rate);
+
+		// Initialize store data if it doesn't exist
+		if (!storeTagMetrics[store]) {
+			storeTagMetrics[store] = {};
+			storeOrders[store] = 0;
+		}
+		storeOrders[store] += 1;
+
+		// Process each tag
+		for (const tag of getOrderTags(order, tagCatalog)) {
+			// Initialize tag data if it doesn't exist
+			if (!storeTagMetrics[store][tag]) {
+				storeTagMetrics[store][tag] = {
+					count: 0,
+					totalRate: 0,
+					averageRate: 0,
+					shareOfStoreOrders: 0,
+				};
+			}
+
+			// Update metrics
+			storeTagMetrics[store][tag].count += 1;
+			storeTagMetrics[store][tag].totalRate += rate;
+		}
+	}
+
+	// Calculate averages and share of each store's orders
+	for (const store in storeTagMetrics) {
+		for (const tag in storeTagMetrics[store]) {
+			const metrics = storeTagMetrics[store][tag];
+			metrics.averageRate = metrics.count > 0 ? metrics.totalRate / metrics.count : 0;
+			metrics.shareOfStoreOrders = (metrics.count / storeOrders[store]) * 100;
+
+			// Round to 2 decimal places for currency
+			metrics.totalRate = parseFloat(metrics.totalRate.toFixed(2));
+			metrics.averageRate = parseFloat(metrics.averageRate.toFixed(2));
+			metrics.shareOfStoreOrders = parseFloat(metrics.shareOfStoreOrders.toFixed(2));
+		}
+	}
+
+	return storeTagMetrics;
+}
+
+// Ounces in one unit of each weight unit a ShipStation export may use
+const OUNCES_PER_UNIT = {
+	oz: 1,
+	ounce: 1,
+	ounces: 1,
+	lb: 16,
+	lbs: 16,
+	pound: 16,
+	pounds: 16,
+	g: 0.035274,
+	gram: 0.035274,
+	grams: 0.035274,
+	kg: 35.274,
+	kilogram: 35.274,
+	kilograms: 35.274,
+};
+
+// Upper limits of the default weight bands, in ounces: 0-4 oz, 4-8 oz, 8-16 oz, 1-2 lb, 2-5 lb, 5-10 lb and 10+ lb
+export const DEFAULT_WEIGHT_BAND_LIMITS = [4, 8, 16, 32, 80, 160];
+
+/**
+ * Formats a weight in ounces, or in pounds from one pound up
+ * @param {number} ounces - Weight in ounces
+ * @param {boolean} inPounds - Show the weight in pounds
+ * @returns {string} - The weight without trailing zeros, e.g. "8" or "1.5"
+ */
+function formatBandWeight(ounces, inPounds) {
+	return String(parseFloat((inPounds ? ounces / 16 : ounces).toFixed(2)));
+}
+
+/**
+ * Parses the upper limits of the weight bands, e.g. "4oz,8oz,1lb,2lb"
+ *
+ * Limits without a unit are ounces. The limits must increase, and weights above the last
+ * limit fall into an open-ended band.
+ *
+ * @param {string|Array<number>} limits - Comma-separated limits with units, or limits in ounces
+ *   (defaults to DEFAULT_WEIGHT_BAND_LIMITS)
+ * @returns {Array<Object>} - Bands in weight order, each with a label, minOunces and maxOunces (null for the last band)
+ * @throws {Error} - If a limit can't be parsed or the limits don't increase
+ */
+export function parseWeightBands(limits = null) {
+	const values = !limits ? DEFAULT_WEIGHT_BAND_LIMITS : Array.isArray(limits) ? limits : String(limits).split(',');
+
+	const ounces = values.map((value) => {
+		if (typeof value === 'number') {
+			return value;
+		}
+
+		const match = String(value)
+			.trim()
+			.toLowerCase()
+			.match(/^(\d+(?:\.\d+)?)\s*([a-z]*)$/);
+		if (!match || (match[2] && !OUNCES_PER_UNIT[match[2]])) {
+			throw new Error(`Invalid weight band limit "${value}". Use limits such as 4oz, 8oz, 1lb or 2.5kg`);
+		}
+		return parseFloat(match[1]) * (match[2] ? OUNCES_PER_UNIT[match[2]] : 1);
+	});
+
+	if (ounces.length === 0 || ounces.some((limit, index) => limit <= (index > 0 ? ounces[index - 1] : 0))) {
+		throw new Error('Weight band limits must be positive and increasing, e.g. 4oz,8oz,1lb,2lb');
+	}
+
+	// Bands that start at a pound or more are labeled in pounds, lighter bands in ounces
+	const bands = ounces.map((maxOunces, index) => {
+		const minOunces = index > 0 ? ounces[index - 1] : 0;
+		const inPounds = minOunces >= OUNCES_PER_UNIT.lb;
+		const unit = inPounds ? 'lb' : 'oz';
+		return {
+			label: `${formatBandWeight(minOunces, inPounds)}–${formatBandWeight(maxOunces, inPounds)} ${unit}`,
+			minOunces,
+			maxOunces,
+		};
+	});
+
+	const lastLimit = ounces[ounces.length - 1];
+	const lastInPounds = lastLimit >= OUNCES_PER_UNIT.lb;
+	bands.push({
+		label: `${formatBandWeight(lastLimit, lastInPounds)}+ ${lastInPounds ? 'lb' : 'oz'}`,
+		minOunces: lastLimit,
+		maxOunces: null,
+	});
+
+	return bands;
+}
+
+/**
+ * Extracts the package weight in ounces
+ *
+ * The Weight Unit column gives the unit of the weight; without one, weights are read as ounces
+ * (the ShipStation default).
+ *
+ * @param {Object} order - ShipStation order data
+ * @returns {number|null} - Weight in ounces, or null if the order has no weight or an unknown unit
+ */
+export function extractWeightInOunces(order) {
+	const weight = extractNumericValue(order.Weight);
+	if (weight <= 0) {
+		return null;
+	}
+
+	const unit = String(order['Weight Unit'] || 'oz')
+		.trim()
+		.toLowerCase();
+	if (!OUNCES_PER_UNIT[unit]) {
+		return null;
+	}
+
+	return weight * OUNCES_PER_UNIT[unit];
+}
+
+/**
+ * Finds the weight band of a package weight
+ * @param {number|null} ounces - Weight in ounces from extractWeightInOunces
+ * @param {Array<Object>} bands - Weight bands from parseWeightBands
+ * @returns {Object|null} - The band, or null for a package without a weight
+ */
+export function findWeightBand(ounces, bands) {
+	if (ounces === null) {
+		return null;
+	}
+	return bands.find(({ maxOunces }) => maxOunces === null || ounces <= maxOunces);
+}
+
+/**
+ * Creates an empty weight band metrics object
+ * @returns {Object} - Weight band metrics with zeroed counters
+ */
+function createWeightBandEntry() {
+	return {
+		count: 0,
+		totalRate: 0,
+		averageRate: 0,
+		totalWeight: 0,
+		costPerPound: 0,
+		shareOfLabels: 0,
+	};
+}
+
+/**
+ * Calculates the averages, cost per pound and share of labels of a weight band entry and rounds its values
+ * @param {Object} metrics - Weight band metrics entry
+ * @param {number} totalLabels - Number of labels the share is calculated against
+ */
+function finalizeWeightBandEntry(metrics, totalLabels) {
+	metrics.averageRate = metrics.count > 0 ? metrics.totalRate / metrics.count : 0;
+	metrics.costPerPound = metrics.totalWeight > 0 ? metrics.totalRate / metrics.totalWeight : 0;
+	metrics.shareOfLabels = totalLabels > 0 ? (metrics.count / totalLabels) * 100 : 0;
+
+	// Round to 2 decimal places for currency
+	metrics.totalRate = parseFloat(metrics.totalRate.toFixed(2));
+	metrics.averageRate = parseFloat(metrics.averageRate.toFixed(2));
+	metrics.totalWeight = parseFloat(metrics.totalWeight.toFixed(2));
+	metrics.costPerPound = parseFloat(metrics.costPerPound.toFixed(2));
+	metrics.shareOfLabels = parseFloat(metrics.shareOfLabels.toFixed(2));
+}
+
+/**
+ * Calculates shipping cost by package weight band, overall, per store and per carrier
+ *
+ * Each band includes its upper limit, so a 4 oz package falls into 0–4 oz. Labels without
+ * a weight can't be banded and are only counted.
+ *
+ * @param {Array<Object>} data - Array of ShipStation order data
+ * @param {Array<Object>} bands - Weight bands from parseWeightBands (defaults to DEFAULT_WEIGHT_BAND_LIMITS)
+ * @returns {Object} - Object with the bands, overall metrics keyed by band label, totals for all weighed labels,
+ *   byStore and byCarrier metrics keyed by store or carrier and then band label, and the number of weighedLabels
+ *   and unweighedLabels; totalWeight is in pounds and shareOfLabels is relative to the weighed labels of the
+ *   same store or carrier
+ */
+export function calculateWeightBandMetrics(data, bands = parseWeightBands()) {
+	// Initialize results object
+	const overall = {};
+	for (const band of bands) {
+		overall[band.label] = createWeightBandEntry();
+	}
+	const totals = createWeightBandEntry();
+	const byStore = {};
+	const byCarrier = {};
+	let unweighedLabels = 0;
+
+	// Process each order
+	for (const order of data) {
+		// Only shipped orders: voided, return and refunded labels are store cost lines
+		if (getLabelType(order) !== 'shipment') {
+			continue;
+		}
+
+		const weight = extractWeightInOunces(order);
+		if (weight === null) {
+			unweighedLabels += 1;
+			continue;
+		}
+
+		const band = findWeightBand(weight, bands);
+		const store = order.Store || 'Unknown';
+		const carrier = order.Carrier || 'Unknown';
+		const rate = extractNumericValue(order.Rate);
+
+		// Initialize store and carrier data if they don't exist
+		if (!byStore[store]) {
+			byStore[store] = {};
+		}
+		if (!byStore[store][band.label]) {
+			byStore[store][band.label] = createWeightBandEntry();
+		}
+		if (!byCarrier[carrier]) {
+			byCarrier[carrier] = {};
+		}
+		if (!byCarrier[carrier][band.label]) {
+			byCarrier[carrier][band.label] = createWeightBandEntry();
+		}
+
+		// Update metrics
+		const entries = [overall[band.label], totals, byStore[store][band.label], byCarrier[carrier][band.label]];
+		for (const metrics of entries) {
+			metrics.count += 1;
+			metrics.totalRate += rate;
+			metrics.totalWeight += weight / 16;
+		}
+	}
+
+	// Calculate averages, cost per pound and each band's share of the weighed labels
+	const weighedLabels = totals.count;
+	for (const label in overall) {
+		finalizeWeightBandEntry(overall[label], weighedLabels);
+	}
+	finalizeWeightBandEntry(totals, weighedLabels);
+	for (const group of [byStore, byCarrier]) {
+		for (const key in group) {
+			const groupLabels = Object.values(group[key]).reduce((sum, metrics) => sum + metrics.count, 0);
+			for (const label in group[key]) {
+				finalizeWeightBandEntry(group[key][label], groupLabels);
+			}
+		}
+	}
+
+	return { bands, overall, totals, byStore, byCarrier, weighedLabels, unweighedLabels };
+}
+
+// Country used for domestic orders unless another one is given
+export const DEFAULT_HOME_COUNTRY = 'US';
+
+// Spellings of the United States that ShipStation and marketplace exports use instead of "US"
+const US_COUNTRY_NAMES = ['USA', 'U.S.', 'U.S.A.', 'UNITED STATES', 'UNITED STATES OF AMERICA'];
+
+/**
+ * Normalizes a country to an upper-case code, e.g. "United States" to "US"
+ * @param {string} value - Country as exported
+ * @returns {string} - Upper-case country (empty if there is none)
+ */
+export function normalizeCountry(value) {
+	const country = String(value === undefined || value === null ? '' : value)
+		.trim()
+		.toUpperCase();
+	return US_COUNTRY_NAMES.includes(country) ? 'US' : country;
+}
+
+/**
+ * Extracts the ZIP3 prefix (the first three digits) of a US postal code
+ * @param {string|number} postalCode - Postal code as exported, e.g. "02134-1234", or 2134 for a ZIP code
+ *   that lost its leading zero
+ * @returns {string} - Three-digit prefix, or an empty string if the postal code isn't a US ZIP code
+ */
+export function extractZip3(postalCode) {
+	const match = String(postalCode === undefined || postalCode === null ? '' : postalCode)
+		.trim()
+		.match(/^(\d{3,5})(-\d{4})?$/);
+	return match ? match[1].padStart(5, '0').substring(0, 3) : '';
+}
+
+/**
+ * Creates an empty destination metrics object
+ * @returns {Object} - Destination metrics with zeroed counters
+ */
+function createDestinationEntry() {
+	return {
+		count: 0,
+		totalRate: 0,
+		averageRate: 0,
+		totalShippingPaid: 0,
+		shippingProfit: 0,
+		shareOfOrders: 0,
+	};
+}
+
+/**
+ * Calculates the average rate, shipping profit and share of orders of a destination entry and rounds its values
+ * @param {Object} metrics - Destination metrics entry
+ * @param {number} totalOrders - Number of orders the share is calculated against
+ */
+function finalizeDestinationEntry(metrics, totalOrders) {
+	metrics.averageRate = metrics.count > 0 ? metrics.totalRate / metrics.count : 0;
+	metrics.shippingProfit = metrics.totalShippingPaid - metrics.totalRate;
+	metrics.shareOfOrders = totalOrders > 0 ? (metrics.count / totalOrders) * 100 : 0;
+
+	// Round to 2 decimal places for currency
+	metrics.totalRate = parseFloat(metrics.totalRate.toFixed(2));
+	metrics.averageRate = parseFloat(metrics.averageRate.toFixed(2));
+	metrics.totalShippingPaid = parseFloat(metrics.totalShippingPaid.toFixed(2));
+	metrics.shippingProfit = parseFloat(metrics.shippingProfit.toFixed(2));
+	metrics.shareOfOrders = parseFloat(metrics.shareOfOrders.toFixed(2));
+}
+
+/**
+ * Calculates shipping metrics by destination: domestic vs international, per state or region,
+ * per country and optionally per ZIP3 prefix
+ *
+ * Orders without a ship-to country are counted as domestic when they have a state or postal code.
+ * Orders with no destination at all are only counted. States and ZIP3 prefixes cover domestic orders,
+ * countries cover international orders; ZIP3 prefixes are only calculated for a US home country.
+ *
+ * @param {Array<Object>} data - Array of ShipStation order data
+ * @param {Object} options - Calculation options
+ * @param {string} options.homeCountry - Country code of domestic orders (default: US)
+ * @param {boolean} options.zip3 - Add the ZIP3 prefix breakdown (default: false)
+ * @returns {Object} - Object with the homeCountry, totals, domestic and international metrics, byState,
+ *   byCountry and byZip3 (null without the zip3 option) metrics, and the number of unknownDestinations;
+ *   shareOfOrders is relative to the orders with a destination
+ */
+export function calculateDestinationMetrics(data, options = {}) {
+	const homeCountry = normalizeCountry(options.homeCountry || DEFAULT_HOME_COUNTRY);
+	const includeZip3 = Boolean(options.zip3) && homeCountry === 'US';
+
+	// Initialize results object
+	const totals = createDestinationEntry();
+	const domestic = createDestinationEntry();
+	const international = createDestinationEntry();
+	const byState = {};
+	const byCountry = {};
+	const byZip3 = includeZip3 ? {} : null;
+	let unknownDestinations = 0;
+
+	// Process each order
+	for (const order of data) {
+		// Only shipped orders: voided, return and refunded labels are store cost lines
+		if (getLabelType(order) !== 'shipment') {
+			continue;
+		}
+
+		const state = String(order['Ship To State'] || '')
+			.trim()
+			.toUpperCase();
+		const postalCode = order['Ship To Postal Code'];
+		const hasPostalCode = postalCode !== undefined && postalCode !== null && String(postalCode).trim() !== '';
+		let country = normalizeCountry(order['Ship To Country']);
+		if (!country && !state && !hasPostalCode) {
+			unknownDestinations += 1;
+			continue;
+		}
+		if (!country) {
+			country = homeCountry;
+		}
+
+		const isDomestic = country === homeCountry;
+		const rate = extractNumericValue(order.Rate);
+		const shippingPaid = extractShippingPaid(order);
+
+		const entries = [totals, isDomestic ? domestic : international];
+		if (isDomestic) {
+			const stateKey = state || 'Unknown';
+			if (!byState[stateKey]) {
+				byState[stateKey] = createDestinationEntry();
+			}
+			entries.push(byState[stateKey]);
+
+			const zip3 = includeZip3 ? extractZip3(postalCode) : '';
+			if (zip3) {
+				if (!byZip3[zip3]) {
+					byZip3[zip3] = createDestinationEntry();
+				}
+				entries.push(byZip3[zip3]);
+			}
+		} else {
+			if (!byCountry[country]) {
+				byCountry[country] = createDestinationEntry();
+			}
+			entries.push(byCountry[country]);
+		}
+
+		// Update metrics
+		for (const metrics of entries) {
+			metrics.count += 1;
+			metrics.totalRate += rate;
+			metrics.totalShippingPaid += shippingPaid;
+		}
+	}
+
+	// Calculate averages, profits and shares of the orders with a destination
+	const destinationOrders = totals.count;
+	for (const metrics of [totals, domestic, international]) {
+		finalizeDestinationEntry(metrics, destinationOrders);
+	}
+	for (const group of [byState, byCountry, byZip3 || {}]) {
+		for (const key in group) {
+			finalizeDestinationEntry(group[key], destinationOrders);
+		}
+	}
+
+	return { homeCountry, totals, domestic, international, byState, byCountry, byZip3, unknownDestinations };
+}
+
+// Columns of the order-level detail export, in display order, with the message keys of their headers
+export const ORDER_DETAIL_FIELDS = [
+	{ key: 'orderNumber', labelKey: 'order.orderNumber', format: 'text' },
+	{ key: 'orderDate', labelKey: 'order.orderDate', format: 'date' },
+	{ key: 'store', labelKey: 'common.store', format: 'text' },
+	{ key: 'carrier', labelKey: 'common.carrier', format: 'text' },
+	{ key: 'service', labelKey: 'common.service', format: 'text' },
+	{ key: 'trackingNumber', labelKey: 'order.trackingNumber', format: 'text' },
+	{ key: 'orderTotal', labelKey: 'metric.orderValue', format: 'currency' },
+	{ key: 'shippingPaid', labelKey: 'metric.shipPaid', format: 'currency' },
+	{ key: 'shippingCost', labelKey: 'metric.shipCost', format: 'currency' },
+	{ key: 'shippingProfit', labelKey: 'metric.shipProfit', format: 'currency' },
+	{ key: 'tags', labelKey: 'order.tags', format: 'list' },
+];
+
+/**
+ * Builds one detail row per analyzed order, with the standardized fields the metrics use
+ *
+ * Values are read exactly as calculateStoreMetrics and calculateTagMetrics read them, so the
+ * detail rows add up to the store totals and each row lists the tags it was counted toward.
+ *
+ * @param {Array<Object>} data - Array of ShipStation order data
+ * @param {Object} tagCatalog - Tag catalog used to merge aliases into canonical tags (optional)
+ * @returns {Array<Object>} - Order details keyed by the ORDER_DETAIL_FIELDS keys
+ */
+export function calculateOrderDetails(data, tagCatalog = null) {
+	// Voided, return and refunded labels aren't orders
+	const shipments = data.filter((order) => getLabelType(order) === 'shipment');
+
+	return shipments.map((order) => {
+		const rate = extractNumericValue(order.Rate);
+		const orderTotal = extractOrderTotal(order);
+		const shippingPaid = extractShippingPaid(order);
+
+		return {
+			orderNumber: order['Order #'] || '',
+			orderDate: getOrderDate(order),
+			store: order.Store || 'Unknown',
+			carrier: order.Carrier || 'Unknown',
+			service: order.Service || 'Unknown',
+			trackingNumber: order['Tracking #'] || '',
+			orderTotal: parseFloat(orderTotal.toFixed(2)),
+			shippingPaid: parseFloat(shippingPaid.toFixed(2)),
+			shippingCost: parseFloat(rate.toFixed(2)),
+			shippingProfit: parseFloat((shippingPaid - rate).toFixed(2)),
+			tags: getOrderTags(order, tagCatalog),
+		};
+	});
+}
+
+/**
+ * Sums store metrics into overall totals across all stores
+ * @param {Object} storeMetrics - Store metrics object from calculateStoreMetrics
+ * @returns {Object} - Totals with count, rates, order value, profit and margins across all stores
+ */
+export function summarizeStoreMetrics(storeMetrics) {
+	const totals = {
+		count: 0,
+		totalRate: 0,
+		totalOrderValue: 0,
+		totalShippingPaid: 0,
+		shippingProfit: 0,
+		netRevenue: 0,
+		revenueCount: 0,
+		revenueTotalOrderValue: 0,
+		revenueTotalRate: 0,
+		revenueNetRevenue: 0,
+		voidCount: 0,
+		returnCount: 0,
+		returnRate: 0,
+		refundCount: 0,
+		refundedRate: 0,
+		grossRate: 0,
+		netRate: 0,
+	};
+
+	for (const store in storeMetrics) {
+		const metrics = storeMetrics[store];
+		totals.count += metrics.count;
+		totals.totalRate += metrics.totalRate;
+		totals.totalOrderValue += metrics.totalOrderValue;
+		totals.totalShippingPaid += metrics.totalShippingPaid;
+		totals.shippingProfit += metrics.shippingProfit;
+		totals.netRevenue += metrics.netRevenue;
+		totals.revenueCount += metrics.revenueCount;
+		totals.revenueTotalOrderValue += metrics.revenueTotalOrderValue;
+		totals.revenueTotalRate += metrics.revenueTotalRate;
+		totals.revenueNetRevenue += metrics.revenueNetRevenue;
+		totals.voidCount += metrics.voidCount;
+		totals.returnCount += metrics.returnCount;
+		totals.returnRate += metrics.returnRate;
+		totals.refundCount += metrics.refundCount;
+		totals.refundedRate += metrics.refundedRate;
+		totals.grossRate += metrics.grossRate;
+		totals.netRate += metrics.netRate;
+	}
+
+	totals.averageRate = totals.count > 0 ? totals.totalRate / totals.count : 0;
+	totals.averageOrderValue = totals.count > 0 ? totals.totalOrderValue / totals.count : 0;
+	totals.averageShippingPaid = totals.count > 0 ? totals.totalShippingPaid / totals.count : 0;
+	totals.shippingProfitMargin =
+		totals.totalShippingPaid > 0 ? (totals.shippingProfit / totals.totalShippingPaid) * 100 : 0;
+	totals.netRevenueMargin = totals.totalOrderValue > 0 ? (totals.netRevenue / totals.totalOrderValue) * 100 : 0;
+	totals.revenueAverageOrderValue = totals.revenueCount > 0 ? totals.revenueTotalOrderValue / totals.revenueCount : 0;
+	totals.revenueNetRevenueMargin =
+		totals.revenueTotalOrderValue > 0 ? (totals.revenueNetRevenue / totals.revenueTotalOrderValue) * 100 : 0;
+
+	// Round to 2 decimal places for currency
+	const countKeys = ['count', 'revenueCount', 'voidCount', 'returnCount', 'refundCount'];
+	for (const key of Object.keys(totals)) {
+		if (!countKeys.includes(key)) {
+			totals[key] = parseFloat(totals[key].toFixed(2));
+		}
+	}
+
+	return totals;
+}
+
+/**
+ * Sums tag metrics into totals across all tags
+ *
+ * An order with two tags is counted under each of them, as in the tag tables' TOTAL column.
+ *
+ * @param {Object} tagMetrics - Tag metrics object from calculateTagMetrics
+ * @returns {Object} - Totals with count, shipping cost, order value, shipping paid, profit and estimated cost
+ */
+export function summarizeTagMetrics(tagMetrics) {
+	const totals = {
+		count: 0,
+		totalRate: 0,
+		totalOrderValue: 0,
+		totalShippingPaid: 0,
+		shippingProfit: 0,
+		estimatedCost: 0,
+	};
+
+	for (const tag in tagMetrics) {
+		const metrics = tagMetrics[tag];
+		totals.count += metrics.count;
+		totals.totalRate += metrics.totalRate;
+		totals.totalOrderValue += metrics.totalOrderValue;
+		totals.totalShippingPaid += metrics.totalShippingPaid;
+		totals.shippingProfit += metrics.shippingProfit;
+		totals.estimatedCost += metrics.estimatedCost;
+	}
+
+	totals.averageRate = totals.count > 0 ? totals.totalRate / totals.count : 0;
+	totals.averageOrderValue = totals.count > 0 ? totals.totalOrderValue / totals.count : 0;
+	totals.averageShippingPaid = totals.count > 0 ? totals.totalShippingPaid / totals.count : 0;
+
+	// Round to 2 decimal places for currency
+	for (const key of Object.keys(totals)) {
+		if (key !== 'count') {
+			totals[key] = parseFloat(totals[key].toFixed(2));
+		}
+	}
+
+	return totals;
+}
+
+/**
+ * Formats a date as YYYY-MM-DD using local time
+ * @param {Date} date - The date to format
+ * @returns {string} - ISO-style date string
+ */
+export function formatDateKey(date) {
+	const month = (date.getMonth() + 1).toString().padStart(2, '0');
+	const day = date.getDate().toString().padStart(2, '0');
+	return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Gets the first and last day of the bucket an order date falls into
+ * @param {Date} date - The order date
+ * @param {string} period - Bucket size: day, week (Monday to Sunday) or month
+ * @returns {Object} - Object with startDate and endDate of the bucket
+ */
+function getPeriodBounds(date, period) {
+	if (period === 'month') {
+		return {
+			startDate: new Date(date.getFullYear(), date.getMonth(), 1),
+			endDate: new Date(date.getFullYear(), date.getMonth() + 1, 0),
+		};
+	}
+
+	if (period === 'week') {
+		// Weeks start on Monday
+		const daysSinceMonday = (date.getDay() + 6) % 7;
+		const startDate = new Date(date.getFullYear(), date.getMonth(), date.getDate() - daysSinceMonday);
+		return {
+			startDate,
+			endDate: new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() + 6),
+		};
+	}
+
+	const startDate = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+	return { startDate, endDate: startDate };
+}
+
+/**
+ * Calculates store metrics for each day, week or month of the data
+ *
+ * Orders are bucketed by the same date fields the date filter uses, and each bucket is
+ * run through calculateStoreMetrics, so every store metric is available per period.
+ * Orders without a valid date can't be bucketed and are only counted.
+ *
+ * @param {Array<Object>} data - Array of ShipStation order data
+ * @param {string} period - Bucket size: day, week or month
+ * @param {Object} tagCatalog - Tag catalog with the tags excluded from revenue (optional; without it every
+ *   order is a revenue order)
+ * @returns {Object} - Object with the period, chronologically sorted buckets and the number of undated orders
+ * @throws {Error} - If the period isn't supported
+ */
+export function calculatePeriodMetrics(data, period, tagCatalog = null) {
+	if (!TREND_PERIODS.includes(period)) {
+		throw new Error(`Invalid period "${period}". Use one of: ${TREND_PERIODS.join(', ')}`);
+	}
+
+	// Group orders into buckets keyed by the bucket's first day
+	const bucketOrders = {};
+	const bucketBounds = {};
+	let undatedOrders = 0;
+
+	for (const order of data) {
+		// Voided labels don't belong to any period
+		if (getLabelType(order) === 'void') {
+			continue;
+		}
+
+		const orderDate = getOrderDate(order);
+		if (!orderDate) {
+			undatedOrders += 1;
+			continue;
+		}
+
+		const bounds = getPeriodBounds(orderDate, period);
+		const key = formatDateKey(bounds.startDate);
+
+		if (!bucketOrders[key]) {
+			bucketOrders[key] = [];
+			bucketBounds[key] = bounds;
+		}
+		bucketOrders[key].push(order);
+	}
+
+	// Calculate store metrics and totals for each bucket in chronological order
+	const buckets = Object.keys(bucketOrders)
+		.sort()
+		.map((key) => {
+			const storeMetrics = calculateStoreMetrics(bucketOrders[key], tagCatalog);
+			return {
+				key,
+				startDate: bucketBounds[key].startDate,
+				endDate: bucketBounds[key].endDate,
+				storeMetrics,
+				totals: summarizeStoreMetrics(storeMetrics),
+			};
+		});
+
+	return {
+		period,
+		buckets,
+		undatedOrders,
+	};
+}
@@ -0,0 +1,118 @@
+/**
+ * Metrics Comparison
+ *
+ * This module provides functions to compare store and tag metrics between two periods
+ * (two files, or two date ranges of the same data) with absolute and percent changes.
+ */
+
+import { summarizeStoreMetrics } from './calculator.js';
+
+// Store metrics compared, in display order (every metric from calculateStoreMetrics), with their message keys
+export const STORE_COMPARISON_METRICS = [
+	{ key: 'count', labelKey: 'metric.orders', format: 'number' },
+	{ key: 'totalOrderValue', labelKey: 'metric.orderValue', format: 'currency' },
+	{ key: 'averageOrderValue', labelKey: 'metric.aov', format: 'currency' },
+	{ key: 'totalRate', labelKey: 'metric.shipCost', format: 'currency' },
+	{ key: 'averageRate', labelKey: 'metric.avgShipCost', format: 'currency' },
+	{ key: 'totalShippingPaid', labelKey: 'metric.shipPaid', format: 'currency' },
+	{ key: 'averageShippingPaid', labelKey: 'metric.avgShipPaid', format: 'currency' },
+	{ key: 'shippingProfit', labelKey: 'metric.shipProfit', format: 'currency' },
+	{ key: 'shippingProfitMargin', labelKey: 'metric.shipMargin', format: 'percentage' },
+	{ key: 'netRevenue', labelKey: 'metric.netRevenue', format: 'currency' },
+	{ key: 'netRevenueMargin', labelKey: 'metric.netMargin', format: 'percentage' },
+	{ key: 'revenueCount', labelKey: 'metric.revenueOrders', format: 'number' },
+	{ key: 'revenueTotalOrderValue', labelKey: 'metric.revenueOrderValue', format: 'currency' },
+	{ key: 'revenueAverageOrderValue', labelKey: 'metric.revenueAov', format: 'currency' },
+	{ key: 'revenueTotalRate', labelKey: 'metric.revenueShipCost', format: 'currency' },
+	{ key: 'revenueNetRevenue', labelKey: 'metric.revenueNetRevenue', format: 'currency' },
+	{ key: 'revenueNetRevenueMargin', labelKey: 'metric.revenueNetMargin', format: 'percentage' },
+	{ key: 'voidCount', labelKey: 'metric.voidedLabels', format: 'number' },
+	{ key: 'returnCount', labelKey: 'metric.returnLabels', format: 'number' },
+	{ key: 'returnRate', labelKey: 'metric.returnCost', format: 'currency' },
+	{ key: 'refundCount', labelKey: 'metric.refundedLabels', format: 'number' },
+	{ key: 'refundedRate', labelKey: 'metric.refundedPostage', format: 'currency' },
+	{ key: 'grossRate', labelKey: 'metric.grossShipSpend', format: 'currency' },
+	{ key: 'netRate', labelKey: 'metric.netShipSpend', format: 'currency' },
+];
+
+// Tag metrics compared, in display order (every metric from calculateTagMetrics), with their message keys
+export const TAG_COMPARISON_METRICS = [
+	{ key: 'count', labelKey: 'metric.orders', format: 'number' },
+	{ key: 'totalRate', labelKey: 'metric.totalShippingCost', format: 'currency' },
+	{ key: 'averageRate', labelKey: 'metric.avgShippingCost', format: 'currency' },
+	{ key: 'totalOrderValue', labelKey: 'metric.orderValue', format: 'currency' },
+	{ key: 'averageOrderValue', labelKey: 'metric.aov', format: 'currency' },
+	{ key: 'totalShippingPaid', labelKey: 'metric.shipPaid', format: 'currency' },
+	{ key: 'averageShippingPaid', labelKey: 'metric.avgShipPaid', format: 'currency' },
+	{ key: 'shippingProfit', labelKey: 'metric.shipProfit', format: 'currency' },
+	{ key: 'estimatedCost', labelKey: 'metric.estimatedCost', format: 'currency' },
+];
+
+/**
+ * Compares a single metric value between two periods
+ * @param {number} base - Value in the base period
+ * @param {number} current - Value in the current period
+ * @returns {Object} - Object with base, current, change and percentChange (null when base is 0)
+ */
+function compareValues(base, current) {
+	const change = current - base;
+
+	return {
+		base,
+		current,
+		change: parseFloat(change.toFixed(2)),
+		percentChange: base !== 0 ? parseFloat(((change / Math.abs(base)) * 100).toFixed(2)) : null,
+	};
+}
+
+/**
+ * Compares every metric of every group (store or tag) between two periods
+ *
+ * Groups that only exist in one period are compared against zeros.
+ *
+ * @param {Object} baseGroups - Metrics keyed by group name for the base period
+ * @param {Object} currentGroups - Metrics keyed by group name for the current period
+ * @param {Array<Object>} metricDefinitions - Metrics to compare (STORE_COMPARISON_METRICS or TAG_COMPARISON_METRICS)
+ * @returns {Object} - Comparison keyed by group name, with inBase/inCurrent flags and per-metric changes
+ */
+export function compareGroups(baseGroups, currentGroups, metricDefinitions) {
+	const comparison = {};
+	const groups = [...new Set([...Object.keys(baseGroups), ...Object.keys(currentGroups)])];
+
+	for (const group of groups) {
+		const base = baseGroups[group] || {};
+		const current = currentGroups[group] || {};
+
+		comparison[group] = {
+			inBase: Boolean(baseGroups[group]),
+			inCurrent: Boolean(currentGroups[group]),
+			metrics: {},
+		};
+
+		for (const { key } of metricDefinitions) {
+			comparison[group].metrics[key] = compareValues(base[key] || 0, current[key] || 0);
+		}
+	}
+
+	return comparison;
+}
+
+/**
+ * Builds a side-by-side comparison of store and tag metrics for two periods
+ * @param {Object} base - Base period with label, storeMetrics and tagMetrics
+ * @param {Object} current - Current period with label, storeMetrics and tagMetrics
+ * @returns {Object} - Comparison with period labels, all-stores totals, stores and tags
+ */
+export function buildComparison(base, current) {
+	return {
+		baseLabel: base.label,
+		currentLabel: current.label,
+		totals: compareGroups(
+			{ 'All Stores': summarizeStoreMetrics(base.storeMetrics) },
+			{ 'All Stores': summarizeStoreMetrics(current.storeMetrics) },
+			STORE_COMPARISON_METRICS
+		)['All Stores'],
+		stores: compareGroups(base.storeMetrics, current.storeMetrics, STORE_COMPARISON_METRICS),
+		tags: compareGroups(base.tagMetrics, current.tagMetrics, TAG_COMPARISON_METRICS),
+	};
+}
@@ -0,0 +1,410 @@
+/**
+ * Carrier Invoice Reconciliation
+ *
+ * This module joins carrier invoice lines to the analyzed ShipStation orders by tracking number.
+ * The order's Rate is the label cost quoted when the label was bought; the invoice is what the carrier
+ * billed after weight and dimension corrections, address fixes and surcharges. Every invoice line of a
+ * tracking number is added up, so adjustments billed as separate lines count toward their label.
+ *
+ * As in the store metrics, only shipped orders make up the totals: voided labels are skipped, and
+ * return and refunded labels are reconciled apart.
+ */
+
+import { extractNumericValue, getLabelType, getOrderTags } from './calculator.js';
+
+// Columns of the label-level reconciliation export, in display order, with the message keys of their headers
+export const RECONCILIATION_LABEL_FIELDS = [
+	{ key: 'status', labelKey: 'reconcile.status', format: 'status' },
+	{ key: 'trackingNumber', labelKey: 'order.trackingNumber', format: 'text' },
+	{ key: 'orderNumber', labelKey: 'order.orderNumber', format: 'text' },
+	{ key: 'store', labelKey: 'common.store', format: 'text' },
+	{ key: 'carrier', labelKey: 'common.carrier', format: 'text' },
+	{ key: 'tags', labelKey: 'order.tags', format: 'list' },
+	{ key: 'quoted', labelKey: 'reconcile.quoted', format: 'currency' },
+	{ key: 'billed', labelKey: 'reconcile.billed', format: 'currency' },
+	{ key: 'difference', labelKey: 'reconcile.difference', format: 'currency' },
+	{ key: 'charges', labelKey: 'reconcile.charges', format: 'list' },
+];
+
+/**
+ * Normalizes a tracking number so ShipStation and invoice values compare equal
+ * @param {string|number} value - Tracking number as exported
+ * @returns {string} - Upper-case tracking number without spaces (empty if there is none)
+ */
+export function normalizeTrackingNumber(value) {
+	if (value === undefined || value === null) {
+		return '';
+	}
+	return String(value).replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Creates an empty reconciliation group entry
+ * @returns {Object} - Entry with zeroed label count and amounts
+ */
+function createReconciliationEntry() {
+	return {
+		labels: 0,
+		adjustedLabels: 0,
+		quoted: 0,
+		billed: 0,
+		difference: 0,
+		differencePercent: 0,
+	};
+}
+
+/**
+ * Adds a matched label to a reconciliation group entry
+ * @param {Object} entry - Entry from createReconciliationEntry
+ * @param {Object} label - Matched label
+ */
+function addLabelToEntry(entry, label) {
+	entry.labels += 1;
+	entry.quoted += label.quoted;
+	entry.billed += label.billed;
+	if (label.adjusted) {
+		entry.adjustedLabels += 1;
+	}
+}
+
+/**
+ * Calculates the difference and rounds the amounts of a reconciliation group entry
+ * @param {Object} entry - Entry from createReconciliationEntry
+ */
+function finalizeReconciliationEntry(entry) {
+	entry.difference = entry.billed - entry.quoted;
+	entry.differencePercent = entry.quoted !== 0 ? (entry.difference / entry.quoted) * 100 : 0;
+
+	// Round to 2 decimal places for currency
+	entry.quoted = parseFloat(entry.quoted.toFixed(2));
+	entry.billed = parseFloat(entry.billed.toFixed(2));
+	entry.difference = parseFloat(entry.difference.toFixed(2));
+	entry.differencePercent = parseFloat(entry.differencePercent.toFixed(2));
+}
+
+/**
+ * Reconciles carrier invoice lines against the label rates of the analyzed orders
+ *
+ * Labels are matched by tracking number. A label billed for more (or less) than its quoted rate by
+ * at least a cent counts as adjusted. Labels on only one side are listed as unmatched: ShipStation
+ * labels the invoice doesn't bill yet, and invoice charges for labels that aren't in the orders.
+ * Voided labels are skipped, so an invoice charge for one is listed in billedVoidedLabels. Return and
+ * refunded labels don't count toward the totals or groups; they are listed in returnLabels and
+ * refundedLabels (with billed and difference null when the invoice doesn't bill them) and summed up in
+ * the returns and refunds entries.
+ *
+ * @param {Array<Object>} data - Array of ShipStation order data
+ * @param {Array<Object>} invoiceLines - Invoice lines from readInvoiceFile
+ * @param {Object} tagCatalog - Tag catalog used to merge aliases into canonical tags (optional)
+ * @returns {Object} - Reconciliation with totals, byStore, byCarrier and byTag entries, the matched labels,
+ *   unmatchedLabels (ShipStation only), unmatchedInvoiceLabels (invoice only), returns and refunds entries
+ *   with their returnLabels and refundedLabels, voidedLabels (count), billedVoidedLabels,
+ *   ordersWithoutTracking and untrackedCharges (invoice lines without a tracking number)
+ */
+export function reconcileInvoice(data, invoiceLines, tagCatalog = null) {
+	// Group the ShipStation labels by tracking number (an order shipped in several labels is rare,
+	// but a label shared by several orders adds up their quoted rates)
+	const labels = new Map();
+	const voidedTrackingNumbers = new Set();
+	let voidedLabels = 0;
+	let ordersWithoutTracking = 0;
+
+	for (const order of data) {
+		const labelType = getLabelType(order);
+		const trackingNumber = normalizeTrackingNumber(order['Tracking #']);
+
+		// Voided labels aren't billed, so they aren't reconciled
+		if (labelType === 'void') {
+			voidedLabels += 1;
+			if (trackingNumber) {
+				voidedTrackingNumbers.add(trackingNumber);
+			}
+			continue;
+		}
+
+		if (!trackingNumber) {
+			ordersWithoutTracking += 1;
+			continue;
+		}
+
+		// A label shared by several rows keeps the type of its first row
+		if (!labels.has(trackingNumber)) {
+			labels.set(trackingNumber, {
+				trackingNumber: String(order['Tracking #']).trim(),
+				orderNumber: order['Order #'] !== undefined ? String(order['Order #']) : '',
+				store: order.Store || 'Unknown',
+				carrier: order.Carrier || 'Unknown',
+				labelType,
+				tags: [],
+				quoted: 0,
+			});
+		}
+
+		const label = labels.get(trackingNumber);
+		label.quoted += extractNumericValue(order.Rate);
+		for (const tag of getOrderTags(order, tagCatalog)) {
+			if (!label.tags.includes(tag)) {
+				label.tags.push(tag);
+			}
+		}
+	}
+
+	// Group the invoice lines by tracking number, keeping charges that don't bill a label apart
+	const invoiceLabels = new Map();
+	const untrackedCharges = { lines: 0, billed: 0 };
+
+	for (const line of invoiceLines) {
+		const trackingNumber = normalizeTrackingNumber(line.trackingNumber);
+		if (!trackingNumber) {
+			untrackedCharges.lines += 1;
+			untrackedCharges.billed += line.billedAmount;
+			continue;
+		}
+
+		if (!invoiceLabels.has(trackingNumber)) {
+			invoiceLabels.set(trackingNumber, {
+				trackingNumber: line.trackingNumber,
+				carrier: line.carrier,
+				billed: 0,
+				charges: [],
+			});
+		}
+
+		const invoiceLabel = invoiceLabels.get(trackingNumber);
+		invoiceLabel.billed += line.billedAmount;
+		if (line.chargeDescription && !invoiceLabel.charges.includes(line.chargeDescription)) {
+			invoiceLabel.charges.push(line.chargeDescription);
+		}
+	}
+	untrackedCharges.billed = parseFloat(untrackedCharges.billed.toFixed(2));
+
+	// Join both sides
+	const totals = createReconciliationEntry();
+	const byStore = {};
+	const byCarrier = {};
+	const byTag = {};
+	const matched = [];
+	const unmatchedLabels = [];
+	const returns = createReconciliationEntry();
+	const refunds = createReconciliationEntry();
+	const returnLabels = [];
+	const refundedLabels = [];
+
+	for (const [trackingNumber, label] of labels) {
+		const quoted = parseFloat(label.quoted.toFixed(2));
+		const invoiceLabel = invoiceLabels.get(trackingNumber);
+
+		// Return and refunded labels are reconciled apart from the shipped orders
+		if (label.labelType !== 'shipment') {
+			const entry = label.labelType === 'return' ? returns : refunds;
+			const list = label.labelType === 'return' ? returnLabels : refundedLabels;
+			if (!invoiceLabel) {
+				list.push({ ...label, quoted, billed: null, difference: null, adjusted: false, charges: [] });
+				continue;
+			}
+
+			const billed = parseFloat(invoiceLabel.billed.toFixed(2));
+			const difference = parseFloat((billed - quoted).toFixed(2));
+			const otherLabel = {
+				...label,
+				quoted,
+				billed,
+				difference,
+				adjusted: Math.abs(difference) >= 0.01,
+				charges: invoiceLabel.charges,
+			};
+			list.push(otherLabel);
+			addLabelToEntry(entry, otherLabel);
+			continue;
+		}
+
+		if (!invoiceLabel) {
+			unmatchedLabels.push({ ...label, quoted });
+			continue;
+		}
+
+		const billed = parseFloat(invoiceLabel.billed.toFixed(2));
+		const difference = parseFloat((billed - quoted).toFixed(2));
+		const matchedLabel = {
+			...label,
+			quoted,
+			billed,
+			difference,
+			adjusted: Math.abs(difference) >= 0.01,
+			charges: invoiceLabel.charges,
+		};
+		matched.push(matchedLabel);
+
+		// Update metrics
+		addLabelToEntry(totals, matchedLabel);
+
+		if (!byStore[label.store]) {
+			byStore[label.store] = createReconciliationEntry();
+		}
+		addLabelToEntry(byStore[label.store], matchedLabel);
+
+		if (!byCarrier[label.carrier]) {
+			byCarrier[label.carrier] = createReconciliationEntry();
+		}
+		addLabelToEntry(byCarrier[label.carrier], matchedLabel);
+
+		for (const tag of label.tags) {
+			if (!byTag[tag]) {
+				byTag[tag] = createReconciliationEntry();
+			}
+			addLabelToEntry(byTag[tag], matchedLabel);
+		}
+	}
+
+	// Invoice charges for labels that aren't in the analyzed orders, or that were voided
+	const unmatchedInvoiceLabels = [];
+	const billedVoidedLabels = [];
+	for (const [trackingNumber, invoiceLabel] of invoiceLabels) {
+		if (labels.has(trackingNumber)) {
+			continue;
+		}
+
+		const unmatchedInvoiceLabel = { ...invoiceLabel, billed: parseFloat(invoiceLabel.billed.toFixed(2)) };
+		if (voidedTrackingNumbers.has(trackingNumber)) {
+			billedVoidedLabels.push(unmatchedInvoiceLabel);
+		} else {
+			unmatchedInvoiceLabels.push(unmatchedInvoiceLabel);
+		}
+	}
+
+	// Calculate differences
+	finalizeReconciliationEntry(totals);
+	finalizeReconciliationEntry(returns);
+	finalizeReconciliationEntry(refunds);
+	for (const group of [byStore, byCarrier, byTag]) {
+		for (const key in group) {
+			finalizeReconciliationEntry(group[key]);
+		}
+	}
+
+	// Largest adjustments first, whichever way they went
+	matched.sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference));
+	unmatchedInvoiceLabels.sort((a, b) => b.billed - a.billed);
+	billedVoidedLabels.sort((a, b) => b.billed - a.billed);
+
+	return {
+		totals,
+		byStore,
+		byCarrier,
+		byTag,
+		matched,
+		unmatchedLabels,
+		unmatchedInvoiceLabels,
+		returns,
+		refunds,
+		returnLabels,
+		refundedLabels,
+		voidedLabels,
+		billedVoidedLabels,
+		ordersWithoutTracking,
+		untrackedCharges,
+	};
+}
+
+/**
+ * Builds one row per label for the reconciliation export: matched labels, then ShipStation labels
+ * missing from the invoice, then invoice labels missing from ShipStation, then return and refunded
+ * labels, then invoice charges for voided labels
+ * @param {Object} reconciliation - Reconciliation from reconcileInvoice
+ * @returns {Array<Object>} - Rows keyed by the RECONCILIATION_LABEL_FIELDS keys; amounts of the missing side are null
+ */
+export function buildReconciliationRows(reconciliation) {
+	const rows = [];
+
+	for (const label of reconciliation.matched) {
+		rows.push({
+			status: label.adjusted ? 'adjusted' : 'matched',
+			trackingNumber: label.trackingNumber,
+			orderNumber: label.orderNumber,
+			store: label.store,
+			carrier: label.carrier,
+			tags: label.tags,
+			quoted: label.quoted,
+			billed: label.billed,
+			difference: label.difference,
+			charges: label.charges,
+		});
+	}
+
+	for (const label of reconciliation.unmatchedLabels) {
+		rows.push({
+			status: 'notBilled',
+			trackingNumber: label.trackingNumber,
+			orderNumber: label.orderNumber,
+			store: label.store,
+			carrier: label.carrier,
+			tags: label.tags,
+			quoted: label.quoted,
+			billed: null,
+			difference: null,
+			charges: [],
+		});
+	}
+
+	for (const invoiceLabel of reconciliation.unmatchedInvoiceLabels) {
+		rows.push({
+			status: 'notInShipStation',
+			trackingNumber: invoiceLabel.trackingNumber,
+			orderNumber: '',
+			store: '',
+			carrier: invoiceLabel.carrier,
+			tags: [],
+			quoted: null,
+			billed: invoiceLabel.billed,
+			difference: null,
+			charges: invoiceLabel.charges,
+		});
+	}
+
+	for (const label of reconciliation.returnLabels) {
+		rows.push({
+			status: 'return',
+			trackingNumber: label.trackingNumber,
+			orderNumber: label.orderNumber,
+			store: label.store,
+			carrier: label.carrier,
+			tags: label.tags,
+			quoted: label.quoted,
+			billed: label.billed,
+			difference: label.difference,
+			charges: label.charges,
+		});
+	}
+
+	for (const label of reconciliation.refundedLabels) {
+		rows.push({
+			status: 'refund',
+			trackingNumber: label.trackingNumber,
+			orderNumber: label.orderNumber,
+			store: label.store,
+			carrier: label.carrier,
+			tags: label.tags,
+			quoted: label.quoted,
+			billed: label.billed,
+			difference: label.difference,
+			charges: label.charges,
+		});
+	}
+
+	for (const invoiceLabel of reconciliation.billedVoidedLabels) {
+		rows.push({
+			status: 'billedVoided',
+			trackingNumber: invoiceLabel.trackingNumber,
+			orderNumber: '',
+			store: '',
+			carrier: invoiceLabel.carrier,
+			tags: [],
+			quoted: null,
+			billed: invoiceLabel.billed,
+			difference: null,
+			charges: invoiceLabel.charges,
+		});
+	}
+
+	return rows;
+}
@@ -0,0 +1,163 @@
+/**
+ * Shipping Rule Simulation
+ *
+ * This module replays the analyzed orders under hypothetical shipping rules (free shipping at or above
+ * an order subtotal, a flat charge below it) and compares the resulting store metrics with the actual ones.
+ *
+ * ShipStation's Order Total includes the shipping the customer paid, so each order keeps its subtotal
+ * (Order Total - Shipping Paid) and its Order Total moves with the simulated shipping charge. The Rate
+ * is what the label cost and doesn't change. The transformed orders go through calculateStoreMetrics,
+ * so simulated and actual figures are calculated the same way.
+ */
+
+import {
+	calculateStoreMetrics,
+	summarizeStoreMetrics,
+	extractOrderTotal,
+	extractShippingPaid,
+	getLabelType,
+	getOrderTags,
+} from './calculator.js';
+import { compareGroups } from './comparison.js';
+import { isExcludedFromRevenue } from '../utils/tagCatalog.js';
+import { getStoreRule } from '../utils/shippingRules.js';
+
+// Store metrics a shipping rule moves, in display order, with their message keys
+export const SIMULATION_METRICS = [
+	{ key: 'totalOrderValue', labelKey: 'metric.orderValue', format: 'currency' },
+	{ key: 'averageOrderValue', labelKey: 'metric.aov', format: 'currency' },
+	{ key: 'totalRate', labelKey: 'metric.shipCost', format: 'currency' },
+	{ key: 'totalShippingPaid', labelKey: 'metric.shipPaid', format: 'currency' },
+	{ key: 'averageShippingPaid', labelKey: 'metric.avgShipPaid', format: 'currency' },
+	{ key: 'shippingProfit', labelKey: 'metric.shipProfit', format: 'currency' },
+	{ key: 'shippingProfitMargin', labelKey: 'metric.shipMargin', format: 'percentage' },
+	{ key: 'netRevenue', labelKey: 'metric.netRevenue', format: 'currency' },
+	{ key: 'netRevenueMargin', labelKey: 'metric.netMargin', format: 'percentage' },
+];
+
+/**
+ * Creates an empty per-store entry of simulated order outcomes
+ * @param {Object} rule - Rule of the store from getStoreRule
+ * @returns {Object} - Entry with the store's rule and zeroed outcome counts
+ */
+function createOutcomeEntry(rule) {
+	return {
+		freeAbove: rule.freeAbove,
+		flatRate: rule.flatRate,
+		orders: 0,
+		free: 0,
+		flat: 0,
+		unchanged: 0,
+		excluded: 0,
+	};
+}
+
+/**
+ * Replays the orders under shipping rules
+ *
+ * Each shipped order whose subtotal is at or above the store's freeAbove ships free; the others pay the
+ * store's flatRate. Without a flatRate, orders below the threshold keep the shipping they paid, and
+ * without any rule the store's orders are unchanged. Orders whose Shipping Paid is more than their Order
+ * Total have no subtotal to go by (data validation flags them) and keep the shipping they paid too.
+ * Orders with a tag excluded from revenue (giveaways, replacements) aren't charged by any rule. Voided,
+ * return and refunded labels are passed through.
+ *
+ * @param {Array<Object>} data - Array of ShipStation order data
+ * @param {Object} rules - Rules from createShippingRules or loadShippingRules
+ * @param {Object} tagCatalog - Tag catalog with the tags excluded from revenue (optional)
+ * @returns {Object} - Object with the transformed rows and the outcomes keyed by store
+ */
+export function applyShippingRules(data, rules, tagCatalog = null) {
+	const rows = [];
+	const outcomes = {};
+
+	for (const order of data) {
+		const store = order.Store || 'Unknown';
+		if (!outcomes[store]) {
+			outcomes[store] = createOutcomeEntry(getStoreRule(rules, store));
+		}
+		const outcome = outcomes[store];
+
+		// Only shipped orders are charged shipping
+		if (getLabelType(order) !== 'shipment') {
+			rows.push(order);
+			continue;
+		}
+		outcome.orders += 1;
+
+		// Giveaways, replacements and other excluded tags aren't customer purchases
+		if (getOrderTags(order, tagCatalog).some((tag) => isExcludedFromRevenue(tag, tagCatalog))) {
+			outcome.excluded += 1;
+			rows.push(order);
+			continue;
+		}
+
+		const shippingPaid = extractShippingPaid(order);
+		const subtotal = parseFloat((extractOrderTotal(order) - shippingPaid).toFixed(2));
+
+		// An Order Total below the shipping paid leaves no subtotal to apply a threshold to
+		if (subtotal < 0) {
+			outcome.unchanged += 1;
+			rows.push(order);
+			continue;
+		}
+
+		let simulatedShippingPaid;
+		if (outcome.freeAbove !== null && subtotal >= outcome.freeAbove) {
+			simulatedShippingPaid = 0;
+			outcome.free += 1;
+		} else if (outcome.flatRate !== null) {
+			simulatedShippingPaid = outcome.flatRate;
+			outcome.flat += 1;
+		} else {
+			outcome.unchanged += 1;
+			rows.push(order);
+			continue;
+		}
+
+		// Set both spellings of each field, so a zero doesn't fall through to the other column
+		const simulatedOrderTotal = parseFloat((subtotal + simulatedShippingPaid).toFixed(2));
+		rows.push({
+			...order,
+			'Order Total': simulatedOrderTotal,
+			OrderTotal: simulatedOrderTotal,
+			Shipping: simulatedShippingPaid,
+			'Shipping Paid': simulatedShippingPaid,
+		});
+	}
+
+	return { rows, outcomes };
+}
+
+/**
+ * Simulates shipping rules and compares the simulated store metrics with the actual ones
+ * @param {Array<Object>} data - Array of ShipStation order data
+ * @param {Object} rules - Rules from createShippingRules or loadShippingRules
+ * @param {Object} tagCatalog - Tag catalog with the tags excluded from revenue (optional)
+ * @returns {Object} - Simulation with the rules, outcomes keyed by store, outcomeTotals, all-stores totals and
+ *   stores, compared per SIMULATION_METRICS key (base is the actual value, current the simulated one)
+ */
+export function simulateShippingRules(data, rules, tagCatalog = null) {
+	const { rows, outcomes } = applyShippingRules(data, rules, tagCatalog);
+	const actualStoreMetrics = calculateStoreMetrics(data, tagCatalog);
+	const simulatedStoreMetrics = calculateStoreMetrics(rows, tagCatalog);
+
+	const outcomeTotals = { orders: 0, free: 0, flat: 0, unchanged: 0, excluded: 0 };
+	for (const store in outcomes) {
+		for (const key of Object.keys(outcomeTotals)) {
+			outcomeTotals[key] += outcomes[store][key];
+		}
+	}
+
+	return {
+		rules,
+		outcomes,
+		outcomeTotals,
+		totals: compareGroups(
+			{ 'All Stores': summarizeStoreMetrics(actualStoreMetrics) },
+			{ 'All Stores': summarizeStoreMetrics(simulatedStoreMetrics) },
+			SIMULATION_METRICS
+		)['All Stores'],
+		stores: compareGroups(actualStoreMetrics, simulatedStoreMetrics, SIMULATION_METRICS),
+	};
+}
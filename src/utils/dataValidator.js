@@ -0,0 +1,129 @@
+/**
+ * Data Validator
+ *
+ * This module provides a data quality pass that runs before metrics are calculated.
+ * It flags rows that would otherwise be silently miscounted: missing stores, zero or
+ * negative rates, unparseable dates, duplicate order numbers and shipping paid above
+ * the order total.
+ */
+
+import { extractNumericValue } from '../metrics/calculator.js';
+import { getOrderDate } from './dateFilter.js';
+
+// Maximum share of rows (in percent) each check may flag before strict mode fails the run
+export const DEFAULT_MAX_ISSUE_RATE = 1;
+
+// Validation checks, in the order they are reported (labeled by the validation.<id> messages)
+const VALIDATION_CHECKS = [
+	{
+		id: 'missingStore',
+		test: (order) => !order.Store || String(order.Store).trim() === '',
+	},
+	{
+		id: 'nonPositiveRate',
+		test: (order) => extractNumericValue(order.Rate) <= 0,
+	},
+	{
+		id: 'unparseableDate',
+		test: (order) => getOrderDate(order) === null,
+	},
+	{
+		id: 'duplicateOrderNumber',
+		// Needs the whole data set, so it is evaluated separately in validateData
+		test: null,
+	},
+	{
+		id: 'shippingPaidExceedsTotal',
+		test: (order) => extractNumericValue(order['Shipping Paid']) > extractNumericValue(order['Order Total']),
+	},
+];
+
+/**
+ * Gets the file and row an order was read from
+ * @param {Object} order - Order data
+ * @param {number} index - Position of the order in the validated data, used when the source row is unknown
+ * @returns {Object} - Object with sourceFile (null if unknown) and the 1-based sourceRow
+ */
+function getSourceLocation(order, index) {
+	return {
+		sourceFile: order.sourceFile !== undefined ? order.sourceFile : null,
+		sourceRow: order.sourceRow !== undefined ? order.sourceRow : index + 1,
+	};
+}
+
+/**
+ * Validates order data and collects the rows failing each check
+ * @param {Array<Object>} data - Array of ShipStation order data
+ * @param {Object} options - Validation options
+ * @param {number} options.maxIssueRate - Maximum share of rows (in percent) each check may flag
+ * @returns {Object} - Validation result with per-check counts, rejected rows and exceeded thresholds
+ */
+export function validateData(data, options = {}) {
+	const maxIssueRate = options.maxIssueRate !== undefined ? options.maxIssueRate : DEFAULT_MAX_ISSUE_RATE;
+
+	// Initialize check results
+	const checks = VALIDATION_CHECKS.map((check) => ({
+		id: check.id,
+		count: 0,
+		percentOfRows: 0,
+		rows: [],
+		thresholdExceeded: false,
+	}));
+	const checksById = Object.fromEntries(checks.map((check) => [check.id, check]));
+
+	// Issues found for each row, keyed by row index
+	const rowIssues = new Map();
+	const flagRow = (index, checkId) => {
+		const order = data[index];
+		checksById[checkId].count += 1;
+		checksById[checkId].rows.push({ ...getSourceLocation(order, index), orderNumber: order['Order #'] });
+
+		if (!rowIssues.has(index)) {
+			rowIssues.set(index, []);
+		}
+		rowIssues.get(index).push(checkId);
+	};
+
+	// Track order numbers already seen, so only the repeated occurrences are flagged
+	const seenOrderNumbers = new Set();
+
+	data.forEach((order, index) => {
+		for (const check of VALIDATION_CHECKS) {
+			if (check.test && check.test(order)) {
+				flagRow(index, check.id);
+			}
+		}
+
+		const orderNumber = order['Order #'] !== undefined ? String(order['Order #']).trim() : '';
+		if (orderNumber) {
+			if (seenOrderNumbers.has(orderNumber)) {
+				flagRow(index, 'duplicateOrderNumber');
+			}
+			seenOrderNumbers.add(orderNumber);
+		}
+	});
+
+	// Calculate percentages and compare against the threshold
+	for (const check of checks) {
+		check.percentOfRows = data.length > 0 ? parseFloat(((check.count / data.length) * 100).toFixed(2)) : 0;
+		check.thresholdExceeded = check.percentOfRows > maxIssueRate;
+	}
+
+	// Build the rejected rows in their original order, with the ids of the checks they failed
+	const rejects = [...rowIssues.keys()]
+		.sort((a, b) => a - b)
+		.map((index) => ({
+			...getSourceLocation(data[index], index),
+			order: data[index],
+			issues: rowIssues.get(index),
+		}));
+
+	return {
+		totalRows: data.length,
+		invalidRows: rejects.length,
+		maxIssueRate,
+		checks,
+		rejects,
+		exceededChecks: checks.filter((check) => check.thresholdExceeded),
+	};
+}
@@ -5,6 +5,104 @@
  */
 
 import inquirer from 'inquirer';
+import { createTranslator, DEFAULT_LANGUAGE } from '../i18n/translator.js';
+
+// Date field variations, in order of preference
+export const DATE_FIELDS = ['Order Date', 'OrderDate', 'Date', 'Ship Date', 'ShipDate'];
+
+/**
+ * Parses a date string in MM/DD/YYYY format, falling back to standard Date parsing
+ * @param {string} dateStr - The date string to parse
+ * @returns {Date} - Parsed date (invalid if the string couldn't be parsed)
+ */
+export function parseDateString(dateStr) {
+	// Handle MM/DD/YYYY format
+	const parts = String(dateStr).split('/');
+	if (parts.length === 3) {
+		const month = parseInt(parts[0], 10);
+		const day = parseInt(parts[1], 10);
+		const year = parseInt(parts[2], 10);
+		return new Date(year, month - 1, day);
+	}
+	// Fallback to standard Date parsing
+	return new Date(dateStr);
+}
+
+/**
+ * Gets the date of an order from the first date field holding a valid date
+ * @param {Object} order - Order data
+ * @returns {Date|null} - The order date, or null if no date field could be parsed
+ */
+export function getOrderDate(order) {
+	for (const field of DATE_FIELDS) {
+		if (order[field]) {
+			const orderDate = parseDateString(order[field]);
+
+			// Skip invalid dates
+			if (!isNaN(orderDate.getTime())) {
+				return orderDate;
+			}
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Builds the name of a reporting period in the locale of a language
+ * @param {Date} startDate - First day of the period
+ * @param {Date} endDate - Last day of the period
+ * @param {string} language - en, zh or bilingual (default: bilingual)
+ * @returns {string} - Period name such as "Feb 1-Mar 28, 2025" (en, bilingual) or "2025年2月1日-3月28日" (zh)
+ */
+export function formatPeriodName(startDate, endDate, language = DEFAULT_LANGUAGE) {
+	return createTranslator(language).periodName(startDate, endDate);
+}
+
+/**
+ * Determines the date range from the data
+ * @param {Array<Object>} data - Array of order data
+ * @param {string} language - Language of the period name: en, zh or bilingual (default: bilingual)
+ * @returns {Object} - Object with startDate, endDate, and periodName
+ */
+export function determineDateRange(data, language = DEFAULT_LANGUAGE) {
+	// Find the earliest and latest dates in the data
+	let earliestDate = new Date('2100-01-01'); // Future date as initial value
+	let latestDate = new Date('1900-01-01'); // Past date as initial value
+
+	// Iterate through the data to find the date range
+	for (const order of data) {
+		const orderDate = getOrderDate(order);
+
+		// Skip orders without a valid date
+		if (!orderDate) continue;
+
+		// Update earliest and latest dates
+		if (orderDate < earliestDate) earliestDate = new Date(orderDate);
+		if (orderDate > latestDate) latestDate = new Date(orderDate);
+	}
+
+	// Create a period name that includes the exact dates
+	const periodName = formatPeriodName(earliestDate, latestDate, language);
+
+	// Format date strings for display
+	const startDateStr = `${(earliestDate.getMonth() + 1).toString().padStart(2, '0')}/${earliestDate
+		.getDate()
+		.toString()
+		.padStart(2, '0')}/${(earliestDate.getFullYear() % 100).toString().padStart(2, '0')}`;
+	const endDateStr = `${(latestDate.getMonth() + 1).toString().padStart(2, '0')}/${latestDate
+		.getDate()
+		.toString()
+		.padStart(2, '0')}/${(latestDate.getFullYear() % 100).toString().padStart(2, '0')}`;
+
+	return {
+		shouldFilter: false, // We're not filtering, just determining the range
+		startDate: earliestDate,
+		endDate: latestDate,
+		periodName,
+		dateRangeStr: `${startDateStr}-${endDateStr}`,
+	};
+}
 
 /**
  * Prompts the user to enter a date range for filtering
@@ -70,9 +168,31 @@ export async function promptDateRange() {
 
 	console.log(`Debug: User entered date range: ${dateRange}`);
 
+	const dateFilter = parseDateRange(dateRange);
+
+	console.log(
+		`Debug: Parsed dates - Start: ${dateFilter.startDate.toLocaleDateString()}, End: ${dateFilter.endDate.toLocaleDateString()}`
+	);
+
+	return dateFilter;
+}
+
+/**
+ * Parses a date range string into a date filter
+ * @param {string} dateRange - Date range in MM/DD/YY-MM/DD/YY format
+ * @param {string} language - Language of the period name: en, zh or bilingual (default: bilingual)
+ * @returns {Object} - Object with shouldFilter, startDate, endDate, periodName and dateRangeStr
+ * @throws {Error} - If the date range isn't in MM/DD/YY-MM/DD/YY format
+ */
+export function parseDateRange(dateRange, language = DEFAULT_LANGUAGE) {
 	// Parse the date range
 	const [startDateStr, endDateStr] = dateRange.split('-');
 
+	// Validate format
+	if (!startDateStr || !endDateStr || !startDateStr.includes('/') || !endDateStr.includes('/')) {
+		throw new Error('Invalid date range format. Use MM/DD/YY-MM/DD/YY');
+	}
+
 	// Parse start date (MM/DD/YY)
 	const startParts = startDateStr.split('/');
 	const startMonth = parseInt(startParts[0], 10);
@@ -90,12 +210,8 @@ export async function promptDateRange() {
 	const startDate = new Date(fullStartYear, startMonth - 1, startDay);
 	const endDate = new Date(fullEndYear, endMonth - 1, endDay);
 
-	console.log(`Debug: Parsed dates - Start: ${startDate.toLocaleDateString()}, End: ${endDate.toLocaleDateString()}`);
-
 	// Create a period name from the date range that includes the exact dates
-	const startMonthName = startDate.toLocaleString('en-US', { month: 'short' });
-	const endMonthName = endDate.toLocaleString('en-US', { month: 'short' });
-	const periodName = `${startMonthName} ${startDay}-${endMonthName} ${endDay}, ${endDate.getFullYear()}`;
+	const periodName = formatPeriodName(startDate, endDate, language);
 
 	return {
 		shouldFilter: true,
@@ -111,9 +227,10 @@ export async function promptDateRange() {
  * @param {Array<Object>} data - Array of order data
  * @param {Date} startDate - Start date for filtering
  * @param {Date} endDate - End date for filtering
+ * @param {Object} logger - Console-compatible logger for debug output (defaults to console)
  * @returns {Array<Object>} - Filtered data
  */
-export function filterDataByDateRange(data, startDate, endDate) {
+export function filterDataByDateRange(data, startDate, endDate, logger = console) {
 	// Set start date to beginning of day
 	startDate.setHours(0, 0, 0, 0);
 
@@ -121,38 +238,22 @@ export function filterDataByDateRange(data, startDate, endDate) {
 	const adjustedEndDate = new Date(endDate);
 	adjustedEndDate.setHours(23, 59, 59, 999);
 
-	console.log(
+	logger.log(
 		`Debug: Filtering dates between ${startDate.toLocaleDateString()} and ${adjustedEndDate.toLocaleDateString()}`
 	);
 
 	// Check the first few records to debug date parsing
 	if (data.length > 0) {
-		console.log('Debug: Sample data record:');
-		console.log(JSON.stringify(data[0], null, 2));
+		logger.log('Debug: Sample data record:');
+		logger.log(JSON.stringify(data[0], null, 2));
 	}
 
-	// Function to parse date strings in MM/DD/YYYY format
-	const parseDate = (dateStr) => {
-		// Handle MM/DD/YYYY format
-		const parts = dateStr.split('/');
-		if (parts.length === 3) {
-			const month = parseInt(parts[0], 10);
-			const day = parseInt(parts[1], 10);
-			const year = parseInt(parts[2], 10);
-			return new Date(year, month - 1, day);
-		}
-		// Fallback to standard Date parsing
-		return new Date(dateStr);
-	};
-
 	const filteredData = data.filter((order) => {
 		// Try different date field variations
-		const dateFields = ['Order Date', 'OrderDate', 'Date', 'Ship Date', 'ShipDate'];
-
-		for (const field of dateFields) {
+		for (const field of DATE_FIELDS) {
 			if (order[field]) {
 				const dateStr = order[field];
-				const orderDate = parseDate(dateStr);
+				const orderDate = parseDateString(dateStr);
 
 				// Skip invalid dates
 				if (isNaN(orderDate.getTime())) continue;
@@ -162,7 +263,7 @@ export function filterDataByDateRange(data, startDate, endDate) {
 
 				// For debugging the first few records
 				if (data.indexOf(order) < 3) {
-					console.log(
+					logger.log(
 						`Debug: Record #${data.indexOf(
 							order
 						)}, ${field}="${dateStr}" => ${orderDate.toLocaleDateString()}, in range: ${isInRange}`
@@ -177,10 +278,10 @@ export function filterDataByDateRange(data, startDate, endDate) {
 		return true;
 	});
 
-	console.log(`Debug: Filtered from ${data.length} to ${filteredData.length} records`);
+	logger.log(`Debug: Filtered from ${data.length} to ${filteredData.length} records`);
 
 	if (filteredData.length === 0) {
-		console.log(
+		logger.log(
 			'Warning: No records match the date filter. Check if the date format in your CSV matches MM/DD/YYYY.'
 		);
 	}
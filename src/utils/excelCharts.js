@@ -0,0 +1,370 @@
+/**
+ * Excel Chart Writer
+ *
+ * exceljs can't create charts, so this module adds native Excel charts to a workbook exceljs
+ * has already written. It opens the .xlsx package with JSZip and adds, for each worksheet with charts:
+ *
+ *   - xl/charts/chartN.xml: the chart itself (DrawingML), with series pointing at worksheet ranges
+ *   - xl/drawings/drawingN.xml (+ rels): where each chart is anchored on the worksheet
+ *   - a <drawing> element and relationship on the worksheet, and content type overrides
+ *
+ * Series reference cells rather than embedding numbers, so charts follow the formulas they point at.
+ * The current values are also written as a cache for viewers that don't recalculate.
+ */
+
+import JSZip from 'jszip';
+
+const CHART_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.drawingml.chart+xml';
+const DRAWING_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.drawing+xml';
+const CHART_RELATIONSHIP = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/chart';
+const DRAWING_RELATIONSHIP = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/drawing';
+
+// Series colors, matching the blue header fills used in the report
+const SERIES_COLORS = ['4472C4', 'ED7D31', 'A5A5A5', 'FFC000', '5B9BD5', '70AD47', '264478', '9E480E'];
+
+// Worksheet elements that must come after <drawing>, in schema order
+const ELEMENTS_AFTER_DRAWING = [
+	'<legacyDrawing',
+	'<legacyDrawingHF',
+	'<drawingHF',
+	'<picture',
+	'<oleObjects',
+	'<controls',
+	'<webPublishItems',
+	'<tableParts',
+	'<extLst',
+];
+
+/**
+ * Escapes text for use in XML content and attributes
+ * @param {string} value - The text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeXml(value) {
+	return String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+/**
+ * Builds an absolute range reference such as 'Store Metrics | 店铺指标'!$B$4:$B$8
+ * @param {string} sheetName - Worksheet name
+ * @param {string} range - Range in A1 notation, e.g. B4:B8
+ * @returns {string} - Quoted, absolute sheet reference
+ */
+export function sheetRange(sheetName, range) {
+	const absoluteRange = range.replace(/([A-Z]+)(\d+)/g, '$$$1$$$2');
+	return `'${sheetName.replace(/'/g, "''")}'!${absoluteRange}`;
+}
+
+/**
+ * Builds a string reference with cached values (series names and category labels)
+ * @param {string} ref - Sheet range reference
+ * @param {Array<string>} values - Current values of the range
+ * @returns {string} - c:strRef XML
+ */
+function buildStringReference(ref, values) {
+	const points = values.map((value, index) => `<c:pt idx="${index}"><c:v>${escapeXml(value)}</c:v></c:pt>`);
+	return `<c:strRef><c:f>${escapeXml(ref)}</c:f><c:strCache><c:ptCount val="${values.length}"/>${points.join(
+		''
+	)}</c:strCache></c:strRef>`;
+}
+
+/**
+ * Builds a number reference with cached values
+ * @param {string} ref - Sheet range reference
+ * @param {Array<number>} values - Current values of the range
+ * @param {string} numberFormat - Number format of the values
+ * @returns {string} - c:numRef XML
+ */
+function buildNumberReference(ref, values, numberFormat) {
+	const points = values.map((value, index) => `<c:pt idx="${index}"><c:v>${Number(value) || 0}</c:v></c:pt>`);
+	return `<c:numRef><c:f>${escapeXml(ref)}</c:f><c:numCache><c:formatCode>${escapeXml(
+		numberFormat
+	)}</c:formatCode><c:ptCount val="${values.length}"/>${points.join('')}</c:numCache></c:numRef>`;
+}
+
+/**
+ * Builds a solid fill shape property
+ * @param {string} color - RGB hex color
+ * @returns {string} - c:spPr XML
+ */
+function buildSolidFill(color) {
+	return `<c:spPr><a:solidFill><a:srgbClr val="${color}"/></a:solidFill></c:spPr>`;
+}
+
+/**
+ * Builds the chart part XML for a bar, column or pie chart
+ * @param {Object} chart - Chart definition (see addChartsToWorkbook)
+ * @returns {string} - xl/charts/chartN.xml content
+ */
+function buildChartXml(chart) {
+	const numberFormat = chart.numberFormat || 'General';
+
+	const series = chart.series.map((serie, index) => {
+		// Pie slices get one color each, bar series one color per series
+		const dataPoints =
+			chart.type === 'pie'
+				? chart.categories.values
+						.map(
+							(_, pointIndex) =>
+								`<c:dPt><c:idx val="${pointIndex}"/><c:bubble3D val="0"/>${buildSolidFill(
+									SERIES_COLORS[pointIndex % SERIES_COLORS.length]
+								)}</c:dPt>`
+						)
+						.join('')
+				: '';
+
+		const seriesFill = chart.type === 'pie' ? '' : buildSolidFill(SERIES_COLORS[index % SERIES_COLORS.length]);
+		const invertIfNegative = chart.type === 'pie' ? '' : '<c:invertIfNegative val="0"/>';
+
+		return [
+			'<c:ser>',
+			`<c:idx val="${index}"/><c:order val="${index}"/>`,
+			`<c:tx>${buildStringReference(serie.nameRef, [serie.name])}</c:tx>`,
+			seriesFill,
+			invertIfNegative,
+			dataPoints,
+			chart.type === 'pie'
+				? '<c:dLbls><c:numFmt formatCode="0.0%" sourceLinked="0"/><c:showLegendKey val="0"/><c:showVal val="0"/><c:showCatName val="0"/><c:showSerName val="0"/><c:showPercent val="1"/><c:showBubbleSize val="0"/><c:showLeaderLines val="1"/></c:dLbls>'
+				: '',
+			`<c:cat>${buildStringReference(chart.categories.ref, chart.categories.values)}</c:cat>`,
+			`<c:val>${buildNumberReference(serie.ref, serie.values, numberFormat)}</c:val>`,
+			'</c:ser>',
+		].join('');
+	});
+
+	let plot;
+	if (chart.type === 'pie') {
+		plot = `<c:pieChart><c:varyColors val="1"/>${series.join('')}<c:firstSliceAng val="0"/></c:pieChart>`;
+	} else {
+		const barDirection = chart.type === 'bar' ? 'bar' : 'col';
+		plot = [
+			'<c:barChart>',
+			`<c:barDir val="${barDirection}"/><c:grouping val="clustered"/><c:varyColors val="0"/>`,
+			series.join(''),
+			'<c:gapWidth val="80"/>',
+			'<c:axId val="500000001"/><c:axId val="500000002"/>',
+			'</c:barChart>',
+			'<c:catAx><c:axId val="500000001"/><c:scaling><c:orientation val="minMax"/></c:scaling><c:delete val="0"/>',
+			`<c:axPos val="${barDirection === 'bar' ? 'l' : 'b'}"/><c:numFmt formatCode="General" sourceLinked="0"/>`,
+			'<c:majorTickMark val="none"/><c:minorTickMark val="none"/><c:tickLblPos val="low"/>',
+			'<c:crossAx val="500000002"/><c:crosses val="autoZero"/><c:auto val="1"/><c:lblAlgn val="ctr"/><c:lblOffset val="100"/><c:noMultiLvlLbl val="0"/></c:catAx>',
+			'<c:valAx><c:axId val="500000002"/><c:scaling><c:orientation val="minMax"/></c:scaling><c:delete val="0"/>',
+			`<c:axPos val="${barDirection === 'bar' ? 'b' : 'l'}"/><c:majorGridlines/>`,
+			`<c:numFmt formatCode="${escapeXml(numberFormat)}" sourceLinked="0"/>`,
+			'<c:majorTickMark val="none"/><c:minorTickMark val="none"/><c:tickLblPos val="nextTo"/>',
+			'<c:crossAx val="500000001"/><c:crosses val="autoZero"/><c:crossBetween val="between"/></c:valAx>',
+		].join('');
+	}
+
+	return [
+		'<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+		'<c:chartSpace xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">',
+		'<c:roundedCorners val="0"/>',
+		'<c:chart>',
+		`<c:title><c:tx><c:rich><a:bodyPr/><a:p><a:pPr><a:defRPr sz="1400" b="1"/></a:pPr><a:r><a:rPr lang="en-US" sz="1400" b="1"/><a:t>${escapeXml(
+			chart.title
+		)}</a:t></a:r></a:p></c:rich></c:tx><c:overlay val="0"/></c:title>`,
+		'<c:autoTitleDeleted val="0"/>',
+		`<c:plotArea><c:layout/>${plot}</c:plotArea>`,
+		`<c:legend><c:legendPos val="${chart.type === 'pie' ? 'r' : 'b'}"/><c:overlay val="0"/></c:legend>`,
+		'<c:plotVisOnly val="1"/><c:dispBlanksAs val="gap"/>',
+		'</c:chart>',
+		'</c:chartSpace>',
+	].join('');
+}
+
+/**
+ * Builds the drawing part XML that anchors charts on a worksheet
+ * @param {Array<Object>} anchors - Chart anchors with from/to cells (0-based col and row) and relationship ids
+ * @returns {string} - xl/drawings/drawingN.xml content
+ */
+function buildDrawingXml(anchors) {
+	const twoCellAnchors = anchors.map(({ from, to, relationshipId, name }, index) =>
+		[
+			'<xdr:twoCellAnchor editAs="oneCell">',
+			`<xdr:from><xdr:col>${from.col}</xdr:col><xdr:colOff>0</xdr:colOff><xdr:row>${from.row}</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:from>`,
+			`<xdr:to><xdr:col>${to.col}</xdr:col><xdr:colOff>0</xdr:colOff><xdr:row>${to.row}</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:to>`,
+			'<xdr:graphicFrame macro="">',
+			`<xdr:nvGraphicFramePr><xdr:cNvPr id="${index + 2}" name="${escapeXml(name)}"/><xdr:cNvGraphicFramePr/></xdr:nvGraphicFramePr>`,
+			'<xdr:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/></xdr:xfrm>',
+			'<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/chart">',
+			`<c:chart xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart" r:id="${relationshipId}"/>`,
+			'</a:graphicData></a:graphic>',
+			'</xdr:graphicFrame>',
+			'<xdr:clientData/>',
+			'</xdr:twoCellAnchor>',
+		].join('')
+	);
+
+	return [
+		'<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+		'<xdr:wsDr xmlns:xdr="http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">',
+		twoCellAnchors.join(''),
+		'</xdr:wsDr>',
+	].join('');
+}
+
+/**
+ * Builds a relationships part
+ * @param {Array<Object>} relationships - Relationships with id, type and target
+ * @returns {string} - .rels XML content
+ */
+function buildRelationshipsXml(relationships) {
+	return [
+		'<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+		'<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+		...relationships.map(
+			({ id, type, target }) => `<Relationship Id="${id}" Type="${type}" Target="${escapeXml(target)}"/>`
+		),
+		'</Relationships>',
+	].join('');
+}
+
+/**
+ * Finds the worksheet part for each sheet name in the package
+ * @param {Object} zip - JSZip instance of the workbook
+ * @returns {Promise<Object>} - Worksheet part paths (e.g. xl/worksheets/sheet2.xml) keyed by sheet name
+ */
+async function getWorksheetPaths(zip) {
+	const workbookXml = await zip.file('xl/workbook.xml').async('string');
+	const workbookRelsXml = await zip.file('xl/_rels/workbook.xml.rels').async('string');
+
+	const targets = {};
+	for (const [, attributes] of workbookRelsXml.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+		const id = attributes.match(/Id="([^"]+)"/);
+		const target = attributes.match(/Target="([^"]+)"/);
+		if (id && target) {
+			targets[id[1]] = target[1].replace(/^\/?xl\//, '');
+		}
+	}
+
+	const worksheetPaths = {};
+	for (const [, attributes] of workbookXml.matchAll(/<sheet\b([^>]*)\/?>/g)) {
+		const name = attributes.match(/name="([^"]+)"/);
+		const id = attributes.match(/r:id="([^"]+)"/);
+		if (name && id && targets[id[1]]) {
+			const sheetName = name[1]
+				.replace(/&quot;/g, '"')
+				.replace(/&lt;/g, '<')
+				.replace(/&gt;/g, '>')
+				.replace(/&amp;/g, '&');
+			worksheetPaths[sheetName] = `xl/${targets[id[1]]}`;
+		}
+	}
+
+	return worksheetPaths;
+}
+
+/**
+ * Adds native charts to an .xlsx file written by exceljs
+ *
+ * Each chart definition looks like:
+ *
+ *   {
+ *     sheetName: 'Charts | 图表',                  // worksheet the chart is placed on
+ *     from: { col: 4, row: 1 }, to: { col: 12, row: 18 },   // 0-based anchor cells
+ *     type: 'col' | 'bar' | 'pie',
+ *     title: 'Shipping Cost by Store | 各店铺物流成本',
+ *     numberFormat: '$#,##0.00',
+ *     categories: { ref: sheetRange(sheet, 'A4:A8'), values: ['Shopify Store', ...] },
+ *     series: [{ name: 'Ship Cost', nameRef: sheetRange(sheet, 'B3'), ref: sheetRange(sheet, 'B4:B8'), values: [...] }],
+ *   }
+ *
+ * @param {Buffer} buffer - Workbook written by exceljs (workbook.xlsx.writeBuffer())
+ * @param {Array<Object>} charts - Chart definitions
+ * @returns {Promise<Buffer>} - Workbook with the charts added
+ * @throws {Error} - If a chart's worksheet isn't in the workbook
+ */
+export async function addChartsToWorkbook(buffer, charts) {
+	if (charts.length === 0) {
+		return buffer;
+	}
+
+	const zip = await JSZip.loadAsync(buffer);
+	const worksheetPaths = await getWorksheetPaths(zip);
+
+	// Group charts by the worksheet they're placed on
+	const chartsBySheet = {};
+	for (const chart of charts) {
+		if (!worksheetPaths[chart.sheetName]) {
+			throw new Error(`Cannot add chart "${chart.title}": worksheet "${chart.sheetName}" not found`);
+		}
+		(chartsBySheet[chart.sheetName] = chartsBySheet[chart.sheetName] || []).push(chart);
+	}
+
+	const contentTypeOverrides = [];
+	let chartNumber = 0;
+	let drawingNumber = 0;
+
+	for (const [sheetName, sheetCharts] of Object.entries(chartsBySheet)) {
+		drawingNumber += 1;
+		const drawingPath = `xl/drawings/drawing${drawingNumber}.xml`;
+
+		// Write each chart part and remember its anchor on the drawing
+		const anchors = [];
+		const drawingRelationships = [];
+		for (const chart of sheetCharts) {
+			chartNumber += 1;
+			const relationshipId = `rId${drawingRelationships.length + 1}`;
+
+			zip.file(`xl/charts/chart${chartNumber}.xml`, buildChartXml(chart));
+			contentTypeOverrides.push(
+				`<Override PartName="/xl/charts/chart${chartNumber}.xml" ContentType="${CHART_CONTENT_TYPE}"/>`
+			);
+
+			drawingRelationships.push({
+				id: relationshipId,
+				type: CHART_RELATIONSHIP,
+				target: `../charts/chart${chartNumber}.xml`,
+			});
+			anchors.push({ from: chart.from, to: chart.to, relationshipId, name: `Chart ${chartNumber}` });
+		}
+
+		zip.file(drawingPath, buildDrawingXml(anchors));
+		zip.file(`xl/drawings/_rels/drawing${drawingNumber}.xml.rels`, buildRelationshipsXml(drawingRelationships));
+		contentTypeOverrides.push(
+			`<Override PartName="/xl/drawings/drawing${drawingNumber}.xml" ContentType="${DRAWING_CONTENT_TYPE}"/>`
+		);
+
+		// Link the drawing to the worksheet, keeping any relationships exceljs already wrote
+		const worksheetPath = worksheetPaths[sheetName];
+		const worksheetFileName = worksheetPath.split('/').pop();
+		const worksheetRelsPath = `xl/worksheets/_rels/${worksheetFileName}.rels`;
+
+		let worksheetRelsXml = zip.file(worksheetRelsPath)
+			? await zip.file(worksheetRelsPath).async('string')
+			: buildRelationshipsXml([]);
+		const usedIds = [...worksheetRelsXml.matchAll(/Id="rId(\d+)"/g)].map(([, id]) => parseInt(id, 10));
+		const drawingRelationshipId = `rId${Math.max(0, ...usedIds) + 1}`;
+		worksheetRelsXml = worksheetRelsXml.replace(
+			'</Relationships>',
+			`<Relationship Id="${drawingRelationshipId}" Type="${DRAWING_RELATIONSHIP}" Target="../drawings/drawing${drawingNumber}.xml"/></Relationships>`
+		);
+		zip.file(worksheetRelsPath, worksheetRelsXml);
+
+		// <drawing> has a fixed position in the worksheet schema, before parts like tableParts and extLst
+		let worksheetXml = await zip.file(worksheetPath).async('string');
+		if (!worksheetXml.includes('xmlns:r=')) {
+			worksheetXml = worksheetXml.replace(
+				'<worksheet ',
+				'<worksheet xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" '
+			);
+		}
+		const drawingElement = `<drawing r:id="${drawingRelationshipId}"/>`;
+		const insertAt = ELEMENTS_AFTER_DRAWING.map((element) => worksheetXml.indexOf(element))
+			.filter((index) => index !== -1)
+			.reduce((earliest, index) => Math.min(earliest, index), worksheetXml.lastIndexOf('</worksheet>'));
+		worksheetXml = worksheetXml.slice(0, insertAt) + drawingElement + worksheetXml.slice(insertAt);
+		zip.file(worksheetPath, worksheetXml);
+	}
+
+	// Register the new parts
+	const contentTypesXml = await zip.file('[Content_Types].xml').async('string');
+	zip.file('[Content_Types].xml', contentTypesXml.replace('</Types>', `${contentTypeOverrides.join('')}</Types>`));
+
+	return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
@@ -2,26 +2,118 @@
  * Excel Report Exporter
  *
  * This module provides functions to export metrics reports to Excel files with proper formatting.
+ *
+ * Workbooks are built with exceljs. Only the measured inputs (order counts, order value, shipping
+ * cost and shipping paid) are stored as values; totals, averages, profits, margins and shares are
+ * live formulas, so the workbook recalculates when a row is edited. Native charts are added
+ * afterwards by excelCharts.js, since exceljs can't create charts itself.
+ *
+ * Labels and worksheet names come from the message catalog in the report language. Worksheet
+ * names are also used in cross-sheet formulas and chart references, so they're always looked up
+ * through the same translator.
  */
 
-import * as XLSX from 'xlsx';
+import ExcelJS from 'exceljs';
+import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import os from 'os';
+import { STORE_COMPARISON_METRICS, TAG_COMPARISON_METRICS } from '../metrics/comparison.js';
+import { summarizeStoreMetrics, summarizeTagMetrics, ORDER_DETAIL_FIELDS } from '../metrics/calculator.js';
+import { ANOMALY_FIELDS, MIN_ANOMALY_EXCESS, MIN_PEER_LABELS } from '../metrics/anomalies.js';
+import { addChartsToWorkbook, sheetRange } from './excelCharts.js';
+import { getRevenueExcludedTags } from './tagCatalog.js';
+import { createTranslator } from '../i18n/translator.js';
 
 // Get the directory name in ESM
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Number formats
+const COUNT_FORMAT = '#,##0';
+const CURRENCY_FORMAT = '$#,##0.00';
+const SHARE_FORMAT = '0.0%';
+const MARGIN_FORMAT = '0.00%';
+const WEIGHT_FORMAT = '#,##0.00';
+const RATIO_FORMAT = '0.0"×"';
+
+// Shared cell styles
+const THIN_BORDER = {
+	top: { style: 'thin', color: { argb: 'FF000000' } },
+	bottom: { style: 'thin', color: { argb: 'FF000000' } },
+	left: { style: 'thin', color: { argb: 'FF000000' } },
+	right: { style: 'thin', color: { argb: 'FF000000' } },
+};
+
+const TITLE_STYLE = {
+	font: { bold: true, size: 12, color: { argb: 'FF0000FF' } },
+};
+
+const HEADER_STYLE = {
+	font: { bold: true, size: 12, color: { argb: 'FFFFFFFF' } },
+	fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4472C4' } },
+	alignment: { horizontal: 'center', vertical: 'middle', wrapText: true },
+	border: THIN_BORDER,
+};
+
+const SUBHEADER_STYLE = {
+	font: { bold: true, italic: true, size: 11, color: { argb: 'FFFFFFFF' } },
+	fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF5B9BD5' } },
+	alignment: { horizontal: 'center', vertical: 'middle' },
+	border: THIN_BORDER,
+};
+
+const SECTION_STYLE = {
+	font: { bold: true, size: 12, color: { argb: 'FFFFFFFF' } },
+	fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4472C4' } },
+	border: THIN_BORDER,
+};
+
+const LABEL_STYLE = {
+	font: { bold: true, size: 11 },
+	fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFD9E1F2' } },
+	border: THIN_BORDER,
+};
+
+const LEGEND_STYLE = {
+	font: { bold: true, size: 11, color: { argb: 'FF0000FF' } },
+	fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE6F0FF' } },
+	alignment: { wrapText: true, vertical: 'top' },
+	border: THIN_BORDER,
+};
+
+// Font colors for profit, loss and break-even values
+const PROFIT_COLOR = 'FF008000';
+const LOSS_COLOR = 'FFFF0000';
+const BREAK_EVEN_COLOR = 'FFFFC000';
+
 /**
  * Saves store metrics and tag metrics to an Excel file
  * @param {Object} storeMetrics - Store metrics object
  * @param {Object} tagMetrics - Tag metrics object
  * @param {string} inputFileName - Name of the input file that was analyzed
  * @param {string} outputPath - Path to save the Excel file (optional)
+ * @param {Object} sections - Additional report sections (optional)
+ * @param {Array<Object>} sections.sources - Source file summaries from readAndMergeFiles
+ * @param {Object} sections.storeTagMetrics - Store × tag metrics from calculateStoreTagMetrics
+ * @param {Object} sections.carrierMetrics - Carrier metrics from calculateCarrierMetrics
+ * @param {Object} sections.storeCarrierMetrics - Store × carrier metrics from calculateStoreCarrierMetrics
+ * @param {Object} sections.weightBandMetrics - Weight band metrics from calculateWeightBandMetrics
+ * @param {Object} sections.destinationMetrics - Destination metrics from calculateDestinationMetrics
+ * @param {Object} sections.anomalyMetrics - Anomalies from detectAnomalies
+ * @param {Object} sections.trends - Trend metrics from calculatePeriodMetrics
+ * @param {Object} sections.comparison - Period comparison from buildComparison
+ * @param {Array<Object>} sections.orderDetails - Order details from calculateOrderDetails
+ * @param {Object} sections.tagCatalog - Tag catalog with the tag translations and descriptions; tags marked with
+ *   excludeFromRevenue add the revenue order rows to the store metrics
+ * @param {number} sections.totalOrders - Total orders across all stores, the denominator of "% of All Orders"
+ *   (defaults to the orders in storeMetrics)
+ * @param {string} sections.language - Language of the labels and sheet names: en, zh or bilingual (default: bilingual)
  * @returns {Promise<string>} - Path to the saved file
  */
-export async function saveReportToExcel(storeMetrics, tagMetrics, inputFileName, outputPath = null) {
+export async function saveReportToExcel(storeMetrics, tagMetrics, inputFileName, outputPath = null, sections = {}) {
+	const i18n = createTranslator(sections.language);
+
 	// Extract period from filename (e.g., "Feb-March 2025" from "./ShipStation Orders/Feb-March 2025.csv")
 	const periodMatch = inputFileName ? inputFileName.match(/([^\/]+)\.csv$/) : null;
 	const period = periodMatch ? periodMatch[1] : 'Current_Period';
@@ -36,1066 +128,2541 @@ export async function saveReportToExcel(storeMetrics, tagMetrics, inputFileName,
 	// Create the output file path
 	const outputFileName = outputPath || path.join(downloadsDir, `${period}_ShipStation_Report_${timestamp}.xlsx`);
 
-	// Create a new workbook
-	const workbook = XLSX.utils.book_new();
+	// Create a new workbook that recalculates every formula when it's opened
+	const workbook = new ExcelJS.Workbook();
+	workbook.creator = 'ShipStation Analytics';
+	workbook.created = new Date();
+	workbook.calcProperties.fullCalcOnLoad = true;
 
 	// Add title worksheet with overview and instructions
-	createTitleWorksheet(workbook, period, inputFileName);
+	createTitleWorksheet(workbook, storeMetrics, period, inputFileName, sections, i18n);
 
 	// Add store metrics worksheet
-	createStoreMetricsWorksheet(workbook, storeMetrics, period, inputFileName);
+	const storeLayout = createStoreMetricsWorksheet(
+		workbook,
+		storeMetrics,
+		period,
+		inputFileName,
+		sections.tagCatalog,
+		i18n
+	);
 
 	// Add special orders worksheet
-	createSpecialOrdersWorksheet(workbook, tagMetrics, storeMetrics);
+	const totalOrders =
+		sections.totalOrders !== undefined
+			? sections.totalOrders
+			: Object.keys(storeMetrics).reduce((sum, store) => sum + storeMetrics[store].count, 0);
+	const tagLayout = createSpecialOrdersWorksheet(
+		workbook,
+		tagMetrics,
+		totalOrders,
+		storeLayout,
+		sections.tagCatalog,
+		i18n
+	);
+
+	// Add charts worksheet, linked to the store metrics and special orders tables
+	const charts = createChartsWorksheet(
+		workbook,
+		storeMetrics,
+		tagMetrics,
+		storeLayout,
+		tagLayout,
+		sections.tagCatalog,
+		i18n
+	);
+
+	// Add tag × store worksheet
+	if (sections.storeTagMetrics) {
+		createStoreTagMetricsWorksheet(
+			workbook,
+			sections.storeTagMetrics,
+			storeMetrics,
+			storeLayout,
+			sections.tagCatalog,
+			i18n
+		);
+	}
+
+	// Add carrier metrics worksheet
+	if (sections.carrierMetrics) {
+		createCarrierMetricsWorksheet(workbook, sections.carrierMetrics, sections.storeCarrierMetrics || {}, i18n);
+	}
+
+	// Add weight bands worksheet
+	if (sections.weightBandMetrics) {
+		createWeightBandsWorksheet(workbook, sections.weightBandMetrics, i18n);
+	}
+
+	// Add destinations worksheet
+	if (sections.destinationMetrics) {
+		createDestinationsWorksheet(workbook, sections.destinationMetrics, i18n);
+	}
+
+	// Add orders to review worksheet
+	if (sections.anomalyMetrics) {
+		createAnomaliesWorksheet(workbook, sections.anomalyMetrics, i18n);
+	}
+
+	// Add trends worksheet
+	if (sections.trends) {
+		createTrendsWorksheet(workbook, sections.trends, i18n);
+	}
+
+	// Add comparison worksheet
+	if (sections.comparison) {
+		createComparisonWorksheet(workbook, sections.comparison, i18n);
+	}
+
+	// Add order-level detail worksheet
+	if (sections.orderDetails) {
+		createOrderDetailsWorksheet(workbook, sections.orderDetails, i18n);
+	}
+
+	// Write the workbook, then add the native charts to it
+	const buffer = await workbook.xlsx.writeBuffer();
+	const workbookWithCharts = await addChartsToWorkbook(buffer, charts);
+
+	// Ensure the output directory exists
+	await fs.promises.mkdir(path.dirname(outputFileName), { recursive: true });
 
 	// Write to file
-	XLSX.writeFile(workbook, outputFileName);
+	await fs.promises.writeFile(outputFileName, workbookWithCharts);
 
 	return outputFileName;
 }
 
 /**
- * Creates a title worksheet with overview and instructions
- * @param {Object} workbook - XLSX workbook
- * @param {string} period - Period name from the input file
- * @param {string} fileName - Name of the file being analyzed
+ * Converts a 1-based column number to its letter (1 → A, 27 → AA)
+ * @param {number} columnNumber - 1-based column number
+ * @returns {string} - Column letter
  */
-function createTitleWorksheet(workbook, period, fileName) {
-	const currentDate = new Date().toLocaleDateString('en-US', {
-		year: 'numeric',
-		month: 'long',
-		day: 'numeric',
-	});
+function columnLetter(columnNumber) {
+	let letter = '';
+	let remaining = columnNumber;
+	while (remaining > 0) {
+		const index = (remaining - 1) % 26;
+		letter = String.fromCharCode(65 + index) + letter;
+		remaining = Math.floor((remaining - 1) / 26);
+	}
+	return letter;
+}
 
-	const data = [
-		[`ShipStation Analytics Report - ${period} | ShipStation 分析报告 - ${period}`],
-		[`Generated on: ${currentDate} | 生成日期: ${currentDate}`],
-		[`Source file: ${fileName} | 源文件: ${fileName}`],
-		[],
-		['REPORT OVERVIEW | 报告概述'],
-		[],
-		[
-			'This report contains detailed shipping and order analytics for your ShipStation data. | 此报告包含您的 ShipStation 数据的详细物流和订单分析。',
-		],
-		['The report is organized into the following worksheets: | 报告分为以下工作表:'],
-		[],
-		['1. Store Metrics | 店铺指标'],
-		['   - Comprehensive table of metrics by store | 按店铺划分的综合指标表'],
-		['   - Order counts, values, and shipping costs | 订单数量、价值和物流成本'],
-		['   - Profit margins and revenue analysis | 利润率和收入分析'],
-		['   - Detailed breakdown by store | 按店铺的详细分析'],
-		[],
-		['2. Special Orders | 特殊订单'],
-		['   - Analysis of orders with special tags | 带有特殊标签的订单分析'],
-		['   - Breakdown by tag category | 按标签类别的分析'],
-		['   - Shipping costs for special order types | 特殊订单类型的物流成本'],
-		['   - Percentage of total orders | 占总订单的百分比'],
-		[],
-		['INSTRUCTIONS | 使用说明'],
-		[],
-		['- Green values indicate profit | 绿色表示盈利'],
-		['- Red values indicate loss | 红色表示亏损'],
-		['- Yellow values indicate break-even | 黄色表示收支平衡'],
-		[],
-		['Key Metrics Explained | 关键指标解释:'],
-		[
-			'- AOV (Average Order Value): Total order value divided by number of orders | 平均订单价值: 总订单价值除以订单数量',
-		],
-		['- Ship Margin: Shipping profit as a percentage of shipping paid | 物流利润率: 物流利润占物流收入的百分比'],
-		['- Net Margin: Net revenue as a percentage of order value | 净利润率: 净收入占订单价值的百分比'],
-		['- Ship Cost: Total shipping cost paid to carrier | 物流成本: 支付给物流公司的总成本'],
-		['- Ship Paid: Total shipping fees collected from customers | 物流收入: 从客户处收取的总物流费用'],
-		['- Ship Profit: Difference between shipping paid and shipping cost | 物流利润: 物流收入与物流成本之间的差额'],
-		['- Net Revenue: Order value minus shipping cost | 净收入: 订单价值减去物流成本'],
-		[],
-		['For questions or support, contact your analytics team. | 如有问题或需要支持，请联系您的分析团队。'],
-	];
+/**
+ * Creates a formula cell value with its current result cached for viewers that don't recalculate
+ * @param {string} expression - Formula without the leading "="
+ * @param {number|string} result - Current result of the formula
+ * @returns {Object} - exceljs formula value
+ */
+function formula(expression, result) {
+	return { formula: expression, result };
+}
 
-	// Create worksheet
-	const ws = XLSX.utils.aoa_to_sheet(data);
+/**
+ * Applies a style (font, fill, border, alignment, numFmt) to a cell
+ * @param {Object} cell - exceljs cell
+ * @param {Object} style - Style properties to apply
+ */
+function styleCell(cell, style) {
+	for (const [property, value] of Object.entries(style)) {
+		cell[property] = value;
+	}
+}
 
-	// Set column widths
-	ws['!cols'] = [{ wch: 100 }];
+/**
+ * Sets a cell value with an optional number format and style
+ * @param {Object} worksheet - exceljs worksheet
+ * @param {string} address - Cell address, e.g. B7
+ * @param {*} value - Value or formula
+ * @param {string} numberFormat - Number format (optional)
+ * @param {Object} style - Style properties (optional)
+ * @returns {Object} - The exceljs cell
+ */
+function setCell(worksheet, address, value, numberFormat = null, style = null) {
+	const cell = worksheet.getCell(address);
+	cell.value = value;
+	if (numberFormat) cell.numFmt = numberFormat;
+	if (style) styleCell(cell, style);
+	return cell;
+}
 
-	// Apply formatting
-	applyTitleWorksheetFormatting(ws, data.length);
+/**
+ * Colors values green when positive, red when negative and yellow when zero, updating as formulas change
+ * @param {Object} worksheet - exceljs worksheet
+ * @param {string} range - Range to format, e.g. B7:B15
+ */
+function addProfitLossFormatting(worksheet, range) {
+	worksheet.addConditionalFormatting({
+		ref: range,
+		rules: [
+			{ type: 'cellIs', operator: 'lessThan', formulae: ['0'], style: { font: { color: { argb: LOSS_COLOR } } } },
+			{
+				type: 'cellIs',
+				operator: 'greaterThan',
+				formulae: ['0'],
+				style: { font: { color: { argb: PROFIT_COLOR } } },
+			},
+			{ type: 'cellIs', operator: 'equal', formulae: ['0'], style: { font: { color: { argb: BREAK_EVEN_COLOR } } } },
+		],
+	});
+}
 
-	// Add worksheet to workbook
-	XLSX.utils.book_append_sheet(workbook, ws, 'Overview | 概述');
+/**
+ * Formats a number like Excel's TEXT(value, "$#,##0.00"), for cached formula results
+ * @param {number} value - The value to format
+ * @returns {string} - Formatted currency string
+ */
+function formatCurrencyText(value) {
+	const formatted = `$${Math.abs(value).toLocaleString('en-US', {
+		minimumFractionDigits: 2,
+		maximumFractionDigits: 2,
+	})}`;
+	return value < 0 ? `-${formatted}` : formatted;
 }
 
 /**
- * Applies formatting to the title worksheet
- * @param {Object} ws - XLSX worksheet
- * @param {number} rowCount - Number of rows
+ * Formats a fraction like Excel's TEXT(value, "0.0%") or TEXT(value, "0.00%"), for cached formula results
+ * @param {number} value - The fraction to format
+ * @param {number} decimals - Number of decimals
+ * @returns {string} - Formatted percentage string
  */
-function applyTitleWorksheetFormatting(ws, rowCount) {
-	// Format title
-	const titleRef = XLSX.utils.encode_cell({ r: 0, c: 0 });
-	ws[titleRef].s = {
-		font: { bold: true, sz: 16, color: { rgb: '0000FF' } },
-		alignment: { horizontal: 'center', vertical: 'center' },
-		border: {
-			top: { style: 'thin', color: { rgb: '000000' } },
-			bottom: { style: 'thin', color: { rgb: '000000' } },
-			left: { style: 'thin', color: { rgb: '000000' } },
-			right: { style: 'thin', color: { rgb: '000000' } },
-		},
-		fill: { patternType: 'solid', fgColor: { rgb: 'E6F0FF' } },
+function formatPercentText(value, decimals) {
+	return `${(value * 100).toFixed(decimals)}%`;
+}
+
+/**
+ * Builds a text formula from a translated message whose placeholders are filled in by formulas
+ * @param {string} message - Translated message with {name} placeholders, e.g. "Total Orders: {count}"
+ * @param {Object} parts - Placeholder values, each with a formula expression and its current text
+ * @returns {Object} - exceljs formula value, e.g. "Total Orders: "&B7
+ */
+function textFormula(message, parts) {
+	const pieces = message.split(/(\{\w+\})/).filter((piece) => piece !== '');
+	const partOf = (piece) => {
+		const match = piece.match(/^\{(\w+)\}$/);
+		return match ? parts[match[1]] : null;
 	};
 
-	// Format date and source file
-	for (let i = 1; i < 3; i++) {
-		const cellRef = XLSX.utils.encode_cell({ r: i, c: 0 });
-		ws[cellRef].s = {
-			font: { italic: true, color: { rgb: '666666' } },
-			alignment: { horizontal: 'center', vertical: 'center' },
-			border: {
-				top: { style: 'thin', color: { rgb: '000000' } },
-				bottom: { style: 'thin', color: { rgb: '000000' } },
-				left: { style: 'thin', color: { rgb: '000000' } },
-				right: { style: 'thin', color: { rgb: '000000' } },
-			},
-		};
-	}
+	const expression = pieces
+		.map((piece) => (partOf(piece) ? partOf(piece).expression : `"${piece.replace(/"/g, '""')}"`))
+		.join('&');
+	const result = pieces.map((piece) => (partOf(piece) ? partOf(piece).text : piece)).join('');
 
-	// Format section headers
-	const sectionHeaders = [
-		'REPORT OVERVIEW | 报告概述',
-		'INSTRUCTIONS | 使用说明',
-		'Key Metrics Explained | 关键指标解释:',
-	];
-	for (let r = 0; r < rowCount; r++) {
-		const cellRef = XLSX.utils.encode_cell({ r, c: 0 });
-		if (ws[cellRef] && sectionHeaders.includes(ws[cellRef].v)) {
-			ws[cellRef].s = {
-				font: { bold: true, sz: 12, color: { rgb: 'FFFFFF' } },
-				fill: { patternType: 'solid', fgColor: { rgb: '4472C4' } },
-				alignment: { horizontal: 'center', vertical: 'center' },
-				border: {
-					top: { style: 'thin', color: { rgb: '000000' } },
-					bottom: { style: 'thin', color: { rgb: '000000' } },
-					left: { style: 'thin', color: { rgb: '000000' } },
-					right: { style: 'thin', color: { rgb: '000000' } },
-				},
-			};
-		}
-	}
+	return formula(expression, result);
+}
 
-	// Format worksheet titles
-	const worksheetTitles = ['1. Store Metrics | 店铺指标', '2. Special Orders | 特殊订单'];
-	for (let r = 0; r < rowCount; r++) {
-		const cellRef = XLSX.utils.encode_cell({ r, c: 0 });
-		if (ws[cellRef] && worksheetTitles.some((title) => ws[cellRef].v.includes(title))) {
-			ws[cellRef].s = {
-				font: { bold: true, sz: 12, color: { rgb: '0000FF' } },
-				border: {
-					top: { style: 'thin', color: { rgb: '000000' } },
-					bottom: { style: 'thin', color: { rgb: '000000' } },
-					left: { style: 'thin', color: { rgb: '000000' } },
-					right: { style: 'thin', color: { rgb: '000000' } },
-				},
-				fill: { patternType: 'solid', fgColor: { rgb: 'E6F0FF' } },
-			};
-		}
-	}
+/**
+ * Creates a text formula part showing a count cell as it is
+ * @param {string} reference - Cell reference
+ * @param {number} value - Current value of the cell
+ * @returns {Object} - Part for textFormula
+ */
+function countPart(reference, value) {
+	return { expression: reference, text: String(value) };
+}
 
-	// Format color indicators
-	const colorIndicators = [
-		'- Green values indicate profit | 绿色表示盈利',
-		'- Red values indicate loss | 红色表示亏损',
-		'- Yellow values indicate break-even | 黄色表示收支平衡',
-	];
+/**
+ * Creates a text formula part showing a cell as currency
+ * @param {string} reference - Cell reference or expression
+ * @param {number} value - Current value
+ * @returns {Object} - Part for textFormula
+ */
+function currencyPart(reference, value) {
+	return { expression: `TEXT(${reference},"$#,##0.00")`, text: formatCurrencyText(value) };
+}
 
-	for (let r = 0; r < rowCount; r++) {
-		const cellRef = XLSX.utils.encode_cell({ r, c: 0 });
-		if (ws[cellRef]) {
-			if (ws[cellRef].v === colorIndicators[0]) {
-				ws[cellRef].s = {
-					font: { color: { rgb: '008000' }, sz: 11 },
-					border: {
-						top: { style: 'thin', color: { rgb: '000000' } },
-						bottom: { style: 'thin', color: { rgb: '000000' } },
-						left: { style: 'thin', color: { rgb: '000000' } },
-						right: { style: 'thin', color: { rgb: '000000' } },
-					},
-				}; // Green
-			} else if (ws[cellRef].v === colorIndicators[1]) {
-				ws[cellRef].s = {
-					font: { color: { rgb: 'FF0000' }, sz: 11 },
-					border: {
-						top: { style: 'thin', color: { rgb: '000000' } },
-						bottom: { style: 'thin', color: { rgb: '000000' } },
-						left: { style: 'thin', color: { rgb: '000000' } },
-						right: { style: 'thin', color: { rgb: '000000' } },
-					},
-				}; // Red
-			} else if (ws[cellRef].v === colorIndicators[2]) {
-				ws[cellRef].s = {
-					font: { color: { rgb: 'FFC000' }, sz: 11 },
-					border: {
-						top: { style: 'thin', color: { rgb: '000000' } },
-						bottom: { style: 'thin', color: { rgb: '000000' } },
-						left: { style: 'thin', color: { rgb: '000000' } },
-						right: { style: 'thin', color: { rgb: '000000' } },
-					},
-				}; // Yellow
-			}
-		}
-	}
+/**
+ * Creates a text formula part showing a fraction as a percentage
+ * @param {string} reference - Cell reference or expression
+ * @param {number} value - Current value, as a fraction
+ * @param {number} decimals - Number of decimals
+ * @returns {Object} - Part for textFormula
+ */
+function percentPart(reference, value, decimals) {
+	return {
+		expression: `TEXT(${reference},"${decimals === 1 ? '0.0%' : '0.00%'}")`,
+		text: formatPercentText(value, decimals),
+	};
 }
 
 /**
- * Creates a worksheet for store metrics
- * @param {Object} workbook - XLSX workbook
- * @param {Object} storeMetrics - Store metrics object
+ * Creates a title worksheet with overview and instructions
+ * @param {Object} workbook - exceljs workbook
+ * @param {Object} storeMetrics - Store metrics data
  * @param {string} period - Period name from the input file
  * @param {string} fileName - Name of the file being analyzed
+ * @param {Object} sections - Additional report sections (sources, carrierMetrics, ...)
+ * @param {Object} i18n - Translator from createTranslator
  */
-function createStoreMetricsWorksheet(workbook, storeMetrics, period, fileName) {
-	// Get stores and sort by order count
-	const stores = Object.keys(storeMetrics).sort((a, b) => storeMetrics[b].count - storeMetrics[a].count);
+function createTitleWorksheet(workbook, storeMetrics, period, fileName, sections, i18n) {
+	const { t } = i18n;
+	const { sources } = sections;
 
-	if (stores.length === 0) {
-		const ws = XLSX.utils.aoa_to_sheet([
-			[`ShipStation Analytics Report for ${period} | ShipStation ${period} 分析报告`],
-			[],
-			['STORE METRICS | 店铺指标'],
-			[],
-			['No store data found | 未找到店铺数据'],
-		]);
-		XLSX.utils.book_append_sheet(workbook, ws, 'Store Metrics | 店铺指标');
-		return;
-	}
+	const currentDate = i18n.longDate(new Date());
 
-	// Calculate totals
-	let totalOrders = 0;
-	let totalRate = 0;
-	let totalOrderValue = 0;
-	let totalShippingPaid = 0;
-	let totalShippingProfit = 0;
-	let totalNetRevenue = 0;
+	const data = [
+		[t('overview.title', { period })],
+		[t('overview.generatedOn', { date: currentDate })],
+		[t('overview.sourceFile', { fileName })],
+		[],
+	];
 
-	for (const store of stores) {
-		const metrics = storeMetrics[store];
-		totalOrders += metrics.count;
-		totalRate += metrics.totalRate;
-		totalOrderValue += metrics.totalOrderValue;
-		totalShippingPaid += metrics.totalShippingPaid;
-		totalShippingProfit += metrics.shippingProfit;
-		totalNetRevenue += metrics.netRevenue;
+	// List each merged source file with the duplicates dropped from it
+	if (sources && sources.length > 0) {
+		data.push([t('report.sourceFiles')], []);
+		for (const source of sources) {
+			data.push([
+				t('source.line', {
+					fileName: source.fileName,
+					records: i18n.number(source.records),
+					duplicates: i18n.number(source.duplicates),
+					included: i18n.number(source.included),
+				}),
+			]);
+		}
+		data.push([]);
 	}
 
-	// Create header rows
-	const data = [
-		[`ShipStation Analytics Report for ${period} | ShipStation ${period} 分析报告`],
+	data.push(
+		[t('overview.reportOverview')],
 		[],
-		['STORE METRICS | 店铺指标'],
+		[t('overview.intro')],
+		[t('overview.organized')],
 		[],
-	];
+		[`1. ${t('sheet.storeMetrics')}`],
+		[t('overview.storeMetricsTable')],
+		[t('overview.storeMetricsCounts')],
+		[t('overview.storeMetricsMargins')],
+		[t('overview.storeMetricsBreakdown')]
+	);
 
-	// Create main header row with store names
-	const mainHeaderRow = ['Metric | 指标'];
-	stores.forEach((store) => {
-		mainHeaderRow.push(store); // Store name
-		mainHeaderRow.push(''); // Empty cell for the percentage column
-	});
-	mainHeaderRow.push('TOTAL | 总计');
-	mainHeaderRow.push(''); // Empty cell for the percentage column
-	data.push(mainHeaderRow);
-
-	// Create subheader row with Value/% labels
-	const subHeaderRow = [''];
-	stores.forEach(() => {
-		subHeaderRow.push('Value');
-		subHeaderRow.push('%');
-	});
-	subHeaderRow.push('Value');
-	subHeaderRow.push('%');
-	data.push(subHeaderRow);
-
-	// Add rows for each metric
-	// Orders row
-	const ordersRow = ['Orders | 订单数'];
-	stores.forEach((store) => {
-		ordersRow.push(storeMetrics[store].count);
-		ordersRow.push(((storeMetrics[store].count / totalOrders) * 100).toFixed(1) + '%');
-	});
-	ordersRow.push(totalOrders);
-	ordersRow.push('100.0%');
-	data.push(ordersRow);
-
-	// Order Value row
-	const orderValueRow = ['Order Value | 订单价值'];
-	stores.forEach((store) => {
-		orderValueRow.push({ v: storeMetrics[store].totalOrderValue, t: 'n', z: '$#,##0.00' });
-		orderValueRow.push(((storeMetrics[store].totalOrderValue / totalOrderValue) * 100).toFixed(1) + '%');
-	});
-	orderValueRow.push({ v: totalOrderValue, t: 'n', z: '$#,##0.00' });
-	orderValueRow.push('100.0%');
-	data.push(orderValueRow);
-
-	// AOV row
-	const aovRow = ['AOV | 平均订单价值'];
-	stores.forEach((store) => {
-		aovRow.push({ v: storeMetrics[store].averageOrderValue, t: 'n', z: '$#,##0.00' });
-		aovRow.push(''); // No percentage for AOV
-	});
-	aovRow.push({ v: totalOrderValue / totalOrders, t: 'n', z: '$#,##0.00' });
-	aovRow.push(''); // No percentage for AOV
-	data.push(aovRow);
-
-	// Ship Cost row
-	const shipCostRow = ['Ship Cost | 物流成本'];
-	stores.forEach((store) => {
-		shipCostRow.push({ v: storeMetrics[store].totalRate, t: 'n', z: '$#,##0.00' });
-		shipCostRow.push(((storeMetrics[store].totalRate / totalRate) * 100).toFixed(1) + '%');
-	});
-	shipCostRow.push({ v: totalRate, t: 'n', z: '$#,##0.00' });
-	shipCostRow.push('100.0%');
-	data.push(shipCostRow);
-
-	// Ship Paid row
-	const shipPaidRow = ['Ship Paid | 物流收入'];
-	stores.forEach((store) => {
-		shipPaidRow.push({ v: storeMetrics[store].totalShippingPaid, t: 'n', z: '$#,##0.00' });
-		const percent =
-			totalShippingPaid > 0
-				? ((storeMetrics[store].totalShippingPaid / totalShippingPaid) * 100).toFixed(1)
-				: '0.0';
-		shipPaidRow.push(percent + '%');
-	});
-	shipPaidRow.push({ v: totalShippingPaid, t: 'n', z: '$#,##0.00' });
-	shipPaidRow.push('100.0%');
-	data.push(shipPaidRow);
-
-	// Ship Profit row
-	const shipProfitRow = ['Ship Profit | 物流利润'];
-	stores.forEach((store) => {
-		shipProfitRow.push({ v: storeMetrics[store].shippingProfit, t: 'n', z: '$#,##0.00' });
-		shipProfitRow.push(''); // No percentage for Ship Profit
-	});
-	shipProfitRow.push({ v: totalShippingProfit, t: 'n', z: '$#,##0.00' });
-	shipProfitRow.push(''); // No percentage for Ship Profit
-	data.push(shipProfitRow);
-
-	// Ship Margin row
-	const shipMarginRow = ['Ship Margin | 物流利润率'];
-	const overallShippingProfitMargin = totalShippingPaid > 0 ? (totalShippingProfit / totalShippingPaid) * 100 : 0;
-	stores.forEach((store) => {
-		shipMarginRow.push({ v: storeMetrics[store].shippingProfitMargin, t: 'n', z: '0.00"%"' });
-		shipMarginRow.push(''); // No percentage for Ship Margin
-	});
-	shipMarginRow.push({ v: overallShippingProfitMargin, t: 'n', z: '0.00"%"' });
-	shipMarginRow.push(''); // No percentage for Ship Margin
-	data.push(shipMarginRow);
-
-	// Net Revenue row
-	const netRevenueRow = ['Net Revenue | 净收入'];
-	stores.forEach((store) => {
-		netRevenueRow.push({ v: storeMetrics[store].netRevenue, t: 'n', z: '$#,##0.00' });
-		netRevenueRow.push(((storeMetrics[store].netRevenue / totalNetRevenue) * 100).toFixed(1) + '%');
-	});
-	netRevenueRow.push({ v: totalNetRevenue, t: 'n', z: '$#,##0.00' });
-	netRevenueRow.push('100.0%');
-	data.push(netRevenueRow);
-
-	// Net Margin row
-	const netMarginRow = ['Net Margin | 净利润率'];
-	const overallNetRevenueMargin = totalOrderValue > 0 ? (totalNetRevenue / totalOrderValue) * 100 : 0;
-	stores.forEach((store) => {
-		netMarginRow.push({ v: storeMetrics[store].netRevenueMargin, t: 'n', z: '0.00"%"' });
-		netMarginRow.push(''); // No percentage for Net Margin
-	});
-	netMarginRow.push({ v: overallNetRevenueMargin, t: 'n', z: '0.00"%"' });
-	netMarginRow.push(''); // No percentage for Net Margin
-	data.push(netMarginRow);
+	// Mention the revenue order rows when the tag catalog leaves some tags out of revenue
+	const revenueExcludedTags = getRevenueExcludedTags(sections.tagCatalog);
+	if (revenueExcludedTags.length > 0) {
+		const tags = revenueExcludedTags.map((tag) => i18n.tag(tag, sections.tagCatalog)).join(', ');
+		data.push([t('overview.storeMetricsRevenueOrders', { tags })]);
+	}
+
+	// Mention the label cost rows when the data has voided, return or refunded labels
+	const totals = summarizeStoreMetrics(storeMetrics);
+	if (totals.voidCount + totals.returnCount + totals.refundCount > 0) {
+		data.push([t('overview.storeMetricsLabels')]);
+	}
 
-	// Add legend
 	data.push(
 		[],
-		['Legend | 图例:'],
-		[
-			'AOV = Average Order Value | 平均订单价值, Ship = Shipping | 物流, Net Margin = Net Revenue Margin | 净利润率',
-		],
-		['- Green values indicate profit | 绿色表示盈利'],
-		['- Red values indicate loss | 红色表示亏损'],
-		['- Yellow values indicate break-even | 黄色表示收支平衡'],
-		['- Ship Cost = Total shipping cost paid to carrier | 物流成本 = 支付给物流公司的总成本'],
-		['- Ship Paid = Total shipping fees collected from customers | 物流收入 = 从客户处收取的总物流费用'],
-		[
-			'- Ship Profit = Difference between shipping paid and shipping cost | 物流利润 = 物流收入与物流成本之间的差额',
-		],
-		['- Ship Margin = Shipping Profit / Shipping Paid | 物流利润率 = 物流利润 / 物流收入'],
-		['- Net Revenue = Order value minus shipping cost | 净收入 = 订单价值减去物流成本'],
-		['- Net Margin = Net Revenue / Order Value | 净利润率 = 净收入 / 订单价值']
+		[`2. ${t('sheet.specialOrders')}`],
+		[t('overview.specialOrdersTags')],
+		[t('overview.specialOrdersBreakdown')],
+		[t('overview.specialOrdersCosts')],
+		[t('overview.specialOrdersPercent')],
+		[],
+		[`3. ${t('sheet.charts')}`],
+		[t('overview.chartsStores')],
+		[t('overview.chartsTags')],
+		[]
 	);
 
-	// Add store summary
-	data.push([], ['Stores Summary | 店铺摘要:']);
+	// Optional worksheets are numbered after the three standard ones
+	let sheetNumber = 4;
 
-	for (const store of stores) {
-		const metrics = storeMetrics[store];
+	if (sections.storeTagMetrics) {
 		data.push(
-			[`${store}:`],
-			[`Orders | 订单: ${metrics.count} orders (AOV: $${metrics.averageOrderValue.toFixed(2)})`],
-			[
-				`Revenue | 收入: $${metrics.totalOrderValue.toFixed(2)} → $${metrics.netRevenue.toFixed(
-					2
-				)} (${metrics.netRevenueMargin.toFixed(2)}% margin)`,
-			],
+			[`${sheetNumber++}. ${t('sheet.tagsByStore')}`],
+			[t('overview.tagsByStoreMatrix')],
+			[t('overview.tagsByStoreShare')],
+			[]
+		);
+	}
+
+	if (sections.carrierMetrics) {
+		data.push(
+			[`${sheetNumber++}. ${t('sheet.carriers')}`],
+			[t('overview.carriersSpend')],
+			[t('overview.carriersByStore')],
+			[]
+		);
+	}
+
+	if (sections.weightBandMetrics) {
+		data.push(
+			[`${sheetNumber++}. ${t('sheet.weightBands')}`],
+			[t('overview.weightBandsCost')],
+			[t('overview.weightBandsBreakdown')],
+			[]
+		);
+	}
+
+	if (sections.destinationMetrics) {
+		data.push(
+			[`${sheetNumber++}. ${t('sheet.destinations')}`],
+			[t('overview.destinationsSplit')],
+			[t('overview.destinationsRegions')],
+			[]
+		);
+	}
+
+	if (sections.anomalyMetrics) {
+		data.push(
+			[`${sheetNumber++}. ${t('sheet.anomalies')}`],
+			[t('overview.anomaliesList')],
+			[t('overview.anomaliesRanked')],
+			[]
+		);
+	}
+
+	if (sections.trends) {
+		data.push(
+			[`${sheetNumber++}. ${t('sheet.trends')}`],
+			[t('overview.trendsMetrics')],
+			[t('overview.trendsStores')],
+			[]
+		);
+	}
+
+	if (sections.comparison) {
+		data.push(
+			[`${sheetNumber++}. ${t('sheet.comparison')}`],
 			[
-				`Shipping | 物流: Cost: $${metrics.totalRate.toFixed(2)} vs Paid: $${metrics.totalShippingPaid.toFixed(
-					2
-				)} = $${metrics.shippingProfit.toFixed(2)} (${metrics.shippingProfitMargin.toFixed(2)}%)`,
+				t('overview.comparisonPeriods', {
+					base: sections.comparison.baseLabel,
+					current: sections.comparison.currentLabel,
+				}),
 			],
+			[t('overview.comparisonChanges')],
 			[]
 		);
 	}
 
-	// Add overall summary
+	if (sections.orderDetails) {
+		data.push([`${sheetNumber++}. ${t('sheet.orders')}`], [t('overview.ordersFields')], [t('overview.ordersTags')], []);
+	}
+
 	data.push(
-		['Overall Summary | 总体摘要:'],
-		[`Total Orders | 总订单数: ${totalOrders}`],
-		[
-			`Total Revenue | 总收入: $${totalOrderValue.toFixed(2)} → $${totalNetRevenue.toFixed(
-				2
-			)} (${overallNetRevenueMargin.toFixed(2)}%)`,
-		],
-		[
-			`Total Shipping | 总物流: Cost: $${totalRate.toFixed(2)} vs Paid: $${totalShippingPaid.toFixed(
-				2
-			)} = $${totalShippingProfit.toFixed(2)} (${overallShippingProfitMargin.toFixed(2)}%)`,
-		]
+		[t('overview.instructions')],
+		[],
+		[t('common.profit')],
+		[t('common.loss')],
+		[t('common.breakEven')],
+		[t('overview.formulas')],
+		[],
+		[t('overview.keyMetrics')],
+		[t('overview.aov')],
+		[t('overview.shipMargin')],
+		[t('overview.netMargin')],
+		[t('overview.shipCost')],
+		[t('overview.shipPaid')],
+		[t('overview.shipProfit')],
+		[t('overview.netRevenue')],
+		[],
+		[t('overview.support')]
 	);
 
 	// Create worksheet
-	const ws = XLSX.utils.aoa_to_sheet(data);
+	const worksheet = workbook.addWorksheet(t('sheet.overview'));
+	worksheet.addRows(data);
 
 	// Set column widths
-	const colWidths = [
-		{ wch: 25 }, // Metric column
-	];
-
-	// Add column widths for each store (value and percentage columns)
-	stores.forEach(() => {
-		colWidths.push({ wch: 15 }); // Value column
-		colWidths.push({ wch: 8 }); // Percentage column
-	});
-
-	// Add column widths for total columns
-	colWidths.push({ wch: 15 }); // Total value column
-	colWidths.push({ wch: 8 }); // Total percentage column
-
-	ws['!cols'] = colWidths;
-
-	// Create merged cells for store headers
-	const merges = [];
+	worksheet.getColumn(1).width = 100;
 
-	// Calculate the starting column for stores (after the metric column)
-	let startCol = 1;
+	// Apply formatting
+	applyTitleWorksheetFormatting(worksheet, i18n);
+}
 
-	// Merge cells for each store header
-	stores.forEach((_, index) => {
-		const colIndex = startCol + index * 2;
-		merges.push({
-			s: { r: 4, c: colIndex },
-			e: { r: 4, c: colIndex + 1 },
-		});
-	});
+/**
+ * Applies formatting to the title worksheet
+ * @param {Object} worksheet - exceljs worksheet
+ * @param {Object} i18n - Translator from createTranslator
+ */
+function applyTitleWorksheetFormatting(worksheet, i18n) {
+	const { t } = i18n;
 
-	// Merge cells for the total header
-	merges.push({
-		s: { r: 4, c: startCol + stores.length * 2 },
-		e: { r: 4, c: startCol + stores.length * 2 + 1 },
+	// Format title
+	styleCell(worksheet.getCell('A1'), {
+		font: { bold: true, size: 16, color: { argb: 'FF0000FF' } },
+		alignment: { horizontal: 'center', vertical: 'middle' },
+		border: THIN_BORDER,
+		fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE6F0FF' } },
 	});
 
-	// Add merges to worksheet
-	ws['!merges'] = merges;
+	// Format date and source file
+	for (const address of ['A2', 'A3']) {
+		styleCell(worksheet.getCell(address), {
+			font: { italic: true, color: { argb: 'FF666666' } },
+			alignment: { horizontal: 'center', vertical: 'middle' },
+			border: THIN_BORDER,
+		});
+	}
 
-	// Apply formatting
-	applyWorksheetFormatting(ws, data.length, stores.length * 2 + 3);
+	const sectionHeaders = [
+		t('report.sourceFiles'),
+		t('overview.reportOverview'),
+		t('overview.instructions'),
+		t('overview.keyMetrics'),
+	];
+	const worksheetTitles = [
+		'sheet.storeMetrics',
+		'sheet.specialOrders',
+		'sheet.charts',
+		'sheet.tagsByStore',
+		'sheet.carriers',
+		'sheet.weightBands',
+		'sheet.destinations',
+		'sheet.anomalies',
+		'sheet.trends',
+		'sheet.comparison',
+		'sheet.orders',
+	].map((key) => t(key));
+	const colorIndicators = {
+		[t('common.profit')]: PROFIT_COLOR,
+		[t('common.loss')]: LOSS_COLOR,
+		[t('common.breakEven')]: BREAK_EVEN_COLOR,
+	};
 
-	// Add worksheet to workbook
-	XLSX.utils.book_append_sheet(workbook, ws, 'Store Metrics | 店铺指标');
+	worksheet.eachRow((row) => {
+		const cell = row.getCell(1);
+		const value = typeof cell.value === 'string' ? cell.value : '';
+
+		if (sectionHeaders.includes(value)) {
+			// Format section headers
+			styleCell(cell, { ...SECTION_STYLE, alignment: { horizontal: 'center', vertical: 'middle' } });
+		} else if (/^\d+\. /.test(value) && worksheetTitles.some((title) => value.endsWith(`. ${title}`))) {
+			// Format worksheet titles (numbered entries such as "4. Carriers | 承运商")
+			styleCell(cell, {
+				font: { bold: true, size: 12, color: { argb: 'FF0000FF' } },
+				border: THIN_BORDER,
+				fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE6F0FF' } },
+			});
+		} else if (colorIndicators[value]) {
+			// Format color indicators
+			styleCell(cell, { font: { size: 11, color: { argb: colorIndicators[value] } }, border: THIN_BORDER });
+		}
+	});
 }
 
 /**
- * Creates a worksheet for special orders
- * @param {Object} workbook - XLSX workbook
- * @param {Object} tagMetrics - Tag metrics object
- * @param {Object} storeMetrics - Store metrics object (for total orders)
+ * Creates a worksheet for store metrics
+ *
+ * Orders, Order Value, Ship Cost and Ship Paid are values; every other row, the percentage
+ * columns and the TOTAL column are formulas over them. When the tag catalog excludes tags from
+ * revenue, Revenue Orders, Revenue Order Value and Revenue Ship Cost follow as values, with the
+ * revenue AOV, net revenue and net margin as formulas.
+ *
+ * @param {Object} workbook - exceljs workbook
+ * @param {Object} storeMetrics - Store metrics object
+ * @param {string} period - Period name from the input file
+ * @param {string} fileName - Name of the file being analyzed
+ * @param {Object} tagCatalog - Tag catalog with the tags excluded from revenue (optional)
+ * @param {Object} i18n - Translator from createTranslator
+ * @returns {Object|null} - Layout of the metrics table (stores, columns and rows), or null when there are no stores
  */
-function createSpecialOrdersWorksheet(workbook, tagMetrics, storeMetrics) {
-	// Get tags and sort alphabetically
-	const tags = Object.keys(tagMetrics).sort();
+function createStoreMetricsWorksheet(workbook, storeMetrics, period, fileName, tagCatalog, i18n) {
+	const { t } = i18n;
+	const sheetName = t('sheet.storeMetrics');
+	const worksheet = workbook.addWorksheet(sheetName);
 
-	if (tags.length === 0) {
-		const ws = XLSX.utils.aoa_to_sheet([
-			['SPECIAL ORDERS ANALYSIS | 特殊订单分析'],
-			[],
-			['No special orders data found | 未找到特殊订单数据'],
-		]);
-		XLSX.utils.book_append_sheet(workbook, ws, 'Special Orders | 特殊订单');
-		return;
-	}
+	// Get stores and sort by order count
+	const stores = Object.keys(storeMetrics).sort((a, b) => storeMetrics[b].count - storeMetrics[a].count);
 
-	// Calculate totals
-	let totalTaggedOrders = 0;
-	let totalTagRate = 0;
+	// Create header rows
+	setCell(worksheet, 'A1', t('report.title', { period }), null, TITLE_STYLE);
+	setCell(worksheet, 'A3', t('report.storeMetrics'), null, TITLE_STYLE);
 
-	for (const tag of tags) {
-		const metrics = tagMetrics[tag];
-		totalTaggedOrders += metrics.count;
-		totalTagRate += metrics.totalRate;
+	if (stores.length === 0) {
+		setCell(worksheet, 'A5', t('common.noStoreData'));
+		return null;
 	}
 
-	// Calculate total orders from all stores
-	const totalAllStoresOrders = Object.keys(storeMetrics).reduce((sum, store) => sum + storeMetrics[store].count, 0);
-
-	// Create a map of tag descriptions in Chinese
-	const tagDescriptions = {
-		'Fulfillment Error': '仓库错误',
-		Giveaways: '免费赠品',
-		Influencer: '网红推广',
-		'Not Delivered': '未送达',
-		Replacement: '替换订单',
+	const totals = summarizeStoreMetrics(storeMetrics);
+
+	// Table rows: store names, Value/% labels, then one row per metric
+	const headerRow = 5;
+	const subHeaderRow = 6;
+	const rows = {
+		orders: 7,
+		orderValue: 8,
+		aov: 9,
+		shipCost: 10,
+		shipPaid: 11,
+		shipProfit: 12,
+		shipMargin: 13,
+		netRevenue: 14,
+		netMargin: 15,
+		revenueOrders: 16,
+		revenueOrderValue: 17,
+		revenueAov: 18,
+		revenueShipCost: 19,
+		revenueNetRevenue: 20,
+		revenueNetMargin: 21,
 	};
 
-	// Create header rows
-	const data = [['SPECIAL ORDERS ANALYSIS | 特殊订单分析'], []];
+	// Revenue order rows are added when the tag catalog leaves some tags out of revenue
+	const revenueExcludedTags = getRevenueExcludedTags(tagCatalog);
+	const showRevenueOrders = revenueExcludedTags.length > 0;
+
+	// Label cost rows follow the last order row when the data has voided, return or refunded labels
+	const showLabelCosts = totals.voidCount + totals.returnCount + totals.refundCount > 0;
+	const labelRow = (showRevenueOrders ? rows.revenueNetMargin : rows.netMargin) + 1;
+	if (showLabelCosts) {
+		Object.assign(rows, {
+			voidedLabels: labelRow,
+			returnLabels: labelRow + 1,
+			returnCost: labelRow + 2,
+			refundedLabels: labelRow + 3,
+			refundedPostage: labelRow + 4,
+			grossShipSpend: labelRow + 5,
+			netShipSpend: labelRow + 6,
+		});
+	}
+	const lastMetricRow = showLabelCosts ? rows.netShipSpend : labelRow - 1;
+
+	// Each store gets a value column and a share-of-total column, followed by the TOTAL columns
+	const columns = stores.map((store, index) => ({
+		store,
+		value: columnLetter(2 + index * 2),
+		percent: columnLetter(3 + index * 2),
+	}));
+	const total = { value: columnLetter(2 + stores.length * 2), percent: columnLetter(3 + stores.length * 2) };
+
+	// Create main header row with store names, merged over their Value and % columns
+	setCell(worksheet, `A${headerRow}`, t('common.metric'), null, HEADER_STYLE);
+	setCell(worksheet, `A${subHeaderRow}`, '', null, HEADER_STYLE);
+	for (const { store, value, percent } of [...columns, { store: t('common.total'), ...total }]) {
+		setCell(worksheet, `${value}${headerRow}`, store, null, HEADER_STYLE);
+		worksheet.mergeCells(`${value}${headerRow}:${percent}${headerRow}`);
+		setCell(worksheet, `${value}${subHeaderRow}`, t('common.value'), null, SUBHEADER_STYLE);
+		setCell(worksheet, `${percent}${subHeaderRow}`, '%', null, SUBHEADER_STYLE);
+	}
 
-	// Create main header row with tag names
-	const mainHeaderRow = ['Metric | 指标'];
-	tags.forEach((tag) => {
-		mainHeaderRow.push(`${tag} | ${tagDescriptions[tag] || ''}`);
-	});
-	mainHeaderRow.push('TOTAL | 总计');
-	data.push(mainHeaderRow);
-
-	// Add rows for each metric
-	// Orders row
-	const ordersRow = ['Orders | 订单数'];
-	tags.forEach((tag) => {
-		ordersRow.push(tagMetrics[tag].count);
-	});
-	ordersRow.push(totalTaggedOrders);
-	data.push(ordersRow);
-
-	// % of All Orders row
-	const percentOfTotalOrders = tags.map((tag) => ((tagMetrics[tag].count / totalAllStoresOrders) * 100).toFixed(1));
-	const totalPercentOfAllOrders = ((totalTaggedOrders / totalAllStoresOrders) * 100).toFixed(1);
-	const percentRow = ['% of All Orders | 占总订单百分比'];
-	tags.forEach((_, index) => {
-		percentRow.push({ v: parseFloat(percentOfTotalOrders[index]), t: 'n', z: '0.0"%"' });
-	});
-	percentRow.push({ v: parseFloat(totalPercentOfAllOrders), t: 'n', z: '0.0"%"' });
-	data.push(percentRow);
+	// Metric labels
+	const metricLabels = {
+		orders: 'metric.orders',
+		orderValue: 'metric.orderValue',
+		aov: 'metric.aov',
+		shipCost: 'metric.shipCost',
+		shipPaid: 'metric.shipPaid',
+		shipProfit: 'metric.shipProfit',
+		shipMargin: 'metric.shipMargin',
+		netRevenue: 'metric.netRevenue',
+		netMargin: 'metric.netMargin',
+	};
+	if (showRevenueOrders) {
+		Object.assign(metricLabels, {
+			revenueOrders: 'metric.revenueOrders',
+			revenueOrderValue: 'metric.revenueOrderValue',
+			revenueAov: 'metric.revenueAov',
+			revenueShipCost: 'metric.revenueShipCost',
+			revenueNetRevenue: 'metric.revenueNetRevenue',
+			revenueNetMargin: 'metric.revenueNetMargin',
+		});
+	}
+	if (showLabelCosts) {
+		Object.assign(metricLabels, {
+			voidedLabels: 'metric.voidedLabels',
+			returnLabels: 'metric.returnLabels',
+			returnCost: 'metric.returnCost',
+			refundedLabels: 'metric.refundedLabels',
+			refundedPostage: 'metric.refundedPostage',
+			grossShipSpend: 'metric.grossShipSpend',
+			netShipSpend: 'metric.netShipSpend',
+		});
+	}
+	for (const [metric, labelKey] of Object.entries(metricLabels)) {
+		setCell(worksheet, `A${rows[metric]}`, t(labelKey), null, LABEL_STYLE);
+	}
 
-	// Total Shipping Cost row
-	const costRow = ['Total Shipping Cost | 总物流成本'];
-	tags.forEach((tag) => {
-		costRow.push({ v: tagMetrics[tag].totalRate, t: 'n', z: '$#,##0.00' });
-	});
-	costRow.push({ v: totalTagRate, t: 'n', z: '$#,##0.00' });
-	data.push(costRow);
+	// Share of the TOTAL column, e.g. a store's share of all orders
+	const share = (column, row, value, totalValue) =>
+		formula(
+			`IF(${total.value}${row}=0,0,${column}${row}/${total.value}${row})`,
+			totalValue !== 0 ? value / totalValue : 0
+		);
 
-	// Avg Shipping Cost row
-	const avgRow = ['Avg Shipping Cost | 平均物流成本'];
-	tags.forEach((tag) => {
-		avgRow.push({ v: tagMetrics[tag].averageRate, t: 'n', z: '$#,##0.00' });
-	});
-	avgRow.push({ v: totalTagRate / totalTaggedOrders, t: 'n', z: '$#,##0.00' });
-	data.push(avgRow);
-
-	// Format legend as a single merged cell with rich text
-	const legendText = [
-		'Legend | 图例:',
-		'% of All Orders = Orders with this special category / Total orders across all stores | 占总订单百分比 = 特殊类别订单数 / 所有店铺总订单数',
-		'Avg Shipping Cost = Total shipping cost / Number of orders | 平均物流成本 = 总物流成本 / 订单数',
-	].join('\n');
-	data.push([]);
-	data.push([legendText]);
-
-	// Add special order categories explanation
-	const categoriesText = [
-		'Special Order Categories | 特殊订单类别:',
-		'- Fulfillment Error | 仓库错误: Orders with errors made by warehouse staff',
-		'- Giveaways | 免费赠品: Free products given for promotional purposes',
-		'- Influencer | 网红推广: Orders sent to influencers for promotion',
-		'- Not Delivered | 未送达: Orders that were not delivered to customers',
-		'- Replacement | 替换订单: Replacement orders for damaged products',
-	].join('\n');
-	data.push([]);
-	data.push([categoriesText]);
-
-	// Add detailed tag analysis
-	data.push([]);
-	data.push(['Detailed Special Orders Analysis | 详细特殊订单分析:']);
-
-	for (const tag of tags) {
-		const metrics = tagMetrics[tag];
-		const percentOfOrders = ((metrics.count / totalTaggedOrders) * 100).toFixed(1);
-		const percentOfCost = ((metrics.totalRate / totalTagRate) * 100).toFixed(1);
-		const percentOfAllOrders = ((metrics.count / totalAllStoresOrders) * 100).toFixed(1);
-
-		data.push([`${tag} | ${tagDescriptions[tag] || ''}:`]);
-		data.push([
-			`Orders | 订单: ${metrics.count} orders (${percentOfOrders}% of special orders, ${percentOfAllOrders}% of all orders)`,
-		]);
-		data.push([
-			`Shipping | 物流: Total: $${metrics.totalRate.toFixed(
-				2
-			)} (${percentOfCost}% of special orders cost) Avg: $${metrics.averageRate.toFixed(2)}`,
-		]);
-		data.push([]);
-	}
+	// Store columns
+	for (const { store, value: v, percent: p } of columns) {
+		const metrics = storeMetrics[store];
 
-	// Add special orders summary
-	data.push(['Special Orders Summary | 特殊订单摘要:']);
-	data.push([`Total Special Orders | 总特殊订单: ${totalTaggedOrders} (${totalPercentOfAllOrders}% of all orders)`]);
-	data.push([`Total Shipping Cost | 总物流成本: $${totalTagRate.toFixed(2)}`]);
-	data.push([`Average Cost per Order | 每单平均成本: $${(totalTagRate / totalTaggedOrders).toFixed(2)}`]);
-	data.push([`Unique Categories | 独特类别: ${tags.length}`]);
+		setCell(worksheet, `${v}${rows.orders}`, metrics.count, COUNT_FORMAT);
+		setCell(worksheet, `${p}${rows.orders}`, share(v, rows.orders, metrics.count, totals.count), SHARE_FORMAT);
 
-	// Create worksheet
-	const ws = XLSX.utils.aoa_to_sheet(data);
+		setCell(worksheet, `${v}${rows.orderValue}`, metrics.totalOrderValue, CURRENCY_FORMAT);
+		setCell(
+			worksheet,
+			`${p}${rows.orderValue}`,
+			share(v, rows.orderValue, metrics.totalOrderValue, totals.totalOrderValue),
+			SHARE_FORMAT
+		);
 
-	// Set column widths
-	const colWidths = [
-		{ wch: 30 }, // Metric column
-		...tags.map(() => ({ wch: 20 })), // Tag columns
-		{ wch: 20 }, // Total column
-	];
-	ws['!cols'] = colWidths;
+		setCell(
+			worksheet,
+			`${v}${rows.aov}`,
+			formula(`IF(${v}${rows.orders}=0,0,${v}${rows.orderValue}/${v}${rows.orders})`, metrics.averageOrderValue),
+			CURRENCY_FORMAT
+		);
 
-	// Apply special orders table formatting
-	applySpecialOrdersFormatting(ws, data.length, tags.length + 2);
+		setCell(worksheet, `${v}${rows.shipCost}`, metrics.totalRate, CURRENCY_FORMAT);
+		setCell(worksheet, `${p}${rows.shipCost}`, share(v, rows.shipCost, metrics.totalRate, totals.totalRate), SHARE_FORMAT);
 
-	// Add worksheet to workbook
-	XLSX.utils.book_append_sheet(workbook, ws, 'Special Orders | 特殊订单');
-}
+		setCell(worksheet, `${v}${rows.shipPaid}`, metrics.totalShippingPaid, CURRENCY_FORMAT);
+		setCell(
+			worksheet,
+			`${p}${rows.shipPaid}`,
+			share(v, rows.shipPaid, metrics.totalShippingPaid, totals.totalShippingPaid),
+			SHARE_FORMAT
+		);
 
-/**
- * Applies formatting to a worksheet
- * @param {Object} ws - XLSX worksheet
- * @param {number} rowCount - Number of rows
- * @param {number} colCount - Number of columns
- */
-function applyWorksheetFormatting(ws, rowCount, colCount) {
-	// Set header styles
-	for (let i = 0; i < 5; i++) {
-		const cellRef = XLSX.utils.encode_cell({ r: i, c: 0 });
-		if (ws[cellRef]) {
-			ws[cellRef].s = {
-				font: { bold: true, sz: 12, color: { rgb: '0000FF' } },
-				border: {
-					top: { style: 'thin', color: { rgb: '000000' } },
-					bottom: { style: 'thin', color: { rgb: '000000' } },
-					left: { style: 'thin', color: { rgb: '000000' } },
-					right: { style: 'thin', color: { rgb: '000000' } },
-				},
-			};
+		setCell(
+			worksheet,
+			`${v}${rows.shipProfit}`,
+			formula(`${v}${rows.shipPaid}-${v}${rows.shipCost}`, metrics.shippingProfit),
+			CURRENCY_FORMAT
+		);
+
+		setCell(
+			worksheet,
+			`${v}${rows.shipMargin}`,
+			formula(
+				`IF(${v}${rows.shipPaid}>0,${v}${rows.shipProfit}/${v}${rows.shipPaid},0)`,
+				metrics.shippingProfitMargin / 100
+			),
+			MARGIN_FORMAT
+		);
+
+		setCell(
+			worksheet,
+			`${v}${rows.netRevenue}`,
+			formula(`${v}${rows.orderValue}-${v}${rows.shipCost}`, metrics.netRevenue),
+			CURRENCY_FORMAT
+		);
+		setCell(
+			worksheet,
+			`${p}${rows.netRevenue}`,
+			share(v, rows.netRevenue, metrics.netRevenue, totals.netRevenue),
+			SHARE_FORMAT
+		);
+
+		setCell(
+			worksheet,
+			`${v}${rows.netMargin}`,
+			formula(
+				`IF(${v}${rows.orderValue}>0,${v}${rows.netRevenue}/${v}${rows.orderValue},0)`,
+				metrics.netRevenueMargin / 100
+			),
+			MARGIN_FORMAT
+		);
+
+		if (showRevenueOrders) {
+			setCell(worksheet, `${v}${rows.revenueOrders}`, metrics.revenueCount, COUNT_FORMAT);
+			setCell(
+				worksheet,
+				`${p}${rows.revenueOrders}`,
+				share(v, rows.revenueOrders, metrics.revenueCount, totals.revenueCount),
+				SHARE_FORMAT
+			);
+
+			setCell(worksheet, `${v}${rows.revenueOrderValue}`, metrics.revenueTotalOrderValue, CURRENCY_FORMAT);
+			setCell(
+				worksheet,
+				`${p}${rows.revenueOrderValue}`,
+				share(v, rows.revenueOrderValue, metrics.revenueTotalOrderValue, totals.revenueTotalOrderValue),
+				SHARE_FORMAT
+			);
+
+			setCell(
+				worksheet,
+				`${v}${rows.revenueAov}`,
+				formula(
+					`IF(${v}${rows.revenueOrders}=0,0,${v}${rows.revenueOrderValue}/${v}${rows.revenueOrders})`,
+					metrics.revenueAverageOrderValue
+				),
+				CURRENCY_FORMAT
+			);
+
+			setCell(worksheet, `${v}${rows.revenueShipCost}`, metrics.revenueTotalRate, CURRENCY_FORMAT);
+			setCell(
+				worksheet,
+				`${p}${rows.revenueShipCost}`,
+				share(v, rows.revenueShipCost, metrics.revenueTotalRate, totals.revenueTotalRate),
+				SHARE_FORMAT
+			);
+
+			setCell(
+				worksheet,
+				`${v}${rows.revenueNetRevenue}`,
+				formula(`${v}${rows.revenueOrderValue}-${v}${rows.revenueShipCost}`, metrics.revenueNetRevenue),
+				CURRENCY_FORMAT
+			);
+			setCell(
+				worksheet,
+				`${p}${rows.revenueNetRevenue}`,
+				share(v, rows.revenueNetRevenue, metrics.revenueNetRevenue, totals.revenueNetRevenue),
+				SHARE_FORMAT
+			);
+
+			setCell(
+				worksheet,
+				`${v}${rows.revenueNetMargin}`,
+				formula(
+					`IF(${v}${rows.revenueOrderValue}>0,${v}${rows.revenueNetRevenue}/${v}${rows.revenueOrderValue},0)`,
+					metrics.revenueNetRevenueMargin / 100
+				),
+				MARGIN_FORMAT
+			);
 		}
-	}
 
-	// Set main header row styles (store names)
-	for (let c = 0; c < colCount; c++) {
-		const cellRef = XLSX.utils.encode_cell({ r: 4, c });
-		if (ws[cellRef]) {
-			ws[cellRef].s = {
-				font: { bold: true, sz: 12, color: { rgb: 'FFFFFF' } },
-				fill: { patternType: 'solid', fgColor: { rgb: '4472C4' } },
-				alignment: { horizontal: 'center', vertical: 'center', wrapText: true },
-				border: {
-					top: { style: 'thin', color: { rgb: '000000' } },
-					bottom: { style: 'thin', color: { rgb: '000000' } },
-					left: { style: 'thin', color: { rgb: '000000' } },
-					right: { style: 'thin', color: { rgb: '000000' } },
-				},
-			};
+		if (showLabelCosts) {
+			setCell(worksheet, `${v}${rows.voidedLabels}`, metrics.voidCount, COUNT_FORMAT);
+			setCell(worksheet, `${v}${rows.returnLabels}`, metrics.returnCount, COUNT_FORMAT);
+
+			setCell(worksheet, `${v}${rows.returnCost}`, metrics.returnRate, CURRENCY_FORMAT);
+			setCell(
+				worksheet,
+				`${p}${rows.returnCost}`,
+				share(v, rows.returnCost, metrics.returnRate, totals.returnRate),
+				SHARE_FORMAT
+			);
+
+			setCell(worksheet, `${v}${rows.refundedLabels}`, metrics.refundCount, COUNT_FORMAT);
+
+			setCell(worksheet, `${v}${rows.refundedPostage}`, metrics.refundedRate, CURRENCY_FORMAT);
+			setCell(
+				worksheet,
+				`${p}${rows.refundedPostage}`,
+				share(v, rows.refundedPostage, metrics.refundedRate, totals.refundedRate),
+				SHARE_FORMAT
+			);
+
+			setCell(
+				worksheet,
+				`${v}${rows.grossShipSpend}`,
+				formula(`${v}${rows.shipCost}+${v}${rows.returnCost}+${v}${rows.refundedPostage}`, metrics.grossRate),
+				CURRENCY_FORMAT
+			);
+			setCell(
+				worksheet,
+				`${p}${rows.grossShipSpend}`,
+				share(v, rows.grossShipSpend, metrics.grossRate, totals.grossRate),
+				SHARE_FORMAT
+			);
+
+			setCell(
+				worksheet,
+				`${v}${rows.netShipSpend}`,
+				formula(`${v}${rows.grossShipSpend}-${v}${rows.refundedPostage}`, metrics.netRate),
+				CURRENCY_FORMAT
+			);
+			setCell(
+				worksheet,
+				`${p}${rows.netShipSpend}`,
+				share(v, rows.netShipSpend, metrics.netRate, totals.netRate),
+				SHARE_FORMAT
+			);
 		}
 	}
 
-	// Set subheader row styles (Value/%)
-	for (let c = 1; c < colCount; c++) {
-		const cellRef = XLSX.utils.encode_cell({ r: 5, c });
-		if (ws[cellRef]) {
-			ws[cellRef].s = {
-				font: { bold: true, italic: true, sz: 11, color: { rgb: 'FFFFFF' } },
-				fill: { patternType: 'solid', fgColor: { rgb: '5B9BD5' } },
-				alignment: { horizontal: 'center', vertical: 'center' },
-				border: {
-					top: { style: 'thin', color: { rgb: '000000' } },
-					bottom: { style: 'thin', color: { rgb: '000000' } },
-					left: { style: 'thin', color: { rgb: '000000' } },
-					right: { style: 'thin', color: { rgb: '000000' } },
-				},
-			};
+	// TOTAL column: sums of the store values, with averages and margins recalculated from the sums
+	const T = total.value;
+	const sumOfStores = (row) => `SUM(${columns.map(({ value }) => `${value}${row}`).join(',')})`;
+
+	setCell(worksheet, `${T}${rows.orders}`, formula(sumOfStores(rows.orders), totals.count), COUNT_FORMAT);
+	setCell(
+		worksheet,
+		`${T}${rows.orderValue}`,
+		formula(sumOfStores(rows.orderValue), totals.totalOrderValue),
+		CURRENCY_FORMAT
+	);
+	setCell(
+		worksheet,
+		`${T}${rows.aov}`,
+		formula(`IF(${T}${rows.orders}=0,0,${T}${rows.orderValue}/${T}${rows.orders})`, totals.averageOrderValue),
+		CURRENCY_FORMAT
+	);
+	setCell(worksheet, `${T}${rows.shipCost}`, formula(sumOfStores(rows.shipCost), totals.totalRate), CURRENCY_FORMAT);
+	setCell(
+		worksheet,
+		`${T}${rows.shipPaid}`,
+		formula(sumOfStores(rows.shipPaid), totals.totalShippingPaid),
+		CURRENCY_FORMAT
+	);
+	setCell(
+		worksheet,
+		`${T}${rows.shipProfit}`,
+		formula(`${T}${rows.shipPaid}-${T}${rows.shipCost}`, totals.shippingProfit),
+		CURRENCY_FORMAT
+	);
+	setCell(
+		worksheet,
+		`${T}${rows.shipMargin}`,
+		formula(`IF(${T}${rows.shipPaid}>0,${T}${rows.shipProfit}/${T}${rows.shipPaid},0)`, totals.shippingProfitMargin / 100),
+		MARGIN_FORMAT
+	);
+	setCell(
+		worksheet,
+		`${T}${rows.netRevenue}`,
+		formula(`${T}${rows.orderValue}-${T}${rows.shipCost}`, totals.netRevenue),
+		CURRENCY_FORMAT
+	);
+	setCell(
+		worksheet,
+		`${T}${rows.netMargin}`,
+		formula(`IF(${T}${rows.orderValue}>0,${T}${rows.netRevenue}/${T}${rows.orderValue},0)`, totals.netRevenueMargin / 100),
+		MARGIN_FORMAT
+	);
+	for (const metric of ['orders', 'orderValue', 'shipCost', 'shipPaid', 'netRevenue']) {
+		setCell(worksheet, `${total.percent}${rows[metric]}`, 1, SHARE_FORMAT);
+	}
+
+	if (showRevenueOrders) {
+		setCell(
+			worksheet,
+			`${T}${rows.revenueOrders}`,
+			formula(sumOfStores(rows.revenueOrders), totals.revenueCount),
+			COUNT_FORMAT
+		);
+		setCell(
+			worksheet,
+			`${T}${rows.revenueOrderValue}`,
+			formula(sumOfStores(rows.revenueOrderValue), totals.revenueTotalOrderValue),
+			CURRENCY_FORMAT
+		);
+		setCell(
+			worksheet,
+			`${T}${rows.revenueAov}`,
+			formula(
+				`IF(${T}${rows.revenueOrders}=0,0,${T}${rows.revenueOrderValue}/${T}${rows.revenueOrders})`,
+				totals.revenueAverageOrderValue
+			),
+			CURRENCY_FORMAT
+		);
+		setCell(
+			worksheet,
+			`${T}${rows.revenueShipCost}`,
+			formula(sumOfStores(rows.revenueShipCost), totals.revenueTotalRate),
+			CURRENCY_FORMAT
+		);
+		setCell(
+			worksheet,
+			`${T}${rows.revenueNetRevenue}`,
+			formula(`${T}${rows.revenueOrderValue}-${T}${rows.revenueShipCost}`, totals.revenueNetRevenue),
+			CURRENCY_FORMAT
+		);
+		setCell(
+			worksheet,
+			`${T}${rows.revenueNetMargin}`,
+			formula(
+				`IF(${T}${rows.revenueOrderValue}>0,${T}${rows.revenueNetRevenue}/${T}${rows.revenueOrderValue},0)`,
+				totals.revenueNetRevenueMargin / 100
+			),
+			MARGIN_FORMAT
+		);
+		for (const metric of ['revenueOrders', 'revenueOrderValue', 'revenueShipCost', 'revenueNetRevenue']) {
+			setCell(worksheet, `${total.percent}${rows[metric]}`, 1, SHARE_FORMAT);
 		}
 	}
 
-	// Set metric column styles
-	for (let r = 6; r < 15; r++) {
-		const cellRef = XLSX.utils.encode_cell({ r, c: 0 });
-		if (ws[cellRef]) {
-			ws[cellRef].s = {
-				font: { bold: true, sz: 11 },
-				fill: { patternType: 'solid', fgColor: { rgb: 'D9E1F2' } },
-				border: {
-					top: { style: 'thin', color: { rgb: '000000' } },
-					bottom: { style: 'thin', color: { rgb: '000000' } },
-					left: { style: 'thin', color: { rgb: '000000' } },
-					right: { style: 'thin', color: { rgb: '000000' } },
-				},
-			};
+	if (showLabelCosts) {
+		setCell(
+			worksheet,
+			`${T}${rows.voidedLabels}`,
+			formula(sumOfStores(rows.voidedLabels), totals.voidCount),
+			COUNT_FORMAT
+		);
+		setCell(
+			worksheet,
+			`${T}${rows.returnLabels}`,
+			formula(sumOfStores(rows.returnLabels), totals.returnCount),
+			COUNT_FORMAT
+		);
+		setCell(
+			worksheet,
+			`${T}${rows.returnCost}`,
+			formula(sumOfStores(rows.returnCost), totals.returnRate),
+			CURRENCY_FORMAT
+		);
+		setCell(
+			worksheet,
+			`${T}${rows.refundedLabels}`,
+			formula(sumOfStores(rows.refundedLabels), totals.refundCount),
+			COUNT_FORMAT
+		);
+		setCell(
+			worksheet,
+			`${T}${rows.refundedPostage}`,
+			formula(sumOfStores(rows.refundedPostage), totals.refundedRate),
+			CURRENCY_FORMAT
+		);
+		setCell(
+			worksheet,
+			`${T}${rows.grossShipSpend}`,
+			formula(`${T}${rows.shipCost}+${T}${rows.returnCost}+${T}${rows.refundedPostage}`, totals.grossRate),
+			CURRENCY_FORMAT
+		);
+		setCell(
+			worksheet,
+			`${T}${rows.netShipSpend}`,
+			formula(`${T}${rows.grossShipSpend}-${T}${rows.refundedPostage}`, totals.netRate),
+			CURRENCY_FORMAT
+		);
+		for (const metric of ['returnCost', 'refundedPostage', 'grossShipSpend', 'netShipSpend']) {
+			setCell(worksheet, `${total.percent}${rows[metric]}`, 1, SHARE_FORMAT);
 		}
 	}
 
-	// Apply alternating row colors and preserve colored text
-	for (let r = 6; r < 15; r++) {
-		// Apply alternating row background
-		const rowColor = r % 2 === 0 ? 'F5F5F5' : 'FFFFFF';
-
-		for (let c = 1; c < colCount; c++) {
-			const cellRef = XLSX.utils.encode_cell({ r, c });
-			if (ws[cellRef]) {
-				// Initialize style if not exists
-				if (!ws[cellRef].s) ws[cellRef].s = {};
-
-				// Apply row background and border
-				ws[cellRef].s.fill = { patternType: 'solid', fgColor: { rgb: rowColor } };
-				ws[cellRef].s.border = {
-					top: { style: 'thin', color: { rgb: '000000' } },
-					bottom: { style: 'thin', color: { rgb: '000000' } },
-					left: { style: 'thin', color: { rgb: '000000' } },
-					right: { style: 'thin', color: { rgb: '000000' } },
-				};
-
-				// Apply special formatting for profit/loss values
-				if (c % 2 === 1) {
-					// Value columns
-					const cellValue = ws[cellRef].v;
-					if (typeof cellValue === 'number') {
-						// Apply color based on value
-						if (cellValue < 0) {
-							ws[cellRef].s.font = { sz: 11, color: { rgb: 'FF0000' } }; // Red for negative
-						} else if (cellValue > 0) {
-							ws[cellRef].s.font = { sz: 11, color: { rgb: '008000' } }; // Green for positive
-						} else {
-							ws[cellRef].s.font = { sz: 11, color: { rgb: 'FFC000' } }; // Yellow for zero
-						}
-					}
-				}
+	// Apply alternating row colors, borders and the TOTAL column style
+	for (let row = rows.orders; row <= lastMetricRow; row++) {
+		const rowColor = row % 2 === 1 ? 'FFF5F5F5' : 'FFFFFFFF';
 
-				// Center percentage columns
-				if (c % 2 === 0 && ws[cellRef].v) {
-					// Percentage columns
-					ws[cellRef].s.font = { italic: true, sz: 11, color: { rgb: '666666' } };
-					ws[cellRef].s.alignment = { horizontal: 'center', vertical: 'center' };
-				}
+		for (const { value, percent } of columns) {
+			for (const column of [value, percent]) {
+				styleCell(worksheet.getCell(`${column}${row}`), {
+					fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: rowColor } },
+					border: THIN_BORDER,
+				});
 			}
+
+			// Share columns are centered and grey
+			styleCell(worksheet.getCell(`${percent}${row}`), {
+				font: { italic: true, size: 11, color: { argb: 'FF666666' } },
+				alignment: { horizontal: 'center', vertical: 'middle' },
+			});
 		}
+
+		styleCell(worksheet.getCell(`${total.value}${row}`), LABEL_STYLE);
+		styleCell(worksheet.getCell(`${total.percent}${row}`), {
+			...LABEL_STYLE,
+			font: { bold: true, italic: true, size: 11, color: { argb: 'FF666666' } },
+			alignment: { horizontal: 'center', vertical: 'middle' },
+		});
 	}
 
-	// Set total column styles
-	const totalValueCol = colCount - 2;
-	const totalPercentCol = colCount - 1;
-	for (let r = 6; r < 15; r++) {
-		// Total value column
-		const valueRef = XLSX.utils.encode_cell({ r, c: totalValueCol });
-		if (ws[valueRef]) {
-			ws[valueRef].s = {
-				font: { bold: true, sz: 11 },
-				fill: { patternType: 'solid', fgColor: { rgb: 'D9E1F2' } },
-				border: {
-					top: { style: 'thin', color: { rgb: '000000' } },
-					bottom: { style: 'thin', color: { rgb: '000000' } },
-					left: { style: 'thin', color: { rgb: '000000' } },
-					right: { style: 'thin', color: { rgb: '000000' } },
-				},
-			};
-
-			// Apply color based on value
-			const cellValue = ws[valueRef].v;
-			if (typeof cellValue === 'number') {
-				if (cellValue < 0) {
-					ws[valueRef].s.font.color = { rgb: 'FF0000' }; // Red for negative
-				} else if (cellValue > 0) {
-					ws[valueRef].s.font.color = { rgb: '008000' }; // Green for positive
-				} else {
-					ws[valueRef].s.font.color = { rgb: 'FFC000' }; // Yellow for zero
-				}
-			}
+	// Color profit and loss in every value column, including the TOTAL column
+	for (const { value } of [...columns, total]) {
+		addProfitLossFormatting(worksheet, `${value}${rows.orders}:${value}${lastMetricRow}`);
+	}
+
+	// Add legend
+	let row = lastMetricRow + 2;
+	const legendLines = [
+		[t('common.legend'), LEGEND_STYLE],
+		[t('store.abbreviations'), null],
+		[t('common.profit'), { font: { color: { argb: PROFIT_COLOR } } }],
+		[t('common.loss'), { font: { color: { argb: LOSS_COLOR } } }],
+		[t('common.breakEven'), { font: { color: { argb: BREAK_EVEN_COLOR } } }],
+		[t('store.legendShare'), null],
+		[t('store.legendShipCost'), null],
+		[t('store.legendShipPaid'), null],
+		[t('store.legendShipProfit'), null],
+		[t('store.legendShipMargin'), null],
+		[t('store.legendNetRevenue'), null],
+		[t('store.legendNetMargin'), null],
+	];
+	if (showRevenueOrders) {
+		const tags = revenueExcludedTags.map((tag) => i18n.tag(tag, tagCatalog)).join(', ');
+		legendLines.push([t('store.legendRevenueOrders', { tags }), null]);
+	}
+	if (showLabelCosts) {
+		legendLines.push(
+			[t('store.legendLabelCosts'), null],
+			[t('store.legendGrossSpend'), null],
+			[t('store.legendNetSpend'), null]
+		);
+	}
+	for (const [text, style] of legendLines) {
+		setCell(worksheet, `A${row++}`, text, null, style);
+	}
+
+	// Add store summary, built with formulas so it follows the table
+	row += 1;
+	setCell(worksheet, `A${row++}`, t('store.summary'), null, SECTION_STYLE);
+	for (const { store, value: v } of [...columns]) {
+		const metrics = storeMetrics[store];
+		setCell(worksheet, `A${row++}`, `${store}:`, null, LABEL_STYLE);
+		setCell(
+			worksheet,
+			`A${row++}`,
+			textFormula(t('summary.orders'), {
+				count: countPart(`${v}${rows.orders}`, metrics.count),
+				aov: currencyPart(`${v}${rows.aov}`, metrics.averageOrderValue),
+			})
+		);
+		setCell(
+			worksheet,
+			`A${row++}`,
+			textFormula(t('summary.revenue'), {
+				orderValue: currencyPart(`${v}${rows.orderValue}`, metrics.totalOrderValue),
+				netRevenue: currencyPart(`${v}${rows.netRevenue}`, metrics.netRevenue),
+				margin: percentPart(`${v}${rows.netMargin}`, metrics.netRevenueMargin / 100, 2),
+			})
+		);
+		setCell(
+			worksheet,
+			`A${row++}`,
+			textFormula(t('summary.shipping'), {
+				cost: currencyPart(`${v}${rows.shipCost}`, metrics.totalRate),
+				paid: currencyPart(`${v}${rows.shipPaid}`, metrics.totalShippingPaid),
+				profit: currencyPart(`${v}${rows.shipProfit}`, metrics.shippingProfit),
+				margin: percentPart(`${v}${rows.shipMargin}`, metrics.shippingProfitMargin / 100, 2),
+			})
+		);
+		if (showRevenueOrders) {
+			setCell(
+				worksheet,
+				`A${row++}`,
+				textFormula(t('summary.revenueOrders'), {
+					count: countPart(`${v}${rows.revenueOrders}`, metrics.revenueCount),
+					aov: currencyPart(`${v}${rows.revenueAov}`, metrics.revenueAverageOrderValue),
+					orderValue: currencyPart(`${v}${rows.revenueOrderValue}`, metrics.revenueTotalOrderValue),
+					netRevenue: currencyPart(`${v}${rows.revenueNetRevenue}`, metrics.revenueNetRevenue),
+					margin: percentPart(`${v}${rows.revenueNetMargin}`, metrics.revenueNetRevenueMargin / 100, 2),
+				})
+			);
+		}
+		if (showLabelCosts) {
+			setCell(
+				worksheet,
+				`A${row++}`,
+				textFormula(t('summary.labels'), {
+					gross: currencyPart(`${v}${rows.grossShipSpend}`, metrics.grossRate),
+					net: currencyPart(`${v}${rows.netShipSpend}`, metrics.netRate),
+					returns: countPart(`${v}${rows.returnLabels}`, metrics.returnCount),
+					returnCost: currencyPart(`${v}${rows.returnCost}`, metrics.returnRate),
+					refunds: countPart(`${v}${rows.refundedLabels}`, metrics.refundCount),
+					refunded: currencyPart(`${v}${rows.refundedPostage}`, metrics.refundedRate),
+					voids: countPart(`${v}${rows.voidedLabels}`, metrics.voidCount),
+				})
+			);
 		}
+		row += 1;
+	}
+
+	// Add overall summary
+	setCell(worksheet, `A${row++}`, t('store.overallSummary'), null, SECTION_STYLE);
+	setCell(
+		worksheet,
+		`A${row++}`,
+		textFormula(t('summary.totalOrders'), { count: countPart(`${T}${rows.orders}`, totals.count) })
+	);
+	setCell(
+		worksheet,
+		`A${row++}`,
+		textFormula(t('summary.totalRevenue'), {
+			orderValue: currencyPart(`${T}${rows.orderValue}`, totals.totalOrderValue),
+			netRevenue: currencyPart(`${T}${rows.netRevenue}`, totals.netRevenue),
+			margin: percentPart(`${T}${rows.netMargin}`, totals.netRevenueMargin / 100, 2),
+		})
+	);
+	setCell(
+		worksheet,
+		`A${row++}`,
+		textFormula(t('summary.totalShipping'), {
+			cost: currencyPart(`${T}${rows.shipCost}`, totals.totalRate),
+			paid: currencyPart(`${T}${rows.shipPaid}`, totals.totalShippingPaid),
+			profit: currencyPart(`${T}${rows.shipProfit}`, totals.shippingProfit),
+			margin: percentPart(`${T}${rows.shipMargin}`, totals.shippingProfitMargin / 100, 2),
+		})
+	);
+	if (showRevenueOrders) {
+		setCell(
+			worksheet,
+			`A${row++}`,
+			textFormula(t('summary.totalRevenueOrders'), {
+				count: countPart(`${T}${rows.revenueOrders}`, totals.revenueCount),
+				aov: currencyPart(`${T}${rows.revenueAov}`, totals.revenueAverageOrderValue),
+				orderValue: currencyPart(`${T}${rows.revenueOrderValue}`, totals.revenueTotalOrderValue),
+				netRevenue: currencyPart(`${T}${rows.revenueNetRevenue}`, totals.revenueNetRevenue),
+				margin: percentPart(`${T}${rows.revenueNetMargin}`, totals.revenueNetRevenueMargin / 100, 2),
+			})
+		);
+	}
+	if (showLabelCosts) {
+		setCell(
+			worksheet,
+			`A${row++}`,
+			textFormula(t('summary.totalLabels'), {
+				gross: currencyPart(`${T}${rows.grossShipSpend}`, totals.grossRate),
+				net: currencyPart(`${T}${rows.netShipSpend}`, totals.netRate),
+				returns: countPart(`${T}${rows.returnLabels}`, totals.returnCount),
+				returnCost: currencyPart(`${T}${rows.returnCost}`, totals.returnRate),
+				refunds: countPart(`${T}${rows.refundedLabels}`, totals.refundCount),
+				refunded: currencyPart(`${T}${rows.refundedPostage}`, totals.refundedRate),
+				voids: countPart(`${T}${rows.voidedLabels}`, totals.voidCount),
+			})
+		);
+	}
+
+	// Set column widths
+	worksheet.getColumn(1).width = 25;
+	for (const { value, percent } of [...columns, total]) {
+		worksheet.getColumn(value).width = 15;
+		worksheet.getColumn(percent).width = 8;
+	}
+
+	return { sheetName, stores, columns, total, headerRow, rows };
+}
 
-		// Total percentage column
-		const percentRef = XLSX.utils.encode_cell({ r, c: totalPercentCol });
-		if (ws[percentRef] && ws[percentRef].v) {
-			ws[percentRef].s = {
-				font: { bold: true, italic: true, sz: 11, color: { rgb: '666666' } },
-				alignment: { horizontal: 'center', vertical: 'center' },
-				fill: { patternType: 'solid', fgColor: { rgb: 'D9E1F2' } },
-				border: {
-					top: { style: 'thin', color: { rgb: '000000' } },
-					bottom: { style: 'thin', color: { rgb: '000000' } },
-					left: { style: 'thin', color: { rgb: '000000' } },
-					right: { style: 'thin', color: { rgb: '000000' } },
-				},
-			};
+/**
+ * Creates a worksheet for special orders
+ *
+ * Orders, Order Value, Total Shipping Cost and Ship Paid are values; % of All Orders, averages, Ship Profit,
+ * Estimated Cost and totals are formulas. % of All Orders divides by the TOTAL orders cell of the store
+ * metrics worksheet, shown below the table.
+ *
+ * @param {Object} workbook - exceljs workbook
+ * @param {Object} tagMetrics - Tag metrics object
+ * @param {number} totalOrders - Total orders across all stores (used when there's no store metrics table)
+ * @param {Object} storeLayout - Store metrics table layout from createStoreMetricsWorksheet (or null)
+ * @param {Object} tagCatalog - Tag catalog with the tag translations and descriptions (optional)
+ * @param {Object} i18n - Translator from createTranslator
+ * @returns {Object|null} - Layout of the special orders table (tags, columns and rows), or null when there are no tags
+ */
+function createSpecialOrdersWorksheet(workbook, tagMetrics, totalOrders, storeLayout, tagCatalog, i18n) {
+	const { t } = i18n;
+	const sheetName = t('sheet.specialOrders');
+	const worksheet = workbook.addWorksheet(sheetName);
+
+	// Get tags and sort alphabetically
+	const tags = Object.keys(tagMetrics).sort();
+
+	setCell(worksheet, 'A1', t('report.specialOrders'), null, TITLE_STYLE);
+
+	if (tags.length === 0) {
+		setCell(worksheet, 'A3', t('common.noTagData'));
+		return null;
+	}
+
+	// Calculate totals
+	const totals = summarizeTagMetrics(tagMetrics);
+	const totalTaggedOrders = totals.count;
+	const totalTagRate = totals.totalRate;
+	// Total orders across all stores, linked to the store metrics worksheet when it has a table
+	const allOrdersRef = storeLayout
+		? sheetRange(storeLayout.sheetName, `${storeLayout.total.value}${storeLayout.rows.orders}`)
+		: String(totalOrders);
+
+	const headerRow = 3;
+	const rows = {
+		orders: 4,
+		percent: 5,
+		orderValue: 6,
+		aov: 7,
+		cost: 8,
+		average: 9,
+		shipPaid: 10,
+		shipProfit: 11,
+		estimatedCost: 12,
+	};
+	const lastMetricRow = rows.estimatedCost;
+	const columns = tags.map((tag, index) => ({ tag, column: columnLetter(2 + index) }));
+	const T = columnLetter(2 + tags.length);
+
+	// Create main header row with tag names
+	setCell(worksheet, `A${headerRow}`, t('common.metric'), null, HEADER_STYLE);
+	for (const { tag, column } of columns) {
+		setCell(worksheet, `${column}${headerRow}`, i18n.tag(tag, tagCatalog), null, HEADER_STYLE);
+	}
+	setCell(worksheet, `${T}${headerRow}`, t('common.total'), null, HEADER_STYLE);
+
+	// Metric labels
+	const metricLabels = {
+		orders: 'metric.orders',
+		percent: 'metric.percentOfAllOrders',
+		orderValue: 'metric.orderValue',
+		aov: 'metric.aov',
+		cost: 'metric.totalShippingCost',
+		average: 'metric.avgShippingCost',
+		shipPaid: 'metric.shipPaid',
+		shipProfit: 'metric.shipProfit',
+		estimatedCost: 'metric.estimatedCost',
+	};
+	for (const [metric, labelKey] of Object.entries(metricLabels)) {
+		setCell(worksheet, `A${rows[metric]}`, t(labelKey), null, LABEL_STYLE);
+	}
+
+	// Orders and shipping cost per tag, plus the formulas derived from them
+	const percentOfAllOrders = (column, count) =>
+		formula(
+			`IF(${allOrdersRef}=0,0,${column}${rows.orders}/${allOrdersRef})`,
+			totalOrders > 0 ? count / totalOrders : 0
+		);
+	const averageCost = (column, count, cost) =>
+		formula(`IF(${column}${rows.orders}=0,0,${column}${rows.cost}/${column}${rows.orders})`, count > 0 ? cost / count : 0);
+	const averageOrderValue = (column, value) =>
+		formula(`IF(${column}${rows.orders}=0,0,${column}${rows.orderValue}/${column}${rows.orders})`, value);
+	const shipProfit = (column, value) => formula(`${column}${rows.shipPaid}-${column}${rows.cost}`, value);
+	const estimatedCost = (column, value) =>
+		formula(`${column}${rows.orderValue}+${column}${rows.cost}-${column}${rows.shipPaid}`, value);
+
+	for (const { tag, column } of columns) {
+		const metrics = tagMetrics[tag];
+		setCell(worksheet, `${column}${rows.orders}`, metrics.count, COUNT_FORMAT);
+		setCell(worksheet, `${column}${rows.percent}`, percentOfAllOrders(column, metrics.count), SHARE_FORMAT);
+		setCell(worksheet, `${column}${rows.orderValue}`, metrics.totalOrderValue, CURRENCY_FORMAT);
+		setCell(worksheet, `${column}${rows.aov}`, averageOrderValue(column, metrics.averageOrderValue), CURRENCY_FORMAT);
+		setCell(worksheet, `${column}${rows.cost}`, metrics.totalRate, CURRENCY_FORMAT);
+		setCell(worksheet, `${column}${rows.average}`, averageCost(column, metrics.count, metrics.totalRate), CURRENCY_FORMAT);
+		setCell(worksheet, `${column}${rows.shipPaid}`, metrics.totalShippingPaid, CURRENCY_FORMAT);
+		setCell(worksheet, `${column}${rows.shipProfit}`, shipProfit(column, metrics.shippingProfit), CURRENCY_FORMAT);
+		setCell(worksheet, `${column}${rows.estimatedCost}`, estimatedCost(column, metrics.estimatedCost), CURRENCY_FORMAT);
+	}
+
+	const firstTagColumn = columns[0].column;
+	const lastTagColumn = columns[columns.length - 1].column;
+	setCell(
+		worksheet,
+		`${T}${rows.orders}`,
+		formula(`SUM(${firstTagColumn}${rows.orders}:${lastTagColumn}${rows.orders})`, totalTaggedOrders),
+		COUNT_FORMAT
+	);
+	setCell(worksheet, `${T}${rows.percent}`, percentOfAllOrders(T, totalTaggedOrders), SHARE_FORMAT);
+	setCell(
+		worksheet,
+		`${T}${rows.cost}`,
+		formula(`SUM(${firstTagColumn}${rows.cost}:${lastTagColumn}${rows.cost})`, totalTagRate),
+		CURRENCY_FORMAT
+	);
+	setCell(worksheet, `${T}${rows.average}`, averageCost(T, totalTaggedOrders, totalTagRate), CURRENCY_FORMAT);
+	setCell(
+		worksheet,
+		`${T}${rows.orderValue}`,
+		formula(`SUM(${firstTagColumn}${rows.orderValue}:${lastTagColumn}${rows.orderValue})`, totals.totalOrderValue),
+		CURRENCY_FORMAT
+	);
+	setCell(worksheet, `${T}${rows.aov}`, averageOrderValue(T, totals.averageOrderValue), CURRENCY_FORMAT);
+	setCell(
+		worksheet,
+		`${T}${rows.shipPaid}`,
+		formula(`SUM(${firstTagColumn}${rows.shipPaid}:${lastTagColumn}${rows.shipPaid})`, totals.totalShippingPaid),
+		CURRENCY_FORMAT
+	);
+	setCell(worksheet, `${T}${rows.shipProfit}`, shipProfit(T, totals.shippingProfit), CURRENCY_FORMAT);
+	setCell(worksheet, `${T}${rows.estimatedCost}`, estimatedCost(T, totals.estimatedCost), CURRENCY_FORMAT);
+
+	// Apply alternating row colors and the TOTAL column style
+	for (let row = rows.orders; row <= lastMetricRow; row++) {
+		const rowColor = row % 2 === 0 ? 'FFF5F5F5' : 'FFFFFFFF';
+		for (const { column } of columns) {
+			styleCell(worksheet.getCell(`${column}${row}`), {
+				fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: rowColor } },
+				border: THIN_BORDER,
+				alignment: { horizontal: 'center', vertical: 'middle' },
+				font: { size: 11 },
+			});
 		}
+		styleCell(worksheet.getCell(`${T}${row}`), {
+			...LABEL_STYLE,
+			alignment: { horizontal: 'center', vertical: 'middle' },
+		});
 	}
 
-	// Format legend as a single merged cell with rich text
-	const legendStartRow = 15;
-	const legendText = [
-		'Legend | 图例:',
-		'AOV = Average Order Value | 平均订单价值, Ship = Shipping | 物流, Net Margin = Net Revenue Margin | 净利润率',
-		'Green values indicate profit | 绿色表示盈利, Red values indicate loss | 红色表示亏损, Yellow values indicate break-even | 黄色表示收支平衡',
-	].join('\n');
-
-	// Create legend cell
-	const legendCellRef = XLSX.utils.encode_cell({ r: legendStartRow, c: 0 });
-	ws[legendCellRef] = {
-		v: legendText,
-		t: 's',
-		s: {
-			font: { bold: true, sz: 11, color: { rgb: '0000FF' } },
-			alignment: { wrapText: true, vertical: 'top' },
-			border: {
-				top: { style: 'thin', color: { rgb: '000000' } },
-				bottom: { style: 'thin', color: { rgb: '000000' } },
-				left: { style: 'thin', color: { rgb: '000000' } },
-				right: { style: 'thin', color: { rgb: '000000' } },
+	// Show shipping losses in red and profits in green
+	addProfitLossFormatting(worksheet, `${firstTagColumn}${rows.shipProfit}:${T}${rows.shipProfit}`);
+
+	// Show the total orders that % of All Orders divides by
+	const allOrdersRow = lastMetricRow + 2;
+	setCell(worksheet, `A${allOrdersRow}`, t('metric.allStoresOrders'), null, LABEL_STYLE);
+	setCell(worksheet, `B${allOrdersRow}`, storeLayout ? formula(allOrdersRef, totalOrders) : totalOrders, COUNT_FORMAT);
+
+	// Format legend as a single merged cell
+	const legendRow = allOrdersRow + 2;
+	setCell(
+		worksheet,
+		`A${legendRow}`,
+		[
+			t('common.legend'),
+			t('tag.legendPercentOfAll'),
+			t('tag.legendAverage'),
+			t('tag.legendShipProfit'),
+			t('tag.legendEstimatedCost'),
+		].join('\n'),
+		null,
+		LEGEND_STYLE
+	);
+	worksheet.mergeCells(`A${legendRow}:${T}${legendRow}`);
+	worksheet.getRow(legendRow).height = 80;
+
+	// Add an explanation of each special order category in the tag catalog
+	const categoriesRow = legendRow + 2;
+	const categoryLines = (tagCatalog ? tagCatalog.tags : []).map(({ name, description }) => {
+		const label = i18n.tag(name, tagCatalog);
+		return description ? `- ${label}: ${description}` : `- ${label}`;
+	});
+	setCell(
+		worksheet,
+		`A${categoriesRow}`,
+		[t('tag.categories'), ...categoryLines].join('\n'),
+		null,
+		LEGEND_STYLE
+	);
+	worksheet.mergeCells(`A${categoriesRow}:${T}${categoriesRow}`);
+	worksheet.getRow(categoriesRow).height = 15 + categoryLines.length * 16;
+
+	// Add detailed tag analysis, built with formulas so it follows the table
+	let row = categoriesRow + 2;
+	setCell(worksheet, `A${row}`, t('tag.detailed'), null, SECTION_STYLE);
+	worksheet.mergeCells(`A${row}:${T}${row}`);
+	row += 1;
+
+	for (const { tag, column: c } of columns) {
+		const metrics = tagMetrics[tag];
+		const percentOfOrders = totalTaggedOrders > 0 ? metrics.count / totalTaggedOrders : 0;
+		const percentOfCost = totalTagRate > 0 ? metrics.totalRate / totalTagRate : 0;
+		const percentOfAll = totalOrders > 0 ? metrics.count / totalOrders : 0;
+
+		setCell(worksheet, `A${row++}`, `${i18n.tag(tag, tagCatalog)}:`, null, LABEL_STYLE);
+		setCell(
+			worksheet,
+			`A${row++}`,
+			textFormula(t('summary.tagOrders'), {
+				count: countPart(`${c}${rows.orders}`, metrics.count),
+				percentOfTagged: percentPart(
+					`IF(${T}${rows.orders}=0,0,${c}${rows.orders}/${T}${rows.orders})`,
+					percentOfOrders,
+					1
+				),
+				percentOfAll: percentPart(`${c}${rows.percent}`, percentOfAll, 1),
+			})
+		);
+		setCell(
+			worksheet,
+			`A${row++}`,
+			textFormula(t('summary.tagShipping'), {
+				cost: currencyPart(`${c}${rows.cost}`, metrics.totalRate),
+				percentOfCost: percentPart(`IF(${T}${rows.cost}=0,0,${c}${rows.cost}/${T}${rows.cost})`, percentOfCost, 1),
+				average: currencyPart(`${c}${rows.average}`, metrics.averageRate),
+			})
+		);
+		setCell(
+			worksheet,
+			`A${row++}`,
+			textFormula(t('summary.tagValue'), {
+				orderValue: currencyPart(`${c}${rows.orderValue}`, metrics.totalOrderValue),
+				average: currencyPart(`${c}${rows.aov}`, metrics.averageOrderValue),
+				paid: currencyPart(`${c}${rows.shipPaid}`, metrics.totalShippingPaid),
+				profit: currencyPart(`${c}${rows.shipProfit}`, metrics.shippingProfit),
+			})
+		);
+		setCell(
+			worksheet,
+			`A${row++}`,
+			textFormula(t('summary.tagEstimatedCost'), {
+				cost: currencyPart(`${c}${rows.estimatedCost}`, metrics.estimatedCost),
+			})
+		);
+		row += 1;
+	}
+
+	// Add special orders summary
+	setCell(worksheet, `A${row}`, t('tag.summary'), null, SECTION_STYLE);
+	worksheet.mergeCells(`A${row}:${T}${row}`);
+	row += 1;
+	setCell(
+		worksheet,
+		`A${row++}`,
+		textFormula(t('summary.totalTagOrders'), {
+			count: countPart(`${T}${rows.orders}`, totalTaggedOrders),
+			percentOfAll: percentPart(
+				`${T}${rows.percent}`,
+				totalOrders > 0 ? totalTaggedOrders / totalOrders : 0,
+				1
+			),
+		})
+	);
+	setCell(
+		worksheet,
+		`A${row++}`,
+		textFormula(t('summary.totalTagCost'), { cost: currencyPart(`${T}${rows.cost}`, totalTagRate) })
+	);
+	setCell(
+		worksheet,
+		`A${row++}`,
+		textFormula(t('summary.averageTagCost'), {
+			cost: currencyPart(`${T}${rows.average}`, totalTaggedOrders > 0 ? totalTagRate / totalTaggedOrders : 0),
+		})
+	);
+	setCell(
+		worksheet,
+		`A${row++}`,
+		textFormula(t('summary.totalTagEstimatedCost'), {
+			cost: currencyPart(`${T}${rows.estimatedCost}`, totals.estimatedCost),
+		})
+	);
+	setCell(worksheet, `A${row++}`, t('summary.uniqueCategories', { count: tags.length }));
+
+	// Set column widths
+	worksheet.getColumn(1).width = 30;
+	for (const { column } of columns) {
+		worksheet.getColumn(column).width = 20;
+	}
+	worksheet.getColumn(T).width = 20;
+
+	return { sheetName, tags, columns, total: T, headerRow, rows };
+}
+
+/**
+ * Creates a worksheet with native charts of shipping cost, shipping profit and special order share
+ *
+ * The chart data is a small table of formulas pointing at the store metrics and special orders
+ * worksheets, so the charts change whenever those tables are edited.
+ *
+ * @param {Object} workbook - exceljs workbook
+ * @param {Object} storeMetrics - Store metrics object
+ * @param {Object} tagMetrics - Tag metrics object
+ * @param {Object} storeLayout - Store metrics table layout from createStoreMetricsWorksheet (or null)
+ * @param {Object} tagLayout - Special orders table layout from createSpecialOrdersWorksheet (or null)
+ * @param {Object} tagCatalog - Tag catalog with the tag translations (optional)
+ * @param {Object} i18n - Translator from createTranslator
+ * @returns {Array<Object>} - Chart definitions for addChartsToWorkbook
+ */
+function createChartsWorksheet(workbook, storeMetrics, tagMetrics, storeLayout, tagLayout, tagCatalog, i18n) {
+	const { t } = i18n;
+	const sheetName = t('sheet.charts');
+	const worksheet = workbook.addWorksheet(sheetName);
+	const charts = [];
+
+	setCell(worksheet, 'A1', t('report.charts'), null, TITLE_STYLE);
+	setCell(worksheet, 'A2', t('chart.linked'));
+
+	worksheet.getColumn(1).width = 30;
+	worksheet.getColumn(2).width = 15;
+	worksheet.getColumn(3).width = 15;
+
+	if (!storeLayout) {
+		setCell(worksheet, 'A4', t('common.noStoreData'));
+		return charts;
+	}
+
+	// Store chart data: name, shipping cost and shipping profit of each store
+	const storeHeaderRow = 4;
+	setCell(worksheet, `A${storeHeaderRow}`, t('common.store'), null, HEADER_STYLE);
+	setCell(worksheet, `B${storeHeaderRow}`, t('metric.shipCost'), null, HEADER_STYLE);
+	setCell(worksheet, `C${storeHeaderRow}`, t('metric.shipProfit'), null, HEADER_STYLE);
+
+	const storeRows = storeLayout.columns.map(({ store, value }, index) => {
+		const row = storeHeaderRow + 1 + index;
+		const storeRef = (metricRow) => sheetRange(storeLayout.sheetName, `${value}${metricRow}`);
+
+		setCell(worksheet, `A${row}`, formula(storeRef(storeLayout.headerRow), store), null, { border: THIN_BORDER });
+		setCell(worksheet, `B${row}`, formula(storeRef(storeLayout.rows.shipCost), storeMetrics[store].totalRate), CURRENCY_FORMAT, {
+			border: THIN_BORDER,
+		});
+		setCell(
+			worksheet,
+			`C${row}`,
+			formula(storeRef(storeLayout.rows.shipProfit), storeMetrics[store].shippingProfit),
+			CURRENCY_FORMAT,
+			{ border: THIN_BORDER }
+		);
+		return row;
+	});
+	const firstStoreRow = storeRows[0];
+	const lastStoreRow = storeRows[storeRows.length - 1];
+	addProfitLossFormatting(worksheet, `C${firstStoreRow}:C${lastStoreRow}`);
+
+	const storeCategories = {
+		ref: sheetRange(sheetName, `A${firstStoreRow}:A${lastStoreRow}`),
+		values: storeLayout.stores,
+	};
+
+	charts.push({
+		sheetName,
+		from: { col: 4, row: 3 },
+		to: { col: 13, row: 21 },
+		type: 'col',
+		title: t('chart.shipCostByStore'),
+		numberFormat: CURRENCY_FORMAT,
+		categories: storeCategories,
+		series: [
+			{
+				name: t('metric.shipCost'),
+				nameRef: sheetRange(sheetName, `B${storeHeaderRow}`),
+				ref: sheetRange(sheetName, `B${firstStoreRow}:B${lastStoreRow}`),
+				values: storeLayout.stores.map((store) => storeMetrics[store].totalRate),
+			},
+		],
+	});
+
+	charts.push({
+		sheetName,
+		from: { col: 4, row: 23 },
+		to: { col: 13, row: 41 },
+		type: 'bar',
+		title: t('chart.shipProfitByStore'),
+		numberFormat: CURRENCY_FORMAT,
+		categories: storeCategories,
+		series: [
+			{
+				name: t('metric.shipProfit'),
+				nameRef: sheetRange(sheetName, `C${storeHeaderRow}`),
+				ref: sheetRange(sheetName, `C${firstStoreRow}:C${lastStoreRow}`),
+				values: storeLayout.stores.map((store) => storeMetrics[store].shippingProfit),
 			},
+		],
+	});
+
+	if (!tagLayout) {
+		return charts;
+	}
+
+	// Special order chart data: orders of each tag
+	const tagHeaderRow = lastStoreRow + 3;
+	setCell(worksheet, `A${tagHeaderRow}`, t('chart.specialOrder'), null, HEADER_STYLE);
+	setCell(worksheet, `B${tagHeaderRow}`, t('metric.orders'), null, HEADER_STYLE);
+
+	const tagRows = tagLayout.columns.map(({ tag, column }, index) => {
+		const row = tagHeaderRow + 1 + index;
+		setCell(
+			worksheet,
+			`A${row}`,
+			formula(sheetRange(tagLayout.sheetName, `${column}${tagLayout.headerRow}`), i18n.tag(tag, tagCatalog)),
+			null,
+			{ border: THIN_BORDER }
+		);
+		setCell(
+			worksheet,
+			`B${row}`,
+			formula(sheetRange(tagLayout.sheetName, `${column}${tagLayout.rows.orders}`), tagMetrics[tag].count),
+			COUNT_FORMAT,
+			{ border: THIN_BORDER }
+		);
+		return row;
+	});
+	const firstTagRow = tagRows[0];
+	const lastTagRow = tagRows[tagRows.length - 1];
+
+	charts.push({
+		sheetName,
+		from: { col: 4, row: 43 },
+		to: { col: 13, row: 63 },
+		type: 'pie',
+		title: t('chart.specialOrdersShare'),
+		numberFormat: COUNT_FORMAT,
+		categories: {
+			ref: sheetRange(sheetName, `A${firstTagRow}:A${lastTagRow}`),
+			values: tagLayout.tags.map((tag) => i18n.tag(tag, tagCatalog)),
 		},
+		series: [
+			{
+				name: t('metric.orders'),
+				nameRef: sheetRange(sheetName, `B${tagHeaderRow}`),
+				ref: sheetRange(sheetName, `B${firstTagRow}:B${lastTagRow}`),
+				values: tagLayout.tags.map((tag) => tagMetrics[tag].count),
+			},
+		],
+	});
+
+	return charts;
+}
+
+/**
+ * Creates a worksheet with special order metrics for each store (tag × store matrix)
+ *
+ * Each store gets Orders, Ship Cost and % of Store Orders columns, followed by TOTAL columns.
+ * The Store Orders row links to the store metrics worksheet; % of Store Orders and the TOTAL
+ * columns are formulas.
+ *
+ * @param {Object} workbook - exceljs workbook
+ * @param {Object} storeTagMetrics - Store × tag metrics from calculateStoreTagMetrics
+ * @param {Object} storeMetrics - Store metrics object (for each store's orders)
+ * @param {Object} storeLayout - Store metrics table layout from createStoreMetricsWorksheet (or null)
+ * @param {Object} tagCatalog - Tag catalog with the tag translations (optional)
+ * @param {Object} i18n - Translator from createTranslator
+ */
+function createStoreTagMetricsWorksheet(workbook, storeTagMetrics, storeMetrics, storeLayout, tagCatalog, i18n) {
+	const { t } = i18n;
+	const worksheet = workbook.addWorksheet(t('sheet.tagsByStore'));
+
+	setCell(worksheet, 'A1', t('report.specialOrdersByStore'), null, TITLE_STYLE);
+
+	// Tags sorted alphabetically as on the special orders worksheet, stores in store metrics order
+	const tags = [...new Set(Object.values(storeTagMetrics).flatMap((storeTags) => Object.keys(storeTags)))].sort();
+	const stores = Object.keys(storeTagMetrics).sort((a, b) => storeMetrics[b].count - storeMetrics[a].count);
+
+	if (tags.length === 0) {
+		setCell(worksheet, 'A3', t('common.noTagData'));
+		return;
+	}
+
+	const headerRow = 3;
+	const subHeaderRow = 4;
+	const storeOrdersRow = 5;
+	const firstTagRow = 6;
+	const lastTagRow = firstTagRow + tags.length - 1;
+
+	// Each store gets Orders, Ship Cost and % of Store Orders columns, followed by the TOTAL columns
+	const columns = stores.map((store, index) => ({
+		store,
+		orders: columnLetter(2 + index * 3),
+		cost: columnLetter(3 + index * 3),
+		share: columnLetter(4 + index * 3),
+	}));
+	const total = {
+		store: t('common.total'),
+		orders: columnLetter(2 + stores.length * 3),
+		cost: columnLetter(3 + stores.length * 3),
+		share: columnLetter(4 + stores.length * 3),
 	};
 
-	// Merge legend cells across all columns
-	if (!ws['!merges']) ws['!merges'] = [];
-	ws['!merges'].push({
-		s: { r: legendStartRow, c: 0 },
-		e: { r: legendStartRow + 2, c: colCount - 1 },
-	});
+	// Create header rows with store names merged over their three columns
+	setCell(worksheet, `A${headerRow}`, t('common.tag'), null, HEADER_STYLE);
+	setCell(worksheet, `A${subHeaderRow}`, '', null, HEADER_STYLE);
+	for (const { store, orders, cost, share } of [...columns, total]) {
+		setCell(worksheet, `${orders}${headerRow}`, store, null, HEADER_STYLE);
+		worksheet.mergeCells(`${orders}${headerRow}:${share}${headerRow}`);
+		setCell(worksheet, `${orders}${subHeaderRow}`, t('metric.orders'), null, SUBHEADER_STYLE);
+		setCell(worksheet, `${cost}${subHeaderRow}`, t('metric.shipCost'), null, SUBHEADER_STYLE);
+		setCell(worksheet, `${share}${subHeaderRow}`, t('metric.shareOfStoreOrders'), null, SUBHEADER_STYLE);
+	}
+
+	// Orders of each store, linked to the store metrics worksheet when it has a table
+	setCell(worksheet, `A${storeOrdersRow}`, t('metric.storeOrders'), null, LABEL_STYLE);
+	for (const { store, orders } of columns) {
+		const storeColumn = storeLayout && storeLayout.columns.find((column) => column.store === store);
+		const count = storeMetrics[store].count;
+		setCell(
+			worksheet,
+			`${orders}${storeOrdersRow}`,
+			storeColumn
+				? formula(sheetRange(storeLayout.sheetName, `${storeColumn.value}${storeLayout.rows.orders}`), count)
+				: count,
+			COUNT_FORMAT
+		);
+	}
+	const allStoreOrders = stores.reduce((sum, store) => sum + storeMetrics[store].count, 0);
+	setCell(
+		worksheet,
+		`${total.orders}${storeOrdersRow}`,
+		formula(`SUM(${columns.map(({ orders }) => `${orders}${storeOrdersRow}`).join(',')})`, allStoreOrders),
+		COUNT_FORMAT
+	);
+	for (const { orders, cost, share } of [...columns, total]) {
+		for (const column of [orders, cost, share]) {
+			styleCell(worksheet.getCell(`${column}${storeOrdersRow}`), LABEL_STYLE);
+		}
+	}
+
+	// Share of the store's orders, from the Store Orders row
+	const shareOfStoreOrders = (column, row, count, storeOrders) =>
+		formula(
+			`IF(${column}$${storeOrdersRow}=0,0,${column}${row}/${column}$${storeOrdersRow})`,
+			storeOrders > 0 ? count / storeOrders : 0
+		);
+
+	// One row per tag; stores without the tag are left blank
+	tags.forEach((tag, index) => {
+		const row = firstTagRow + index;
+		setCell(worksheet, `A${row}`, i18n.tag(tag, tagCatalog), null, LABEL_STYLE);
+
+		let tagOrders = 0;
+		let tagCost = 0;
+		for (const { store, orders, cost, share } of columns) {
+			const metrics = storeTagMetrics[store][tag];
+			if (!metrics) continue;
+
+			tagOrders += metrics.count;
+			tagCost += metrics.totalRate;
+			setCell(worksheet, `${orders}${row}`, metrics.count, COUNT_FORMAT);
+			setCell(worksheet, `${cost}${row}`, metrics.totalRate, CURRENCY_FORMAT);
+			setCell(
+				worksheet,
+				`${share}${row}`,
+				shareOfStoreOrders(orders, row, metrics.count, storeMetrics[store].count),
+				SHARE_FORMAT
+			);
+		}
 
-	// Set section header styles for store summary and overall summary
-	const sectionHeaders = ['Stores Summary | 店铺摘要:', 'Overall Summary | 总体摘要:'];
-	for (let r = legendStartRow + 3; r < rowCount; r++) {
-		const cellRef = XLSX.utils.encode_cell({ r, c: 0 });
-		if (ws[cellRef] && sectionHeaders.includes(ws[cellRef].v)) {
-			ws[cellRef].s = {
-				font: { bold: true, sz: 12, color: { rgb: 'FFFFFF' } },
-				fill: { patternType: 'solid', fgColor: { rgb: '4472C4' } },
-				border: {
-					top: { style: 'thin', color: { rgb: '000000' } },
-					bottom: { style: 'thin', color: { rgb: '000000' } },
-					left: { style: 'thin', color: { rgb: '000000' } },
-					right: { style: 'thin', color: { rgb: '000000' } },
-				},
-			};
-
-			// Merge section header across all columns
-			if (!ws['!merges']) ws['!merges'] = [];
-			ws['!merges'].push({
-				s: { r, c: 0 },
-				e: { r, c: colCount - 1 },
+		// TOTAL columns add up the stores
+		const storeCells = (key) => columns.map((column) => `${column[key]}${row}`).join(',');
+		setCell(worksheet, `${total.orders}${row}`, formula(`SUM(${storeCells('orders')})`, tagOrders), COUNT_FORMAT);
+		setCell(worksheet, `${total.cost}${row}`, formula(`SUM(${storeCells('cost')})`, tagCost), CURRENCY_FORMAT);
+		setCell(
+			worksheet,
+			`${total.share}${row}`,
+			shareOfStoreOrders(total.orders, row, tagOrders, allStoreOrders),
+			SHARE_FORMAT
+		);
+		for (const column of [total.orders, total.cost, total.share]) {
+			styleCell(worksheet.getCell(`${column}${row}`), {
+				...LABEL_STYLE,
+				alignment: { horizontal: 'center', vertical: 'middle' },
 			});
 		}
+	});
+
+	// Add legend
+	const legendRow = lastTagRow + 2;
+	setCell(worksheet, `A${legendRow}`, t('common.legend'), null, LEGEND_STYLE);
+	setCell(worksheet, `A${legendRow + 1}`, `- ${t('tag.legendStoreShare')}`);
+
+	// Set column widths
+	worksheet.getColumn(1).width = 25;
+	for (const { orders, cost, share } of [...columns, total]) {
+		worksheet.getColumn(orders).width = 10;
+		worksheet.getColumn(cost).width = 14;
+		worksheet.getColumn(share).width = 12;
 	}
 }
 
 /**
- * Applies formatting to the special orders worksheet
- * @param {Object} ws - XLSX worksheet
- * @param {number} rowCount - Number of rows
- * @param {number} colCount - Number of columns
+ * Creates a worksheet for carrier and service level metrics
+ *
+ * Service rows hold the label counts and shipping cost; carrier subtotals, the TOTAL row,
+ * averages and shares are formulas.
+ *
+ * @param {Object} workbook - exceljs workbook
+ * @param {Object} carrierMetrics - Carrier metrics object
+ * @param {Object} storeCarrierMetrics - Store × carrier metrics object
+ * @param {Object} i18n - Translator from createTranslator
  */
-function applySpecialOrdersFormatting(ws, rowCount, colCount) {
-	// Set header styles
-	for (let i = 0; i < 3; i++) {
-		const cellRef = XLSX.utils.encode_cell({ r: i, c: 0 });
-		if (ws[cellRef]) {
-			ws[cellRef].s = {
-				font: { bold: true, sz: 12, color: { rgb: '0000FF' } },
-				border: {
-					top: { style: 'thin', color: { rgb: '000000' } },
-					bottom: { style: 'thin', color: { rgb: '000000' } },
-					left: { style: 'thin', color: { rgb: '000000' } },
-					right: { style: 'thin', color: { rgb: '000000' } },
-				},
-			};
-		}
+function createCarrierMetricsWorksheet(workbook, carrierMetrics, storeCarrierMetrics, i18n) {
+	const { t } = i18n;
+	const worksheet = workbook.addWorksheet(t('sheet.carriers'));
+
+	// Get carriers and sort by shipping spend
+	const carriers = Object.keys(carrierMetrics).sort(
+		(a, b) => carrierMetrics[b].totalRate - carrierMetrics[a].totalRate
+	);
+
+	setCell(worksheet, 'A1', t('report.carrierMetrics'), null, TITLE_STYLE);
+
+	if (carriers.length === 0) {
+		setCell(worksheet, 'A3', t('common.noCarrierData'));
+		return;
+	}
+
+	// Create header row
+	const headers = [
+		t('common.carrier'),
+		t('common.service'),
+		t('metric.labels'),
+		t('metric.shipCost'),
+		t('metric.avgCost'),
+		t('metric.shareOfSpend'),
+	];
+	const carrierHeaderRow = 3;
+	headers.forEach((header, index) => {
+		setCell(worksheet, `${columnLetter(index + 1)}${carrierHeaderRow}`, header, null, HEADER_STYLE);
+	});
+
+	// Lay out a carrier subtotal row followed by one row per service, then the TOTAL row
+	let row = carrierHeaderRow + 1;
+	const carrierRows = [];
+	for (const carrier of carriers) {
+		const services = Object.keys(carrierMetrics[carrier].services).sort(
+			(a, b) => carrierMetrics[carrier].services[b].totalRate - carrierMetrics[carrier].services[a].totalRate
+		);
+		const carrierRow = row;
+		carrierRows.push({ carrier, row: carrierRow, services, firstServiceRow: carrierRow + 1 });
+		row += 1 + services.length;
 	}
+	const totalRow = row;
+
+	let totalLabels = 0;
+	let totalRate = 0;
+	const averageCost = (r, count, cost) => formula(`IF(C${r}=0,0,D${r}/C${r})`, count > 0 ? cost / count : 0);
+	const shareOfSpend = (r, share) => formula(`IF($D$${totalRow}=0,0,D${r}/$D$${totalRow})`, share / 100);
+
+	for (const { carrier, row: carrierRow, services, firstServiceRow } of carrierRows) {
+		const metrics = carrierMetrics[carrier];
+		const lastServiceRow = firstServiceRow + services.length - 1;
+		totalLabels += metrics.count;
+		totalRate += metrics.totalRate;
 
-	// Set main header row styles (tag names)
-	for (let c = 0; c < colCount; c++) {
-		const cellRef = XLSX.utils.encode_cell({ r: 2, c });
-		if (ws[cellRef]) {
-			ws[cellRef].s = {
-				font: { bold: true, sz: 12, color: { rgb: 'FFFFFF' } },
-				fill: { patternType: 'solid', fgColor: { rgb: '4472C4' } },
-				alignment: { horizontal: 'center', vertical: 'center', wrapText: true },
-				border: {
-					top: { style: 'thin', color: { rgb: '000000' } },
-					bottom: { style: 'thin', color: { rgb: '000000' } },
-					left: { style: 'thin', color: { rgb: '000000' } },
-					right: { style: 'thin', color: { rgb: '000000' } },
-				},
-			};
+		setCell(worksheet, `A${carrierRow}`, carrier);
+		setCell(worksheet, `B${carrierRow}`, t('carrier.allServices'));
+		setCell(worksheet, `C${carrierRow}`, formula(`SUM(C${firstServiceRow}:C${lastServiceRow})`, metrics.count), COUNT_FORMAT);
+		setCell(
+			worksheet,
+			`D${carrierRow}`,
+			formula(`SUM(D${firstServiceRow}:D${lastServiceRow})`, metrics.totalRate),
+			CURRENCY_FORMAT
+		);
+		setCell(worksheet, `E${carrierRow}`, averageCost(carrierRow, metrics.count, metrics.totalRate), CURRENCY_FORMAT);
+		setCell(worksheet, `F${carrierRow}`, shareOfSpend(carrierRow, metrics.shareOfSpend), MARGIN_FORMAT);
+		for (let c = 1; c <= headers.length; c++) {
+			styleCell(worksheet.getCell(`${columnLetter(c)}${carrierRow}`), LABEL_STYLE);
 		}
+
+		services.forEach((service, index) => {
+			const serviceMetrics = metrics.services[service];
+			const serviceRow = firstServiceRow + index;
+			setCell(worksheet, `A${serviceRow}`, carrier);
+			setCell(worksheet, `B${serviceRow}`, service);
+			setCell(worksheet, `C${serviceRow}`, serviceMetrics.count, COUNT_FORMAT);
+			setCell(worksheet, `D${serviceRow}`, serviceMetrics.totalRate, CURRENCY_FORMAT);
+			setCell(
+				worksheet,
+				`E${serviceRow}`,
+				averageCost(serviceRow, serviceMetrics.count, serviceMetrics.totalRate),
+				CURRENCY_FORMAT
+			);
+			setCell(worksheet, `F${serviceRow}`, shareOfSpend(serviceRow, serviceMetrics.shareOfSpend), MARGIN_FORMAT);
+		});
 	}
 
-	// Set metric column styles
-	for (let r = 3; r < 7; r++) {
-		const cellRef = XLSX.utils.encode_cell({ r, c: 0 });
-		if (ws[cellRef]) {
-			ws[cellRef].s = {
-				font: { bold: true, sz: 11 },
-				fill: { patternType: 'solid', fgColor: { rgb: 'D9E1F2' } },
-				border: {
-					top: { style: 'thin', color: { rgb: '000000' } },
-					bottom: { style: 'thin', color: { rgb: '000000' } },
-					left: { style: 'thin', color: { rgb: '000000' } },
-					right: { style: 'thin', color: { rgb: '000000' } },
-				},
-			};
+	// TOTAL row adds up the carrier subtotals
+	const carrierCells = (column) => carrierRows.map(({ row: carrierRow }) => `${column}${carrierRow}`).join(',');
+	setCell(worksheet, `A${totalRow}`, t('common.total'));
+	setCell(worksheet, `C${totalRow}`, formula(`SUM(${carrierCells('C')})`, totalLabels), COUNT_FORMAT);
+	setCell(worksheet, `D${totalRow}`, formula(`SUM(${carrierCells('D')})`, totalRate), CURRENCY_FORMAT);
+	setCell(worksheet, `E${totalRow}`, averageCost(totalRow, totalLabels, totalRate), CURRENCY_FORMAT);
+	setCell(worksheet, `F${totalRow}`, formula(`IF(D${totalRow}=0,0,1)`, totalRate > 0 ? 1 : 0), MARGIN_FORMAT);
+	for (let c = 1; c <= headers.length; c++) {
+		styleCell(worksheet.getCell(`${columnLetter(c)}${totalRow}`), LABEL_STYLE);
+	}
+
+	// Add the store × carrier cross-tab, one row per store and carrier so it can be filtered
+	setCell(worksheet, `A${totalRow + 2}`, t('report.carriersByStore'), null, TITLE_STYLE);
+	const crossTabHeaderRow = totalRow + 4;
+	[
+		t('common.store'),
+		t('common.carrier'),
+		t('metric.labels'),
+		t('metric.shipCost'),
+		t('metric.avgCost'),
+		t('metric.shareOfStoreSpend'),
+	].forEach((header, index) => {
+		setCell(worksheet, `${columnLetter(index + 1)}${crossTabHeaderRow}`, header, null, HEADER_STYLE);
+	});
+
+	const crossTabRows = [];
+	for (const store of Object.keys(storeCarrierMetrics).sort()) {
+		const storeCarriers = Object.keys(storeCarrierMetrics[store]).sort(
+			(a, b) => storeCarrierMetrics[store][b].totalRate - storeCarrierMetrics[store][a].totalRate
+		);
+		for (const carrier of storeCarriers) {
+			crossTabRows.push({ store, carrier, metrics: storeCarrierMetrics[store][carrier] });
 		}
 	}
 
-	// Apply alternating row colors
-	for (let r = 3; r < 7; r++) {
-		// Apply alternating row background
-		const rowColor = r % 2 === 0 ? 'F5F5F5' : 'FFFFFF';
-
-		for (let c = 1; c < colCount; c++) {
-			const cellRef = XLSX.utils.encode_cell({ r, c });
-			if (ws[cellRef]) {
-				// Initialize style if not exists
-				if (!ws[cellRef].s) ws[cellRef].s = {};
-
-				// Apply row background and border
-				ws[cellRef].s.fill = { patternType: 'solid', fgColor: { rgb: rowColor } };
-				ws[cellRef].s.border = {
-					top: { style: 'thin', color: { rgb: '000000' } },
-					bottom: { style: 'thin', color: { rgb: '000000' } },
-					left: { style: 'thin', color: { rgb: '000000' } },
-					right: { style: 'thin', color: { rgb: '000000' } },
-				};
-				ws[cellRef].s.alignment = { horizontal: 'center', vertical: 'center' };
-				ws[cellRef].s.font = { sz: 11 };
+	// Each store's share is taken of that store's rows in the cross-tab
+	const firstCrossTabRow = crossTabHeaderRow + 1;
+	const lastCrossTabRow = crossTabHeaderRow + crossTabRows.length;
+	crossTabRows.forEach(({ store, carrier, metrics }, index) => {
+		const r = firstCrossTabRow + index;
+		const storeSpend = `SUMIF($A$${firstCrossTabRow}:$A$${lastCrossTabRow},A${r},$D$${firstCrossTabRow}:$D$${lastCrossTabRow})`;
+		setCell(worksheet, `A${r}`, store);
+		setCell(worksheet, `B${r}`, carrier);
+		setCell(worksheet, `C${r}`, metrics.count, COUNT_FORMAT);
+		setCell(worksheet, `D${r}`, metrics.totalRate, CURRENCY_FORMAT);
+		setCell(worksheet, `E${r}`, averageCost(r, metrics.count, metrics.totalRate), CURRENCY_FORMAT);
+		setCell(worksheet, `F${r}`, formula(`IF(${storeSpend}=0,0,D${r}/${storeSpend})`, metrics.shareOfSpend / 100), MARGIN_FORMAT);
+	});
+
+	// Add legend
+	const legendRow = lastCrossTabRow + 2;
+	setCell(worksheet, `A${legendRow}`, t('common.legend'), null, LEGEND_STYLE);
+	setCell(worksheet, `A${legendRow + 1}`, `- ${t('carrier.legendShare')}`);
+	setCell(worksheet, `A${legendRow + 2}`, `- ${t('carrier.legendStoreShare')}`);
+
+	// Set column widths
+	[25, 30, 15, 18, 18, 22].forEach((width, index) => {
+		worksheet.getColumn(index + 1).width = width;
+	});
+}
+
+/**
+ * Creates a worksheet for shipping cost by package weight band
+ *
+ * Band rows hold the label counts, shipping cost and weight; the TOTAL row, averages, cost per
+ * pound and shares are formulas. The store and carrier breakdowns have one row per store or
+ * carrier and band so they can be filtered.
+ *
+ * @param {Object} workbook - exceljs workbook
+ * @param {Object} weightBandMetrics - Weight band metrics from calculateWeightBandMetrics
+ * @param {Object} i18n - Translator from createTranslator
+ */
+function createWeightBandsWorksheet(workbook, weightBandMetrics, i18n) {
+	const { t } = i18n;
+	const worksheet = workbook.addWorksheet(t('sheet.weightBands'));
+	const { bands, overall, totals, byStore, byCarrier, weighedLabels, unweighedLabels } = weightBandMetrics;
+
+	setCell(worksheet, 'A1', t('report.weightBands'), null, TITLE_STYLE);
+
+	if (weighedLabels === 0) {
+		setCell(worksheet, 'A3', t('common.noWeightData'));
+		return;
+	}
+
+	// Create header row
+	const headers = [
+		t('weight.band'),
+		t('metric.labels'),
+		t('metric.shipCost'),
+		t('metric.weightLb'),
+		t('metric.avgCost'),
+		t('metric.costPerPound'),
+		t('metric.shareOfLabels'),
+	];
+	const headerRow = 3;
+	headers.forEach((header, index) => {
+		setCell(worksheet, `${columnLetter(index + 1)}${headerRow}`, header, null, HEADER_STYLE);
+	});
+
+	const averageCost = (r, metrics) => formula(`IF(B${r}=0,0,C${r}/B${r})`, metrics.averageRate);
+	const costPerPound = (r, metrics) => formula(`IF(D${r}=0,0,C${r}/D${r})`, metrics.costPerPound);
+
+	// One row per band, then the TOTAL row
+	const firstBandRow = headerRow + 1;
+	const totalRow = firstBandRow + bands.length;
+
+	bands.forEach(({ label }, index) => {
+		const metrics = overall[label];
+		const r = firstBandRow + index;
+
+		setCell(worksheet, `A${r}`, label);
+		setCell(worksheet, `B${r}`, metrics.count, COUNT_FORMAT);
+		setCell(worksheet, `C${r}`, metrics.totalRate, CURRENCY_FORMAT);
+		setCell(worksheet, `D${r}`, metrics.totalWeight, WEIGHT_FORMAT);
+		setCell(worksheet, `E${r}`, averageCost(r, metrics), CURRENCY_FORMAT);
+		setCell(worksheet, `F${r}`, costPerPound(r, metrics), CURRENCY_FORMAT);
+		setCell(
+			worksheet,
+			`G${r}`,
+			formula(`IF($B$${totalRow}=0,0,B${r}/$B$${totalRow})`, metrics.shareOfLabels / 100),
+			MARGIN_FORMAT
+		);
+	});
+
+	const bandCells = (column) => `SUM(${column}${firstBandRow}:${column}${totalRow - 1})`;
+	setCell(worksheet, `A${totalRow}`, t('common.total'));
+	setCell(worksheet, `B${totalRow}`, formula(bandCells('B'), totals.count), COUNT_FORMAT);
+	setCell(worksheet, `C${totalRow}`, formula(bandCells('C'), totals.totalRate), CURRENCY_FORMAT);
+	setCell(worksheet, `D${totalRow}`, formula(bandCells('D'), totals.totalWeight), WEIGHT_FORMAT);
+	setCell(worksheet, `E${totalRow}`, averageCost(totalRow, totals), CURRENCY_FORMAT);
+	setCell(worksheet, `F${totalRow}`, costPerPound(totalRow, totals), CURRENCY_FORMAT);
+	setCell(worksheet, `G${totalRow}`, formula(`IF(B${totalRow}=0,0,1)`, 1), MARGIN_FORMAT);
+	for (let c = 1; c <= headers.length; c++) {
+		styleCell(worksheet.getCell(`${columnLetter(c)}${totalRow}`), LABEL_STYLE);
+	}
+
+	let row = totalRow + 1;
+	if (unweighedLabels > 0) {
+		setCell(worksheet, `A${row}`, t('weight.unweighed', { count: i18n.number(unweighedLabels) }));
+		row += 1;
+	}
+
+	// Add the store and carrier breakdowns, one row per store or carrier and band
+	const breakdowns = [
+		{ titleKey: 'report.weightBandsByStore', groupKey: 'common.store', groupMetrics: byStore },
+		{ titleKey: 'report.weightBandsByCarrier', groupKey: 'common.carrier', groupMetrics: byCarrier },
+	];
+	for (const { titleKey, groupKey, groupMetrics } of breakdowns) {
+		setCell(worksheet, `A${row + 1}`, t(titleKey), null, TITLE_STYLE);
+		const breakdownHeaderRow = row + 3;
+		[
+			t(groupKey),
+			t('weight.band'),
+			t('metric.labels'),
+			t('metric.shipCost'),
+			t('metric.weightLb'),
+			t('metric.avgCost'),
+			t('metric.costPerPound'),
+			t('metric.shareOfLabels'),
+		].forEach((header, index) => {
+			setCell(worksheet, `${columnLetter(index + 1)}${breakdownHeaderRow}`, header, null, HEADER_STYLE);
+		});
+
+		const breakdownRows = [];
+		for (const group of Object.keys(groupMetrics).sort()) {
+			for (const { label } of bands) {
+				if (groupMetrics[group][label]) {
+					breakdownRows.push({ group, label, metrics: groupMetrics[group][label] });
+				}
 			}
 		}
+
+		// Each store's or carrier's share is taken of its own rows in the breakdown
+		const firstRow = breakdownHeaderRow + 1;
+		const lastRow = breakdownHeaderRow + breakdownRows.length;
+		breakdownRows.forEach(({ group, label, metrics }, index) => {
+			const r = firstRow + index;
+			const groupLabels = `SUMIF($A$${firstRow}:$A$${lastRow},A${r},$C$${firstRow}:$C$${lastRow})`;
+			setCell(worksheet, `A${r}`, group);
+			setCell(worksheet, `B${r}`, label);
+			setCell(worksheet, `C${r}`, metrics.count, COUNT_FORMAT);
+			setCell(worksheet, `D${r}`, metrics.totalRate, CURRENCY_FORMAT);
+			setCell(worksheet, `E${r}`, metrics.totalWeight, WEIGHT_FORMAT);
+			setCell(worksheet, `F${r}`, formula(`IF(C${r}=0,0,D${r}/C${r})`, metrics.averageRate), CURRENCY_FORMAT);
+			setCell(worksheet, `G${r}`, formula(`IF(E${r}=0,0,D${r}/E${r})`, metrics.costPerPound), CURRENCY_FORMAT);
+			setCell(
+				worksheet,
+				`H${r}`,
+				formula(`IF(${groupLabels}=0,0,C${r}/${groupLabels})`, metrics.shareOfLabels / 100),
+				MARGIN_FORMAT
+			);
+		});
+
+		row = lastRow + 1;
 	}
 
-	// Set total column styles
-	const totalCol = colCount - 1;
-	for (let r = 3; r < 7; r++) {
-		const cellRef = XLSX.utils.encode_cell({ r, c: totalCol });
-		if (ws[cellRef]) {
-			ws[cellRef].s = {
-				font: { bold: true, sz: 11 },
-				fill: { patternType: 'solid', fgColor: { rgb: 'D9E1F2' } },
-				alignment: { horizontal: 'center', vertical: 'center' },
-				border: {
-					top: { style: 'thin', color: { rgb: '000000' } },
-					bottom: { style: 'thin', color: { rgb: '000000' } },
-					left: { style: 'thin', color: { rgb: '000000' } },
-					right: { style: 'thin', color: { rgb: '000000' } },
-				},
-			};
-		}
+	// Add legend
+	const legendRow = row + 1;
+	setCell(worksheet, `A${legendRow}`, t('common.legend'), null, LEGEND_STYLE);
+	['weight.legendBands', 'weight.legendCostPerPound', 'weight.legendShare'].forEach((key, index) => {
+		setCell(worksheet, `A${legendRow + 1 + index}`, `- ${t(key)}`);
+	});
+
+	// Set column widths
+	[25, 15, 15, 15, 15, 15, 18, 18].forEach((width, index) => {
+		worksheet.getColumn(index + 1).width = width;
+	});
+}
+
+/**
+ * Creates a worksheet for shipping metrics by destination
+ *
+ * The domestic and international rows hold the order counts, shipping cost and shipping paid; the
+ * TOTAL row, averages, shipping profit and shares are formulas. The state, country and ZIP3 tables
+ * list every destination, most orders first, with shares of the TOTAL row.
+ *
+ * @param {Object} workbook - exceljs workbook
+ * @param {Object} destinationMetrics - Destination metrics from calculateDestinationMetrics
+ * @param {Object} i18n - Translator from createTranslator
+ */
+function createDestinationsWorksheet(workbook, destinationMetrics, i18n) {
+	const { t } = i18n;
+	const worksheet = workbook.addWorksheet(t('sheet.destinations'));
+	const { homeCountry, totals, domestic, international, byState, byCountry, byZip3, unknownDestinations } =
+		destinationMetrics;
+
+	setCell(worksheet, 'A1', t('report.destinations'), null, TITLE_STYLE);
+
+	if (totals.count === 0) {
+		setCell(worksheet, 'A3', t('common.noDestinationData'));
+		return;
 	}
 
-	// Format legend as a single merged cell
-	const legendRow = 8;
-	const legendCellRef = XLSX.utils.encode_cell({ r: legendRow, c: 0 });
-	if (ws[legendCellRef]) {
-		ws[legendCellRef].s = {
-			font: { bold: true, sz: 11, color: { rgb: '0000FF' } },
-			alignment: { wrapText: true, vertical: 'top' },
-			border: {
-				top: { style: 'thin', color: { rgb: '000000' } },
-				bottom: { style: 'thin', color: { rgb: '000000' } },
-				left: { style: 'thin', color: { rgb: '000000' } },
-				right: { style: 'thin', color: { rgb: '000000' } },
-			},
-			fill: { patternType: 'solid', fgColor: { rgb: 'E6F0FF' } },
-		};
-
-		// Merge legend cells across all columns
-		if (!ws['!merges']) ws['!merges'] = [];
-		ws['!merges'].push({
-			s: { r: legendRow, c: 0 },
-			e: { r: legendRow, c: colCount - 1 },
+	const headers = (firstHeader) => [
+		firstHeader,
+		t('metric.orders'),
+		t('metric.shipCost'),
+		t('metric.avgCost'),
+		t('metric.shipPaid'),
+		t('metric.shipProfit'),
+		t('metric.shareOfOrders'),
+	];
+	const writeHeaders = (r, firstHeader) => {
+		headers(firstHeader).forEach((header, index) => {
+			setCell(worksheet, `${columnLetter(index + 1)}${r}`, header, null, HEADER_STYLE);
 		});
+	};
+
+	// Create header row, the domestic and international rows, then the TOTAL row
+	const headerRow = 3;
+	const domesticRow = headerRow + 1;
+	const internationalRow = headerRow + 2;
+	const totalRow = headerRow + 3;
+	writeHeaders(headerRow, t('destination.destination'));
+
+	// Every share is taken of the orders with a destination in the TOTAL row
+	const writeDestinationRow = (r, label, metrics) => {
+		setCell(worksheet, `A${r}`, label);
+		setCell(worksheet, `B${r}`, metrics.count, COUNT_FORMAT);
+		setCell(worksheet, `C${r}`, metrics.totalRate, CURRENCY_FORMAT);
+		setCell(worksheet, `D${r}`, formula(`IF(B${r}=0,0,C${r}/B${r})`, metrics.averageRate), CURRENCY_FORMAT);
+		setCell(worksheet, `E${r}`, metrics.totalShippingPaid, CURRENCY_FORMAT);
+		setCell(worksheet, `F${r}`, formula(`E${r}-C${r}`, metrics.shippingProfit), CURRENCY_FORMAT);
+		setCell(
+			worksheet,
+			`G${r}`,
+			formula(`IF($B$${totalRow}=0,0,B${r}/$B$${totalRow})`, metrics.shareOfOrders / 100),
+			MARGIN_FORMAT
+		);
+	};
+
+	writeDestinationRow(domesticRow, t('destination.domestic', { country: homeCountry }), domestic);
+	writeDestinationRow(internationalRow, t('destination.international'), international);
+
+	const splitCells = (column) => `SUM(${column}${domesticRow}:${column}${internationalRow})`;
+	setCell(worksheet, `A${totalRow}`, t('common.total'));
+	setCell(worksheet, `B${totalRow}`, formula(splitCells('B'), totals.count), COUNT_FORMAT);
+	setCell(worksheet, `C${totalRow}`, formula(splitCells('C'), totals.totalRate), CURRENCY_FORMAT);
+	setCell(
+		worksheet,
+		`D${totalRow}`,
+		formula(`IF(B${totalRow}=0,0,C${totalRow}/B${totalRow})`, totals.averageRate),
+		CURRENCY_FORMAT
+	);
+	setCell(worksheet, `E${totalRow}`, formula(splitCells('E'), totals.totalShippingPaid), CURRENCY_FORMAT);
+	setCell(worksheet, `F${totalRow}`, formula(`E${totalRow}-C${totalRow}`, totals.shippingProfit), CURRENCY_FORMAT);
+	setCell(worksheet, `G${totalRow}`, formula(`IF(B${totalRow}=0,0,1)`, 1), MARGIN_FORMAT);
+	for (let c = 1; c <= 7; c++) {
+		styleCell(worksheet.getCell(`${columnLetter(c)}${totalRow}`), LABEL_STYLE);
 	}
+	addProfitLossFormatting(worksheet, `F${domesticRow}:F${totalRow}`);
 
-	// Format categories as a single merged cell
-	const categoriesRow = 10;
-	const categoriesCellRef = XLSX.utils.encode_cell({ r: categoriesRow, c: 0 });
-	if (ws[categoriesCellRef]) {
-		ws[categoriesCellRef].s = {
-			font: { bold: true, sz: 11, color: { rgb: '0000FF' } },
-			alignment: { wrapText: true, vertical: 'top' },
-			border: {
-				top: { style: 'thin', color: { rgb: '000000' } },
-				bottom: { style: 'thin', color: { rgb: '000000' } },
-				left: { style: 'thin', color: { rgb: '000000' } },
-				right: { style: 'thin', color: { rgb: '000000' } },
-			},
-			fill: { patternType: 'solid', fgColor: { rgb: 'E6F0FF' } },
-		};
-
-		// Merge categories cells across all columns
-		if (!ws['!merges']) ws['!merges'] = [];
-		ws['!merges'].push({
-			s: { r: categoriesRow, c: 0 },
-			e: { r: categoriesRow, c: colCount - 1 },
+	let row = totalRow + 1;
+	if (unknownDestinations > 0) {
+		setCell(worksheet, `A${row}`, t('destination.unknown', { count: i18n.number(unknownDestinations) }));
+		row += 1;
+	}
+
+	// Add the state, country and ZIP3 tables, most orders first
+	const breakdowns = [
+		{ titleKey: 'report.destinationsByState', groupKey: 'destination.state', groups: byState },
+		{ titleKey: 'report.destinationsByCountry', groupKey: 'destination.country', groups: byCountry },
+		{ titleKey: 'report.destinationsByZip3', groupKey: 'destination.zip3', groups: byZip3 || {} },
+	];
+	for (const { titleKey, groupKey, groups } of breakdowns) {
+		const keys = Object.keys(groups).sort(
+			(a, b) => groups[b].count - groups[a].count || groups[b].averageRate - groups[a].averageRate
+		);
+		if (keys.length === 0) {
+			continue;
+		}
+
+		setCell(worksheet, `A${row + 1}`, t(titleKey), null, TITLE_STYLE);
+		const breakdownHeaderRow = row + 3;
+		writeHeaders(breakdownHeaderRow, t(groupKey));
+
+		keys.forEach((key, index) => {
+			writeDestinationRow(breakdownHeaderRow + 1 + index, key, groups[key]);
 		});
+		const lastRow = breakdownHeaderRow + keys.length;
+		addProfitLossFormatting(worksheet, `F${breakdownHeaderRow + 1}:F${lastRow}`);
+
+		row = lastRow + 1;
 	}
 
-	// Set section header styles
-	const sectionHeaders = [
-		'Detailed Special Orders Analysis | 详细特殊订单分析:',
-		'Special Orders Summary | 特殊订单摘要:',
+	// Add legend
+	const legendRow = row + 1;
+	setCell(worksheet, `A${legendRow}`, t('common.legend'), null, LEGEND_STYLE);
+	setCell(worksheet, `A${legendRow + 1}`, `- ${t('destination.legendDomestic', { country: homeCountry })}`);
+	setCell(worksheet, `A${legendRow + 2}`, `- ${t('destination.legendShare')}`);
+
+	// Set column widths
+	[25, 15, 15, 15, 15, 15, 18].forEach((width, index) => {
+		worksheet.getColumn(index + 1).width = width;
+	});
+}
+
+/**
+ * Creates a worksheet with the ranked orders to review
+ *
+ * Rows are in rank order, largest excess first, with a frozen and filterable header row. Excess
+ * and × Expected are formulas: Rate - Expected for a high Rate, Ship Paid - Rate for an overcharge.
+ *
+ * @param {Object} workbook - exceljs workbook
+ * @param {Object} anomalyMetrics - Anomalies from detectAnomalies
+ * @param {Object} i18n - Translator from createTranslator
+ */
+function createAnomaliesWorksheet(workbook, anomalyMetrics, i18n) {
+	const { t, currency, number } = i18n;
+	const worksheet = workbook.addWorksheet(t('sheet.anomalies'), {
+		views: [{ state: 'frozen', xSplit: 0, ySplit: 4 }],
+	});
+	const { labels, rateFactor, overchargeFactor, highRate, overcharge, anomalies } = anomalyMetrics;
+
+	setCell(worksheet, 'A1', t('report.anomalies'), null, TITLE_STYLE);
+
+	if (anomalies.length === 0) {
+		setCell(worksheet, 'A2', t('anomaly.none', { labels: number(labels) }));
+		return;
+	}
+	setCell(
+		worksheet,
+		'A2',
+		t('anomaly.summary', { highRate: number(highRate), overcharge: number(overcharge), labels: number(labels) })
+	);
+
+	const numberFormats = {
+		count: COUNT_FORMAT,
+		date: i18n.excelDateFormat,
+		currency: CURRENCY_FORMAT,
+		ratio: RATIO_FORMAT,
+	};
+	const columnOf = (key) => columnLetter(ANOMALY_FIELDS.findIndex((field) => field.key === key) + 1);
+	const lastColumn = columnLetter(ANOMALY_FIELDS.length);
+
+	// Create header row
+	const headerRow = 4;
+	ANOMALY_FIELDS.forEach(({ labelKey }, index) => {
+		setCell(worksheet, `${columnLetter(index + 1)}${headerRow}`, t(labelKey), null, HEADER_STYLE);
+	});
+
+	// One row per flagged label, in rank order
+	anomalies.forEach((anomaly, index) => {
+		const row = headerRow + 1 + index;
+		const rate = `${columnOf('rate')}${row}`;
+		const paid = `${columnOf('shippingPaid')}${row}`;
+		const expected = `${columnOf('expected')}${row}`;
+
+		ANOMALY_FIELDS.forEach(({ key, format }, fieldIndex) => {
+			const address = `${columnLetter(fieldIndex + 1)}${row}`;
+			let value = anomaly[key];
+
+			if (key === 'excess') {
+				const excess = anomaly.reason === 'highRate' ? `${rate}-${expected}` : `${paid}-${rate}`;
+				value = formula(excess, anomaly.excess);
+			} else if (key === 'ratio') {
+				const ratio = anomaly.reason === 'highRate' ? `${rate}/${expected}` : `${paid}/${rate}`;
+				value = anomaly.ratio !== null ? formula(ratio, anomaly.ratio) : null;
+			} else if (format === 'reason') {
+				value = t(`anomaly.${value}`);
+			} else if (format === 'date') {
+				// Store the calendar date so it shows the same day in every time zone
+				value = value ? new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate())) : null;
+			} else if (key === 'peerGroup') {
+				const fields = value.filter((field) => field !== '');
+				value = anomaly.peerLevel === 'all' ? t('anomaly.allLabels') : fields.join(' / ');
+			}
+
+			setCell(worksheet, address, value, numberFormats[format] || null);
+		});
+	});
+
+	const lastRow = headerRow + anomalies.length;
+	worksheet.autoFilter = `A${headerRow}:${lastColumn}${lastRow}`;
+
+	// Add legend
+	const legendRow = lastRow + 2;
+	const amount = currency(MIN_ANOMALY_EXCESS);
+	setCell(worksheet, `A${legendRow}`, t('common.legend'), null, LEGEND_STYLE);
+	setCell(worksheet, `A${legendRow + 1}`, `- ${t('anomaly.legendHighRate', { factor: rateFactor, amount })}`);
+	setCell(worksheet, `A${legendRow + 2}`, `- ${t('anomaly.legendOvercharge', { factor: overchargeFactor, amount })}`);
+	setCell(worksheet, `A${legendRow + 3}`, `- ${t('anomaly.legendPeers', { count: MIN_PEER_LABELS })}`);
+
+	// Set column widths
+	[8, 16, 15, 14, 25, 12, 25, 14, 25, 14, 14, 14, 14, 14, 35, 14].forEach((width, index) => {
+		worksheet.getColumn(index + 1).width = width;
+	});
+}
+
+/**
+ * Creates a worksheet with per-period trend metrics
+ *
+ * Store rows hold the measured values; each period's All Stores row sums them, and
+ * Ship Profit and AOV are formulas.
+ *
+ * @param {Object} workbook - exceljs workbook
+ * @param {Object} trends - Trend metrics from calculatePeriodMetrics
+ * @param {Object} i18n - Translator from createTranslator
+ */
+function createTrendsWorksheet(workbook, trends, i18n) {
+	const { t } = i18n;
+	const worksheet = workbook.addWorksheet(t('sheet.trends'));
+
+	setCell(worksheet, 'A1', t(`report.${trends.period}`), null, TITLE_STYLE);
+
+	// Create header row
+	const headers = [
+		t('common.period'),
+		t('trend.startDate'),
+		t('common.store'),
+		t('metric.orders'),
+		t('metric.orderValue'),
+		t('metric.shipCost'),
+		t('metric.shipPaid'),
+		t('metric.shipProfit'),
+		t('metric.aov'),
 	];
-	for (let r = 12; r < rowCount; r++) {
-		const cellRef = XLSX.utils.encode_cell({ r, c: 0 });
-		if (ws[cellRef] && sectionHeaders.includes(ws[cellRef].v)) {
-			ws[cellRef].s = {
-				font: { bold: true, sz: 12, color: { rgb: 'FFFFFF' } },
-				fill: { patternType: 'solid', fgColor: { rgb: '4472C4' } },
-				border: {
-					top: { style: 'thin', color: { rgb: '000000' } },
-					bottom: { style: 'thin', color: { rgb: '000000' } },
-					left: { style: 'thin', color: { rgb: '000000' } },
-					right: { style: 'thin', color: { rgb: '000000' } },
-				},
-			};
-
-			// Merge section header across all columns
-			if (!ws['!merges']) ws['!merges'] = [];
-			ws['!merges'].push({
-				s: { r, c: 0 },
-				e: { r, c: colCount - 1 },
-			});
+	const headerRow = 3;
+	headers.forEach((header, index) => {
+		setCell(worksheet, `${columnLetter(index + 1)}${headerRow}`, header, null, HEADER_STYLE);
+	});
+
+	// One row for all stores combined followed by one row per store, for each period
+	let row = headerRow + 1;
+	for (const bucket of trends.buckets) {
+		const stores = Object.keys(bucket.storeMetrics).sort();
+		const totalRow = row;
+		const firstStoreRow = totalRow + 1;
+		const lastStoreRow = totalRow + stores.length;
+
+		const rowsToWrite = [
+			{ r: totalRow, store: t('common.allStores'), metrics: bucket.totals, isTotal: true },
+			...stores.map((store, index) => ({
+				r: firstStoreRow + index,
+				store,
+				metrics: bucket.storeMetrics[store],
+				isTotal: false,
+			})),
+		];
+
+		for (const { r, store, metrics, isTotal } of rowsToWrite) {
+			const measured = (column, value, numberFormat) =>
+				setCell(
+					worksheet,
+					`${column}${r}`,
+					isTotal ? formula(`SUM(${column}${firstStoreRow}:${column}${lastStoreRow})`, value) : value,
+					numberFormat
+				);
+
+			setCell(worksheet, `A${r}`, i18n.periodLabel(bucket.startDate, trends.period));
+			setCell(worksheet, `B${r}`, bucket.startDate, i18n.excelDateFormat);
+			setCell(worksheet, `C${r}`, store);
+			measured('D', metrics.count, COUNT_FORMAT);
+			measured('E', metrics.totalOrderValue, CURRENCY_FORMAT);
+			measured('F', metrics.totalRate, CURRENCY_FORMAT);
+			measured('G', metrics.totalShippingPaid, CURRENCY_FORMAT);
+			setCell(worksheet, `H${r}`, formula(`G${r}-F${r}`, metrics.shippingProfit), CURRENCY_FORMAT);
+			setCell(worksheet, `I${r}`, formula(`IF(D${r}=0,0,E${r}/D${r})`, metrics.averageOrderValue), CURRENCY_FORMAT);
+
+			if (isTotal) {
+				for (let c = 1; c <= headers.length; c++) {
+					styleCell(worksheet.getCell(`${columnLetter(c)}${r}`), {
+						font: { bold: true, size: 11 },
+						fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFD9E1F2' } },
+					});
+				}
+			}
 		}
+
+		row = lastStoreRow + 1;
+	}
+	if (row > headerRow + 1) {
+		addProfitLossFormatting(worksheet, `H${headerRow + 1}:H${row - 1}`);
+	}
+
+	if (trends.undatedOrders > 0) {
+		setCell(worksheet, `A${row + 1}`, t('trend.undated', { count: i18n.number(trends.undatedOrders) }));
 	}
 
-	// Format tag headers
-	for (let r = 13; r < rowCount; r++) {
-		const cellRef = XLSX.utils.encode_cell({ r, c: 0 });
-		if (ws[cellRef] && ws[cellRef].v && ws[cellRef].v.includes(' | ') && ws[cellRef].v.includes(':')) {
-			ws[cellRef].s = {
-				font: { bold: true, sz: 11, color: { rgb: '000000' } },
-				fill: { patternType: 'solid', fgColor: { rgb: 'D9E1F2' } },
-				border: {
-					top: { style: 'thin', color: { rgb: '000000' } },
-					bottom: { style: 'thin', color: { rgb: '000000' } },
-					left: { style: 'thin', color: { rgb: '000000' } },
-					right: { style: 'thin', color: { rgb: '000000' } },
-				},
-			};
+	// Set column widths
+	[20, 14, 25, 12, 15, 15, 15, 15, 15].forEach((width, index) => {
+		worksheet.getColumn(index + 1).width = width;
+	});
+}
+
+/**
+ * Creates a worksheet comparing store and tag metrics between two periods
+ * @param {Object} workbook - exceljs workbook
+ * @param {Object} comparison - Period comparison from buildComparison
+ * @param {Object} i18n - Translator from createTranslator
+ */
+function createComparisonWorksheet(workbook, comparison, i18n) {
+	const { t } = i18n;
+	const worksheet = workbook.addWorksheet(t('sheet.comparison'));
+
+	const numberFormats = {
+		number: COUNT_FORMAT,
+		currency: CURRENCY_FORMAT,
+		percentage: '0.00"%"',
+	};
+
+	setCell(
+		worksheet,
+		'A1',
+		`${t('comparison.title')}: ${comparison.baseLabel} → ${comparison.currentLabel}`,
+		null,
+		TITLE_STYLE
+	);
+
+	// Create header row
+	const headers = [
+		t('comparison.group'),
+		t('comparison.name'),
+		t('common.metric'),
+		t('comparison.base', { label: comparison.baseLabel }),
+		t('comparison.current', { label: comparison.currentLabel }),
+		t('comparison.change'),
+		t('comparison.changePercent'),
+	];
+	const headerRow = 3;
+	headers.forEach((header, index) => {
+		setCell(worksheet, `${columnLetter(index + 1)}${headerRow}`, header, null, HEADER_STYLE);
+	});
+
+	const groups = [
+		[t('common.store'), { [t('common.allStores')]: comparison.totals }, STORE_COMPARISON_METRICS],
+		[t('common.store'), comparison.stores, STORE_COMPARISON_METRICS],
+		[t('common.tag'), comparison.tags, TAG_COMPARISON_METRICS],
+	];
+	const notApplicable = t('common.notApplicable');
+
+	// One row per metric of each store and tag, with the changes as formulas
+	let row = headerRow + 1;
+	for (const [groupLabel, entries, metricDefinitions] of groups) {
+		for (const name of Object.keys(entries).sort()) {
+			for (const { key, labelKey, format } of metricDefinitions) {
+				const metric = entries[name].metrics[key];
+				setCell(worksheet, `A${row}`, groupLabel);
+				setCell(worksheet, `B${row}`, name);
+				setCell(worksheet, `C${row}`, t(labelKey));
+				setCell(worksheet, `D${row}`, metric.base, numberFormats[format]);
+				setCell(worksheet, `E${row}`, metric.current, numberFormats[format]);
+				setCell(worksheet, `F${row}`, formula(`E${row}-D${row}`, metric.change), numberFormats[format]);
+				setCell(
+					worksheet,
+					`G${row}`,
+					formula(
+						`IF(D${row}=0,"${notApplicable}",F${row}/ABS(D${row}))`,
+						metric.percentChange !== null ? metric.percentChange / 100 : notApplicable
+					),
+					MARGIN_FORMAT
+				);
+				row += 1;
+			}
 		}
 	}
+	addProfitLossFormatting(worksheet, `F${headerRow + 1}:G${row - 1}`);
+
+	setCell(worksheet, `A${row + 1}`, t('comparison.legendChange'));
+	setCell(worksheet, `A${row + 2}`, t('comparison.legendChangePercent'));
+	setCell(worksheet, `A${row + 3}`, t('comparison.legendMargin'));
+
+	// Set column widths
+	[14, 25, 30, 20, 20, 15, 15].forEach((width, index) => {
+		worksheet.getColumn(index + 1).width = width;
+	});
+}
+
+/**
+ * Creates a worksheet with one row per analyzed order
+ *
+ * The header row is frozen and filterable, so the orders behind any store, carrier or tag
+ * total can be listed without going back to the raw export. Ship Profit is a formula.
+ *
+ * @param {Object} workbook - exceljs workbook
+ * @param {Array<Object>} orderDetails - Order details from calculateOrderDetails
+ * @param {Object} i18n - Translator from createTranslator
+ */
+function createOrderDetailsWorksheet(workbook, orderDetails, i18n) {
+	const { t } = i18n;
+	const worksheet = workbook.addWorksheet(t('sheet.orders'), {
+		views: [{ state: 'frozen', xSplit: 1, ySplit: 1 }],
+	});
+
+	const numberFormats = {
+		date: i18n.excelDateFormat,
+		currency: CURRENCY_FORMAT,
+	};
+	const columnOf = (key) => columnLetter(ORDER_DETAIL_FIELDS.findIndex((field) => field.key === key) + 1);
+	const lastColumn = columnLetter(ORDER_DETAIL_FIELDS.length);
+
+	// Create header row
+	ORDER_DETAIL_FIELDS.forEach(({ labelKey }, index) => {
+		setCell(worksheet, `${columnLetter(index + 1)}1`, t(labelKey), null, HEADER_STYLE);
+	});
+
+	// One row per order, with Ship Profit calculated from Ship Paid and Ship Cost
+	orderDetails.forEach((order, index) => {
+		const row = index + 2;
+		ORDER_DETAIL_FIELDS.forEach(({ key, format }, fieldIndex) => {
+			const address = `${columnLetter(fieldIndex + 1)}${row}`;
+			let value = order[key];
+
+			if (key === 'shippingProfit') {
+				value = formula(`${columnOf('shippingPaid')}${row}-${columnOf('shippingCost')}${row}`, order.shippingProfit);
+			} else if (format === 'date') {
+				// Store the calendar date so it shows the same day in every time zone
+				value = value ? new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate())) : null;
+			} else if (format === 'list') {
+				value = value.join(', ');
+			}
+
+			setCell(worksheet, address, value, numberFormats[format] || null);
+		});
+	});
+
+	const lastRow = orderDetails.length + 1;
+	worksheet.autoFilter = `A1:${lastColumn}${lastRow}`;
+	if (orderDetails.length > 0) {
+		addProfitLossFormatting(worksheet, `${columnOf('shippingProfit')}2:${columnOf('shippingProfit')}${lastRow}`);
+	}
+
+	// Set column widths
+	[15, 14, 25, 12, 30, 25, 15, 15, 15, 15, 30].forEach((width, index) => {
+		worksheet.getColumn(index + 1).width = width;
+	});
 }
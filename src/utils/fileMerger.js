@@ -0,0 +1,119 @@
+/**
+ * File Merger Utility
+ *
+ * This module provides functions to read several ShipStation export files (or whole folders)
+ * and merge them into a single data set, dropping orders that appear in more than one export.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { readCSVFile, resolveFilePath } from './fileReader.js';
+
+// File extensions picked up when a folder is passed in
+const SUPPORTED_EXTENSIONS = ['.csv', '.xlsx', '.xls'];
+
+/**
+ * Expands a list of file and folder paths into the list of files to read
+ * @param {Array<string>} inputPaths - File or folder paths provided by the user
+ * @param {Object} logger - Console-compatible logger for progress messages (defaults to console)
+ * @returns {Promise<Array<string>>} - Resolved file paths, folders expanded in alphabetical order
+ * @throws {Error} - If a path doesn't exist or a folder contains no supported files
+ */
+export async function expandInputPaths(inputPaths, logger = console) {
+	const files = [];
+
+	for (const inputPath of inputPaths) {
+		const resolvedPath = await resolveFilePath(inputPath, logger);
+
+		if (fs.statSync(resolvedPath).isDirectory()) {
+			const folderFiles = fs
+				.readdirSync(resolvedPath)
+				.filter((file) => SUPPORTED_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+				// Skip Excel lock files left behind while a workbook is open
+				.filter((file) => !file.startsWith('~$'))
+				.sort()
+				.map((file) => path.join(resolvedPath, file));
+
+			if (folderFiles.length === 0) {
+				throw new Error(`No CSV or Excel files found in folder: ${inputPath}`);
+			}
+
+			files.push(...folderFiles);
+		} else {
+			files.push(resolvedPath);
+		}
+	}
+
+	// The same file passed twice (or via its folder) is only read once
+	return [...new Set(files)];
+}
+
+/**
+ * Builds the de-duplication key for an order
+ * @param {Object} order - Cleaned order data
+ * @returns {string|null} - Key combining Order # and Tracking/Shipment ID, or null if neither is present
+ */
+function getOrderKey(order) {
+	const orderNumber = order['Order #'] !== undefined ? String(order['Order #']).trim() : '';
+	const trackingNumber = order['Tracking #'] !== undefined ? String(order['Tracking #']).trim() : '';
+
+	if (!orderNumber && !trackingNumber) {
+		return null;
+	}
+
+	return `${orderNumber}|${trackingNumber}`;
+}
+
+/**
+ * Reads several export files and merges them into one data set without duplicate orders
+ *
+ * Orders are considered duplicates when they share the same Order # and Tracking/Shipment ID.
+ * The first occurrence is kept; later occurrences are dropped and counted against the file they came from.
+ * Rows without an order number or tracking number are always kept.
+ *
+ * @param {Array<string>} inputPaths - File or folder paths to read
+ * @param {Object} options - Read options passed through to readCSVFile (e.g. sheet, logger)
+ * @returns {Promise<Object>} - Object with the merged data and a per-file source summary
+ */
+export async function readAndMergeFiles(inputPaths, options = {}) {
+	const files = await expandInputPaths(inputPaths, options.logger);
+
+	const data = [];
+	const sources = [];
+	const seenKeys = new Set();
+	const logger = options.logger || console;
+
+	for (const file of files) {
+		logger.log(`Reading ${path.basename(file)}...`);
+		const rows = await readCSVFile(file, options);
+
+		let duplicates = 0;
+		for (const row of rows) {
+			const key = getOrderKey(row);
+
+			if (key !== null) {
+				if (seenKeys.has(key)) {
+					duplicates += 1;
+					continue;
+				}
+				seenKeys.add(key);
+			}
+
+			data.push(row);
+		}
+
+		sources.push({
+			file,
+			fileName: path.basename(file),
+			records: rows.length,
+			duplicates,
+			included: rows.length - duplicates,
+		});
+	}
+
+	return {
+		data,
+		sources,
+		totalDuplicates: sources.reduce((sum, source) => sum + source.duplicates, 0),
+	};
+}
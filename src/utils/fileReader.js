@@ -1,42 +1,145 @@
 /**
  * File Reader Utility
  *
- * This module provides functions to read and parse CSV files.
+ * This module provides functions to read and parse CSV and Excel files.
  * It handles file validation and transforms the data into a usable format.
  */
 
 import fs from 'fs/promises';
 import { createReadStream, existsSync, mkdirSync } from 'fs';
 import csv from 'csv-parser';
+import * as XLSX from 'xlsx';
 import path from 'path';
+import { learnMappingProfile, DEFAULT_MAPPING_PROFILE } from './mappingProfile.js';
 
 // Default directory for ShipStation files
 const DEFAULT_SHIPSTATION_DIR = 'ShipStation Orders';
 
+// Common field name variations in ShipStation exports
+const FIELD_VARIATIONS = {
+	// Store field variations
+	Store: ['Store', 'Marketplace', 'Channel', 'Source', 'Platform'],
+
+	// Rate field variations
+	Rate: ['Rate', 'ShippingRate', 'Shipping Rate', 'Cost', 'Shipping Cost', 'Postage Cost', 'Postage'],
+
+	// Order total field variations
+	'Order Total': [
+		'Order Total',
+		'OrderTotal',
+		'Total',
+		'Order Amount',
+		'OrderAmount',
+		'Order Value',
+		'OrderValue',
+	],
+
+	// Shipping paid field variations
+	'Shipping Paid': [
+		'Shipping',
+		'Shipping Paid',
+		'ShippingPaid',
+		'Customer Shipping',
+		'CustomerShipping',
+		'Shipping Charge',
+	],
+
+	// Tags field variations
+	Tags: ['Tags', 'Tag', 'Labels', 'Label', 'Categories', 'Category'],
+
+	// Order number field variations
+	'Order #': ['Order #', 'Order Number', 'OrderNumber', 'Order No', 'Order ID', 'OrderID'],
+
+	// Tracking number / shipment ID field variations
+	'Tracking #': ['Tracking #', 'Tracking Number', 'TrackingNumber', 'Tracking', 'Shipment ID', 'ShipmentID'],
+
+	// Carrier field variations
+	Carrier: ['Carrier', 'Carrier Name', 'CarrierName', 'Provider', 'Shipping Carrier'],
+
+	// Service level field variations
+	Service: ['Service', 'Shipping Service', 'ShippingService', 'Service Name', 'Carrier Service', 'Service Level'],
+
+	// Destination variations
+	'Ship To State': [
+		'Ship To State',
+		'Ship To - State',
+		'ShipToState',
+		'Ship To Province',
+		'Recipient State',
+		'Shipping State',
+		'State',
+		'Province',
+	],
+	'Ship To Country': [
+		'Ship To Country',
+		'Ship To - Country',
+		'ShipToCountry',
+		'Ship To Country Code',
+		'Recipient Country',
+		'Shipping Country',
+		'Country',
+		'Country Code',
+	],
+	'Ship To Postal Code': [
+		'Ship To Postal Code',
+		'Ship To - Postal Code',
+		'ShipToPostalCode',
+		'Ship To Zip',
+		'Recipient Postal Code',
+		'Shipping Postal Code',
+		'Postal Code',
+		'Zip Code',
+		'Zip',
+	],
+
+	// Package weight variations
+	Weight: ['Weight', 'Package Weight', 'Shipment Weight', 'Total Weight', 'Order Weight'],
+
+	// Weight unit variations (oz, lb, g or kg)
+	'Weight Unit': ['Weight Unit', 'WeightUnit', 'Weight Units', 'Weight UOM', 'Unit of Weight'],
+
+	// Void indicator variations (a yes/no flag or the date the label was voided)
+	Voided: ['Voided', 'Is Voided', 'IsVoided', 'Label Voided', 'Void Date', 'Voided Date', 'VoidDate'],
+
+	// Return label indicator variations
+	'Return Label': ['Return Label', 'Is Return Label', 'IsReturnLabel', 'Is Return', 'Return Label Flag'],
+
+	// Refunded postage indicator variations (a yes/no flag, refund status or refund date)
+	Refunded: ['Refunded', 'Postage Refunded', 'Is Refunded', 'Refund Status', 'Refund Date'],
+};
+
+// Yes/no label status fields; their columns ("Return Label", ...) aren't candidates for the other fields
+const LABEL_FLAG_FIELDS = ['Voided', 'Return Label', 'Refunded'];
+
+// Standard fields every analysis relies on; missing ones trigger a warning and the learn mapping step
+const REQUIRED_FIELDS = ['Store', 'Rate', 'Order Total', 'Shipping Paid', 'Tags'];
+
 /**
  * Ensures the ShipStation Orders directory exists
+ * @param {Object} logger - Console-compatible logger for progress messages
  */
-function ensureShipStationDirExists() {
+function ensureShipStationDirExists(logger = console) {
 	const dirPath = path.join(process.cwd(), DEFAULT_SHIPSTATION_DIR);
 	if (!existsSync(dirPath)) {
 		try {
 			mkdirSync(dirPath, { recursive: true });
-			console.log(`Created directory: ${DEFAULT_SHIPSTATION_DIR}`);
+			logger.log(`Created directory: ${DEFAULT_SHIPSTATION_DIR}`);
 		} catch (error) {
-			console.warn(`Warning: Could not create ${DEFAULT_SHIPSTATION_DIR} directory: ${error.message}`);
+			logger.warn(`Warning: Could not create ${DEFAULT_SHIPSTATION_DIR} directory: ${error.message}`);
 		}
 	}
 }
 
 /**
  * Resolves the file path, checking in the default ShipStation directory if needed
- * @param {string} filePath - Original file path provided by user
+ * @param {string} filePath - Original file or directory path provided by user
+ * @param {Object} logger - Console-compatible logger for progress messages (defaults to console)
  * @returns {string} - Resolved file path
  * @throws {Error} - If the file doesn't exist
  */
-async function resolveFilePath(filePath) {
+export async function resolveFilePath(filePath, logger = console) {
 	// Ensure the ShipStation directory exists
-	ensureShipStationDirExists();
+	ensureShipStationDirExists(logger);
 
 	// First check if the file exists as provided
 	if (existsSync(filePath)) {
@@ -54,15 +157,42 @@ async function resolveFilePath(filePath) {
 }
 
 /**
- * Reads and parses a CSV file into an array of objects
- * @param {string} filePath - Path to the CSV file
- * @returns {Promise<Array>} - Array of objects representing the CSV data
- * @throws {Error} - If the file doesn't exist or isn't a valid CSV
+ * Reads and parses a CSV or Excel file into an array of objects
+ * @param {string} filePath - Path to the CSV or Excel file
+ * @param {Object} options - Read options
+ * @param {string|number} options.sheet - Worksheet name or 1-based index for Excel files (defaults to the first sheet)
+ * @param {Object} options.mappingProfile - Mapping profile pinning source columns to standard fields (optional)
+ * @param {boolean} options.learnMapping - Prompt for the source column of unrecognized standard fields
+ * @param {string} options.mappingProfilePath - Where the learn step saves the profile (defaults to mapping-profile.json)
+ * @param {Object} options.logger - Console-compatible logger for progress messages (defaults to console)
+ * @returns {Promise<Array>} - Array of objects representing the file data
+ * @throws {Error} - If the file doesn't exist or isn't a valid CSV or Excel file
  */
-export async function readCSVFile(filePath) {
+export async function readCSVFile(filePath, options = {}) {
+	const rawRows = await readRawRows(filePath, options);
+	const results = await processRows(rawRows, options);
+
+	// Cleaned orders keep the file and row of the raw row they came from
+	results.forEach((order, index) => {
+		setSourceLocation(order, rawRows[index].sourceFile, rawRows[index].sourceRow);
+	});
+
+	return results;
+}
+
+/**
+ * Reads a CSV or Excel file into raw row objects keyed by header, without cleaning or mapping
+ * @param {string} filePath - Path to the CSV or Excel file
+ * @param {Object} options - Read options
+ * @param {string|number} options.sheet - Worksheet name or 1-based index for Excel files (defaults to the first sheet)
+ * @param {Object} options.logger - Console-compatible logger for progress messages (defaults to console)
+ * @returns {Promise<Array<Object>>} - Raw rows with every value as text, with their sourceFile and sourceRow
+ * @throws {Error} - If the file doesn't exist or isn't a valid CSV or Excel file
+ */
+export async function readRawRows(filePath, options = {}) {
 	try {
 		// Resolve the file path, checking in the default directory if needed
-		const resolvedPath = await resolveFilePath(filePath);
+		const resolvedPath = await resolveFilePath(filePath, options.logger);
 
 		// Validate file extension
 		const fileExtension = path.extname(resolvedPath).toLowerCase();
@@ -70,59 +200,21 @@ export async function readCSVFile(filePath) {
 			throw new Error('File must be a CSV or Excel file');
 		}
 
-		// For Excel files, we would need additional handling
-		if (fileExtension === '.xlsx' || fileExtension === '.xls') {
-			throw new Error('Excel files are not yet supported. Please export as CSV from ShipStation.');
-		}
-
-		// Parse CSV file
-		return new Promise((resolve, reject) => {
-			const results = [];
-			let headers = [];
-			let firstRow = true;
-			let sampleData = null;
-
-			createReadStream(resolvedPath)
-				.pipe(csv())
-				.on('data', (data) => {
-					// Store headers from the first row
-					if (firstRow) {
-						headers = Object.keys(data);
-						firstRow = false;
-						sampleData = data;
-
-						// Log available fields to help with debugging
-						console.log('Available fields in CSV:', headers.join(', '));
-
-						// Log potential field mappings for important metrics
-						identifyPotentialFields(headers, sampleData);
-					}
-
-					// Clean and transform data
-					const cleanedData = cleanData(data, headers);
-					results.push(cleanedData);
-				})
-				.on('end', () => {
-					if (results.length > 0) {
-						// Log a sample of the first row after cleaning to help with debugging
-						console.log('\nSample of processed data (first row):');
-						const sampleKeys = ['Store', 'Rate', 'Order Total', 'Shipping Paid', 'Tags'];
-						for (const key of sampleKeys) {
-							if (results[0][key] !== undefined) {
-								console.log(`  ${key}: ${results[0][key]}`);
-							} else {
-								console.log(`  ${key}: <not found>`);
-							}
-						}
-						console.log('');
-					}
-
-					resolve(results);
-				})
-				.on('error', (error) => {
-					reject(new Error(`Failed to parse CSV: ${error.message}`));
-				});
+		// Excel workbooks are converted to the same raw row objects the CSV parser produces
+		const rawRows =
+			fileExtension === '.csv'
+				? await readCSVRows(resolvedPath)
+				: await readExcelRows(resolvedPath, options.sheet, options.logger);
+
+		// Remember where each row came from, so validation can point at the row in the original file.
+		// CSV rows follow the header line; SheetJS records the 0-based worksheet row of each object.
+		const sourceFile = path.basename(resolvedPath);
+		rawRows.forEach((row, index) => {
+			const sourceRow = fileExtension === '.csv' ? index + 2 : row.__rowNum__ + 1;
+			setSourceLocation(row, sourceFile, sourceRow);
 		});
+
+		return rawRows;
 	} catch (error) {
 		if (error.code === 'ENOENT') {
 			throw new Error(`File not found: ${filePath}`);
@@ -131,12 +223,182 @@ export async function readCSVFile(filePath) {
 	}
 }
 
+/**
+ * Records the file and row an order was read from
+ *
+ * The properties are non-enumerable so they don't show up as columns in exports or merged data.
+ *
+ * @param {Object} order - Cleaned order data
+ * @param {string} sourceFile - Name of the file the order was read from
+ * @param {number} sourceRow - 1-based row in the file, counting the header row
+ */
+function setSourceLocation(order, sourceFile, sourceRow) {
+	Object.defineProperties(order, {
+		sourceFile: { value: sourceFile, enumerable: false },
+		sourceRow: { value: sourceRow, enumerable: false },
+	});
+}
+
+/**
+ * Parses a CSV file into raw row objects keyed by header
+ * @param {string} filePath - Resolved path to the CSV file
+ * @returns {Promise<Array<Object>>} - Raw rows as produced by csv-parser
+ */
+function readCSVRows(filePath) {
+	return new Promise((resolve, reject) => {
+		const rows = [];
+
+		createReadStream(filePath)
+			.pipe(csv())
+			.on('data', (data) => rows.push(data))
+			.on('end', () => resolve(rows))
+			.on('error', (error) => {
+				reject(new Error(`Failed to parse CSV: ${error.message}`));
+			});
+	});
+}
+
+/**
+ * Reads a worksheet from an Excel workbook into raw row objects keyed by header
+ * @param {string} filePath - Resolved path to the .xlsx or .xls file
+ * @param {string|number} sheet - Worksheet name or 1-based index (defaults to the first sheet)
+ * @param {Object} logger - Console-compatible logger for progress messages
+ * @returns {Promise<Array<Object>>} - Raw rows with every cell formatted as a string, like csv-parser output
+ * @throws {Error} - If the workbook can't be read or the requested sheet doesn't exist
+ */
+async function readExcelRows(filePath, sheet, logger = console) {
+	const buffer = await fs.readFile(filePath);
+
+	let workbook;
+	try {
+		// Parse dates into the MM/DD/YYYY text ShipStation uses in its CSV exports
+		workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true, dateNF: 'mm/dd/yyyy' });
+	} catch (error) {
+		throw new Error(`Failed to parse Excel file: ${error.message}`);
+	}
+
+	const sheetName = resolveSheetName(workbook.SheetNames, sheet);
+	logger.log(`Reading worksheet: ${sheetName}`);
+
+	// raw: false returns the displayed text of each cell, defval keeps empty cells as empty strings
+	return XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], {
+		raw: false,
+		defval: '',
+		dateNF: 'mm/dd/yyyy',
+	});
+}
+
+/**
+ * Resolves which worksheet to read from a workbook
+ * @param {Array<string>} sheetNames - Names of the worksheets in the workbook
+ * @param {string|number} sheet - Worksheet name or 1-based index (optional)
+ * @returns {string} - Name of the worksheet to read
+ * @throws {Error} - If the workbook is empty or the requested sheet doesn't exist
+ */
+function resolveSheetName(sheetNames, sheet) {
+	if (sheetNames.length === 0) {
+		throw new Error('Excel file does not contain any worksheets');
+	}
+
+	// Default to the first worksheet
+	if (sheet === undefined || sheet === null || sheet === '') {
+		return sheetNames[0];
+	}
+
+	// Exact name match first, so sheets named like "2025" aren't treated as an index
+	if (sheetNames.includes(String(sheet))) {
+		return String(sheet);
+	}
+
+	// Then a 1-based index
+	const index = parseInt(sheet, 10);
+	if (String(index) === String(sheet).trim() && index >= 1 && index <= sheetNames.length) {
+		return sheetNames[index - 1];
+	}
+
+	// Finally a case-insensitive name match
+	const match = sheetNames.find((name) => name.toLowerCase() === String(sheet).trim().toLowerCase());
+	if (match) {
+		return match;
+	}
+
+	throw new Error(`Worksheet "${sheet}" not found. Available sheets: ${sheetNames.join(', ')}`);
+}
+
+/**
+ * Cleans raw rows and logs the detected fields
+ *
+ * When the learn step saves a new profile it is stored on options.mappingProfile,
+ * so the remaining files of a multi-file run reuse it without asking again.
+ *
+ * @param {Array<Object>} rawRows - Raw rows keyed by header
+ * @param {Object} options - Read options (see readCSVFile)
+ * @returns {Promise<Array<Object>>} - Cleaned rows with standardized field names
+ */
+async function processRows(rawRows, options = {}) {
+	if (rawRows.length === 0) {
+		return [];
+	}
+
+	const logger = options.logger || console;
+
+	// Headers and sample values come from the first row
+	const headers = Object.keys(rawRows[0]);
+	const sampleData = rawRows[0];
+
+	// Log available fields to help with debugging
+	logger.log('Available fields in file:', headers.join(', '));
+
+	// Log potential field mappings for important metrics
+	identifyPotentialFields(headers, sampleData, options.mappingProfile, logger);
+
+	// Ask for the source columns of unrecognized fields, or warn that they will be empty
+	let missingFields = findUnmappedFields(headers, options.mappingProfile);
+	if (missingFields.length > 0 && options.learnMapping) {
+		const learnedProfile = await learnMappingProfile(
+			missingFields,
+			headers,
+			sampleData,
+			options.mappingProfile,
+			options.mappingProfilePath || DEFAULT_MAPPING_PROFILE
+		);
+
+		if (learnedProfile) {
+			options.mappingProfile = learnedProfile;
+			missingFields = findUnmappedFields(headers, learnedProfile);
+		}
+	}
+
+	for (const field of missingFields) {
+		logger.warn(`Warning: No column found for "${field}". Its values will be treated as empty or 0.`);
+	}
+
+	// Clean and transform data
+	const results = rawRows.map((data) => cleanData(data, headers, options.mappingProfile));
+
+	// Log a sample of the first row after cleaning to help with debugging
+	logger.log('\nSample of processed data (first row):');
+	const sampleKeys = ['Store', 'Rate', 'Order Total', 'Shipping Paid', 'Tags'];
+	for (const key of sampleKeys) {
+		if (results[0][key] !== undefined) {
+			logger.log(`  ${key}: ${results[0][key]}`);
+		} else {
+			logger.log(`  ${key}: <not found>`);
+		}
+	}
+	logger.log('');
+
+	return results;
+}
+
 /**
  * Identifies potential fields for important metrics based on headers and sample data
  * @param {Array<string>} headers - CSV headers
  * @param {Object} sampleData - Sample data from the first row
+ * @param {Object} mappingProfile - Mapping profile pinning source columns to standard fields (optional)
+ * @param {Object} logger - Console-compatible logger for the field listing
  */
-function identifyPotentialFields(headers, sampleData) {
+function identifyPotentialFields(headers, sampleData, mappingProfile = null, logger = console) {
 	// Define categories of fields we're looking for
 	const fieldCategories = {
 		'Rate/Cost Fields': ['rate', 'cost', 'shipping cost', 'shipping rate'],
@@ -146,74 +408,93 @@ function identifyPotentialFields(headers, sampleData) {
 		'Tag Fields': ['tag', 'tags', 'label', 'category'],
 	};
 
-	console.log('\nPotential field mappings:');
+	// Columns recognized or pinned as label flags, so "Return Label" isn't offered as a tag field
+	const flagColumns = LABEL_FLAG_FIELDS.flatMap((field) => {
+		const pinnedColumn = mappingProfile ? mappingProfile.fields[field] : undefined;
+		return pinnedColumn ? [pinnedColumn, ...FIELD_VARIATIONS[field]] : FIELD_VARIATIONS[field];
+	}).map((column) => column.toLowerCase());
+
+	logger.log('\nPotential field mappings:');
 
 	// For each category, find potential matching fields
 	for (const [category, keywords] of Object.entries(fieldCategories)) {
-		const matches = headers.filter((header) => keywords.some((keyword) => header.toLowerCase().includes(keyword)));
+		const matches = headers.filter(
+			(header) =>
+				!flagColumns.includes(header.trim().toLowerCase()) &&
+				keywords.some((keyword) => header.toLowerCase().includes(keyword))
+		);
 
 		if (matches.length > 0) {
-			console.log(`  ${category}:`);
+			logger.log(`  ${category}:`);
 			for (const match of matches) {
 				const value = sampleData[match];
-				console.log(`    - ${match}: ${value}`);
+				logger.log(`    - ${match}: ${value}`);
 			}
 		} else {
-			console.log(`  ${category}: No potential matches found`);
+			logger.log(`  ${category}: No potential matches found`);
+		}
+	}
+
+	// Show the columns pinned by the mapping profile, flagging any that aren't in this file
+	if (mappingProfile) {
+		const lowerHeaders = headers.map((header) => header.trim().toLowerCase());
+		logger.log(`\nMapping profile: ${mappingProfile.name}`);
+		for (const [standardField, sourceColumn] of Object.entries(mappingProfile.fields)) {
+			const status = lowerHeaders.includes(sourceColumn.toLowerCase()) ? '' : ' (column not found in file)';
+			logger.log(`  ${standardField} <- ${sourceColumn}${status}`);
 		}
 	}
-	console.log('');
+	logger.log('');
+}
+
+/**
+ * Finds the required standard fields that no header in the file can supply
+ * @param {Array<string>} headers - CSV headers
+ * @param {Object} mappingProfile - Mapping profile pinning source columns to standard fields (optional)
+ * @returns {Array<string>} - Required standard fields without a source column
+ */
+function findUnmappedFields(headers, mappingProfile = null) {
+	const lowerHeaders = headers.map((header) => header.trim().toLowerCase());
+
+	return REQUIRED_FIELDS.filter((standardField) => {
+		const pinnedColumn = mappingProfile && mappingProfile.fields[standardField];
+		if (pinnedColumn && lowerHeaders.includes(pinnedColumn.toLowerCase())) {
+			return false;
+		}
+
+		return !FIELD_VARIATIONS[standardField].some((variation) => lowerHeaders.includes(variation.toLowerCase()));
+	});
 }
 
 /**
  * Cleans and transforms raw CSV data
  * @param {Object} data - Raw data object from CSV parser
  * @param {Array<string>} headers - CSV headers
+ * @param {Object} mappingProfile - Mapping profile pinning source columns to standard fields (optional)
  * @returns {Object} - Cleaned data object
  */
-function cleanData(data, headers) {
+function cleanData(data, headers, mappingProfile = null) {
 	const cleanedData = {};
 
-	// Common field name variations in ShipStation exports
-	const fieldMappings = {
-		// Store field variations
-		Store: ['Store', 'Marketplace', 'Channel', 'Source', 'Platform'],
-
-		// Rate field variations
-		Rate: ['Rate', 'ShippingRate', 'Shipping Rate', 'Cost', 'Shipping Cost', 'Postage Cost', 'Postage'],
-
-		// Order total field variations
-		'Order Total': [
-			'Order Total',
-			'OrderTotal',
-			'Total',
-			'Order Amount',
-			'OrderAmount',
-			'Order Value',
-			'OrderValue',
-		],
-
-		// Shipping paid field variations
-		'Shipping Paid': [
-			'Shipping',
-			'Shipping Paid',
-			'ShippingPaid',
-			'Customer Shipping',
-			'CustomerShipping',
-			'Shipping Charge',
-		],
-
-		// Tags field variations
-		Tags: ['Tags', 'Tag', 'Labels', 'Label', 'Categories', 'Category'],
-	};
+	// USPS tracking numbers are all digits, but must keep every digit to match carrier invoices, ZIP codes
+	// must keep their leading zeros, and destinations and weight units are text even when their column name
+	// says shipping or weight
+	const textFields = ['Tracking #', 'Ship To State', 'Ship To Country', 'Ship To Postal Code', 'Weight Unit'];
+	const textColumns = textFields.flatMap((field) => FIELD_VARIATIONS[field]);
+	for (const field of textFields) {
+		if (mappingProfile && mappingProfile.fields[field]) {
+			textColumns.push(mappingProfile.fields[field]);
+		}
+	}
 
 	// Copy all properties
 	for (const [key, value] of Object.entries(data)) {
 		// Clean up key names (remove whitespace, etc.)
 		const cleanKey = key.trim();
+		const isTextColumn = textColumns.some((column) => column.toLowerCase() === cleanKey.toLowerCase());
 
 		// Handle numeric values
-		if (isLikelyNumeric(cleanKey, value)) {
+		if (!isTextColumn && isLikelyNumeric(cleanKey, value)) {
 			// Remove currency symbols and convert to number
 			cleanedData[cleanKey] = parseFloat(value.replace(/[^0-9.-]+/g, '')) || 0;
 		} else {
@@ -221,9 +502,21 @@ function cleanData(data, headers) {
 		}
 	}
 
+	// Columns pinned by the mapping profile take precedence over the built-in variations
+	const pinnedFields = new Set();
+	if (mappingProfile) {
+		for (const [standardField, sourceColumn] of Object.entries(mappingProfile.fields)) {
+			const header = Object.keys(cleanedData).find((key) => key.toLowerCase() === sourceColumn.toLowerCase());
+			if (header !== undefined) {
+				cleanedData[standardField] = cleanedData[header];
+				pinnedFields.add(standardField);
+			}
+		}
+	}
+
 	// Ensure we have standardized field names for important metrics
-	for (const [standardField, variations] of Object.entries(fieldMappings)) {
-		if (!cleanedData[standardField]) {
+	for (const [standardField, variations] of Object.entries(FIELD_VARIATIONS)) {
+		if (!cleanedData[standardField] && !pinnedFields.has(standardField)) {
 			// Look for variations of this field
 			for (const variation of variations) {
 				if (cleanedData[variation] !== undefined) {
@@ -235,8 +528,8 @@ function cleanData(data, headers) {
 	}
 
 	// If we still don't have the required fields, try case-insensitive matching
-	for (const [standardField, variations] of Object.entries(fieldMappings)) {
-		if (!cleanedData[standardField]) {
+	for (const [standardField, variations] of Object.entries(FIELD_VARIATIONS)) {
+		if (!cleanedData[standardField] && !pinnedFields.has(standardField)) {
 			for (const header of headers) {
 				if (variations.some((v) => header.toLowerCase() === v.toLowerCase())) {
 					cleanedData[standardField] = cleanedData[header];
@@ -6,24 +6,24 @@ export async function selectCSVFile() {
 	// Define the directory where CSV files are stored
 	const ordersDir = path.join(process.cwd(), 'ShipStation Orders');
 
-	// Get all CSV files from the directory
+	// Get all CSV and Excel files from the directory
 	const files = fs
 		.readdirSync(ordersDir)
-		.filter((file) => file.endsWith('.csv'))
+		.filter((file) => ['.csv', '.xlsx', '.xls'].includes(path.extname(file).toLowerCase()))
 		.map((file) => ({
 			name: file,
 			value: path.join('ShipStation Orders', file),
 		}));
 
 	if (files.length === 0) {
-		throw new Error('No CSV files found in the ShipStation Orders directory');
+		throw new Error('No CSV or Excel files found in the ShipStation Orders directory');
 	}
 
 	const { selectedFile } = await inquirer.prompt([
 		{
 			type: 'list',
 			name: 'selectedFile',
-			message: 'Select a CSV file to analyze:',
+			message: 'Select a file to analyze:',
 			choices: files,
 		},
 	]);
@@ -0,0 +1,150 @@
+/**
+ * Carrier Invoice Reader
+ *
+ * This module reads carrier invoices (UPS, FedEx, USPS and similar billing exports) from CSV or
+ * Excel files. Each invoice line is reduced to the tracking number it bills, the billed amount,
+ * and the carrier and charge description when the invoice has them.
+ *
+ * Carriers name their columns differently, so the usual names are recognized automatically and a
+ * mapping profile (same format as the order mapping profile) can pin the others:
+ *
+ *   name: UPS invoice
+ *   fields:
+ *     "Tracking #": Lead Shipment Number
+ *     Billed Amount: Net Amount
+ */
+
+import chalk from 'chalk';
+import { readRawRows } from './fileReader.js';
+
+// Common column name variations in carrier invoices
+const INVOICE_FIELD_VARIATIONS = {
+	// Tracking number variations (UPS, FedEx, USPS)
+	'Tracking #': [
+		'Tracking #',
+		'Tracking Number',
+		'TrackingNumber',
+		'Tracking ID',
+		'Tracking',
+		'Package Tracking Number',
+		'Lead Shipment Number',
+		'Express or Ground Tracking ID',
+		'Shipment Tracking Number',
+		'PIC',
+	],
+
+	// Billed amount variations
+	'Billed Amount': [
+		'Billed Amount',
+		'Billed Charge',
+		'Net Charge',
+		'Net Charge Amount',
+		'Net Amount',
+		'Total Charge',
+		'Total Charges',
+		'Amount Due',
+		'Invoice Amount',
+		'Charge Amount',
+		'Amount',
+		'Postage Amount',
+	],
+
+	// Carrier variations
+	Carrier: ['Carrier', 'Carrier Name', 'CarrierName', 'Shipping Carrier'],
+
+	// Charge description variations (adjustment reasons, surcharges, ...)
+	'Charge Description': [
+		'Charge Description',
+		'Charge Type',
+		'Description',
+		'Adjustment Reason',
+		'Adjustment Type',
+		'Charge Category',
+	],
+};
+
+// Invoice fields a reconciliation can't do without
+const REQUIRED_INVOICE_FIELDS = ['Tracking #', 'Billed Amount'];
+
+/**
+ * Finds the source column of each invoice field
+ * @param {Array<string>} headers - Invoice headers
+ * @param {Object} mappingProfile - Mapping profile pinning source columns to invoice fields (optional)
+ * @returns {Object} - Source column of each invoice field found, keyed by field
+ */
+function resolveInvoiceColumns(headers, mappingProfile = null) {
+	const columns = {};
+
+	for (const [field, variations] of Object.entries(INVOICE_FIELD_VARIATIONS)) {
+		// Columns pinned by the mapping profile take precedence over the built-in variations
+		const pinnedColumn = mappingProfile ? mappingProfile.fields[field] : undefined;
+		const candidates = pinnedColumn ? [pinnedColumn, ...variations] : variations;
+
+		for (const candidate of candidates) {
+			const header = headers.find((key) => key.trim().toLowerCase() === candidate.toLowerCase());
+			if (header !== undefined) {
+				columns[field] = header;
+				break;
+			}
+		}
+	}
+
+	return columns;
+}
+
+/**
+ * Parses an invoice amount such as "$1,234.50", "-2.10" or "(2.10)" (a credit)
+ * @param {string} value - Amount as it appears on the invoice
+ * @returns {number} - The amount, or 0 if it isn't a number
+ */
+function parseInvoiceAmount(value) {
+	const text = String(value === undefined || value === null ? '' : value).trim();
+	const amount = parseFloat(text.replace(/[^0-9.-]+/g, '')) || 0;
+
+	// Accounting format shows credits in parentheses
+	return /^\(.*\)$/.test(text) ? -Math.abs(amount) : amount;
+}
+
+/**
+ * Reads a carrier invoice into invoice lines
+ * @param {string} filePath - Path to the CSV or Excel invoice
+ * @param {Object} options - Read options
+ * @param {string|number} options.sheet - Worksheet name or 1-based index for Excel files (defaults to the first sheet)
+ * @param {Object} options.mappingProfile - Mapping profile pinning invoice columns to invoice fields (optional)
+ * @param {Object} options.logger - Console-compatible logger for progress messages (defaults to console)
+ * @returns {Promise<Array<Object>>} - Invoice lines with rowNumber, trackingNumber (empty for charges that don't
+ *   bill a label, such as account fees), billedAmount, carrier and chargeDescription
+ * @throws {Error} - If the file can't be read or has no tracking number or billed amount column
+ */
+export async function readInvoiceFile(filePath, options = {}) {
+	const logger = options.logger || console;
+	const rawRows = await readRawRows(filePath, options);
+
+	if (rawRows.length === 0) {
+		return [];
+	}
+
+	const headers = Object.keys(rawRows[0]);
+	logger.log('Available fields in invoice:', headers.join(', '));
+
+	const columns = resolveInvoiceColumns(headers, options.mappingProfile);
+	for (const field of REQUIRED_INVOICE_FIELDS) {
+		if (!columns[field]) {
+			throw new Error(
+				`No "${field}" column found in invoice ${filePath}. Pin its column with an invoice mapping profile (--invoice-mapping).`
+			);
+		}
+	}
+
+	for (const [field, column] of Object.entries(columns)) {
+		logger.log(chalk.gray(`  ${field}: ${column}`));
+	}
+
+	return rawRows.map((row) => ({
+		rowNumber: row.sourceRow,
+		trackingNumber: String(row[columns['Tracking #']] || '').trim(),
+		billedAmount: parseInvoiceAmount(row[columns['Billed Amount']]),
+		carrier: columns.Carrier ? String(row[columns.Carrier] || '').trim() : '',
+		chargeDescription: columns['Charge Description'] ? String(row[columns['Charge Description']] || '').trim() : '',
+	}));
+}
@@ -0,0 +1,364 @@
+/**
+ * JSON Report Exporter
+ *
+ * This module builds the machine-readable report written by --format json and --format ndjson.
+ *
+ * The report shape is versioned with REPORT_SCHEMA_VERSION. Adding fields keeps the version;
+ * renaming or removing fields, or changing what a field means, increments it.
+ *
+ * JSON is a single document:
+ *
+ *   { schema, schemaVersion, generatedAt, period, sources, validation, totals, stores, tags, carriers, storeCarriers,
+ *     weightBands, destinations, anomalies, trends }
+ *
+ * NDJSON writes one record per line, each with schema, schemaVersion and a type of "report", "store",
+ * "tag", "carrier", "service", "weightBand", "destination", "anomaly" or "period" (the time-series rows
+ * from --group-by-period).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { summarizeStoreMetrics, formatDateKey } from '../metrics/calculator.js';
+import { getTagEntry } from './tagCatalog.js';
+import { createTranslator } from '../i18n/translator.js';
+
+// Identifies the document type for consumers that read several kinds of JSON
+export const REPORT_SCHEMA = 'shipstation-analytics/report';
+
+// Incremented whenever a field is renamed or removed, or its meaning changes
+export const REPORT_SCHEMA_VERSION = 3;
+
+// Formats accepted by --format
+export const OUTPUT_FORMATS = ['table', 'json', 'ndjson'];
+
+/**
+ * Formats an optional date as YYYY-MM-DD
+ * @param {Date} date - The date to format (optional)
+ * @returns {string|null} - Date string, or null when there is no date
+ */
+function toDateString(date) {
+	return date ? formatDateKey(date) : null;
+}
+
+/**
+ * Builds the versioned JSON report
+ * @param {Object} report - Report contents
+ * @param {Object} report.storeMetrics - Store metrics from calculateStoreMetrics
+ * @param {Object} report.tagMetrics - Tag metrics from calculateTagMetrics
+ * @param {Object} report.dateFilter - Date range with startDate, endDate, periodName and shouldFilter
+ * @param {Array<Object>} report.sources - Source file summaries from readAndMergeFiles
+ * @param {Object} report.validation - Validation result from validateData (optional)
+ * @param {Object} report.carrierMetrics - Carrier metrics from calculateCarrierMetrics (optional)
+ * @param {Object} report.storeCarrierMetrics - Store × carrier metrics from calculateStoreCarrierMetrics (optional)
+ * @param {Object} report.weightBandMetrics - Weight band metrics from calculateWeightBandMetrics (optional)
+ * @param {Object} report.destinationMetrics - Destination metrics from calculateDestinationMetrics (optional)
+ * @param {Object} report.anomalyMetrics - Anomalies from detectAnomalies (optional)
+ * @param {Object} report.trends - Trend metrics from calculatePeriodMetrics (optional)
+ * @param {Object} report.tagCatalog - Tag catalog with the tag translations and descriptions (optional)
+ * @param {string} report.language - Language of the check and trend bucket labels: en, zh or bilingual
+ *   (default: bilingual)
+ * @returns {Object} - Report object ready to be serialized
+ */
+export function buildJSONReport({
+	storeMetrics,
+	tagMetrics,
+	dateFilter,
+	sources = [],
+	validation = null,
+	carrierMetrics = null,
+	storeCarrierMetrics = null,
+	weightBandMetrics = null,
+	destinationMetrics = null,
+	anomalyMetrics = null,
+	trends = null,
+	tagCatalog = null,
+	language,
+}) {
+	const i18n = createTranslator(language);
+	const totals = summarizeStoreMetrics(storeMetrics);
+
+	// Stores are listed busiest first, tags alphabetically, carriers by shipping spend
+	const stores = Object.keys(storeMetrics)
+		.sort((a, b) => storeMetrics[b].count - storeMetrics[a].count)
+		.map((store) => ({ store, ...storeMetrics[store] }));
+
+	const tags = Object.keys(tagMetrics)
+		.sort()
+		.map((tag) => {
+			const entry = getTagEntry(tag, tagCatalog);
+			return {
+				tag,
+				translations: entry ? entry.translations : {},
+				description: entry ? entry.description : '',
+				...tagMetrics[tag],
+				percentOfAllOrders:
+					totals.count > 0 ? parseFloat(((tagMetrics[tag].count / totals.count) * 100).toFixed(2)) : 0,
+			};
+		});
+
+	const carriers = carrierMetrics
+		? Object.keys(carrierMetrics)
+				.sort((a, b) => carrierMetrics[b].totalRate - carrierMetrics[a].totalRate)
+				.map((carrier) => {
+					const { services, ...metrics } = carrierMetrics[carrier];
+					return {
+						carrier,
+						...metrics,
+						services: Object.keys(services)
+							.sort((a, b) => services[b].totalRate - services[a].totalRate)
+							.map((service) => ({ service, ...services[service] })),
+					};
+				})
+		: null;
+
+	const storeCarriers = storeCarrierMetrics
+		? Object.keys(storeCarrierMetrics)
+				.sort()
+				.flatMap((store) =>
+					Object.keys(storeCarrierMetrics[store])
+						.sort()
+						.map((carrier) => ({ store, carrier, ...storeCarrierMetrics[store][carrier] }))
+				)
+		: null;
+
+	// Weight bands are listed in weight order, overall and for each store and carrier that shipped in them
+	const listBands = (groupMetrics, groupKey) =>
+		Object.keys(groupMetrics)
+			.sort()
+			.flatMap((group) =>
+				weightBandMetrics.bands
+					.filter(({ label }) => groupMetrics[group][label])
+					.map(({ label }) => ({ [groupKey]: group, band: label, ...groupMetrics[group][label] }))
+			);
+
+	const weightBands = weightBandMetrics
+		? {
+				weighedLabels: weightBandMetrics.weighedLabels,
+				unweighedLabels: weightBandMetrics.unweighedLabels,
+				totals: weightBandMetrics.totals,
+				bands: weightBandMetrics.bands.map(({ label, minOunces, maxOunces }) => ({
+					band: label,
+					minOunces,
+					maxOunces,
+					...weightBandMetrics.overall[label],
+				})),
+				stores: listBands(weightBandMetrics.byStore, 'store'),
+				carriers: listBands(weightBandMetrics.byCarrier, 'carrier'),
+		  }
+		: null;
+
+	// States, countries and ZIP3 prefixes are listed with the most orders first
+	const listDestinations = (groups, groupKey) =>
+		Object.keys(groups)
+			.sort((a, b) => groups[b].count - groups[a].count || a.localeCompare(b))
+			.map((key) => ({ [groupKey]: key, ...groups[key] }));
+
+	const destinations = destinationMetrics
+		? {
+				homeCountry: destinationMetrics.homeCountry,
+				unknownDestinations: destinationMetrics.unknownDestinations,
+				totals: destinationMetrics.totals,
+				domestic: destinationMetrics.domestic,
+				international: destinationMetrics.international,
+				states: listDestinations(destinationMetrics.byState, 'state'),
+				countries: listDestinations(destinationMetrics.byCountry, 'country'),
+				zip3: destinationMetrics.byZip3 ? listDestinations(destinationMetrics.byZip3, 'zip3') : null,
+		  }
+		: null;
+
+	const anomalies = anomalyMetrics
+		? {
+				labels: anomalyMetrics.labels,
+				rateFactor: anomalyMetrics.rateFactor,
+				overchargeFactor: anomalyMetrics.overchargeFactor,
+				highRate: anomalyMetrics.highRate,
+				overcharge: anomalyMetrics.overcharge,
+				orders: anomalyMetrics.anomalies.map((anomaly) => ({
+					rank: anomaly.rank,
+					...anomaly,
+					orderDate: toDateString(anomaly.orderDate),
+				})),
+		  }
+		: null;
+
+	return {
+		schema: REPORT_SCHEMA,
+		schemaVersion: REPORT_SCHEMA_VERSION,
+		generatedAt: new Date().toISOString(),
+		period: {
+			name: dateFilter.periodName,
+			startDate: toDateString(dateFilter.startDate),
+			endDate: toDateString(dateFilter.endDate),
+			filtered: Boolean(dateFilter.shouldFilter),
+		},
+		sources: sources.map(({ file, fileName, records, duplicates, included }) => ({
+			file,
+			fileName,
+			records,
+			duplicates,
+			included,
+		})),
+		validation: validation
+			? {
+					totalRows: validation.totalRows,
+					invalidRows: validation.invalidRows,
+					maxIssueRate: validation.maxIssueRate,
+					checks: validation.checks.map(({ id, count, percentOfRows, thresholdExceeded }) => ({
+						id,
+						label: i18n.t(`validation.${id}`),
+						count,
+						percentOfRows,
+						thresholdExceeded,
+					})),
+			  }
+			: null,
+		totals,
+		stores,
+		tags,
+		carriers,
+		storeCarriers,
+		weightBands,
+		destinations,
+		anomalies,
+		trends: trends
+			? {
+					period: trends.period,
+					undatedOrders: trends.undatedOrders,
+					buckets: trends.buckets.map((bucket) => ({
+						key: bucket.key,
+						label: i18n.periodLabel(bucket.startDate, trends.period),
+						startDate: toDateString(bucket.startDate),
+						endDate: toDateString(bucket.endDate),
+						totals: bucket.totals,
+						stores: Object.keys(bucket.storeMetrics)
+							.sort()
+							.map((store) => ({ store, ...bucket.storeMetrics[store] })),
+					})),
+			  }
+			: null,
+	};
+}
+
+/**
+ * Flattens a JSON report into NDJSON records, one per store, tag, carrier, service, weight band, destination,
+ * order to review and trend period
+ *
+ * Weight bands produce one "weightBand" record for all labels combined (store and carrier: null) and one
+ * per store and per carrier. Destinations produce one "destination" record each for the domestic and
+ * international orders, then one per state, country and ZIP3 prefix, with the breakdown in scope.
+ * Trend periods produce one "period" record for all stores combined (store: null) and one per store,
+ * so time-series rows can be loaded into a table without unnesting.
+ *
+ * @param {Object} report - Report from buildJSONReport
+ * @returns {Array<Object>} - Records in output order, starting with a "report" header record
+ */
+export function buildNDJSONRecords(report) {
+	const base = { schema: report.schema, schemaVersion: report.schemaVersion };
+	const records = [
+		{
+			...base,
+			type: 'report',
+			generatedAt: report.generatedAt,
+			period: report.period,
+			sources: report.sources,
+			validation: report.validation,
+			totals: report.totals,
+		},
+	];
+
+	for (const store of report.stores) {
+		records.push({ ...base, type: 'store', ...store });
+	}
+
+	for (const tag of report.tags) {
+		records.push({ ...base, type: 'tag', ...tag });
+	}
+
+	for (const { services, ...carrier } of report.carriers || []) {
+		records.push({ ...base, type: 'carrier', ...carrier });
+		for (const service of services) {
+			records.push({ ...base, type: 'service', carrier: carrier.carrier, ...service });
+		}
+	}
+
+	if (report.weightBands) {
+		for (const band of report.weightBands.bands) {
+			records.push({ ...base, type: 'weightBand', store: null, carrier: null, ...band });
+		}
+		for (const band of report.weightBands.stores) {
+			records.push({ ...base, type: 'weightBand', carrier: null, ...band });
+		}
+		for (const band of report.weightBands.carriers) {
+			records.push({ ...base, type: 'weightBand', store: null, ...band });
+		}
+	}
+
+	if (report.destinations) {
+		const { homeCountry, domestic, international, states, countries, zip3 } = report.destinations;
+		records.push({ ...base, type: 'destination', scope: 'domestic', destination: homeCountry, ...domestic });
+		records.push({ ...base, type: 'destination', scope: 'international', destination: null, ...international });
+		for (const { state, ...metrics } of states) {
+			records.push({ ...base, type: 'destination', scope: 'state', destination: state, ...metrics });
+		}
+		for (const { country, ...metrics } of countries) {
+			records.push({ ...base, type: 'destination', scope: 'country', destination: country, ...metrics });
+		}
+		for (const { zip3: prefix, ...metrics } of zip3 || []) {
+			records.push({ ...base, type: 'destination', scope: 'zip3', destination: prefix, ...metrics });
+		}
+	}
+
+	for (const anomaly of report.anomalies ? report.anomalies.orders : []) {
+		records.push({ ...base, type: 'anomaly', ...anomaly });
+	}
+
+	if (report.trends) {
+		for (const bucket of report.trends.buckets) {
+			const periodFields = {
+				period: report.trends.period,
+				key: bucket.key,
+				label: bucket.label,
+				startDate: bucket.startDate,
+				endDate: bucket.endDate,
+			};
+
+			records.push({ ...base, type: 'period', ...periodFields, store: null, ...bucket.totals });
+			for (const { store, ...metrics } of bucket.stores) {
+				records.push({ ...base, type: 'period', ...periodFields, store, ...metrics });
+			}
+		}
+	}
+
+	return records;
+}
+
+/**
+ * Serializes a report as JSON or NDJSON and writes it to a file or to stdout
+ * @param {Object} report - Report from buildJSONReport
+ * @param {string} format - json or ndjson
+ * @param {string} outputPath - Path to write to (optional, defaults to stdout)
+ * @returns {Promise<string|null>} - Path to the saved file, or null when written to stdout
+ */
+export async function writeJSONReport(report, format, outputPath = null) {
+	const content =
+		format === 'ndjson'
+			? buildNDJSONRecords(report)
+					.map((record) => JSON.stringify(record))
+					.join('\n') + '\n'
+			: `${JSON.stringify(report, null, 2)}\n`;
+
+	if (!outputPath) {
+		process.stdout.write(content);
+		return null;
+	}
+
+	// Ensure the output directory exists
+	const directory = path.dirname(outputPath);
+	if (!fs.existsSync(directory)) {
+		await fs.promises.mkdir(directory, { recursive: true });
+	}
+
+	await fs.promises.writeFile(outputPath, content, { encoding: 'utf8' });
+
+	return outputPath;
+}
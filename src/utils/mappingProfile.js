@@ -0,0 +1,182 @@
+/**
+ * Mapping Profile Utility
+ *
+ * This module provides functions to load, save and interactively learn column mapping profiles.
+ * A mapping profile pins which source column feeds each standard field (Store, Rate, Order Total,
+ * Shipping Paid, Tags, ...) so exports with unusual headers don't silently turn into zeros.
+ *
+ * Profiles are JSON or YAML files with this shape:
+ *
+ *   name: Warehouse export
+ *   fields:
+ *     Store: Marketplace
+ *     Rate: Label Cost
+ *     Order Total: Grand Total
+ */
+
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import inquirer from 'inquirer';
+import yaml from 'js-yaml';
+
+// Profile loaded automatically when no --mapping option is given, and written by the learn step
+export const DEFAULT_MAPPING_PROFILE = 'mapping-profile.json';
+
+/**
+ * Determines whether a profile path should be read and written as YAML
+ * @param {string} filePath - Path to the profile
+ * @returns {boolean} - True for .yaml/.yml files
+ */
+function isYamlFile(filePath) {
+	const extension = path.extname(filePath).toLowerCase();
+	return extension === '.yaml' || extension === '.yml';
+}
+
+/**
+ * Validates a parsed mapping profile and normalizes its field entries
+ * @param {Object} profile - Parsed profile contents
+ * @param {string} filePath - Path the profile was read from (for error messages)
+ * @returns {Object} - Profile with name and trimmed field mappings
+ * @throws {Error} - If the profile doesn't have a valid fields object
+ */
+function normalizeProfile(profile, filePath) {
+	if (!profile || typeof profile !== 'object' || !profile.fields || typeof profile.fields !== 'object') {
+		throw new Error(`Invalid mapping profile ${filePath}: expected a "fields" object`);
+	}
+
+	const fields = {};
+	for (const [standardField, sourceColumn] of Object.entries(profile.fields)) {
+		// Empty entries are allowed in hand-edited profiles and simply leave the field unpinned
+		if (sourceColumn === null || sourceColumn === undefined || sourceColumn === '') {
+			continue;
+		}
+
+		if (typeof sourceColumn !== 'string') {
+			throw new Error(`Invalid mapping profile ${filePath}: column for "${standardField}" must be a string`);
+		}
+
+		fields[standardField.trim()] = sourceColumn.trim();
+	}
+
+	return {
+		name: profile.name || path.basename(filePath, path.extname(filePath)),
+		fields,
+		filePath,
+	};
+}
+
+/**
+ * Loads a mapping profile from a JSON or YAML file
+ * @param {string} filePath - Path to the profile
+ * @returns {Promise<Object>} - Profile with name, fields and filePath
+ * @throws {Error} - If the file doesn't exist or can't be parsed
+ */
+export async function loadMappingProfile(filePath) {
+	if (!existsSync(filePath)) {
+		throw new Error(`Mapping profile not found: ${filePath}`);
+	}
+
+	const content = await fs.readFile(filePath, 'utf8');
+
+	let profile;
+	try {
+		profile = isYamlFile(filePath) ? yaml.load(content) : JSON.parse(content);
+	} catch (error) {
+		throw new Error(`Failed to parse mapping profile ${filePath}: ${error.message}`);
+	}
+
+	return normalizeProfile(profile, filePath);
+}
+
+/**
+ * Saves a mapping profile as JSON or YAML, based on the file extension
+ * @param {Object} profile - Profile with name and fields
+ * @param {string} filePath - Path to write the profile to
+ * @returns {Promise<string>} - Path to the saved profile
+ */
+export async function saveMappingProfile(profile, filePath) {
+	const contents = { name: profile.name, fields: profile.fields };
+	const serialized = isYamlFile(filePath) ? yaml.dump(contents) : `${JSON.stringify(contents, null, '\t')}\n`;
+
+	const directory = path.dirname(filePath);
+	if (!existsSync(directory)) {
+		await fs.mkdir(directory, { recursive: true });
+	}
+
+	await fs.writeFile(filePath, serialized, { encoding: 'utf8' });
+
+	return filePath;
+}
+
+/**
+ * Interactively asks which source column feeds each unrecognized standard field and saves the answers
+ * @param {Array<string>} missingFields - Standard fields with no recognized source column
+ * @param {Array<string>} headers - Headers available in the file
+ * @param {Object} sampleData - Sample data from the first row (shown next to each header)
+ * @param {Object} existingProfile - Profile already in use, extended with the new answers (optional)
+ * @param {string} profilePath - Default path to save the learned profile to
+ * @returns {Promise<Object|null>} - The learned profile, or null if the user declined
+ */
+export async function learnMappingProfile(missingFields, headers, sampleData, existingProfile, profilePath) {
+	console.log(`\nThese standard fields were not found in the file: ${missingFields.join(', ')}`);
+
+	const { shouldLearn } = await inquirer.prompt([
+		{
+			type: 'confirm',
+			name: 'shouldLearn',
+			message: 'Would you like to choose the source columns for them now?',
+			default: true,
+		},
+	]);
+
+	if (!shouldLearn) {
+		return null;
+	}
+
+	// Offer every header with its sample value, plus an explicit "not in this file" choice
+	const columnChoices = [
+		...headers.map((header) => ({
+			name: `${header.trim()} (e.g. ${String(sampleData[header]).slice(0, 30) || '<empty>'})`,
+			value: header.trim(),
+		})),
+		{ name: '<not in this file>', value: '' },
+	];
+
+	const fields = { ...(existingProfile ? existingProfile.fields : {}) };
+	for (const standardField of missingFields) {
+		const { sourceColumn } = await inquirer.prompt([
+			{
+				type: 'list',
+				name: 'sourceColumn',
+				message: `Which column contains "${standardField}"?`,
+				choices: columnChoices,
+				pageSize: 15,
+			},
+		]);
+
+		if (sourceColumn) {
+			fields[standardField] = sourceColumn;
+		}
+	}
+
+	const { savePath } = await inquirer.prompt([
+		{
+			type: 'input',
+			name: 'savePath',
+			message: 'Save mapping profile to (.json, .yaml or .yml):',
+			default: profilePath,
+		},
+	]);
+
+	const profile = {
+		name: existingProfile ? existingProfile.name : 'Learned mapping',
+		fields,
+		filePath: savePath,
+	};
+
+	await saveMappingProfile(profile, savePath);
+	console.log(`Mapping profile saved to: ${savePath}\n`);
+
+	return profile;
+}
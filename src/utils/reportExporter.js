@@ -8,6 +8,10 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import os from 'os';
+import { ORDER_DETAIL_FIELDS, formatDateKey, summarizeStoreMetrics, summarizeTagMetrics } from '../metrics/calculator.js';
+import { RECONCILIATION_LABEL_FIELDS, buildReconciliationRows } from '../metrics/reconciliation.js';
+import { getRevenueExcludedTags } from './tagCatalog.js';
+import { createTranslator } from '../i18n/translator.js';
 
 // Get the directory name in ESM
 const __filename = fileURLToPath(import.meta.url);
@@ -19,9 +23,20 @@ const __dirname = path.dirname(__filename);
  * @param {Object} tagMetrics - Tag metrics object
  * @param {string} inputFileName - Name of the input file that was analyzed
  * @param {string} outputPath - Path to save the CSV file (optional)
+ * @param {Object} sections - Additional report sections (optional)
+ * @param {Array<Object>} sections.sources - Source file summaries from readAndMergeFiles
+ * @param {Object} sections.trends - Trend metrics from calculatePeriodMetrics
+ * @param {Object} sections.tagCatalog - Tag catalog with the tag translations and descriptions; tags marked with
+ *   excludeFromRevenue add the revenue order rows to the store metrics
+ * @param {number} sections.totalOrders - Total orders across all stores, the denominator of "% of All Orders"
+ *   (defaults to the orders in storeMetrics)
+ * @param {string} sections.language - Language of the labels: en, zh or bilingual (default: bilingual)
  * @returns {Promise<string>} - Path to the saved file
  */
-export async function saveReportToCSV(storeMetrics, tagMetrics, inputFileName, outputPath = null) {
+export async function saveReportToCSV(storeMetrics, tagMetrics, inputFileName, outputPath = null, sections = {}) {
+	const i18n = createTranslator(sections.language);
+	const { t, currency, percent, number } = i18n;
+
 	// Extract period from filename (e.g., "Feb-March 2025" from "./ShipStation Orders/Feb-March 2025.csv")
 	const periodMatch = inputFileName ? inputFileName.match(/([^\/]+)\.csv$/) : null;
 	const period = periodMatch ? periodMatch[1] : 'Current_Period';
@@ -42,19 +57,42 @@ export async function saveReportToCSV(storeMetrics, tagMetrics, inputFileName, o
 	// Add BOM (Byte Order Mark) for Excel to correctly recognize UTF-8
 	csvContent.push('\ufeff');
 
+	// Builds one CSV row from a list of cells
+	const toCSVRow = (cells) => cells.map(toCSVCell).join(',');
+
 	// Add report header
-	csvContent.push(`"ShipStation Analytics Report for ${period}"`);
+	csvContent.push(toCSVRow([t('report.title', { period })]));
 	csvContent.push('');
 
+	// Add source files section
+	if (sections.sources && sections.sources.length > 0) {
+		csvContent.push(toCSVRow([t('report.sourceFiles')]));
+		csvContent.push('');
+		csvContent.push(
+			toCSVRow([t('source.file'), t('source.records'), t('source.duplicates'), t('source.included')])
+		);
+		let totalRecords = 0;
+		let totalDuplicates = 0;
+		let totalIncluded = 0;
+		for (const source of sections.sources) {
+			totalRecords += source.records;
+			totalDuplicates += source.duplicates;
+			totalIncluded += source.included;
+			csvContent.push(toCSVRow([source.fileName, source.records, source.duplicates, source.included]));
+		}
+		csvContent.push(toCSVRow([t('common.total'), totalRecords, totalDuplicates, totalIncluded]));
+		csvContent.push('');
+	}
+
 	// Add store metrics section
-	csvContent.push('"STORE METRICS | 店铺指标"');
+	csvContent.push(toCSVRow([t('report.storeMetrics')]));
 	csvContent.push('');
 
 	// Get stores and sort by order count
 	const stores = Object.keys(storeMetrics).sort((a, b) => storeMetrics[b].count - storeMetrics[a].count);
 
 	if (stores.length === 0) {
-		csvContent.push('"No store data found | 未找到店铺数据"');
+		csvContent.push(toCSVRow([t('common.noStoreData')]));
 	} else {
 		// Calculate totals
 		let totalOrders = 0;
@@ -74,254 +112,585 @@ export async function saveReportToCSV(storeMetrics, tagMetrics, inputFileName, o
 			totalNetRevenue += metrics.netRevenue;
 		}
 
+		// Formats a store value with its share of the total, e.g. "$120.00 (35.0%)"
+		const withShare = (formattedValue, value, total) =>
+			`${formattedValue} (${percent(total > 0 ? (value / total) * 100 : 0, 1)})`;
+
 		// Add store metrics table header
-		csvContent.push('"Metric | 指标","' + stores.join('","') + '","TOTAL | 总计"');
+		csvContent.push(toCSVRow([t('common.metric'), ...stores, t('common.total')]));
 
 		// Add rows for each metric
 		csvContent.push(
-			`"Orders | 订单数","${stores
-				.map((store) => {
-					const percent = ((storeMetrics[store].count / totalOrders) * 100).toFixed(1);
-					return `${storeMetrics[store].count} (${percent}%)`;
-				})
-				.join('","')}","${totalOrders}"`
+			toCSVRow([
+				t('metric.orders'),
+				...stores.map((store) => withShare(number(storeMetrics[store].count), storeMetrics[store].count, totalOrders)),
+				number(totalOrders),
+			])
 		);
 
 		csvContent.push(
-			`"Order Value | 订单价值","${stores
-				.map((store) => {
-					const percent = ((storeMetrics[store].totalOrderValue / totalOrderValue) * 100).toFixed(1);
-					return `$${storeMetrics[store].totalOrderValue.toFixed(2)} (${percent}%)`;
-				})
-				.join('","')}","$${totalOrderValue.toFixed(2)}"`
+			toCSVRow([
+				t('metric.orderValue'),
+				...stores.map((store) =>
+					withShare(
+						currency(storeMetrics[store].totalOrderValue),
+						storeMetrics[store].totalOrderValue,
+						totalOrderValue
+					)
+				),
+				currency(totalOrderValue),
+			])
 		);
 
 		csvContent.push(
-			`"AOV | 平均订单价值","${stores
-				.map((store) => {
-					return `$${storeMetrics[store].averageOrderValue.toFixed(2)}`;
-				})
-				.join('","')}","$${(totalOrderValue / totalOrders).toFixed(2)}"`
+			toCSVRow([
+				t('metric.aov'),
+				...stores.map((store) => currency(storeMetrics[store].averageOrderValue)),
+				currency(totalOrderValue / totalOrders),
+			])
 		);
 
 		csvContent.push(
-			`"Ship Cost | 物流成本","${stores
-				.map((store) => {
-					const percent = ((storeMetrics[store].totalRate / totalRate) * 100).toFixed(1);
-					return `$${storeMetrics[store].totalRate.toFixed(2)} (${percent}%)`;
-				})
-				.join('","')}","$${totalRate.toFixed(2)}"`
+			toCSVRow([
+				t('metric.shipCost'),
+				...stores.map((store) => withShare(currency(storeMetrics[store].totalRate), storeMetrics[store].totalRate, totalRate)),
+				currency(totalRate),
+			])
 		);
 
 		csvContent.push(
-			`"Ship Paid | 物流收入","${stores
-				.map((store) => {
-					const percent =
-						totalShippingPaid > 0
-							? ((storeMetrics[store].totalShippingPaid / totalShippingPaid) * 100).toFixed(1)
-							: '0.0';
-					return `$${storeMetrics[store].totalShippingPaid.toFixed(2)} (${percent}%)`;
-				})
-				.join('","')}","$${totalShippingPaid.toFixed(2)}"`
+			toCSVRow([
+				t('metric.shipPaid'),
+				...stores.map((store) =>
+					withShare(
+						currency(storeMetrics[store].totalShippingPaid),
+						storeMetrics[store].totalShippingPaid,
+						totalShippingPaid
+					)
+				),
+				currency(totalShippingPaid),
+			])
 		);
 
 		csvContent.push(
-			`"Ship Profit | 物流利润","${stores
-				.map((store) => {
-					return `$${storeMetrics[store].shippingProfit.toFixed(2)}`;
-				})
-				.join('","')}","$${totalShippingProfit.toFixed(2)}"`
+			toCSVRow([
+				t('metric.shipProfit'),
+				...stores.map((store) => currency(storeMetrics[store].shippingProfit)),
+				currency(totalShippingProfit),
+			])
 		);
 
 		const overallShippingProfitMargin = totalShippingPaid > 0 ? (totalShippingProfit / totalShippingPaid) * 100 : 0;
 		csvContent.push(
-			`"Ship Margin | 物流利润率","${stores
-				.map((store) => {
-					return `${storeMetrics[store].shippingProfitMargin.toFixed(2)}%`;
-				})
-				.join('","')}","${overallShippingProfitMargin.toFixed(2)}%"`
+			toCSVRow([
+				t('metric.shipMargin'),
+				...stores.map((store) => percent(storeMetrics[store].shippingProfitMargin)),
+				percent(overallShippingProfitMargin),
+			])
 		);
 
 		csvContent.push(
-			`"Net Revenue | 净收入","${stores
-				.map((store) => {
-					const percent = ((storeMetrics[store].netRevenue / totalNetRevenue) * 100).toFixed(1);
-					return `$${storeMetrics[store].netRevenue.toFixed(2)} (${percent}%)`;
-				})
-				.join('","')}","$${totalNetRevenue.toFixed(2)}"`
+			toCSVRow([
+				t('metric.netRevenue'),
+				...stores.map((store) =>
+					withShare(currency(storeMetrics[store].netRevenue), storeMetrics[store].netRevenue, totalNetRevenue)
+				),
+				currency(totalNetRevenue),
+			])
 		);
 
 		const overallNetRevenueMargin = totalOrderValue > 0 ? (totalNetRevenue / totalOrderValue) * 100 : 0;
 		csvContent.push(
-			`"Net Margin | 净利润率","${stores
-				.map((store) => {
-					return `${storeMetrics[store].netRevenueMargin.toFixed(2)}%`;
-				})
-				.join('","')}","${overallNetRevenueMargin.toFixed(2)}%"`
+			toCSVRow([
+				t('metric.netMargin'),
+				...stores.map((store) => percent(storeMetrics[store].netRevenueMargin)),
+				percent(overallNetRevenueMargin),
+			])
 		);
 
+		// Add revenue order rows when the tag catalog leaves some tags out of revenue
+		const revenueExcludedTags = getRevenueExcludedTags(sections.tagCatalog);
+		const showRevenueOrders = revenueExcludedTags.length > 0;
+		const totals = summarizeStoreMetrics(storeMetrics);
+
+		if (showRevenueOrders) {
+			csvContent.push(
+				toCSVRow([
+					t('metric.revenueOrders'),
+					...stores.map((store) =>
+						withShare(number(storeMetrics[store].revenueCount), storeMetrics[store].revenueCount, totals.revenueCount)
+					),
+					number(totals.revenueCount),
+				])
+			);
+
+			csvContent.push(
+				toCSVRow([
+					t('metric.revenueOrderValue'),
+					...stores.map((store) =>
+						withShare(
+							currency(storeMetrics[store].revenueTotalOrderValue),
+							storeMetrics[store].revenueTotalOrderValue,
+							totals.revenueTotalOrderValue
+						)
+					),
+					currency(totals.revenueTotalOrderValue),
+				])
+			);
+
+			csvContent.push(
+				toCSVRow([
+					t('metric.revenueAov'),
+					...stores.map((store) => currency(storeMetrics[store].revenueAverageOrderValue)),
+					currency(totals.revenueAverageOrderValue),
+				])
+			);
+
+			csvContent.push(
+				toCSVRow([
+					t('metric.revenueShipCost'),
+					...stores.map((store) =>
+						withShare(
+							currency(storeMetrics[store].revenueTotalRate),
+							storeMetrics[store].revenueTotalRate,
+							totals.revenueTotalRate
+						)
+					),
+					currency(totals.revenueTotalRate),
+				])
+			);
+
+			csvContent.push(
+				toCSVRow([
+					t('metric.revenueNetRevenue'),
+					...stores.map((store) => currency(storeMetrics[store].revenueNetRevenue)),
+					currency(totals.revenueNetRevenue),
+				])
+			);
+
+			csvContent.push(
+				toCSVRow([
+					t('metric.revenueNetMargin'),
+					...stores.map((store) => percent(storeMetrics[store].revenueNetRevenueMargin)),
+					percent(totals.revenueNetRevenueMargin),
+				])
+			);
+		}
+
+		// Add label cost rows when the data has voided, return or refunded labels
+		const showLabelCosts = totals.voidCount + totals.returnCount + totals.refundCount > 0;
+
+		if (showLabelCosts) {
+			csvContent.push(
+				toCSVRow([
+					t('metric.voidedLabels'),
+					...stores.map((store) => number(storeMetrics[store].voidCount)),
+					number(totals.voidCount),
+				])
+			);
+
+			csvContent.push(
+				toCSVRow([
+					t('metric.returnLabels'),
+					...stores.map((store) => number(storeMetrics[store].returnCount)),
+					number(totals.returnCount),
+				])
+			);
+
+			csvContent.push(
+				toCSVRow([
+					t('metric.returnCost'),
+					...stores.map((store) =>
+						withShare(currency(storeMetrics[store].returnRate), storeMetrics[store].returnRate, totals.returnRate)
+					),
+					currency(totals.returnRate),
+				])
+			);
+
+			csvContent.push(
+				toCSVRow([
+					t('metric.refundedLabels'),
+					...stores.map((store) => number(storeMetrics[store].refundCount)),
+					number(totals.refundCount),
+				])
+			);
+
+			csvContent.push(
+				toCSVRow([
+					t('metric.refundedPostage'),
+					...stores.map((store) =>
+						withShare(currency(storeMetrics[store].refundedRate), storeMetrics[store].refundedRate, totals.refundedRate)
+					),
+					currency(totals.refundedRate),
+				])
+			);
+
+			csvContent.push(
+				toCSVRow([
+					t('metric.grossShipSpend'),
+					...stores.map((store) =>
+						withShare(currency(storeMetrics[store].grossRate), storeMetrics[store].grossRate, totals.grossRate)
+					),
+					currency(totals.grossRate),
+				])
+			);
+
+			csvContent.push(
+				toCSVRow([
+					t('metric.netShipSpend'),
+					...stores.map((store) =>
+						withShare(currency(storeMetrics[store].netRate), storeMetrics[store].netRate, totals.netRate)
+					),
+					currency(totals.netRate),
+				])
+			);
+		}
+
 		// Add legend
 		csvContent.push('');
-		csvContent.push('"Legend | 图例:"');
-		csvContent.push(
-			'"AOV = Average Order Value | 平均订单价值, Ship = Shipping | 物流, Net Margin = Net Revenue Margin | 净利润率"'
-		);
-		csvContent.push('"- Green values indicate profit | 绿色表示盈利"');
-		csvContent.push('"- Red values indicate loss | 红色表示亏损"');
-		csvContent.push('"- Yellow values indicate break-even | 黄色表示收支平衡"');
+		csvContent.push(toCSVRow([t('common.legend')]));
+		csvContent.push(toCSVRow([t('store.abbreviations')]));
+		if (showRevenueOrders) {
+			const tags = revenueExcludedTags.map((tag) => i18n.tag(tag, sections.tagCatalog)).join(', ');
+			csvContent.push(toCSVRow([t('store.legendRevenueOrders', { tags })]));
+		}
+		if (showLabelCosts) {
+			csvContent.push(toCSVRow([t('store.legendLabelCosts')]));
+			csvContent.push(toCSVRow([t('store.legendGrossSpend')]));
+			csvContent.push(toCSVRow([t('store.legendNetSpend')]));
+		}
+		csvContent.push(toCSVRow([t('common.profit')]));
+		csvContent.push(toCSVRow([t('common.loss')]));
+		csvContent.push(toCSVRow([t('common.breakEven')]));
 
 		// Add store summary
 		csvContent.push('');
-		csvContent.push('"Stores Summary | 店铺摘要:"');
+		csvContent.push(toCSVRow([t('store.summary')]));
 
 		for (const store of stores) {
 			const metrics = storeMetrics[store];
-			csvContent.push(`"${store}:"`);
-			csvContent.push(`"Orders | 订单: ${metrics.count} orders (AOV: $${metrics.averageOrderValue.toFixed(2)})"`);
+			csvContent.push(toCSVRow([`${store}:`]));
+			csvContent.push(
+				toCSVRow([
+					t('summary.orders', { count: number(metrics.count), aov: currency(metrics.averageOrderValue) }),
+				])
+			);
 			csvContent.push(
-				`"Revenue | 收入: $${metrics.totalOrderValue.toFixed(2)} → $${metrics.netRevenue.toFixed(
-					2
-				)} (${metrics.netRevenueMargin.toFixed(2)}% margin)"`
+				toCSVRow([
+					t('summary.revenue', {
+						orderValue: currency(metrics.totalOrderValue),
+						netRevenue: currency(metrics.netRevenue),
+						margin: percent(metrics.netRevenueMargin),
+					}),
+				])
 			);
 			csvContent.push(
-				`"Shipping | 物流: Cost: $${metrics.totalRate.toFixed(2)} vs Paid: $${metrics.totalShippingPaid.toFixed(
-					2
-				)} = $${metrics.shippingProfit.toFixed(2)} (${metrics.shippingProfitMargin.toFixed(2)}% margin)"`
+				toCSVRow([
+					t('summary.shipping', {
+						cost: currency(metrics.totalRate),
+						paid: currency(metrics.totalShippingPaid),
+						profit: currency(metrics.shippingProfit),
+						margin: percent(metrics.shippingProfitMargin),
+					}),
+				])
 			);
+			if (showRevenueOrders) {
+				csvContent.push(
+					toCSVRow([
+						t('summary.revenueOrders', {
+							count: number(metrics.revenueCount),
+							aov: currency(metrics.revenueAverageOrderValue),
+							orderValue: currency(metrics.revenueTotalOrderValue),
+							netRevenue: currency(metrics.revenueNetRevenue),
+							margin: percent(metrics.revenueNetRevenueMargin),
+						}),
+					])
+				);
+			}
+			if (showLabelCosts) {
+				csvContent.push(
+					toCSVRow([
+						t('summary.labels', {
+							gross: currency(metrics.grossRate),
+							net: currency(metrics.netRate),
+							returns: number(metrics.returnCount),
+							returnCost: currency(metrics.returnRate),
+							refunds: number(metrics.refundCount),
+							refunded: currency(metrics.refundedRate),
+							voids: number(metrics.voidCount),
+						}),
+					])
+				);
+			}
 			csvContent.push('');
 		}
 
 		// Add overall summary
-		csvContent.push('"Overall Summary | 总体摘要:"');
-		csvContent.push(`"Total Orders | 总订单数: ${totalOrders}"`);
+		csvContent.push(toCSVRow([t('store.overallSummary')]));
+		csvContent.push(toCSVRow([t('summary.totalOrders', { count: number(totalOrders) })]));
 		csvContent.push(
-			`"Total Revenue | 总收入: $${totalOrderValue.toFixed(2)} → $${totalNetRevenue.toFixed(
-				2
-			)} (${overallNetRevenueMargin.toFixed(2)}% margin)"`
+			toCSVRow([
+				t('summary.totalRevenue', {
+					orderValue: currency(totalOrderValue),
+					netRevenue: currency(totalNetRevenue),
+					margin: percent(overallNetRevenueMargin),
+				}),
+			])
 		);
 		csvContent.push(
-			`"Total Shipping | 总物流: Cost: $${totalRate.toFixed(2)} vs Paid: $${totalShippingPaid.toFixed(
-				2
-			)} = $${totalShippingProfit.toFixed(2)} (${overallShippingProfitMargin.toFixed(2)}% margin)"`
+			toCSVRow([
+				t('summary.totalShipping', {
+					cost: currency(totalRate),
+					paid: currency(totalShippingPaid),
+					profit: currency(totalShippingProfit),
+					margin: percent(overallShippingProfitMargin),
+				}),
+			])
 		);
+		if (showRevenueOrders) {
+			csvContent.push(
+				toCSVRow([
+					t('summary.totalRevenueOrders', {
+						count: number(totals.revenueCount),
+						aov: currency(totals.revenueAverageOrderValue),
+						orderValue: currency(totals.revenueTotalOrderValue),
+						netRevenue: currency(totals.revenueNetRevenue),
+						margin: percent(totals.revenueNetRevenueMargin),
+					}),
+				])
+			);
+		}
+		if (showLabelCosts) {
+			csvContent.push(
+				toCSVRow([
+					t('summary.totalLabels', {
+						gross: currency(totals.grossRate),
+						net: currency(totals.netRate),
+						returns: number(totals.returnCount),
+						returnCost: currency(totals.returnRate),
+						refunds: number(totals.refundCount),
+						refunded: currency(totals.refundedRate),
+						voids: number(totals.voidCount),
+					}),
+				])
+			);
+		}
 	}
 
 	// Add special orders section
 	csvContent.push('');
-	csvContent.push('"SPECIAL ORDERS ANALYSIS | 特殊订单分析"');
+	csvContent.push(toCSVRow([t('report.specialOrders')]));
 	csvContent.push('');
 
 	// Get tags and sort alphabetically
 	const tags = Object.keys(tagMetrics).sort();
 
 	if (tags.length === 0) {
-		csvContent.push('"No special orders data found | 未找到特殊订单数据"');
+		csvContent.push(toCSVRow([t('common.noTagData')]));
 	} else {
 		// Calculate totals
-		let totalTaggedOrders = 0;
-		let totalTagRate = 0;
-
-		for (const tag of tags) {
-			const metrics = tagMetrics[tag];
-			totalTaggedOrders += metrics.count;
-			totalTagRate += metrics.totalRate;
-		}
+		const totals = summarizeTagMetrics(tagMetrics);
 
-		// Create a map of tag descriptions in Chinese
-		const tagDescriptions = {
-			'Fulfillment Error': '仓库错误',
-			Giveaways: '免费赠品',
-			Influencer: '网红推广',
-			'Not Delivered': '未送达',
-			Replacement: '替换订单',
-		};
+		const { tagCatalog } = sections;
 
 		// Add tag metrics table header
-		csvContent.push(
-			`"Metric | 指标","${tags
-				.map((tag) => `${tag} | ${tagDescriptions[tag] || ''}`)
-				.join('","')}","TOTAL | 总计"`
-		);
+		csvContent.push(toCSVRow([t('common.metric'), ...tags.map((tag) => i18n.tag(tag, tagCatalog)), t('common.total')]));
 
 		// Add rows for each metric
 		csvContent.push(
-			`"Orders | 订单数","${tags.map((tag) => tagMetrics[tag].count).join('","')}","${totalTaggedOrders}"`
+			toCSVRow([t('metric.orders'), ...tags.map((tag) => number(tagMetrics[tag].count)), number(totals.count)])
 		);
 
 		// Get total orders from all stores
-		const totalAllStoresOrders =
-			global.totalAllStoresOrders ||
-			Object.keys(storeMetrics).reduce((sum, store) => sum + storeMetrics[store].count, 0);
-		const percentOfTotalOrders = tags.map((tag) =>
-			((tagMetrics[tag].count / totalAllStoresOrders) * 100).toFixed(1)
+		const totalOrders =
+			sections.totalOrders !== undefined
+				? sections.totalOrders
+				: Object.keys(storeMetrics).reduce((sum, store) => sum + storeMetrics[store].count, 0);
+		const shareOfAllOrders = (count) =>
+			totalOrders > 0 ? percent((count / totalOrders) * 100, 1) : t('common.notApplicable');
+		const percentOfTotalOrders = tags.map((tag) => shareOfAllOrders(tagMetrics[tag].count));
+		const totalPercentOfAllOrders = shareOfAllOrders(totals.count);
+
+		csvContent.push(toCSVRow([t('metric.percentOfAllOrders'), ...percentOfTotalOrders, totalPercentOfAllOrders]));
+
+		csvContent.push(
+			toCSVRow([
+				t('metric.orderValue'),
+				...tags.map((tag) => currency(tagMetrics[tag].totalOrderValue)),
+				currency(totals.totalOrderValue),
+			])
+		);
+
+		csvContent.push(
+			toCSVRow([
+				t('metric.aov'),
+				...tags.map((tag) => currency(tagMetrics[tag].averageOrderValue)),
+				currency(totals.averageOrderValue),
+			])
+		);
+
+		csvContent.push(
+			toCSVRow([
+				t('metric.totalShippingCost'),
+				...tags.map((tag) => currency(tagMetrics[tag].totalRate)),
+				currency(totals.totalRate),
+			])
+		);
+
+		csvContent.push(
+			toCSVRow([
+				t('metric.avgShippingCost'),
+				...tags.map((tag) => currency(tagMetrics[tag].averageRate)),
+				currency(totals.averageRate),
+			])
 		);
-		const totalPercentOfAllOrders = ((totalTaggedOrders / totalAllStoresOrders) * 100).toFixed(1);
 
 		csvContent.push(
-			`"% of All Orders | 占总订单百分比","${percentOfTotalOrders
-				.map((percent) => `${percent}%`)
-				.join('","')}","${totalPercentOfAllOrders}%"`
+			toCSVRow([
+				t('metric.shipPaid'),
+				...tags.map((tag) => currency(tagMetrics[tag].totalShippingPaid)),
+				currency(totals.totalShippingPaid),
+			])
 		);
 
 		csvContent.push(
-			`"Total Shipping Cost | 总物流成本","${tags
-				.map((tag) => `$${tagMetrics[tag].totalRate.toFixed(2)}`)
-				.join('","')}","$${totalTagRate.toFixed(2)}"`
+			toCSVRow([
+				t('metric.shipProfit'),
+				...tags.map((tag) => currency(tagMetrics[tag].shippingProfit)),
+				currency(totals.shippingProfit),
+			])
 		);
 
 		csvContent.push(
-			`"Avg Shipping Cost | 平均物流成本","${tags
-				.map((tag) => `$${tagMetrics[tag].averageRate.toFixed(2)}`)
-				.join('","')}","$${(totalTagRate / totalTaggedOrders).toFixed(2)}"`
+			toCSVRow([
+				t('metric.estimatedCost'),
+				...tags.map((tag) => currency(tagMetrics[tag].estimatedCost)),
+				currency(totals.estimatedCost),
+			])
 		);
 
 		// Add legend
 		csvContent.push('');
-		csvContent.push('"Legend | 图例:"');
-		csvContent.push('"% of All Orders = Orders with this special category / Total orders across all stores"');
-		csvContent.push('"占总订单百分比 = 特殊类别订单数 / 所有店铺总订单数"');
-		csvContent.push('"Avg Shipping Cost = Total shipping cost / Number of orders"');
-		csvContent.push('"平均物流成本 = 总物流成本 / 订单数"');
+		csvContent.push(toCSVRow([t('common.legend')]));
+		for (const line of [
+			...i18n.lines('tag.legendPercentOfAll'),
+			...i18n.lines('tag.legendAverage'),
+			...i18n.lines('tag.legendShipProfit'),
+			...i18n.lines('tag.legendEstimatedCost'),
+		]) {
+			csvContent.push(toCSVRow([line]));
+		}
+		csvContent.push(toCSVRow([t('tag.allOrdersBase', { count: number(totalOrders) })]));
 
-		// Add special order categories explanation
-		csvContent.push('');
-		csvContent.push('"Special Order Categories | 特殊订单类别:"');
-		csvContent.push('"- Fulfillment Error | 仓库错误: Orders with errors made by warehouse staff"');
-		csvContent.push('"- Giveaways | 免费赠品: Free products given for promotional purposes"');
-		csvContent.push('"- Influencer | 网红推广: Orders sent to influencers for promotion"');
-		csvContent.push('"- Not Delivered | 未送达: Orders that were not delivered to customers"');
-		csvContent.push('"- Replacement | 替换订单: Replacement orders for damaged products"');
+		// Add an explanation of each special order category in the tag catalog
+		if (tagCatalog && tagCatalog.tags.length > 0) {
+			csvContent.push('');
+			csvContent.push(toCSVRow([t('tag.categories')]));
+			for (const { name, description } of tagCatalog.tags) {
+				const label = i18n.tag(name, tagCatalog);
+				csvContent.push(toCSVRow([description ? `- ${label}: ${description}` : `- ${label}`]));
+			}
+		}
 
 		// Add detailed tag analysis
 		csvContent.push('');
-		csvContent.push('"Detailed Special Orders Analysis | 详细特殊订单分析:"');
+		csvContent.push(toCSVRow([t('tag.detailed')]));
 
 		for (const tag of tags) {
 			const metrics = tagMetrics[tag];
-			const percentOfOrders = ((metrics.count / totalTaggedOrders) * 100).toFixed(1);
-			const percentOfCost = ((metrics.totalRate / totalTagRate) * 100).toFixed(1);
-			const percentOfAllOrders = ((metrics.count / totalAllStoresOrders) * 100).toFixed(1);
+			const percentOfOrders = percent((metrics.count / totals.count) * 100, 1);
+			const percentOfCost = percent((metrics.totalRate / totals.totalRate) * 100, 1);
+			const percentOfAllOrders = shareOfAllOrders(metrics.count);
 
-			csvContent.push(`"${tag} | ${tagDescriptions[tag] || ''}:"`);
+			csvContent.push(toCSVRow([`${i18n.tag(tag, tagCatalog)}:`]));
+			csvContent.push(
+				toCSVRow([
+					t('summary.tagOrders', {
+						count: number(metrics.count),
+						percentOfTagged: percentOfOrders,
+						percentOfAll: percentOfAllOrders,
+					}),
+				])
+			);
 			csvContent.push(
-				`"Orders | 订单: ${metrics.count} orders (${percentOfOrders}% of special orders, ${percentOfAllOrders}% of all orders)"`
+				toCSVRow([
+					t('summary.tagShipping', {
+						cost: currency(metrics.totalRate),
+						percentOfCost,
+						average: currency(metrics.averageRate),
+					}),
+				])
 			);
 			csvContent.push(
-				`"Shipping | 物流: Total: $${metrics.totalRate.toFixed(
-					2
-				)} (${percentOfCost}% of special orders cost) Avg: $${metrics.averageRate.toFixed(2)}"`
+				toCSVRow([
+					t('summary.tagValue', {
+						orderValue: currency(metrics.totalOrderValue),
+						average: currency(metrics.averageOrderValue),
+						paid: currency(metrics.totalShippingPaid),
+						profit: currency(metrics.shippingProfit),
+					}),
+				])
 			);
+			csvContent.push(toCSVRow([t('summary.tagEstimatedCost', { cost: currency(metrics.estimatedCost) })]));
 			csvContent.push('');
 		}
 
 		// Add special orders summary
-		csvContent.push('"Special Orders Summary | 特殊订单摘要:"');
+		csvContent.push(toCSVRow([t('tag.summary')]));
 		csvContent.push(
-			`"Total Special Orders | 总特殊订单: ${totalTaggedOrders} (${totalPercentOfAllOrders}% of all orders)"`
+			toCSVRow([
+				t('summary.totalTagOrders', { count: number(totals.count), percentOfAll: totalPercentOfAllOrders }),
+			])
 		);
-		csvContent.push(`"Total Shipping Cost | 总物流成本: $${totalTagRate.toFixed(2)}"`);
-		csvContent.push(`"Average Cost per Order | 每单平均成本: $${(totalTagRate / totalTaggedOrders).toFixed(2)}"`);
-		csvContent.push(`"Unique Categories | 独特类别: ${tags.length}"`);
+		csvContent.push(toCSVRow([t('summary.totalTagCost', { cost: currency(totals.totalRate) })]));
+		csvContent.push(toCSVRow([t('summary.averageTagCost', { cost: currency(totals.averageRate) })]));
+		csvContent.push(toCSVRow([t('summary.totalTagEstimatedCost', { cost: currency(totals.estimatedCost) })]));
+		csvContent.push(toCSVRow([t('summary.uniqueCategories', { count: number(tags.length) })]));
+	}
+
+	// Add trends section
+	if (sections.trends) {
+		csvContent.push('');
+		csvContent.push(toCSVRow([t(`report.${sections.trends.period}`)]));
+		csvContent.push('');
+		csvContent.push(
+			toCSVRow([
+				t('common.period'),
+				t('common.store'),
+				t('metric.orders'),
+				t('metric.shipCost'),
+				t('metric.shipPaid'),
+				t('metric.shipProfit'),
+				t('metric.aov'),
+			])
+		);
+
+		// One row for all stores combined followed by one row per store, for each period
+		for (const bucket of sections.trends.buckets) {
+			const rows = [[t('common.allStores'), bucket.totals]];
+			for (const store of Object.keys(bucket.storeMetrics).sort()) {
+				rows.push([store, bucket.storeMetrics[store]]);
+			}
+
+			for (const [store, metrics] of rows) {
+				csvContent.push(
+					toCSVRow([
+						i18n.periodLabel(bucket.startDate, sections.trends.period),
+						store,
+						number(metrics.count),
+						currency(metrics.totalRate),
+						currency(metrics.totalShippingPaid),
+						currency(metrics.shippingProfit),
+						currency(metrics.averageOrderValue),
+					])
+				);
+			}
+		}
+
+		if (sections.trends.undatedOrders > 0) {
+			csvContent.push('');
+			csvContent.push(toCSVRow([t('trend.undated', { count: number(sections.trends.undatedOrders) })]));
+		}
 	}
 
 	// Write to file with UTF-8 encoding
@@ -329,3 +698,169 @@ export async function saveReportToCSV(storeMetrics, tagMetrics, inputFileName, o
 
 	return outputFileName;
 }
+
+/**
+ * Escapes a value for a CSV cell
+ * @param {any} value - The value to escape
+ * @returns {string} - Quoted CSV cell
+ */
+function toCSVCell(value) {
+	const text = value === undefined || value === null ? '' : String(value);
+	return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Saves the rows flagged by validateData to a CSV file, with the issues found on each row
+ * @param {Object} validation - Validation result from validateData
+ * @param {string} outputPath - Path to save the CSV file
+ * @param {Object} options - Export options
+ * @param {string} options.language - Language of the headers and issues: en, zh or bilingual (default: bilingual)
+ * @returns {Promise<string>} - Path to the saved file
+ */
+export async function saveRejectsToCSV(validation, outputPath, options = {}) {
+	const { t } = createTranslator(options.language);
+
+	// Use the union of all columns, since merged files may not share every header
+	const columns = [];
+	for (const reject of validation.rejects) {
+		for (const key of Object.keys(reject.order)) {
+			if (!columns.includes(key)) {
+				columns.push(key);
+			}
+		}
+	}
+
+	// Start with a BOM so Excel recognizes UTF-8, followed by the header row
+	const csvContent = [
+		'\ufeff' + [t('rejects.file'), t('rejects.row'), t('rejects.issues'), ...columns].map(toCSVCell).join(','),
+	];
+
+	for (const reject of validation.rejects) {
+		csvContent.push(
+			[
+				reject.sourceFile,
+				reject.sourceRow,
+				reject.issues.map((checkId) => t(`validation.${checkId}`)).join('; '),
+				...columns.map((column) => reject.order[column]),
+			]
+				.map(toCSVCell)
+				.join(',')
+		);
+	}
+
+	// Write to file with UTF-8 encoding
+	await fs.promises.writeFile(outputPath, csvContent.join('\n'), { encoding: 'utf8' });
+
+	return outputPath;
+}
+
+/**
+ * Builds the path of the order detail CSV saved alongside a report
+ * @param {string} reportPath - Path of the saved Excel or CSV report
+ * @returns {string} - The report path with its extension replaced by "_Orders.csv"
+ */
+export function getOrderDetailsPath(reportPath) {
+	const extension = path.extname(reportPath);
+	return `${reportPath.slice(0, reportPath.length - extension.length)}_Orders.csv`;
+}
+
+/**
+ * Saves one row per analyzed order to a CSV file
+ *
+ * Only the header row is translated; dates stay YYYY-MM-DD and amounts plain numbers, so the
+ * file sorts and imports the same way in every language.
+ *
+ * @param {Array<Object>} orderDetails - Order details from calculateOrderDetails
+ * @param {string} outputPath - Path to save the CSV file
+ * @param {Object} options - Export options
+ * @param {string} options.language - Language of the headers: en, zh or bilingual (default: bilingual)
+ * @returns {Promise<string>} - Path to the saved file
+ */
+export async function saveOrderDetailsToCSV(orderDetails, outputPath, options = {}) {
+	const { t } = createTranslator(options.language);
+
+	// Start with a BOM so Excel recognizes UTF-8, followed by the header row
+	const csvContent = ['\ufeff' + ORDER_DETAIL_FIELDS.map(({ labelKey }) => toCSVCell(t(labelKey))).join(',')];
+
+	for (const order of orderDetails) {
+		csvContent.push(
+			ORDER_DETAIL_FIELDS.map(({ key, format }) => {
+				const value = order[key];
+				if (format === 'date') {
+					return toCSVCell(value ? formatDateKey(value) : '');
+				}
+				if (format === 'currency') {
+					return toCSVCell(value.toFixed(2));
+				}
+				if (format === 'list') {
+					return toCSVCell(value.join(', '));
+				}
+				return toCSVCell(value);
+			}).join(',')
+		);
+	}
+
+	// Ensure the output directory exists
+	await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+
+	// Write to file with UTF-8 encoding
+	await fs.promises.writeFile(outputPath, csvContent.join('\n'), { encoding: 'utf8' });
+
+	return outputPath;
+}
+
+// Message keys of the reconciliation statuses from buildReconciliationRows
+const RECONCILIATION_STATUS_KEYS = {
+	matched: 'reconcile.statusMatched',
+	adjusted: 'reconcile.statusAdjusted',
+	notBilled: 'reconcile.statusNotBilled',
+	notInShipStation: 'reconcile.statusNotInShipStation',
+	return: 'reconcile.statusReturn',
+	refund: 'reconcile.statusRefund',
+	billedVoided: 'reconcile.statusBilledVoided',
+};
+
+/**
+ * Saves one row per label of a carrier invoice reconciliation to a CSV file
+ *
+ * Like the order details, only the header row and statuses are translated and amounts stay plain
+ * numbers. Amounts of the side a label is missing from are left empty.
+ *
+ * @param {Object} reconciliation - Reconciliation from reconcileInvoice
+ * @param {string} outputPath - Path to save the CSV file
+ * @param {Object} options - Export options
+ * @param {string} options.language - Language of the headers: en, zh or bilingual (default: bilingual)
+ * @returns {Promise<string>} - Path to the saved file
+ */
+export async function saveReconciliationToCSV(reconciliation, outputPath, options = {}) {
+	const { t } = createTranslator(options.language);
+
+	// Start with a BOM so Excel recognizes UTF-8, followed by the header row
+	const csvContent = ['\ufeff' + RECONCILIATION_LABEL_FIELDS.map(({ labelKey }) => toCSVCell(t(labelKey))).join(',')];
+
+	for (const row of buildReconciliationRows(reconciliation)) {
+		csvContent.push(
+			RECONCILIATION_LABEL_FIELDS.map(({ key, format }) => {
+				const value = row[key];
+				if (format === 'status') {
+					return toCSVCell(t(RECONCILIATION_STATUS_KEYS[value]));
+				}
+				if (format === 'currency') {
+					return toCSVCell(value === null ? '' : value.toFixed(2));
+				}
+				if (format === 'list') {
+					return toCSVCell(value.join(', '));
+				}
+				return toCSVCell(value);
+			}).join(',')
+		);
+	}
+
+	// Ensure the output directory exists
+	await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+
+	// Write to file with UTF-8 encoding
+	await fs.promises.writeFile(outputPath, csvContent.join('\n'), { encoding: 'utf8' });
+
+	return outputPath;
+}
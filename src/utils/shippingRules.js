@@ -0,0 +1,158 @@
+/**
+ * Shipping Rules Utility
+ *
+ * This module loads the hypothetical shipping rules replayed by the simulate command: free shipping for
+ * orders with a subtotal at or above a threshold, and a flat shipping charge for the others. The default
+ * rule applies to every store; a store rule replaces either amount for that store, and null turns it off.
+ *
+ * Rules are JSON or YAML files with this shape:
+ *
+ *   freeAbove: 50
+ *   flatRate: 5.99
+ *   stores:
+ *     Walmart Store:
+ *       freeAbove: 35
+ *     TikTok Shop US Store:
+ *       freeAbove: null
+ *       flatRate: 3.99
+ */
+
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+
+// Amounts a rule can set, with their names in error messages
+const RULE_AMOUNTS = {
+	freeAbove: 'free-shipping threshold',
+	flatRate: 'flat rate',
+};
+
+/**
+ * Determines whether a rules path should be read as YAML
+ * @param {string} filePath - Path to the rules
+ * @returns {boolean} - True for .yaml/.yml files
+ */
+function isYamlFile(filePath) {
+	const extension = path.extname(filePath).toLowerCase();
+	return extension === '.yaml' || extension === '.yml';
+}
+
+/**
+ * Validates one rule amount
+ * @param {any} value - Amount as written in the rules or on the command line
+ * @param {string} field - freeAbove or flatRate
+ * @param {string} owner - Whose rule it is, for error messages (e.g. 'the default rule' or '"Walmart Store"')
+ * @param {string} source - Where the rules come from, for error messages
+ * @returns {number|null} - The amount, or null if the rule doesn't set it
+ * @throws {Error} - If the amount isn't a number of 0 or more
+ */
+function normalizeAmount(value, field, owner, source) {
+	if (value === null) {
+		return null;
+	}
+
+	const amount = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+	if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0) {
+		throw new Error(
+			`Invalid ${RULE_AMOUNTS[field]} "${value}" for ${owner} in ${source}: use an amount of 0 or more, e.g. 50`
+		);
+	}
+
+	return amount;
+}
+
+/**
+ * Validates parsed shipping rules
+ * @param {Object} rules - Rules with freeAbove, flatRate and stores (each optional)
+ * @param {string} source - Where the rules come from, for error messages (file path or 'command line options')
+ * @returns {Object} - Rules with the default freeAbove and flatRate (null when not set), stores (the amounts
+ *   each store rule sets, keyed by trimmed store name) and source
+ * @throws {Error} - If the rules are malformed or an amount is invalid
+ */
+export function createShippingRules(rules, source = 'shipping rules') {
+	if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+		throw new Error(`Invalid shipping rules ${source}: expected an object with freeAbove, flatRate or stores`);
+	}
+
+	const stores = rules.stores === undefined || rules.stores === null ? {} : rules.stores;
+	if (typeof stores !== 'object' || Array.isArray(stores)) {
+		throw new Error(`Invalid shipping rules ${source}: "stores" must map store names to rules`);
+	}
+
+	const result = { freeAbove: null, flatRate: null, stores: {}, source };
+	for (const field of Object.keys(RULE_AMOUNTS)) {
+		if (rules[field] !== undefined) {
+			result[field] = normalizeAmount(rules[field], field, 'the default rule', source);
+		}
+	}
+
+	for (const [store, entry] of Object.entries(stores)) {
+		if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+			throw new Error(`Invalid shipping rules ${source}: the rule of "${store}" must set freeAbove or flatRate`);
+		}
+
+		// Only the amounts a store rule sets replace the default rule
+		const storeRule = {};
+		for (const field of Object.keys(RULE_AMOUNTS)) {
+			if (entry[field] !== undefined) {
+				storeRule[field] = normalizeAmount(entry[field], field, `"${store}"`, source);
+			}
+		}
+		result.stores[store.trim()] = storeRule;
+	}
+
+	return result;
+}
+
+/**
+ * Loads shipping rules from a JSON or YAML file
+ * @param {string} filePath - Path to the rules
+ * @returns {Promise<Object>} - Rules with freeAbove, flatRate, stores and source
+ * @throws {Error} - If the file doesn't exist, can't be parsed or has invalid rules
+ */
+export async function loadShippingRules(filePath) {
+	if (!existsSync(filePath)) {
+		throw new Error(`Shipping rules not found: ${filePath}`);
+	}
+
+	const content = await fs.readFile(filePath, 'utf8');
+
+	let rules;
+	try {
+		rules = isYamlFile(filePath) ? yaml.load(content) : JSON.parse(content);
+	} catch (error) {
+		throw new Error(`Failed to parse shipping rules ${filePath}: ${error.message}`);
+	}
+
+	return createShippingRules(rules, filePath);
+}
+
+/**
+ * Determines whether shipping rules change anything: the default rule or a store rule sets an amount
+ * @param {Object} rules - Rules from createShippingRules or loadShippingRules
+ * @returns {boolean} - True if at least one rule sets freeAbove or flatRate
+ */
+export function hasShippingRule(rules) {
+	const ruleSets = [rules, ...Object.values(rules.stores)];
+	return ruleSets.some((rule) =>
+		Object.keys(RULE_AMOUNTS).some((field) => rule[field] !== undefined && rule[field] !== null)
+	);
+}
+
+/**
+ * Gets the rule that applies to a store: its store rule, with the default rule's amounts for what it doesn't set
+ * @param {Object} rules - Rules from createShippingRules or loadShippingRules
+ * @param {string} store - Store name (matched regardless of case and spacing)
+ * @returns {Object} - Rule with freeAbove and flatRate (null when not set)
+ */
+export function getStoreRule(rules, store) {
+	const lookupKey = String(store).trim().toLowerCase();
+	const storeName = Object.keys(rules.stores).find((name) => name.toLowerCase() === lookupKey);
+	const storeRule = storeName !== undefined ? rules.stores[storeName] : {};
+
+	return {
+		freeAbove: storeRule.freeAbove !== undefined ? storeRule.freeAbove : rules.freeAbove,
+		flatRate: storeRule.flatRate !== undefined ? storeRule.flatRate : rules.flatRate,
+	};
+}
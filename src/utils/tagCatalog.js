@@ -0,0 +1,200 @@
+/**
+ * Tag Catalog Utility
+ *
+ * This module loads the tag catalog: the single list of special order tags with their canonical
+ * name, the aliases that should be counted as the same tag, translations, a description, and
+ * whether its orders are left out of store revenue metrics. Metrics merge aliases into the
+ * canonical name, and every reporter and exporter reads the translations and descriptions from here.
+ *
+ * Catalogs are JSON or YAML files with this shape:
+ *
+ *   tags:
+ *     - name: Giveaways
+ *       aliases: [Giveaway, Free Gift]
+ *       translations:
+ *         zh: 免费赠品
+ *       description: Free products given for promotional purposes
+ *       excludeFromRevenue: true
+ *
+ * Tags that aren't in the catalog are reported under their own (trimmed) name. Orders carrying a tag
+ * with excludeFromRevenue (usually $0 giveaways and replacements) still count toward every store
+ * metric, but not toward the "revenue orders" AOV and net margin.
+ */
+
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+
+// Get the directory name in ESM
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Catalog shipped with the calculator, used when no --tag-catalog option is given
+export const DEFAULT_TAG_CATALOG = path.resolve(__dirname, '../../tag-catalog.json');
+
+/**
+ * Determines whether a catalog path should be read as YAML
+ * @param {string} filePath - Path to the catalog
+ * @returns {boolean} - True for .yaml/.yml files
+ */
+function isYamlFile(filePath) {
+	const extension = path.extname(filePath).toLowerCase();
+	return extension === '.yaml' || extension === '.yml';
+}
+
+/**
+ * Normalizes a tag name for lookups, so aliases match regardless of case and spacing
+ * @param {string} tag - Tag name or alias
+ * @returns {string} - Lowercased, trimmed tag
+ */
+function toLookupKey(tag) {
+	return String(tag).trim().toLowerCase();
+}
+
+/**
+ * Validates a parsed tag catalog and builds its alias lookup
+ * @param {Object} catalog - Parsed catalog contents
+ * @param {string} filePath - Path the catalog was read from (for error messages)
+ * @returns {Object} - Catalog with tags, lookup (lowercased name or alias → tag) and filePath
+ * @throws {Error} - If the catalog is malformed or an alias belongs to two tags
+ */
+export function createTagCatalog(catalog, filePath = 'tag catalog') {
+	if (!catalog || typeof catalog !== 'object' || !Array.isArray(catalog.tags)) {
+		throw new Error(`Invalid tag catalog ${filePath}: expected a "tags" list`);
+	}
+
+	const tags = [];
+	const lookup = new Map();
+
+	for (const entry of catalog.tags) {
+		if (!entry || typeof entry.name !== 'string' || entry.name.trim() === '') {
+			throw new Error(`Invalid tag catalog ${filePath}: every tag needs a "name"`);
+		}
+
+		const name = entry.name.trim();
+		const aliases = entry.aliases || [];
+		const translations = entry.translations || {};
+
+		if (!Array.isArray(aliases) || aliases.some((alias) => typeof alias !== 'string')) {
+			throw new Error(`Invalid tag catalog ${filePath}: aliases of "${name}" must be a list of strings`);
+		}
+		if (typeof translations !== 'object' || Array.isArray(translations)) {
+			throw new Error(`Invalid tag catalog ${filePath}: translations of "${name}" must be an object`);
+		}
+		if (entry.excludeFromRevenue !== undefined && typeof entry.excludeFromRevenue !== 'boolean') {
+			throw new Error(`Invalid tag catalog ${filePath}: excludeFromRevenue of "${name}" must be true or false`);
+		}
+
+		const tag = {
+			name,
+			aliases: aliases.map((alias) => alias.trim()).filter((alias) => alias),
+			translations,
+			description: entry.description || '',
+			excludeFromRevenue: entry.excludeFromRevenue === true,
+		};
+
+		// The canonical name and every alias resolve to the same tag
+		for (const key of [name, ...tag.aliases].map(toLookupKey)) {
+			if (lookup.has(key) && lookup.get(key) !== tag) {
+				throw new Error(
+					`Invalid tag catalog ${filePath}: "${key}" is listed for both "${lookup.get(key).name}" and "${name}"`
+				);
+			}
+			lookup.set(key, tag);
+		}
+
+		tags.push(tag);
+	}
+
+	return { tags, lookup, filePath };
+}
+
+/**
+ * Loads a tag catalog from a JSON or YAML file
+ * @param {string} filePath - Path to the catalog (defaults to the catalog shipped with the calculator)
+ * @returns {Promise<Object>} - Catalog with tags, lookup and filePath
+ * @throws {Error} - If the file doesn't exist or can't be parsed
+ */
+export async function loadTagCatalog(filePath = DEFAULT_TAG_CATALOG) {
+	if (!existsSync(filePath)) {
+		throw new Error(`Tag catalog not found: ${filePath}`);
+	}
+
+	const content = await fs.readFile(filePath, 'utf8');
+
+	let catalog;
+	try {
+		catalog = isYamlFile(filePath) ? yaml.load(content) : JSON.parse(content);
+	} catch (error) {
+		throw new Error(`Failed to parse tag catalog ${filePath}: ${error.message}`);
+	}
+
+	return createTagCatalog(catalog, filePath);
+}
+
+/**
+ * Finds the catalog entry of a tag or alias
+ * @param {string} tag - Tag name or alias
+ * @param {Object} tagCatalog - Catalog from loadTagCatalog (optional)
+ * @returns {Object|null} - Entry with name, aliases, translations, description and excludeFromRevenue, or null if
+ *   not in the catalog
+ */
+export function getTagEntry(tag, tagCatalog) {
+	return (tagCatalog && tagCatalog.lookup.get(toLookupKey(tag))) || null;
+}
+
+/**
+ * Resolves a tag or alias to its canonical name
+ * @param {string} tag - Tag as it appears on the order
+ * @param {Object} tagCatalog - Catalog from loadTagCatalog (optional)
+ * @returns {string} - Canonical name, or the trimmed tag if it isn't in the catalog
+ */
+export function resolveTagName(tag, tagCatalog) {
+	const entry = getTagEntry(tag, tagCatalog);
+	return entry ? entry.name : String(tag).trim();
+}
+
+/**
+ * Gets the translation of a tag
+ * @param {string} tag - Tag name or alias
+ * @param {Object} tagCatalog - Catalog from loadTagCatalog (optional)
+ * @param {string} language - Language code (default: zh)
+ * @returns {string} - Translated name, or an empty string if the catalog has none
+ */
+export function getTagTranslation(tag, tagCatalog, language = 'zh') {
+	const entry = getTagEntry(tag, tagCatalog);
+	return (entry && entry.translations[language]) || '';
+}
+
+/**
+ * Gets the description of a tag
+ * @param {string} tag - Tag name or alias
+ * @param {Object} tagCatalog - Catalog from loadTagCatalog (optional)
+ * @returns {string} - Description, or an empty string if the catalog has none
+ */
+export function getTagDescription(tag, tagCatalog) {
+	const entry = getTagEntry(tag, tagCatalog);
+	return entry ? entry.description : '';
+}
+
+/**
+ * Checks whether orders with a tag are left out of store revenue metrics
+ * @param {string} tag - Tag name or alias
+ * @param {Object} tagCatalog - Catalog from loadTagCatalog (optional)
+ * @returns {boolean} - True if the catalog marks the tag with excludeFromRevenue
+ */
+export function isExcludedFromRevenue(tag, tagCatalog) {
+	const entry = getTagEntry(tag, tagCatalog);
+	return entry ? entry.excludeFromRevenue : false;
+}
+
+/**
+ * Lists the tags whose orders are left out of store revenue metrics
+ * @param {Object} tagCatalog - Catalog from loadTagCatalog (optional)
+ * @returns {Array<string>} - Canonical names of the tags marked with excludeFromRevenue (empty without a catalog)
+ */
+export function getRevenueExcludedTags(tagCatalog) {
+	return tagCatalog ? tagCatalog.tags.filter((tag) => tag.excludeFromRevenue).map((tag) => tag.name) : [];
+}
@@ -0,0 +1,99 @@
+/**
+ * Tests for the analyze() library API
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { analyze } from '../src/analyzer.js';
+
+const HEADER = 'Order #,Order Date,Store,Carrier,Rate,Order Total,Shipping Paid,Tags';
+
+describe('analyze', () => {
+	let folder;
+	let ordersPath;
+
+	before(() => {
+		folder = fs.mkdtempSync(path.join(os.tmpdir(), 'shipstation-analyze-'));
+		ordersPath = path.join(folder, 'orders.csv');
+		fs.writeFileSync(
+			ordersPath,
+			[
+				HEADER,
+				'1001,02/03/2025,Shopify Store,USPS,$4.00,$40.00,$5.00,Giveaways',
+				'1002,02/04/2025,Amazon,UPS,$9.00,$30.00,$0.00,',
+				'1003,03/10/2025,Shopify Store,UPS,$6.00,$20.00,$6.00,',
+				'1004,,Amazon,USPS,$5.00,$25.00,$0.00,',
+			].join('\n')
+		);
+	});
+
+	after(() => {
+		fs.rmSync(folder, { recursive: true, force: true });
+	});
+
+	it('analyzes all data without writing to the console', async () => {
+		const log = mock.method(console, 'log', () => {});
+		const warn = mock.method(console, 'warn', () => {});
+		try {
+			const result = await analyze({ files: [ordersPath] });
+
+			assert.equal(log.mock.callCount(), 0);
+			assert.equal(warn.mock.callCount(), 0);
+			assert.equal(result.dateFilter.shouldFilter, false);
+			assert.equal(result.orders.length, 4);
+			assert.equal(result.totals.count, 4);
+			assert.equal(result.storeMetrics.Amazon.totalRate, 14);
+			assert.equal(result.tagMetrics.Giveaways.count, 1);
+			assert.equal(result.trends, null);
+		} finally {
+			mock.restoreAll();
+		}
+	});
+
+	it('applies the date range, then the store, carrier and tag filters', async () => {
+		const result = await analyze({
+			files: [ordersPath],
+			dateRange: { startDate: new Date(2025, 1, 1), endDate: new Date(2025, 1, 28) },
+			filters: { carriers: ['ups'] },
+			groupByPeriod: 'month',
+		});
+
+		assert.equal(result.dateFilter.dateRangeStr, '02/01/25-02/28/25');
+		assert.deepEqual(result.orders.map((order) => order['Order #']), [1002]);
+		assert.deepEqual(Object.keys(result.carrierMetrics), ['UPS']);
+		assert.equal(result.trends.buckets.length, 1);
+	});
+
+	it('validates every merged row before the date range and filters are applied', async () => {
+		const result = await analyze({
+			files: [ordersPath],
+			dateRange: '02/01/25-02/28/25',
+			filters: { stores: ['Shopify Store'] },
+		});
+		const unparseableDate = result.validation.checks.find((check) => check.id === 'unparseableDate');
+
+		assert.equal(result.orders.length, 1);
+		assert.equal(result.validation.totalRows, 4);
+		assert.deepEqual(unparseableDate.rows, [{ sourceFile: 'orders.csv', sourceRow: 5, orderNumber: 1004 }]);
+	});
+
+	it('throws strict validation failures with the validation result', async () => {
+		await assert.rejects(analyze({ files: [ordersPath], strict: true, maxIssueRate: 10 }), (error) => {
+			assert.match(error.message, /^Data validation failed in strict mode: Unparseable Date/);
+			assert.equal(error.validation.invalidRows, 1);
+			return true;
+		});
+	});
+
+	it('throws instead of exiting when nothing can be analyzed', async () => {
+		await assert.rejects(analyze({ files: [] }), /No files to analyze/);
+		await assert.rejects(
+			analyze({ files: [ordersPath], filters: { tags: ['Influencer'] } }),
+			/No data matches the specified filters/
+		);
+		await assert.rejects(analyze({ files: [ordersPath], dateRange: '2025' }), /Invalid date range format/);
+	});
+});
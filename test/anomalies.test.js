@@ -0,0 +1,109 @@
+/**
+ * Tests for the order anomaly checks
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectAnomalies } from '../src/metrics/anomalies.js';
+
+/**
+ * Builds a shipped USPS Ground Advantage order
+ * @param {string} orderNumber - Order #
+ * @param {Object} fields - Fields replacing the defaults
+ * @returns {Object} - Order row
+ */
+function createOrder(orderNumber, fields = {}) {
+	return {
+		'Order #': orderNumber,
+		Store: 'Shopify Store',
+		Carrier: 'USPS',
+		Service: 'USPS Ground Advantage',
+		Weight: '6',
+		'Weight Unit': 'oz',
+		Rate: '5.00',
+		'Order Total': '40.00',
+		'Shipping Paid': '5.99',
+		...fields,
+	};
+}
+
+describe('detectAnomalies', () => {
+	it('flags a label far above the median Rate of its peers', () => {
+		const data = ['1', '2', '3', '4', '5', '6'].map((orderNumber) => createOrder(orderNumber));
+		data.push(createOrder('7', { Rate: '30.00' }));
+
+		const result = detectAnomalies(data);
+
+		assert.equal(result.labels, 7);
+		assert.equal(result.highRate, 1);
+		assert.equal(result.overcharge, 0);
+		assert.deepEqual(
+			{
+				orderNumber: result.anomalies[0].orderNumber,
+				expected: result.anomalies[0].expected,
+				excess: result.anomalies[0].excess,
+				ratio: result.anomalies[0].ratio,
+				peerLevel: result.anomalies[0].peerLevel,
+				peerLabels: result.anomalies[0].peerLabels,
+			},
+			{ orderNumber: '7', expected: 5, excess: 25, ratio: 6, peerLevel: 'storeCarrierServiceBand', peerLabels: 7 }
+		);
+		assert.deepEqual(result.anomalies[0].peerGroup, ['Shopify Store', 'USPS', 'USPS Ground Advantage', '4–8 oz']);
+	});
+
+	it('falls back to a wider peer group when the store has too few labels', () => {
+		const data = ['1', '2', '3', '4', '5'].map((orderNumber) => createOrder(orderNumber, { Store: 'Amazon' }));
+		data.push(createOrder('6', { Rate: '30.00' }));
+
+		const [anomaly] = detectAnomalies(data).anomalies;
+
+		assert.equal(anomaly.orderNumber, '6');
+		assert.equal(anomaly.peerLevel, 'carrierServiceBand');
+	});
+
+	it('needs the excess to reach $5', () => {
+		const data = ['1', '2', '3', '4', '5'].map((orderNumber) => createOrder(orderNumber, { Rate: '1.00' }));
+		data.push(createOrder('6', { Rate: '4.00', 'Shipping Paid': '0' }));
+
+		assert.equal(detectAnomalies(data).anomalies.length, 0);
+	});
+
+	it('flags shipping paid far above the label cost and ranks by excess', () => {
+		const data = [
+			createOrder('1', { Rate: '4.00', 'Shipping Paid': '12.00' }),
+			createOrder('2', { Rate: '5.00', 'Shipping Paid': '25.00' }),
+			createOrder('3', { Rate: '5.00', 'Shipping Paid': '9.00' }),
+		];
+
+		const result = detectAnomalies(data);
+
+		assert.equal(result.overcharge, 2);
+		assert.deepEqual(
+			result.anomalies.map(({ rank, orderNumber, reason, excess }) => ({ rank, orderNumber, reason, excess })),
+			[
+				{ rank: 1, orderNumber: '2', reason: 'overcharge', excess: 20 },
+				{ rank: 2, orderNumber: '1', reason: 'overcharge', excess: 8 },
+			]
+		);
+	});
+
+	it('leaves out voided, return and refunded labels', () => {
+		const data = ['1', '2', '3', '4', '5', '6'].map((orderNumber) => createOrder(orderNumber));
+		data.push(createOrder('7', { Rate: '30.00', Voided: 'Yes' }));
+		data.push(createOrder('8', { Rate: '30.00', 'Return Label': 'Yes' }));
+		data.push(createOrder('9', { Rate: '1.00', 'Shipping Paid': '20.00', Refunded: 'Approved' }));
+
+		const result = detectAnomalies(data);
+
+		assert.equal(result.labels, 6);
+		assert.equal(result.anomalies.length, 0);
+	});
+
+	it('applies the factors passed in and rejects factors of 1 or less', () => {
+		const data = [createOrder('1', { Rate: '4.00', 'Shipping Paid': '12.00' })];
+
+		assert.equal(detectAnomalies(data, { overchargeFactor: 4 }).overcharge, 0);
+		assert.throws(() => detectAnomalies(data, { rateFactor: 1 }), /Invalid anomaly factor "1"/);
+		assert.throws(() => detectAnomalies(data, { overchargeFactor: 'two' }), /Invalid overcharge factor "two"/);
+	});
+});
@@ -0,0 +1,477 @@
+/**
+ * Tests for the metrics calculator
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	calculateDistribution,
+	calculateStoreMetrics,
+	summarizeStoreMetrics,
+	calculateCarrierMetrics,
+	calculateStoreCarrierMetrics,
+	calculatePeriodMetrics,
+	calculateStoreTagMetrics,
+	calculateTagMetrics,
+	summarizeTagMetrics,
+	getLabelType,
+	parseWeightBands,
+	extractWeightInOunces,
+	findWeightBand,
+	calculateWeightBandMetrics,
+	DEFAULT_WEIGHT_BAND_LIMITS,
+	normalizeCountry,
+	extractZip3,
+	calculateDestinationMetrics,
+} from '../src/metrics/calculator.js';
+import { createTagCatalog } from '../src/utils/tagCatalog.js';
+
+const LABELS = [
+	{ Store: 'Shopify Store', Carrier: 'USPS', Service: 'USPS Ground Advantage', Rate: 4 },
+	{ Store: 'Shopify Store', Carrier: 'USPS', Service: 'Priority Mail', Rate: 8 },
+	{ Store: 'Shopify Store', Carrier: 'UPS', Service: 'UPS Ground', Rate: 12 },
+	{ Store: 'Amazon', Carrier: 'USPS', Service: 'USPS Ground Advantage', Rate: '$6.00' },
+	{ Store: 'Amazon', Rate: 10 },
+];
+
+describe('calculateDistribution', () => {
+	it('interpolates percentiles between the two closest ranks', () => {
+		const distribution = calculateDistribution([10, 1, 9, 2, 8, 3, 7, 4, 6, 5]);
+
+		assert.equal(distribution.count, 10);
+		assert.equal(distribution.min, 1);
+		assert.equal(distribution.max, 10);
+		assert.equal(distribution.mean, 5.5);
+		assert.equal(distribution.median, 5.5);
+		assert.equal(distribution.p90, 9.1);
+		assert.equal(distribution.p95, 9.55);
+		assert.equal(distribution.p99, 9.91);
+		assert.equal(distribution.stdDev, 2.87);
+	});
+
+	it('takes the middle value as the median of an odd count', () => {
+		const distribution = calculateDistribution([4.33, 3.91, 28.5]);
+
+		assert.equal(distribution.median, 4.33);
+		assert.equal(distribution.p90, 23.67);
+	});
+
+	it('spreads the values over equal-width bins, the last one including its max', () => {
+		const distribution = calculateDistribution([0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+
+		assert.equal(distribution.histogram.length, 10);
+		assert.deepEqual(distribution.histogram[0], { min: 0, max: 1, count: 1 });
+		assert.deepEqual(distribution.histogram[9], { min: 9, max: 10, count: 2 });
+		assert.equal(distribution.histogram.reduce((sum, bin) => sum + bin.count, 0), 11);
+	});
+
+	it('uses a single bin when every value is the same', () => {
+		const distribution = calculateDistribution([5, 5, 5]);
+
+		assert.equal(distribution.p99, 5);
+		assert.equal(distribution.stdDev, 0);
+		assert.deepEqual(distribution.histogram, [{ min: 5, max: 5, count: 3 }]);
+	});
+
+	it('returns zeroed statistics without values', () => {
+		const distribution = calculateDistribution([]);
+
+		assert.equal(distribution.count, 0);
+		assert.equal(distribution.median, 0);
+		assert.deepEqual(distribution.histogram, []);
+	});
+
+	it('describes the rate, order value and shipping profit of each store and tag', () => {
+		const orders = [
+			{ Store: 'Amazon', Rate: 4, 'Order Total': 20, 'Shipping Paid': 5, Tags: 'Giveaways' },
+			{ Store: 'Amazon', Rate: 6, 'Order Total': 30, 'Shipping Paid': 5, Tags: '' },
+			{ Store: 'Amazon', Rate: 90, 'Order Total': 40, 'Shipping Paid': 5, Tags: 'Giveaways' },
+			{ Store: 'Amazon', Rate: 50, 'Order Total': 40, 'Shipping Paid': 5, Voided: 'Yes' },
+		];
+
+		const { distribution } = calculateStoreMetrics(orders).Amazon;
+		const tagDistribution = calculateTagMetrics(orders).Giveaways.distribution;
+
+		assert.equal(distribution.rate.count, 3);
+		assert.equal(distribution.rate.median, 6);
+		assert.equal(distribution.rate.max, 90);
+		assert.equal(distribution.orderValue.mean, 30);
+		assert.equal(distribution.shippingProfit.min, -85);
+		assert.equal(tagDistribution.rate.median, 47);
+	});
+});
+
+describe('calculateStoreMetrics', () => {
+	const orders = [
+		{ Store: 'Shopify Store', Rate: 5, 'Order Total': 0, 'Shipping Paid': 0, Tags: 'Giveaway' },
+		{ Store: 'Shopify Store', Rate: 4, 'Order Total': 30, 'Shipping Paid': 5, Tags: '' },
+		{ Store: 'Shopify Store', Rate: 6, 'Order Total': 50, 'Shipping Paid': 0, Tags: 'Influencer' },
+		{ Store: 'Amazon', Rate: 8, 'Order Total': 0, 'Shipping Paid': 0, Tags: 'Giveaways' },
+	];
+	const tagCatalog = createTagCatalog({
+		tags: [{ name: 'Giveaways', aliases: ['Giveaway'], excludeFromRevenue: true }],
+	});
+
+	it('leaves orders with excluded tags out of the revenue figures only', () => {
+		const { 'Shopify Store': shopify, Amazon: amazon } = calculateStoreMetrics(orders, tagCatalog);
+
+		assert.equal(shopify.count, 3);
+		assert.equal(shopify.averageOrderValue, 26.67);
+		assert.equal(shopify.revenueCount, 2);
+		assert.equal(shopify.revenueTotalOrderValue, 80);
+		assert.equal(shopify.revenueAverageOrderValue, 40);
+		assert.equal(shopify.revenueTotalRate, 10);
+		assert.equal(shopify.revenueNetRevenue, 70);
+		assert.equal(shopify.revenueNetRevenueMargin, 87.5);
+		assert.equal(amazon.revenueCount, 0);
+		assert.equal(amazon.revenueAverageOrderValue, 0);
+	});
+
+	it('counts every order as a revenue order without a tag catalog', () => {
+		const storeMetrics = calculateStoreMetrics(orders);
+
+		assert.equal(storeMetrics['Shopify Store'].revenueCount, 3);
+		assert.equal(storeMetrics['Shopify Store'].revenueTotalRate, 15);
+	});
+
+	it('sums the revenue figures across stores', () => {
+		const totals = summarizeStoreMetrics(calculateStoreMetrics(orders, tagCatalog));
+
+		assert.equal(totals.count, 4);
+		assert.equal(totals.revenueCount, 2);
+		assert.equal(totals.revenueAverageOrderValue, 40);
+		assert.equal(totals.revenueNetRevenueMargin, 87.5);
+	});
+
+	it('counts voided, return and refunded labels apart from the shipped orders', () => {
+		const storeMetrics = calculateStoreMetrics([
+			{ Store: 'Amazon', Rate: 5, 'Order Total': 20 },
+			{ Store: 'Amazon', Rate: 6, 'Order Total': 20, Voided: 'Yes' },
+			{ Store: 'Amazon', Rate: 7, 'Order Total': 0, 'Return Label': 'Yes' },
+			{ Store: 'Amazon', Rate: 8, 'Order Total': 30, Refunded: 'Approved' },
+		]);
+
+		assert.equal(storeMetrics.Amazon.count, 1);
+		assert.equal(storeMetrics.Amazon.totalRate, 5);
+		assert.equal(storeMetrics.Amazon.averageOrderValue, 20);
+		assert.equal(storeMetrics.Amazon.voidCount, 1);
+		assert.equal(storeMetrics.Amazon.returnRate, 7);
+		assert.equal(storeMetrics.Amazon.refundedRate, 8);
+		assert.equal(storeMetrics.Amazon.grossRate, 20);
+		assert.equal(storeMetrics.Amazon.netRate, 12);
+	});
+
+	it('applies the tag catalog to every trend bucket', () => {
+		const trends = calculatePeriodMetrics(
+			orders.map((order) => ({ ...order, 'Order Date': '02/03/2025' })),
+			'week',
+			tagCatalog
+		);
+
+		assert.equal(trends.buckets[0].totals.revenueCount, 2);
+	});
+});
+
+describe('calculateCarrierMetrics', () => {
+	it('groups labels by carrier and service with their share of total spend', () => {
+		const carrierMetrics = calculateCarrierMetrics(LABELS);
+
+		assert.deepEqual(Object.keys(carrierMetrics), ['USPS', 'UPS', 'Unknown']);
+		assert.equal(carrierMetrics.USPS.count, 3);
+		assert.equal(carrierMetrics.USPS.totalRate, 18);
+		assert.equal(carrierMetrics.USPS.averageRate, 6);
+		assert.equal(carrierMetrics.USPS.shareOfSpend, 45);
+		assert.deepEqual(carrierMetrics.USPS.services['USPS Ground Advantage'], {
+			count: 2,
+			totalRate: 10,
+			averageRate: 5,
+			shareOfSpend: 25,
+		});
+		assert.deepEqual(Object.keys(carrierMetrics.Unknown.services), ['Unknown']);
+	});
+});
+
+describe('calculateStoreCarrierMetrics', () => {
+	it('calculates the share of spend against each store', () => {
+		const storeCarrierMetrics = calculateStoreCarrierMetrics(LABELS);
+
+		assert.equal(storeCarrierMetrics['Shopify Store'].USPS.shareOfSpend, 50);
+		assert.equal(storeCarrierMetrics['Shopify Store'].UPS.shareOfSpend, 50);
+		assert.deepEqual(storeCarrierMetrics.Amazon.USPS, { count: 1, totalRate: 6, averageRate: 6, shareOfSpend: 37.5 });
+		assert.equal(storeCarrierMetrics.Amazon.Unknown.shareOfSpend, 62.5);
+	});
+});
+
+describe('calculatePeriodMetrics', () => {
+	const orders = [
+		{ 'Order Date': '02/02/2025', Store: 'Amazon', Rate: 5, 'Order Total': 20, 'Shipping Paid': 0 },
+		{ 'Order Date': '02/03/2025', Store: 'Amazon', Rate: 4, 'Order Total': 30, 'Shipping Paid': 5 },
+		{ 'Ship Date': '02/09/2025', Store: 'Shopify Store', Rate: 6, 'Order Total': 40, 'Shipping Paid': 6 },
+		{ 'Order Date': '03/01/2025', Store: 'Shopify Store', Rate: 3, 'Order Total': 10, 'Shipping Paid': 4 },
+		{ 'Order Date': 'pending', Store: 'Amazon', Rate: 9, 'Order Total': 10, 'Shipping Paid': 0 },
+	];
+
+	it('buckets orders into Monday to Sunday weeks', () => {
+		const trends = calculatePeriodMetrics(orders, 'week');
+
+		assert.deepEqual(
+			trends.buckets.map((bucket) => [bucket.key, bucket.totals.count]),
+			[
+				['2025-01-27', 1],
+				['2025-02-03', 2],
+				['2025-02-24', 1],
+			]
+		);
+		assert.equal(trends.buckets[1].endDate.getDate(), 9);
+		assert.equal(trends.buckets[1].storeMetrics.Amazon.totalRate, 4);
+		assert.equal(trends.buckets[1].storeMetrics['Shopify Store'].shippingProfit, 0);
+		assert.equal(trends.undatedOrders, 1);
+	});
+
+	it('buckets orders by day and by calendar month', () => {
+		const daily = calculatePeriodMetrics(orders, 'day');
+		const monthly = calculatePeriodMetrics(orders, 'month');
+
+		assert.equal(daily.buckets.length, 4);
+		assert.deepEqual(monthly.buckets.map((bucket) => bucket.key), ['2025-02-01', '2025-03-01']);
+		assert.equal(monthly.buckets[0].endDate.getDate(), 28);
+		assert.equal(monthly.buckets[0].totals.count, 3);
+	});
+
+	it('rejects unsupported periods', () => {
+		assert.throws(() => calculatePeriodMetrics(orders, 'year'), {
+			message: 'Invalid period "year". Use one of: day, week, month',
+		});
+	});
+});
+
+describe('calculateStoreTagMetrics', () => {
+	const orders = [
+		{ Store: 'Shopify Store', Rate: 4, Tags: 'Giveaway' },
+		{ Store: 'Shopify Store', Rate: 6, Tags: 'Giveaways, Influencer' },
+		{ Store: 'Shopify Store', Rate: 5, Tags: '' },
+		{ Store: 'Shopify Store', Rate: 5, Tags: '' },
+		{ Store: 'Amazon', Rate: 9, Tags: '' },
+	];
+	const tagCatalog = createTagCatalog({ tags: [{ name: 'Giveaways', aliases: ['Giveaway'] }] });
+
+	it('counts each tag per store against all of the store orders', () => {
+		const storeTagMetrics = calculateStoreTagMetrics(orders, tagCatalog);
+
+		assert.deepEqual(storeTagMetrics['Shopify Store'].Giveaways, {
+			count: 2,
+			totalRate: 10,
+			averageRate: 5,
+			shareOfStoreOrders: 50,
+		});
+		assert.equal(storeTagMetrics['Shopify Store'].Influencer.shareOfStoreOrders, 25);
+	});
+
+	it('lists stores without tagged orders', () => {
+		assert.deepEqual(calculateStoreTagMetrics(orders, tagCatalog).Amazon, {});
+	});
+});
+
+describe('calculateTagMetrics', () => {
+	const orders = [
+		{ Rate: 5, 'Order Total': 40, 'Shipping Paid': 0, Tags: 'Giveaways' },
+		{ Rate: 7, 'Order Total': '$20.00', 'Shipping Paid': '$3.00', Tags: 'Giveaways, Replacement' },
+		{ Rate: 9, 'Order Total': 60, 'Shipping Paid': 9, Tags: '' },
+	];
+
+	it('adds order value, shipping paid, shipping profit and estimated cost to each tag', () => {
+		const tagMetrics = calculateTagMetrics(orders);
+		const { distribution, ...giveaways } = tagMetrics.Giveaways;
+
+		assert.equal(distribution.rate.count, 2);
+		assert.deepEqual(giveaways, {
+			count: 2,
+			totalRate: 12,
+			averageRate: 6,
+			totalOrderValue: 60,
+			averageOrderValue: 30,
+			totalShippingPaid: 3,
+			averageShippingPaid: 1.5,
+			shippingProfit: -9,
+			estimatedCost: 69,
+		});
+		assert.equal(tagMetrics.Replacement.estimatedCost, 24);
+	});
+
+	it('sums the tags with multi-tagged orders counted under each tag', () => {
+		const totals = summarizeTagMetrics(calculateTagMetrics(orders));
+
+		assert.equal(totals.count, 3);
+		assert.equal(totals.totalRate, 19);
+		assert.equal(totals.totalOrderValue, 80);
+		assert.equal(totals.estimatedCost, 93);
+	});
+});
+
+describe('getLabelType', () => {
+	it('reads rows without indicators as shipments', () => {
+		assert.equal(getLabelType({ Rate: '4.33' }), 'shipment');
+	});
+
+	it('reads yes/no flags, booleans, numbers and dates', () => {
+		assert.equal(getLabelType({ Voided: 'Yes' }), 'void');
+		assert.equal(getLabelType({ Voided: '02/03/2025' }), 'void');
+		assert.equal(getLabelType({ Refunded: true }), 'refund');
+		assert.equal(getLabelType({ Refunded: 'Approved' }), 'refund');
+		assert.equal(getLabelType({ 'Return Label': 1 }), 'return');
+	});
+
+	it('ignores empty and negative values', () => {
+		for (const value of ['', ' No ', 'n', '0', 0, false, 'N/A', 'null', '-', 'Pending', 'Rejected', 'denied']) {
+			const order = { Voided: value, Refunded: value, 'Return Label': value };
+			assert.equal(getLabelType(order), 'shipment', `${value}`);
+		}
+	});
+
+	it('reads a voided and refunded row as voided', () => {
+		assert.equal(getLabelType({ Voided: 'Yes', Refunded: 'Yes', 'Return Label': 'Yes' }), 'void');
+		assert.equal(getLabelType({ Refunded: 'Yes', 'Return Label': 'Yes' }), 'refund');
+	});
+});
+
+describe('parseWeightBands', () => {
+	it('builds the default bands with an open-ended last band', () => {
+		const bands = parseWeightBands();
+
+		assert.equal(bands.length, DEFAULT_WEIGHT_BAND_LIMITS.length + 1);
+		assert.deepEqual(bands[0], { label: '0–4 oz', minOunces: 0, maxOunces: 4 });
+		assert.deepEqual(bands[3], { label: '1–2 lb', minOunces: 16, maxOunces: 32 });
+		assert.deepEqual(bands[bands.length - 1], { label: '10+ lb', minOunces: 160, maxOunces: null });
+	});
+
+	it('converts limits with units to ounces', () => {
+		const bands = parseWeightBands('4oz, 8, 1lb, 1kg');
+
+		assert.deepEqual(bands.map(({ maxOunces }) => maxOunces), [4, 8, 16, 35.274, null]);
+		assert.deepEqual(bands.map(({ label }) => label), ['0–4 oz', '4–8 oz', '8–16 oz', '1–2.2 lb', '2.2+ lb']);
+	});
+
+	it('rejects unknown units and limits that do not increase', () => {
+		assert.throws(() => parseWeightBands('4oz,2stone'), /Invalid weight band limit "2stone"/);
+		assert.throws(() => parseWeightBands('8oz,4oz'), /positive and increasing/);
+		assert.throws(() => parseWeightBands('0oz,4oz'), /positive and increasing/);
+	});
+
+	it('labels bands in pounds from one pound up, wherever the limits fall', () => {
+		assert.deepEqual(parseWeightBands('8oz,16oz').map(({ label }) => label), ['0–8 oz', '8–16 oz', '1+ lb']);
+		assert.deepEqual(parseWeightBands('8oz,24oz').map(({ label }) => label), ['0–8 oz', '8–24 oz', '1.5+ lb']);
+		assert.deepEqual(parseWeightBands('1lb,2lb').map(({ label }) => label), ['0–16 oz', '1–2 lb', '2+ lb']);
+	});
+});
+
+describe('extractWeightInOunces', () => {
+	it('reads the weight in the unit of the Weight Unit column', () => {
+		assert.equal(extractWeightInOunces({ Weight: '6', 'Weight Unit': 'oz' }), 6);
+		assert.equal(extractWeightInOunces({ Weight: '1.5', 'Weight Unit': 'LB' }), 24);
+		assert.equal(extractWeightInOunces({ Weight: 2, 'Weight Unit': 'kg' }), 70.548);
+	});
+
+	it('reads weights without a unit as ounces', () => {
+		assert.equal(extractWeightInOunces({ Weight: '12' }), 12);
+	});
+
+	it('returns null without a weight or with an unknown unit', () => {
+		assert.equal(extractWeightInOunces({}), null);
+		assert.equal(extractWeightInOunces({ Weight: '0', 'Weight Unit': 'oz' }), null);
+		assert.equal(extractWeightInOunces({ Weight: '3', 'Weight Unit': 'stone' }), null);
+	});
+
+	it('finds the band that includes its upper limit', () => {
+		const bands = parseWeightBands();
+
+		assert.equal(findWeightBand(extractWeightInOunces({ Weight: '4' }), bands).label, '0–4 oz');
+		assert.equal(findWeightBand(extractWeightInOunces({ Weight: '4.1' }), bands).label, '4–8 oz');
+		assert.equal(findWeightBand(320, bands).label, '10+ lb');
+		assert.equal(findWeightBand(extractWeightInOunces({}), bands), null);
+	});
+});
+
+describe('calculateWeightBandMetrics', () => {
+	const labels = [
+		{ Store: 'Shopify Store', Carrier: 'USPS', Rate: 4, Weight: '4' },
+		{ Store: 'Shopify Store', Carrier: 'USPS', Rate: 6, Weight: '4.1' },
+		{ Store: 'Shopify Store', Carrier: 'USPS', Rate: 8, Weight: '16', 'Weight Unit': 'oz' },
+		{ Store: 'Amazon', Carrier: 'UPS', Rate: 12, Weight: '1', 'Weight Unit': 'lb' },
+		{ Store: 'Amazon', Carrier: 'UPS', Rate: 20, Weight: '2', 'Weight Unit': 'lb' },
+		{ Store: 'Amazon', Carrier: 'UPS', Rate: 9 },
+		{ Store: 'Amazon', Carrier: 'UPS', Rate: 9, Weight: '3', Voided: 'Yes' },
+	];
+
+	it('puts each package in the band that includes its upper limit', () => {
+		const weightBands = calculateWeightBandMetrics(labels);
+
+		assert.equal(weightBands.overall['0–4 oz'].count, 1);
+		assert.equal(weightBands.overall['4–8 oz'].count, 1);
+		assert.equal(weightBands.overall['8–16 oz'].count, 2);
+		assert.equal(weightBands.overall['1–2 lb'].count, 1);
+		assert.equal(weightBands.weighedLabels, 5);
+		assert.equal(weightBands.unweighedLabels, 1);
+	});
+
+	it('calculates the cost per pound and share of labels per store and carrier', () => {
+		const weightBands = calculateWeightBandMetrics(labels);
+
+		assert.equal(weightBands.overall['8–16 oz'].totalWeight, 2);
+		assert.equal(weightBands.overall['8–16 oz'].costPerPound, 10);
+		assert.equal(weightBands.overall['8–16 oz'].shareOfLabels, 40);
+		assert.equal(weightBands.byStore.Amazon['8–16 oz'].shareOfLabels, 50);
+		assert.equal(weightBands.byCarrier.USPS['8–16 oz'].averageRate, 8);
+		assert.equal(weightBands.totals.totalRate, 50);
+	});
+});
+
+describe('calculateDestinationMetrics', () => {
+	const orders = [
+		{ Rate: 5, 'Shipping Paid': 5, 'Ship To State': 'ca', 'Ship To Country': 'US', 'Ship To Postal Code': '90210' },
+		{ Rate: 7, 'Shipping Paid': 0, 'Ship To State': 'CA', 'Ship To Country': 'USA', 'Ship To Postal Code': 90001 },
+		{ Rate: 6, 'Shipping Paid': 6, 'Ship To State': 'MA', 'Ship To Postal Code': 2134 },
+		{ Rate: 22, 'Shipping Paid': 20, 'Ship To State': 'ON', 'Ship To Country': 'ca' },
+		{ Rate: 9 },
+		{ Rate: 8, 'Ship To Country': 'US', 'Ship To State': 'NY', Voided: 'Yes' },
+	];
+
+	it('normalizes country names and ZIP codes', () => {
+		assert.equal(normalizeCountry(' United States '), 'US');
+		assert.equal(normalizeCountry('gb'), 'GB');
+		assert.equal(normalizeCountry(undefined), '');
+		assert.equal(extractZip3('02134-1234'), '021');
+		assert.equal(extractZip3(2134), '021');
+		assert.equal(extractZip3('K1A 0B1'), '');
+	});
+
+	it('splits orders into domestic and international and counts the ones without a destination', () => {
+		const destinations = calculateDestinationMetrics(orders);
+
+		assert.equal(destinations.homeCountry, 'US');
+		assert.equal(destinations.domestic.count, 3);
+		assert.equal(destinations.domestic.shareOfOrders, 75);
+		assert.equal(destinations.international.averageRate, 22);
+		assert.equal(destinations.international.shippingProfit, -2);
+		assert.equal(destinations.unknownDestinations, 1);
+		assert.deepEqual(Object.keys(destinations.byState), ['CA', 'MA']);
+		assert.equal(destinations.byState.CA.totalRate, 12);
+		assert.deepEqual(Object.keys(destinations.byCountry), ['CA']);
+		assert.equal(destinations.byZip3, null);
+	});
+
+	it('adds ZIP3 prefixes for US domestic orders only', () => {
+		const { byZip3 } = calculateDestinationMetrics(orders, { zip3: true });
+
+		assert.deepEqual(Object.keys(byZip3).sort(), ['021', '900', '902']);
+		assert.equal(byZip3['021'].count, 1);
+		assert.equal(calculateDestinationMetrics(orders, { zip3: true, homeCountry: 'CA' }).byZip3, null);
+	});
+
+	it('counts orders shipped to another home country, and orders without a country, as domestic', () => {
+		const destinations = calculateDestinationMetrics(orders, { homeCountry: 'ca' });
+
+		assert.equal(destinations.domestic.count, 2);
+		assert.deepEqual(Object.keys(destinations.byState), ['MA', 'ON']);
+		assert.equal(destinations.byCountry.US.count, 2);
+	});
+});
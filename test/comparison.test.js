@@ -0,0 +1,76 @@
+/**
+ * Tests for comparing metrics between two periods
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildComparison } from '../src/metrics/comparison.js';
+import { calculateStoreMetrics, calculateTagMetrics } from '../src/metrics/calculator.js';
+import { parseDateRange } from '../src/utils/dateFilter.js';
+
+/**
+ * Calculates the metrics of a period the way the compare command does
+ * @param {string} label - Period label
+ * @param {Array<Object>} data - Orders in the period
+ * @returns {Object} - Period with label, storeMetrics and tagMetrics
+ */
+function period(label, data) {
+	return { label, storeMetrics: calculateStoreMetrics(data), tagMetrics: calculateTagMetrics(data) };
+}
+
+describe('buildComparison', () => {
+	const base = period('January', [
+		{ Store: 'Amazon', Rate: 5, 'Order Total': 20, 'Shipping Paid': 0, Tags: 'Giveaways' },
+		{ Store: 'Amazon', Rate: 5, 'Order Total': 30, 'Shipping Paid': 0, Tags: '' },
+	]);
+	const current = period('February', [
+		{ Store: 'Amazon', Rate: 6, 'Order Total': 25, 'Shipping Paid': 0, Tags: '' },
+		{ Store: 'Shopify Store', Rate: 4, 'Order Total': 40, 'Shipping Paid': 5, Tags: 'Giveaways, Influencer' },
+	]);
+
+	it('reports absolute and percent changes for the all-stores totals', () => {
+		const comparison = buildComparison(base, current);
+
+		assert.equal(comparison.baseLabel, 'January');
+		assert.equal(comparison.currentLabel, 'February');
+		assert.deepEqual(comparison.totals.metrics.totalOrderValue, {
+			base: 50,
+			current: 65,
+			change: 15,
+			percentChange: 30,
+		});
+		assert.deepEqual(comparison.totals.metrics.count, { base: 2, current: 2, change: 0, percentChange: 0 });
+	});
+
+	it('compares groups found in only one period against zeros', () => {
+		const comparison = buildComparison(base, current);
+
+		assert.deepEqual(Object.keys(comparison.stores), ['Amazon', 'Shopify Store']);
+		assert.equal(comparison.stores.Amazon.metrics.totalRate.percentChange, -40);
+		assert.equal(comparison.stores['Shopify Store'].inBase, false);
+		assert.equal(comparison.stores['Shopify Store'].inCurrent, true);
+		assert.deepEqual(comparison.stores['Shopify Store'].metrics.count, {
+			base: 0,
+			current: 1,
+			change: 1,
+			percentChange: null,
+		});
+		assert.equal(comparison.tags.Influencer.inBase, false);
+		assert.equal(comparison.tags.Giveaways.metrics.averageRate.change, -1);
+	});
+});
+
+describe('parseDateRange', () => {
+	it('parses an MM/DD/YY range into a date filter', () => {
+		const dateFilter = parseDateRange('02/01/25-02/28/25');
+
+		assert.equal(dateFilter.shouldFilter, true);
+		assert.equal(dateFilter.startDate.getTime(), new Date(2025, 1, 1).getTime());
+		assert.equal(dateFilter.endDate.getTime(), new Date(2025, 1, 28).getTime());
+		assert.equal(dateFilter.dateRangeStr, '02/01/25-02/28/25');
+	});
+
+	it('rejects ranges in another format', () => {
+		assert.throws(() => parseDateRange('2025-02-01'), { message: 'Invalid date range format. Use MM/DD/YY-MM/DD/YY' });
+	});
+});
@@ -0,0 +1,155 @@
+/**
+ * Tests for the data quality checks and the rejects file
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { validateData } from '../src/utils/dataValidator.js';
+import { readAndMergeFiles } from '../src/utils/fileMerger.js';
+import { saveRejectsToCSV } from '../src/utils/reportExporter.js';
+
+const HEADER = 'Order #,Order Date,Store,Tracking #,Rate,Order Total,Shipping Paid';
+
+/**
+ * Builds an order that passes every check
+ * @param {Object} fields - Fields to override
+ * @returns {Object} - Order data
+ */
+function order(fields = {}) {
+	return {
+		'Order #': '1001',
+		'Order Date': '02/01/2025',
+		Store: 'Shopify Store',
+		Rate: 4.33,
+		'Order Total': 39.99,
+		'Shipping Paid': 5.99,
+		...fields,
+	};
+}
+
+/**
+ * Gets the counts of every check by id
+ * @param {Object} validation - Validation result
+ * @returns {Object} - Count of flagged rows keyed by check id
+ */
+function countsById(validation) {
+	return Object.fromEntries(validation.checks.map((check) => [check.id, check.count]));
+}
+
+describe('validateData', () => {
+	it('flags each kind of issue on its own row', () => {
+		const validation = validateData([
+			order(),
+			order({ 'Order #': '1002', Store: ' ' }),
+			order({ 'Order #': '1003', Rate: 0 }),
+			order({ 'Order #': '1004', 'Order Date': 'soon' }),
+			order({ 'Order #': '1002' }),
+			order({ 'Order #': '1005', 'Shipping Paid': 50 }),
+		]);
+
+		assert.deepEqual(countsById(validation), {
+			missingStore: 1,
+			nonPositiveRate: 1,
+			unparseableDate: 1,
+			duplicateOrderNumber: 1,
+			shippingPaidExceedsTotal: 1,
+		});
+		assert.equal(validation.totalRows, 6);
+		assert.equal(validation.invalidRows, 5);
+		assert.deepEqual(validation.rejects.map((reject) => reject.sourceRow), [2, 3, 4, 5, 6]);
+		assert.deepEqual(validation.rejects[3].issues, ['duplicateOrderNumber']);
+	});
+
+	it('falls back to the ship date and lists every issue of a row', () => {
+		const validation = validateData([
+			order({ 'Order Date': '', 'Ship Date': '02/03/2025' }),
+			order({ 'Order #': '', Store: '', Rate: -1, 'Order Date': '' }),
+		]);
+
+		assert.equal(validation.invalidRows, 1);
+		assert.deepEqual(validation.rejects[0].issues, ['missingStore', 'nonPositiveRate', 'unparseableDate']);
+	});
+
+	it('marks checks that flag more rows than the allowed share', () => {
+		const data = [order({ Store: '' })];
+		for (let i = 0; i < 9; i++) {
+			data.push(order({ 'Order #': String(2000 + i) }));
+		}
+
+		const strict = validateData(data);
+		const lenient = validateData(data, { maxIssueRate: 10 });
+
+		assert.equal(strict.checks[0].percentOfRows, 10);
+		assert.deepEqual(strict.exceededChecks.map((check) => check.id), ['missingStore']);
+		assert.deepEqual(lenient.exceededChecks, []);
+	});
+});
+
+describe('validation of merged files', () => {
+	let folder;
+
+	before(() => {
+		// The reader logs each file and the fields it finds
+		mock.method(console, 'log', () => {});
+
+		folder = fs.mkdtempSync(path.join(os.tmpdir(), 'shipstation-validate-'));
+		fs.writeFileSync(
+			path.join(folder, 'week1.csv'),
+			[HEADER, '1001,02/01/2025,Shopify Store,9400111,$4.33,$39.99,$5.99'].join('\n')
+		);
+		fs.writeFileSync(
+			path.join(folder, 'week2.csv'),
+			[
+				HEADER,
+				'1002,02/02/2025,Amazon,1Z999,$9.10,$24.00,$0.00',
+				'1003,02/03/2025,,1Z1000,$8.00,$24.00,$0.00',
+			].join('\n')
+		);
+	});
+
+	after(() => {
+		mock.restoreAll();
+		fs.rmSync(folder, { recursive: true, force: true });
+	});
+
+	it('reports the source file and row of each rejected order', async () => {
+		const { data } = await readAndMergeFiles([path.join(folder, 'week1.csv'), path.join(folder, 'week2.csv')]);
+		const validation = validateData(data);
+
+		assert.deepEqual(validation.checks[0].rows, [{ sourceFile: 'week2.csv', sourceRow: 3, orderNumber: 1003 }]);
+		assert.equal(validation.rejects[0].sourceFile, 'week2.csv');
+		assert.equal(validation.rejects[0].sourceRow, 3);
+
+		// The source location isn't an order column
+		assert.equal(Object.keys(data[0]).includes('sourceFile'), false);
+	});
+
+	it('saves rejected rows with their file, row and issues', async () => {
+		const { data } = await readAndMergeFiles([path.join(folder, 'week1.csv'), path.join(folder, 'week2.csv')]);
+		const rejectsPath = path.join(folder, 'rejects.csv');
+
+		await saveRejectsToCSV(validateData(data), rejectsPath);
+
+		const [header, row, ...rest] = fs.readFileSync(rejectsPath, 'utf8').split('\n');
+		assert.equal(
+			header.startsWith('\ufeff"File | 文件","Row | 行","Validation Issues | 验证问题","Order #","Order Date","Store"'),
+			true
+		);
+		assert.equal(row.startsWith('"week2.csv","3","Missing Store | 缺少店铺","1003","02/03/2025",""'), true);
+		assert.deepEqual(rest, []);
+	});
+
+	it('translates the rejected rows header and issues', async () => {
+		const { data } = await readAndMergeFiles([path.join(folder, 'week1.csv'), path.join(folder, 'week2.csv')]);
+		const rejectsPath = path.join(folder, 'rejects-zh.csv');
+
+		await saveRejectsToCSV(validateData(data), rejectsPath, { language: 'zh' });
+
+		const [header, row] = fs.readFileSync(rejectsPath, 'utf8').split('\n');
+		assert.equal(header.startsWith('\ufeff"文件","行","验证问题","Order #"'), true);
+		assert.equal(row.startsWith('"week2.csv","3","缺少店铺","1003"'), true);
+	});
+});
@@ -0,0 +1,144 @@
+/**
+ * Tests for the Excel report and its native charts
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ExcelJS from 'exceljs';
+import JSZip from 'jszip';
+import { saveReportToExcel } from '../src/utils/excelExporter.js';
+import { addChartsToWorkbook, sheetRange } from '../src/utils/excelCharts.js';
+import {
+	calculateStoreMetrics,
+	calculateTagMetrics,
+	calculateCarrierMetrics,
+	calculateStoreCarrierMetrics,
+	calculatePeriodMetrics,
+	calculateStoreTagMetrics,
+} from '../src/metrics/calculator.js';
+
+const ORDERS = [
+	{
+		'Order Date': '02/03/2025',
+		Store: 'Amazon',
+		Carrier: 'USPS',
+		Service: 'Priority Mail',
+		Rate: 5,
+		'Order Total': 20,
+		'Shipping Paid': 0,
+		Tags: 'Giveaways',
+	},
+	{
+		'Order Date': '02/11/2025',
+		Store: 'Shopify Store',
+		Carrier: 'UPS',
+		Service: 'UPS Ground',
+		Rate: 9,
+		'Order Total': 40,
+		'Shipping Paid': 6,
+		Tags: '',
+	},
+];
+
+describe('saveReportToExcel', () => {
+	let folder;
+	let reportPath;
+
+	before(async () => {
+		folder = fs.mkdtempSync(path.join(os.tmpdir(), 'shipstation-excel-'));
+		reportPath = await saveReportToExcel(
+			calculateStoreMetrics(ORDERS),
+			calculateTagMetrics(ORDERS),
+			'Feb 2025.csv',
+			path.join(folder, 'reports', 'report.xlsx'),
+			{
+				carrierMetrics: calculateCarrierMetrics(ORDERS),
+				storeCarrierMetrics: calculateStoreCarrierMetrics(ORDERS),
+				trends: calculatePeriodMetrics(ORDERS, 'week'),
+				storeTagMetrics: calculateStoreTagMetrics(ORDERS),
+			}
+		);
+	});
+
+	after(() => {
+		fs.rmSync(folder, { recursive: true, force: true });
+	});
+
+	it('writes a worksheet for every section that was calculated', async () => {
+		const workbook = new ExcelJS.Workbook();
+		await workbook.xlsx.readFile(reportPath);
+
+		assert.equal(reportPath, path.join(folder, 'reports', 'report.xlsx'));
+		assert.deepEqual(
+			workbook.worksheets.map((worksheet) => worksheet.name),
+			[
+				'Overview | 概述',
+				'Store Metrics | 店铺指标',
+				'Special Orders | 特殊订单',
+				'Charts | 图表',
+				'Tags by Store | 各店铺标签',
+				'Carriers | 承运商',
+				'Trends | 趋势',
+			]
+		);
+	});
+
+	it('calculates totals with formulas that carry their current result', async () => {
+		const workbook = new ExcelJS.Workbook();
+		await workbook.xlsx.readFile(reportPath);
+
+		const formulas = [];
+		workbook.getWorksheet('Store Metrics | 店铺指标').eachRow((row) => {
+			row.eachCell((cell) => {
+				if (cell.formula) {
+					formulas.push(cell);
+				}
+			});
+		});
+
+		assert.ok(formulas.length > 0);
+		assert.ok(formulas.every((cell) => cell.result !== undefined));
+	});
+
+	it('adds native charts linked to the charts worksheet', async () => {
+		const zip = await JSZip.loadAsync(fs.readFileSync(reportPath));
+		const chartFiles = Object.keys(zip.files).filter((name) => /^xl\/charts\/chart\d+\.xml$/.test(name));
+		const contentTypes = await zip.file('[Content_Types].xml').async('string');
+		const firstChart = await zip.file('xl/charts/chart1.xml').async('string');
+
+		assert.equal(chartFiles.length, 3);
+		assert.ok(zip.file('xl/drawings/drawing1.xml'));
+		assert.match(contentTypes, /\/xl\/charts\/chart1\.xml/);
+		assert.match(firstChart, /<c:f>'Charts \| 图表'!\$B\$\d+:\$B\$\d+<\/c:f>/);
+	});
+});
+
+describe('addChartsToWorkbook', () => {
+	it('returns the workbook unchanged without charts', async () => {
+		const buffer = Buffer.from('not a zip');
+
+		assert.equal(await addChartsToWorkbook(buffer, []), buffer);
+	});
+
+	it('rejects charts placed on a missing worksheet', async () => {
+		const workbook = new ExcelJS.Workbook();
+		workbook.addWorksheet('Data');
+		const buffer = await workbook.xlsx.writeBuffer();
+		const chart = {
+			sheetName: 'Charts',
+			title: 'Ship Cost',
+			type: 'col',
+			from: { col: 0, row: 0 },
+			to: { col: 4, row: 10 },
+			categories: { ref: sheetRange('Data', 'A1:A2'), values: ['A', 'B'] },
+			series: [{ name: 'Cost', ref: sheetRange('Data', 'B1:B2'), values: [1, 2] }],
+		};
+
+		await assert.rejects(addChartsToWorkbook(buffer, [chart]), {
+			message: 'Cannot add chart "Ship Cost": worksheet "Charts" not found',
+		});
+	});
+});
@@ -0,0 +1,79 @@
+/**
+ * Tests for merging several export files
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { readAndMergeFiles } from '../src/utils/fileMerger.js';
+
+const HEADER = 'Order #,Order Date,Store,Tracking #,Rate,Order Total,Shipping Paid';
+
+describe('readAndMergeFiles', () => {
+	let folder;
+
+	before(() => {
+		// The reader logs each file and the fields it finds
+		mock.method(console, 'log', () => {});
+
+		folder = fs.mkdtempSync(path.join(os.tmpdir(), 'shipstation-merge-'));
+		fs.writeFileSync(
+			path.join(folder, 'week1.csv'),
+			[
+				HEADER,
+				'1001,02/01/2025,Shopify Store,9400111,$4.33,$39.99,$5.99',
+				'1002,02/02/2025,Amazon,1Z999,$9.10,$24.00,$0.00',
+				',02/02/2025,Amazon,,$3.00,$10.00,$0.00',
+			].join('\n')
+		);
+		fs.writeFileSync(
+			path.join(folder, 'week2.csv'),
+			[
+				HEADER,
+				'1002,02/02/2025,Amazon,1Z999,$9.10,$24.00,$0.00',
+				'1002,02/03/2025,Amazon,1Z1000,$8.00,$24.00,$0.00',
+				',02/02/2025,Amazon,,$3.00,$10.00,$0.00',
+			].join('\n')
+		);
+	});
+
+	after(() => {
+		mock.restoreAll();
+		fs.rmSync(folder, { recursive: true, force: true });
+	});
+
+	it('keeps the first occurrence of an order and counts duplicates against their file', async () => {
+		const { data, sources, totalDuplicates } = await readAndMergeFiles([
+			path.join(folder, 'week1.csv'),
+			path.join(folder, 'week2.csv'),
+		]);
+
+		assert.equal(totalDuplicates, 1);
+		assert.deepEqual(
+			sources.map(({ fileName, records, duplicates, included }) => ({ fileName, records, duplicates, included })),
+			[
+				{ fileName: 'week1.csv', records: 3, duplicates: 0, included: 3 },
+				{ fileName: 'week2.csv', records: 3, duplicates: 1, included: 2 },
+			]
+		);
+		assert.equal(data.length, 5);
+	});
+
+	it('keeps a second shipment of the same order and rows without an order # or tracking #', async () => {
+		const { data } = await readAndMergeFiles([path.join(folder, 'week1.csv'), path.join(folder, 'week2.csv')]);
+
+		assert.deepEqual(
+			data.map((order) => `${order['Order #']}|${order['Tracking #']}`),
+			['1001|9400111', '1002|1Z999', '|', '1002|1Z1000', '|']
+		);
+	});
+
+	it('reads a folder in alphabetical order and a file passed twice only once', async () => {
+		const { sources, totalDuplicates } = await readAndMergeFiles([folder, path.join(folder, 'week1.csv')]);
+
+		assert.deepEqual(sources.map(({ fileName }) => fileName), ['week1.csv', 'week2.csv']);
+		assert.equal(totalDuplicates, 1);
+	});
+});
@@ -0,0 +1,97 @@
+/**
+ * Tests for reading CSV and Excel exports
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as XLSX from 'xlsx';
+import { readCSVFile } from '../src/utils/fileReader.js';
+
+const HEADER = ['Order #', 'Order Date', 'Store', 'Rate', 'Order Total', 'Shipping Paid', 'Tags'];
+
+describe('readCSVFile', () => {
+	let folder;
+
+	before(() => {
+		// The reader logs the fields it finds while reading
+		mock.method(console, 'log', () => {});
+
+		folder = fs.mkdtempSync(path.join(os.tmpdir(), 'shipstation-reader-'));
+		fs.writeFileSync(
+			path.join(folder, 'orders.csv'),
+			[HEADER.join(','), '1001,02/01/2025,Shopify Store,$4.33,$39.99,$5.99,Giveaways'].join('\n')
+		);
+
+		const workbook = XLSX.utils.book_new();
+		const summarySheet = XLSX.utils.aoa_to_sheet([['Summary'], ['Exported by ShipStation']]);
+		const ordersSheet = XLSX.utils.aoa_to_sheet([HEADER, ['1002', new Date(2025, 1, 3), 'Amazon', 9.1, 24, 0, '']], {
+			cellDates: true,
+			dateNF: 'mm/dd/yyyy',
+		});
+		XLSX.utils.book_append_sheet(workbook, summarySheet, 'Summary');
+		XLSX.utils.book_append_sheet(workbook, ordersSheet, 'Orders');
+		XLSX.writeFile(workbook, path.join(folder, 'orders.xlsx'));
+		fs.writeFileSync(path.join(folder, 'orders.txt'), HEADER.join(','));
+	});
+
+	after(() => {
+		mock.restoreAll();
+		fs.rmSync(folder, { recursive: true, force: true });
+	});
+
+	it('reads CSV rows with currency columns as numbers', async () => {
+		const [order] = await readCSVFile(path.join(folder, 'orders.csv'));
+
+		assert.equal(order['Order #'], 1001);
+		assert.equal(order.Store, 'Shopify Store');
+		assert.equal(order.Rate, 4.33);
+		assert.equal(order['Order Total'], 39.99);
+		assert.equal(order['Shipping Paid'], 5.99);
+		assert.equal(order.Tags, 'Giveaways');
+	});
+
+	it('reads a worksheet by name, 1-based index or name in any case', async () => {
+		for (const sheet of ['Orders', 2, '2', 'orders']) {
+			const [order] = await readCSVFile(path.join(folder, 'orders.xlsx'), { sheet });
+
+			assert.equal(order['Order #'], 1002, `sheet ${sheet}`);
+			assert.equal(order.Store, 'Amazon');
+			assert.equal(order.Rate, 9.1);
+			assert.equal(order['Order Date'], '02/03/2025');
+		}
+	});
+
+	it('reads the first worksheet by default', async () => {
+		const rows = await readCSVFile(path.join(folder, 'orders.xlsx'));
+
+		assert.deepEqual(Object.keys(rows[0]), ['Summary']);
+	});
+
+	it('lists the available worksheets when the requested one is missing', async () => {
+		await assert.rejects(readCSVFile(path.join(folder, 'orders.xlsx'), { sheet: 'Labels' }), {
+			message: 'Worksheet "Labels" not found. Available sheets: Summary, Orders',
+		});
+		await assert.rejects(readCSVFile(path.join(folder, 'orders.xlsx'), { sheet: 3 }), /Worksheet "3" not found/);
+	});
+
+	it('reads the label flag columns as label status fields, not as tag fields', async () => {
+		const labelsPath = path.join(folder, 'labels.csv');
+		fs.writeFileSync(labelsPath, 'Order #,Rate,Return Label,Voided,Tags\n1003,$7.50,Yes,No,\n');
+		const output = [];
+		const logger = { log: (...args) => output.push(args.join(' ')), warn: () => {} };
+
+		const [order] = await readCSVFile(labelsPath, { logger });
+		const tagFields = output.slice(output.findIndex((line) => line.includes('Tag Fields')) + 1);
+
+		assert.equal(order['Return Label'], 'Yes');
+		assert.match(tagFields[0], /- Tags: /);
+		assert.ok(!output.some((line) => line.includes('- Return Label')));
+	});
+
+	it('rejects files that are not CSV or Excel', async () => {
+		await assert.rejects(readCSVFile(path.join(folder, 'orders.txt')), { message: 'File must be a CSV or Excel file' });
+	});
+});
@@ -0,0 +1,79 @@
+/**
+ * Tests for the carrier invoice reader
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { readInvoiceFile } from '../src/utils/invoiceReader.js';
+import { readCSVFile } from '../src/utils/fileReader.js';
+
+describe('readInvoiceFile', () => {
+	let folder;
+
+	before(() => {
+		folder = fs.mkdtempSync(path.join(os.tmpdir(), 'shipstation-invoice-'));
+		mock.method(console, 'log', () => {});
+	});
+
+	after(() => {
+		mock.restoreAll();
+		fs.rmSync(folder, { recursive: true, force: true });
+	});
+
+	it('recognizes the usual carrier columns and reads credits in parentheses', async () => {
+		const invoicePath = path.join(folder, 'ups.csv');
+		fs.writeFileSync(
+			invoicePath,
+			[
+				'Lead Shipment Number,Net Amount,Carrier Name,Charge Type',
+				'1Z999AA10123,"$1,234.50",UPS,Transportation',
+				',(2.10),UPS,Account credit',
+			].join('\n')
+		);
+
+		const invoiceLines = await readInvoiceFile(invoicePath);
+
+		assert.deepEqual(invoiceLines, [
+			{
+				rowNumber: 2,
+				trackingNumber: '1Z999AA10123',
+				billedAmount: 1234.5,
+				carrier: 'UPS',
+				chargeDescription: 'Transportation',
+			},
+			{ rowNumber: 3, trackingNumber: '', billedAmount: -2.1, carrier: 'UPS', chargeDescription: 'Account credit' },
+		]);
+	});
+
+	it('reads columns pinned by a mapping profile', async () => {
+		const invoicePath = path.join(folder, 'fedex.csv');
+		fs.writeFileSync(invoicePath, 'Shipment ID,Charged\n7712,9.15\n');
+
+		const invoiceLines = await readInvoiceFile(invoicePath, {
+			mappingProfile: { fields: { 'Tracking #': 'Shipment ID', 'Billed Amount': 'Charged' } },
+		});
+
+		assert.equal(invoiceLines[0].trackingNumber, '7712');
+		assert.equal(invoiceLines[0].billedAmount, 9.15);
+	});
+
+	it('rejects an invoice without a billed amount column', async () => {
+		const invoicePath = path.join(folder, 'usps.csv');
+		fs.writeFileSync(invoicePath, 'Tracking Number,Weight\n9400111,12\n');
+
+		await assert.rejects(readInvoiceFile(invoicePath), /No "Billed Amount" column found in invoice/);
+	});
+
+	it('keeps every digit of numeric tracking numbers in orders', async () => {
+		const ordersPath = path.join(folder, 'orders.csv');
+		fs.writeFileSync(ordersPath, 'Order #,Tracking #,Rate\n1001,9400111899223100000000,$4.33\n');
+
+		const [order] = await readCSVFile(ordersPath);
+
+		assert.equal(order['Tracking #'], '9400111899223100000000');
+		assert.equal(order.Rate, 4.33);
+	});
+});
@@ -0,0 +1,315 @@
+/**
+ * Tests for the versioned JSON and NDJSON reports
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+	buildJSONReport,
+	buildNDJSONRecords,
+	writeJSONReport,
+	REPORT_SCHEMA,
+	REPORT_SCHEMA_VERSION,
+} from '../src/utils/jsonExporter.js';
+import {
+	calculateStoreMetrics,
+	calculateTagMetrics,
+	calculateCarrierMetrics,
+	calculateStoreCarrierMetrics,
+	calculatePeriodMetrics,
+	calculateWeightBandMetrics,
+	calculateDestinationMetrics,
+} from '../src/metrics/calculator.js';
+import { detectAnomalies } from '../src/metrics/anomalies.js';
+import { validateData } from '../src/utils/dataValidator.js';
+
+const ORDERS = [
+	{
+		'Order #': '1001',
+		'Order Date': '02/03/2025',
+		Store: 'Amazon',
+		Carrier: 'USPS',
+		Service: 'USPS Ground Advantage',
+		Rate: 5,
+		'Order Total': 20,
+		'Shipping Paid': 0,
+		Weight: 6,
+		'Ship To State': 'TX',
+		'Ship To Country': 'US',
+		Tags: 'Giveaways',
+	},
+	{
+		'Order #': '1002',
+		'Order Date': '02/04/2025',
+		Store: 'Shopify Store',
+		Carrier: 'UPS',
+		Service: 'UPS Ground',
+		Rate: 9,
+		'Order Total': 40,
+		'Shipping Paid': 6,
+		Weight: 2,
+		'Weight Unit': 'lb',
+		'Ship To State': 'NY',
+		'Ship To Country': 'US',
+		Tags: '',
+	},
+	{
+		'Order #': '1003',
+		'Order Date': '02/11/2025',
+		Store: 'Shopify Store',
+		Carrier: 'USPS',
+		Service: 'Priority Mail',
+		Rate: 8,
+		'Order Total': 30,
+		'Shipping Paid': 19,
+		'Ship To State': 'TX',
+		'Ship To Postal Code': '73301',
+		Tags: 'Giveaways, Influencer',
+	},
+];
+
+/**
+ * Builds a report from the test orders with every optional section
+ * @returns {Object} - Report from buildJSONReport
+ */
+function buildReport() {
+	return buildJSONReport({
+		storeMetrics: calculateStoreMetrics(ORDERS),
+		tagMetrics: calculateTagMetrics(ORDERS),
+		dateFilter: {
+			startDate: new Date(2025, 1, 1),
+			endDate: new Date(2025, 1, 28),
+			periodName: 'Feb 1-Feb 28, 2025',
+			shouldFilter: true,
+		},
+		sources: [{ file: '/exports/feb.csv', fileName: 'feb.csv', records: 4, duplicates: 1, included: 3 }],
+		validation: validateData(ORDERS),
+		carrierMetrics: calculateCarrierMetrics(ORDERS),
+		storeCarrierMetrics: calculateStoreCarrierMetrics(ORDERS),
+		weightBandMetrics: calculateWeightBandMetrics(ORDERS),
+		destinationMetrics: calculateDestinationMetrics(ORDERS, { zip3: true }),
+		anomalyMetrics: detectAnomalies(ORDERS),
+		trends: calculatePeriodMetrics(ORDERS, 'week'),
+	});
+}
+
+describe('buildJSONReport', () => {
+	it('identifies the schema and its version', () => {
+		const report = buildReport();
+
+		assert.equal(report.schema, REPORT_SCHEMA);
+		assert.equal(report.schemaVersion, REPORT_SCHEMA_VERSION);
+		assert.equal(REPORT_SCHEMA_VERSION, 3);
+		assert.deepEqual(report.period, {
+			name: 'Feb 1-Feb 28, 2025',
+			startDate: '2025-02-01',
+			endDate: '2025-02-28',
+			filtered: true,
+		});
+	});
+
+	it('keeps the documented top-level fields in order', () => {
+		assert.deepEqual(Object.keys(buildReport()), [
+			'schema',
+			'schemaVersion',
+			'generatedAt',
+			'period',
+			'sources',
+			'validation',
+			'totals',
+			'stores',
+			'tags',
+			'carriers',
+			'storeCarriers',
+			'weightBands',
+			'destinations',
+			'anomalies',
+			'trends',
+		]);
+	});
+
+	it('lists stores busiest first, tags alphabetically and carriers by spend', () => {
+		const report = buildReport();
+
+		assert.deepEqual(
+			report.stores.map(({ store, count }) => [store, count]),
+			[
+				['Shopify Store', 2],
+				['Amazon', 1],
+			]
+		);
+		assert.deepEqual(
+			report.tags.map(({ tag, percentOfAllOrders }) => [tag, percentOfAllOrders]),
+			[
+				['Giveaways', 66.67],
+				['Influencer', 33.33],
+			]
+		);
+		assert.deepEqual(report.carriers.map(({ carrier }) => carrier), ['USPS', 'UPS']);
+		assert.deepEqual(report.carriers[0].services.map(({ service }) => service), [
+			'Priority Mail',
+			'USPS Ground Advantage',
+		]);
+		assert.equal(report.totals.count, 3);
+	});
+
+	it('lists every weight band in weight order and the bands each store and carrier shipped in', () => {
+		const { weightBands } = buildReport();
+
+		assert.equal(weightBands.weighedLabels, 2);
+		assert.equal(weightBands.unweighedLabels, 1);
+		assert.deepEqual(weightBands.bands[1], {
+			band: '4–8 oz',
+			minOunces: 4,
+			maxOunces: 8,
+			count: 1,
+			totalRate: 5,
+			averageRate: 5,
+			totalWeight: 0.38,
+			costPerPound: 13.33,
+			shareOfLabels: 50,
+		});
+		assert.deepEqual(
+			weightBands.stores.map(({ store, band }) => `${store} ${band}`),
+			['Amazon 4–8 oz', 'Shopify Store 1–2 lb']
+		);
+	});
+
+	it('lists states, countries and ZIP3 prefixes with the most orders first', () => {
+		const { destinations } = buildReport();
+
+		assert.equal(destinations.homeCountry, 'US');
+		assert.equal(destinations.domestic.count, 3);
+		assert.deepEqual(
+			destinations.states.map(({ state, count }) => [state, count]),
+			[
+				['TX', 2],
+				['NY', 1],
+			]
+		);
+		assert.deepEqual(destinations.countries, []);
+		assert.deepEqual(destinations.zip3.map(({ zip3 }) => zip3), ['733']);
+	});
+
+	it('lists the orders to review by rank', () => {
+		const { anomalies } = buildReport();
+
+		assert.equal(anomalies.labels, 3);
+		assert.equal(anomalies.overchargeFactor, 2);
+		assert.deepEqual(
+			anomalies.orders.map(({ rank, reason, orderNumber, excess, orderDate }) => [
+				rank,
+				reason,
+				orderNumber,
+				excess,
+				orderDate,
+			]),
+			[[1, 'overcharge', '1003', 11, '2025-02-11']]
+		);
+	});
+
+	it('summarizes validation checks without the flagged rows', () => {
+		const { validation } = buildReport();
+
+		assert.equal(validation.totalRows, 3);
+		assert.deepEqual(Object.keys(validation.checks[0]), ['id', 'label', 'count', 'percentOfRows', 'thresholdExceeded']);
+	});
+
+	it('labels validation checks and trend buckets in the report language', () => {
+		const report = buildJSONReport({
+			storeMetrics: calculateStoreMetrics(ORDERS),
+			tagMetrics: calculateTagMetrics(ORDERS),
+			dateFilter: { periodName: 'All data' },
+			validation: validateData(ORDERS),
+			trends: calculatePeriodMetrics(ORDERS, 'week'),
+			language: 'zh',
+		});
+
+		assert.equal(buildReport().validation.checks[0].label, 'Missing Store | 缺少店铺');
+		assert.equal(report.validation.checks[0].label, '缺少店铺');
+		assert.equal(buildReport().trends.buckets[0].label, 'Week of 02/03/2025');
+		assert.equal(report.trends.buckets[0].label, '2025/02/03 当周');
+	});
+
+	it('leaves optional sections null when they were not calculated', () => {
+		const report = buildJSONReport({
+			storeMetrics: calculateStoreMetrics(ORDERS),
+			tagMetrics: calculateTagMetrics(ORDERS),
+			dateFilter: { periodName: 'All data' },
+		});
+
+		assert.equal(report.validation, null);
+		assert.equal(report.carriers, null);
+		assert.equal(report.weightBands, null);
+		assert.equal(report.destinations, null);
+		assert.equal(report.anomalies, null);
+		assert.equal(report.trends, null);
+		assert.deepEqual(report.sources, []);
+		assert.equal(report.period.startDate, null);
+	});
+});
+
+describe('buildNDJSONRecords', () => {
+	it('writes a header record followed by one record per row type', () => {
+		const records = buildNDJSONRecords(buildReport());
+		const types = records.map((record) => record.type);
+
+		assert.equal(types[0], 'report');
+		assert.equal(types.filter((type) => type === 'store').length, 2);
+		assert.equal(types.filter((type) => type === 'tag').length, 2);
+		assert.equal(types.filter((type) => type === 'carrier').length, 2);
+		assert.equal(types.filter((type) => type === 'service').length, 3);
+
+		// Seven default bands overall, then the one band each store and carrier shipped in
+		assert.equal(types.filter((type) => type === 'weightBand').length, 11);
+
+		// Domestic and international, then two states and one ZIP3 prefix
+		assert.equal(types.filter((type) => type === 'anomaly').length, 1);
+		const destinations = records.filter((record) => record.type === 'destination');
+		assert.deepEqual(
+			destinations.map(({ scope, destination }) => `${scope} ${destination}`),
+			['domestic US', 'international null', 'state TX', 'state NY', 'zip3 733']
+		);
+
+		// One all-stores row and one row per store for each of the two weeks
+		const periods = records.filter((record) => record.type === 'period');
+		assert.deepEqual(
+			periods.map(({ key, store }) => `${key} ${store}`),
+			[
+				'2025-02-03 null',
+				'2025-02-03 Amazon',
+				'2025-02-03 Shopify Store',
+				'2025-02-10 null',
+				'2025-02-10 Shopify Store',
+			]
+		);
+		assert.ok(records.every((record) => record.schemaVersion === REPORT_SCHEMA_VERSION));
+	});
+});
+
+describe('writeJSONReport', () => {
+	let folder;
+
+	before(() => {
+		folder = fs.mkdtempSync(path.join(os.tmpdir(), 'shipstation-json-'));
+	});
+
+	after(() => {
+		fs.rmSync(folder, { recursive: true, force: true });
+	});
+
+	it('writes JSON or one NDJSON record per line', async () => {
+		const report = buildReport();
+		const jsonPath = await writeJSONReport(report, 'json', path.join(folder, 'out', 'report.json'));
+		const ndjsonPath = await writeJSONReport(report, 'ndjson', path.join(folder, 'report.ndjson'));
+
+		assert.deepEqual(JSON.parse(fs.readFileSync(jsonPath, 'utf8')), report);
+
+		const lines = fs.readFileSync(ndjsonPath, 'utf8').trimEnd().split('\n');
+		assert.equal(lines.length, buildNDJSONRecords(report).length);
+		assert.equal(JSON.parse(lines[1]).type, 'store');
+	});
+});
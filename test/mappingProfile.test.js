@@ -0,0 +1,94 @@
+/**
+ * Tests for column mapping profiles
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import yaml from 'js-yaml';
+import { loadMappingProfile, saveMappingProfile } from '../src/utils/mappingProfile.js';
+import { readCSVFile } from '../src/utils/fileReader.js';
+
+describe('mapping profiles', () => {
+	let folder;
+
+	before(() => {
+		// The reader logs the fields it finds and the profile it applies
+		mock.method(console, 'log', () => {});
+
+		folder = fs.mkdtempSync(path.join(os.tmpdir(), 'shipstation-profile-'));
+		fs.writeFileSync(
+			path.join(folder, 'warehouse.json'),
+			JSON.stringify({ name: 'Warehouse export', fields: { ' Rate ': ' Label Cost ', Tags: '', Store: null } })
+		);
+		fs.writeFileSync(path.join(folder, 'marketplace.yaml'), 'fields:\n  Order Total: Amount Charged\n');
+		fs.writeFileSync(path.join(folder, 'broken.json'), '{ "fields": ');
+		fs.writeFileSync(path.join(folder, 'no-fields.json'), JSON.stringify({ name: 'Empty' }));
+		fs.writeFileSync(path.join(folder, 'numeric.json'), JSON.stringify({ fields: { Rate: 4 } }));
+		fs.writeFileSync(
+			path.join(folder, 'orders.csv'),
+			[
+				'Order #,Order Date,Store,Rate,Label Cost,Amount Charged,Shipping Paid',
+				'1001,02/01/2025,Shopify Store,$1.00,$4.33,$39.99,$5.99',
+			].join('\n')
+		);
+	});
+
+	after(() => {
+		mock.restoreAll();
+		fs.rmSync(folder, { recursive: true, force: true });
+	});
+
+	it('loads a JSON profile, trimming entries and skipping empty ones', async () => {
+		const profile = await loadMappingProfile(path.join(folder, 'warehouse.json'));
+
+		assert.equal(profile.name, 'Warehouse export');
+		assert.deepEqual(profile.fields, { Rate: 'Label Cost' });
+		assert.equal(profile.filePath, path.join(folder, 'warehouse.json'));
+	});
+
+	it('loads a YAML profile and names it after the file when it has no name', async () => {
+		const profile = await loadMappingProfile(path.join(folder, 'marketplace.yaml'));
+
+		assert.equal(profile.name, 'marketplace');
+		assert.deepEqual(profile.fields, { 'Order Total': 'Amount Charged' });
+	});
+
+	it('reports missing, unparseable and invalid profiles', async () => {
+		await assert.rejects(loadMappingProfile(path.join(folder, 'missing.json')), {
+			message: `Mapping profile not found: ${path.join(folder, 'missing.json')}`,
+		});
+		await assert.rejects(loadMappingProfile(path.join(folder, 'broken.json')), /^Error: Failed to parse mapping profile/);
+		await assert.rejects(loadMappingProfile(path.join(folder, 'no-fields.json')), {
+			message: `Invalid mapping profile ${path.join(folder, 'no-fields.json')}: expected a "fields" object`,
+		});
+		await assert.rejects(loadMappingProfile(path.join(folder, 'numeric.json')), /column for "Rate" must be a string/);
+	});
+
+	it('saves profiles as tab-indented JSON or YAML by extension', async () => {
+		const profile = { name: 'Saved', fields: { Rate: 'Label Cost' }, filePath: 'ignored' };
+		const jsonPath = path.join(folder, 'saved', 'profile.json');
+		const yamlPath = path.join(folder, 'saved', 'profile.yml');
+
+		await saveMappingProfile(profile, jsonPath);
+		await saveMappingProfile(profile, yamlPath);
+
+		assert.equal(fs.readFileSync(jsonPath, 'utf8'), '{\n\t"name": "Saved",\n\t"fields": {\n\t\t"Rate": "Label Cost"\n\t}\n}\n');
+		assert.deepEqual(yaml.load(fs.readFileSync(yamlPath, 'utf8')), { name: 'Saved', fields: { Rate: 'Label Cost' } });
+		assert.deepEqual((await loadMappingProfile(yamlPath)).fields, profile.fields);
+	});
+
+	it('reads pinned columns in place of the built-in variations', async () => {
+		const mappingProfile = {
+			name: 'Warehouse export',
+			fields: { Rate: 'label cost', 'Order Total': 'Amount Charged' },
+		};
+		const [order] = await readCSVFile(path.join(folder, 'orders.csv'), { mappingProfile });
+
+		assert.equal(order.Rate, 4.33);
+		assert.equal(order['Order Total'], 39.99);
+		assert.equal(order['Shipping Paid'], 5.99);
+	});
+});
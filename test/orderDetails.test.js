@@ -0,0 +1,110 @@
+/**
+ * Tests for the order-level detail rows, CSV sidecar and Excel sheet
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ExcelJS from 'exceljs';
+import { calculateOrderDetails, calculateStoreMetrics, calculateTagMetrics } from '../src/metrics/calculator.js';
+import { saveOrderDetailsToCSV, getOrderDetailsPath } from '../src/utils/reportExporter.js';
+import { saveReportToExcel } from '../src/utils/excelExporter.js';
+
+const ORDERS = [
+	{
+		'Order #': 1001,
+		'Order Date': '02/03/2025',
+		Store: 'Amazon',
+		Carrier: 'USPS',
+		Service: 'Priority Mail',
+		'Tracking #': '9400100000000000000001',
+		Rate: '$5.25',
+		'Order Total': '$20.00',
+		'Shipping Paid': '$7.00',
+		Tags: 'Giveaways, Influencer',
+	},
+	{
+		'Order #': 1002,
+		'Order Date': '',
+		Store: '',
+		Carrier: 'UPS',
+		Rate: 9,
+		'Order Total': 40,
+		Tags: '',
+	},
+];
+
+describe('calculateOrderDetails', () => {
+	it('builds one row per order with the standardized fields', () => {
+		const [first, second] = calculateOrderDetails(ORDERS);
+
+		assert.equal(first.orderNumber, 1001);
+		assert.equal(first.orderDate.getTime(), new Date(2025, 1, 3).getTime());
+		assert.equal(first.trackingNumber, '9400100000000000000001');
+		assert.equal(first.shippingCost, 5.25);
+		assert.equal(first.shippingProfit, 1.75);
+		assert.deepEqual(first.tags, ['Giveaways', 'Influencer']);
+
+		assert.equal(second.orderDate, null);
+		assert.equal(second.store, 'Unknown');
+		assert.equal(second.service, 'Unknown');
+		assert.equal(second.shippingPaid, 0);
+		assert.equal(second.shippingProfit, -9);
+		assert.deepEqual(second.tags, []);
+	});
+});
+
+describe('order detail exports', () => {
+	let folder;
+
+	before(() => {
+		folder = fs.mkdtempSync(path.join(os.tmpdir(), 'shipstation-orders-'));
+	});
+
+	after(() => {
+		fs.rmSync(folder, { recursive: true, force: true });
+	});
+
+	it('names the CSV after the saved report', () => {
+		assert.equal(getOrderDetailsPath('/reports/Feb 2025.xlsx'), '/reports/Feb 2025_Orders.csv');
+		assert.equal(getOrderDetailsPath('/reports/report'), '/reports/report_Orders.csv');
+	});
+
+	it('saves one CSV line per order after the header', async () => {
+		const csvPath = await saveOrderDetailsToCSV(
+			calculateOrderDetails(ORDERS),
+			path.join(folder, 'out', 'report_Orders.csv')
+		);
+		const lines = fs.readFileSync(csvPath, 'utf8').split('\n');
+
+		assert.equal(lines.length, 3);
+		assert.ok(lines[0].startsWith('\ufeff"Order # | 订单号","Order Date | 订单日期",'));
+		assert.equal(
+			lines[1],
+			'"1001","2025-02-03","Amazon","USPS","Priority Mail","9400100000000000000001","20.00","7.00","5.25","1.75",' +
+				'"Giveaways, Influencer"'
+		);
+		assert.equal(lines[2], '"1002","","Unknown","UPS","Unknown","","40.00","0.00","9.00","-9.00",""');
+	});
+
+	it('adds an Orders sheet to the Excel report with a profit formula', async () => {
+		const reportPath = await saveReportToExcel(
+			calculateStoreMetrics(ORDERS),
+			calculateTagMetrics(ORDERS),
+			'Feb 2025.csv',
+			path.join(folder, 'report.xlsx'),
+			{ orderDetails: calculateOrderDetails(ORDERS) }
+		);
+		const workbook = new ExcelJS.Workbook();
+		await workbook.xlsx.readFile(reportPath);
+		const worksheet = workbook.getWorksheet('Orders | 订单明细');
+
+		assert.ok(worksheet);
+		assert.equal(worksheet.rowCount, 3);
+		assert.equal(worksheet.getCell('A2').value, 1001);
+		assert.deepEqual(worksheet.getCell('J2').value, { formula: 'H2-I2', result: 1.75 });
+		assert.equal(worksheet.getCell('K2').value, 'Giveaways, Influencer');
+	});
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for carrier invoice reconciliation
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeTrackingNumber, reconcileInvoice, buildReconciliationRows } from '../src/metrics/reconciliation.js';
+
+/**
+ * Builds an invoice line as read by readInvoiceFile
+ * @param {string} trackingNumber - Tracking number as billed
+ * @param {number} billedAmount - Amount billed
+ * @param {string} chargeDescription - Charge description (optional)
+ * @returns {Object} - Invoice line
+ */
+function createInvoiceLine(trackingNumber, billedAmount, chargeDescription = 'Transportation') {
+	return { trackingNumber, billedAmount, carrier: 'UPS', chargeDescription };
+}
+
+describe('normalizeTrackingNumber', () => {
+	it('removes spaces and upper-cases the tracking number', () => {
+		assert.equal(normalizeTrackingNumber(' 1z 999 aa1 0123 '), '1Z999AA10123');
+		assert.equal(normalizeTrackingNumber(9400111), '9400111');
+	});
+
+	it('returns an empty string without a tracking number', () => {
+		assert.equal(normalizeTrackingNumber(undefined), '');
+		assert.equal(normalizeTrackingNumber(null), '');
+		assert.equal(normalizeTrackingNumber('  '), '');
+	});
+});
+
+describe('reconcileInvoice', () => {
+	it('matches labels whatever the case and spacing of their tracking numbers', () => {
+		const data = [
+			{ 'Order #': '1001', Store: 'Shopify Store', Carrier: 'UPS', 'Tracking #': '1z999aa1 0123', Rate: '9.10' },
+		];
+		const invoiceLines = [
+			createInvoiceLine('1Z999AA10123', 9.1),
+			createInvoiceLine('1Z 999 AA1 0123', 2.35, 'Additional Handling'),
+		];
+
+		const reconciliation = reconcileInvoice(data, invoiceLines);
+
+		assert.equal(reconciliation.matched.length, 1);
+		assert.deepEqual(reconciliation.matched[0].charges, ['Transportation', 'Additional Handling']);
+		assert.equal(reconciliation.matched[0].trackingNumber, '1z999aa1 0123');
+		assert.equal(reconciliation.totals.billed, 11.45);
+		assert.equal(reconciliation.totals.difference, 2.35);
+		assert.equal(reconciliation.totals.adjustedLabels, 1);
+		assert.equal(reconciliation.unmatchedInvoiceLabels.length, 0);
+	});
+
+	it('lists labels found on only one side and rows without a tracking number', () => {
+		const data = [
+			{ 'Order #': '1001', Store: 'Shopify Store', 'Tracking #': '9400111', Rate: '4.33' },
+			{ 'Order #': '1002', Store: 'Shopify Store', Rate: '4.33' },
+		];
+		const invoiceLines = [createInvoiceLine('1Z02', 12.21), createInvoiceLine('', -5, 'Account credit')];
+
+		const reconciliation = reconcileInvoice(data, invoiceLines);
+
+		assert.deepEqual(reconciliation.unmatchedLabels.map(({ trackingNumber }) => trackingNumber), ['9400111']);
+		assert.deepEqual(reconciliation.unmatchedInvoiceLabels.map(({ trackingNumber }) => trackingNumber), ['1Z02']);
+		assert.equal(reconciliation.ordersWithoutTracking, 1);
+		assert.deepEqual(reconciliation.untrackedCharges, { lines: 1, billed: -5 });
+	});
+
+	it('lists matched labels, then labels missing from the invoice, then labels missing from ShipStation', () => {
+		const data = [
+			{ 'Order #': '1001', Store: 'Shopify Store', 'Tracking #': '1Z01', Rate: '9.10' },
+			{ 'Order #': '1002', Store: 'Shopify Store', 'Tracking #': '1Z02', Rate: '8.00' },
+			{ 'Order #': '1003', Store: 'Amazon', 'Tracking #': '1Z03', Rate: '7.00' },
+		];
+		const invoiceLines = [createInvoiceLine('1Z04', 6), createInvoiceLine('1Z02', 8), createInvoiceLine('1Z01', 9.6)];
+
+		const rows = buildReconciliationRows(reconcileInvoice(data, invoiceLines));
+
+		assert.deepEqual(
+			rows.map(({ status, trackingNumber }) => `${status} ${trackingNumber}`),
+			['adjusted 1Z01', 'matched 1Z02', 'notBilled 1Z03', 'notInShipStation 1Z04']
+		);
+		assert.equal(rows[2].billed, null);
+		assert.equal(rows[3].quoted, null);
+	});
+	it('skips voided labels and reconciles return and refunded labels apart', () => {
+		const data = [
+			{ 'Order #': '2001', Store: 'Shopify Store', 'Tracking #': '9401', Rate: '5.00' },
+			{ 'Order #': '2002', Store: 'Shopify Store', 'Tracking #': '9402', Rate: '6.00', Voided: 'Yes' },
+			{ 'Order #': '2003', Store: 'Shopify Store', 'Tracking #': '9403', Rate: '7.50', 'Return Label': 'Yes' },
+			{ 'Order #': '2004', Store: 'Shopify Store', 'Tracking #': '9404', Rate: '9.00', Refunded: 'Approved' },
+		];
+		const invoiceLines = [
+			createInvoiceLine('9401', 5),
+			createInvoiceLine('9402', 6),
+			createInvoiceLine('9403', 8.1),
+		];
+
+		const reconciliation = reconcileInvoice(data, invoiceLines);
+
+		assert.equal(reconciliation.totals.labels, 1);
+		assert.equal(reconciliation.totals.billed, 5);
+		assert.equal(reconciliation.voidedLabels, 1);
+		assert.deepEqual(reconciliation.billedVoidedLabels.map(({ trackingNumber }) => trackingNumber), ['9402']);
+		assert.equal(reconciliation.returns.labels, 1);
+		assert.equal(reconciliation.returns.difference, 0.6);
+		assert.equal(reconciliation.refunds.labels, 0);
+		assert.equal(reconciliation.refundedLabels[0].billed, null);
+		assert.equal(reconciliation.unmatchedLabels.length, 0);
+		assert.equal(reconciliation.unmatchedInvoiceLabels.length, 0);
+		assert.deepEqual(
+			buildReconciliationRows(reconciliation).map(({ status, trackingNumber }) => `${status} ${trackingNumber}`),
+			['matched 9401', 'return 9403', 'refund 9404', 'billedVoided 9402']
+		);
+	});
+});
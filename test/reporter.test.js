@@ -0,0 +1,189 @@
+/**
+ * Tests for the console reports
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	displayStoreMetrics,
+	displayTagMetrics,
+	displaySourceSummary,
+	displayValidationReport,
+	displayCarrierMetrics,
+	displayWeightBandMetrics,
+	displayDestinationMetrics,
+	displayDistributionMetrics,
+	displayAnomalies,
+	displayTrendMetrics,
+} from '../src/display/reporter.js';
+import {
+	calculateStoreMetrics,
+	calculateTagMetrics,
+	calculateCarrierMetrics,
+	calculateStoreCarrierMetrics,
+	calculatePeriodMetrics,
+	calculateWeightBandMetrics,
+	calculateDestinationMetrics,
+} from '../src/metrics/calculator.js';
+import { detectAnomalies } from '../src/metrics/anomalies.js';
+import { validateData } from '../src/utils/dataValidator.js';
+
+// Orders with long store, tag, carrier and service names that compact tables have to shorten
+const ORDERS = [
+	{
+		'Order #': '1001',
+		'Order Date': '02/01/2025',
+		Store: 'Shopify Store With A Very Long Storefront Name',
+		Carrier: 'United States Postal Service Commercial',
+		Service: 'USPS Ground Advantage Cubic Soft Pack Commercial Plus',
+		Rate: 4.33,
+		Weight: 1.25,
+		'Weight Unit': 'lb',
+		'Ship To State': 'CA',
+		'Ship To Country': 'US',
+		'Order Total': 1234567.89,
+		'Shipping Paid': 5.99,
+		Tags: 'Influencer Campaign Spring Collection Seeding',
+	},
+	{
+		'Order #': '1001',
+		'Order Date': '02/12/2025',
+		Store: '',
+		Carrier: 'UPS',
+		Service: 'UPS Ground',
+		Rate: 0,
+		'Order Total': 24,
+		'Shipping Paid': 30,
+		Tags: 'Giveaways',
+	},
+];
+
+// East Asian wide characters (Hangul, CJK, fullwidth forms), which take two terminal columns
+const WIDE_CHARACTERS = /[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]/g;
+
+/**
+ * Measures how many terminal columns a console line takes
+ * @param {string} line - Console output line
+ * @returns {number} - Width, counting East Asian wide characters as two columns
+ */
+function displayWidth(line) {
+	const text = line.replace(/\u001b\[[0-9;]*m/g, '');
+	const wideCharacters = text.match(WIDE_CHARACTERS);
+	return text.length + (wideCharacters ? wideCharacters.length : 0);
+}
+
+describe('compact display', () => {
+	let output;
+
+	beforeEach(() => {
+		output = [];
+		mock.method(console, 'log', (...args) => output.push(args.join(' ')));
+	});
+
+	afterEach(() => {
+		mock.restoreAll();
+	});
+
+	/**
+	 * Gets the console lines wider than 80 columns
+	 * @returns {Array<string>} - Lines that don't fit an 80-column terminal
+	 */
+	function wideLines() {
+		return output.flatMap((text) => text.split('\n')).filter((line) => displayWidth(line) > 80);
+	}
+
+	it('fits every metrics section in 80 columns', () => {
+		const period = 'Feb 1-Feb 28, 2025';
+
+		displayStoreMetrics(calculateStoreMetrics(ORDERS), period, { compact: true });
+		displayTagMetrics(calculateTagMetrics(ORDERS), period, { compact: true, totalOrders: ORDERS.length });
+		displayCarrierMetrics(calculateCarrierMetrics(ORDERS), calculateStoreCarrierMetrics(ORDERS), period, {
+			compact: true,
+		});
+		displayWeightBandMetrics(calculateWeightBandMetrics(ORDERS), period, { compact: true });
+		displayDestinationMetrics(calculateDestinationMetrics(ORDERS), period, { compact: true });
+		displayDistributionMetrics(calculateStoreMetrics(ORDERS), calculateTagMetrics(ORDERS), period, { compact: true });
+		displayTrendMetrics(calculatePeriodMetrics(ORDERS, 'week'), period, { compact: true });
+
+		assert.ok(output.length > 0);
+		assert.deepEqual(wideLines(), []);
+	});
+
+	it('fits the source file and data quality tables in 80 columns', () => {
+		displaySourceSummary(
+			[
+				{
+					fileName: 'ShipStation Orders Export February 2025 Warehouse A.csv',
+					records: 1200,
+					duplicates: 3,
+					included: 1197,
+				},
+				{ fileName: 'week2.csv', records: 2, duplicates: 0, included: 2 },
+			],
+			{ compact: true }
+		);
+		displayValidationReport(validateData(ORDERS), { compact: true });
+
+		assert.match(output.join('\n'), /Missing Store/);
+		assert.deepEqual(wideLines(), []);
+	});
+
+	it('fits the orders to review in 80 columns with marketplace order numbers', () => {
+		const labels = [];
+		for (let index = 0; index < 6; index++) {
+			labels.push({
+				'Order #': `113-1234567-765432${index}`,
+				Store: 'Amazon Marketplace United States',
+				Carrier: 'USPS',
+				Service: 'USPS Ground Advantage',
+				Rate: 5,
+				'Shipping Paid': index === 0 ? 1999.99 : 5,
+			});
+		}
+		labels.push({ ...labels[1], 'Order #': '113-1234567-7654329', Rate: 1250 });
+
+		displayAnomalies(detectAnomalies(labels), 'Feb 1-Feb 28, 2025', { compact: true });
+		displayAnomalies(detectAnomalies(labels), 'Feb 1-Feb 28, 2025', { compact: true, language: 'zh' });
+
+		const text = output.join('\n');
+		assert.match(text, /High Rate/);
+		assert.match(text, /Overcharged/);
+		assert.match(text, /│ …34567-7654320 │/);
+		assert.match(text, /│ …34567-7654329 │/);
+		assert.deepEqual(wideLines(), []);
+	});
+
+	it('shows the wide tables without --compact', () => {
+		displayValidationReport(validateData(ORDERS));
+
+		assert.match(output.join('\n'), /Examples \(File:Row \/ Order #\)/);
+		assert.ok(wideLines().length > 0);
+	});
+});
+
+describe('displayTagMetrics', () => {
+	let output;
+
+	beforeEach(() => {
+		output = [];
+		mock.method(console, 'log', (...args) => output.push(args.join(' ')));
+	});
+
+	afterEach(() => {
+		mock.restoreAll();
+	});
+
+	it('divides tag orders by the total orders it is given', () => {
+		displayTagMetrics(calculateTagMetrics(ORDERS), 'Feb 2025', { totalOrders: 8, language: 'en' });
+
+		const text = output.join('\n');
+		assert.match(text, /1 orders \(50\.0% of special orders, 12\.5% of all orders\)/);
+		assert.match(text, /% of All Orders is based on 8 orders across all stores/);
+	});
+
+	it('shows n/a instead of a share when the total orders are unknown', () => {
+		displayTagMetrics(calculateTagMetrics(ORDERS), 'Feb 2025', { compact: true, language: 'en' });
+
+		assert.match(output.join('\n'), /n\/a/);
+	});
+});
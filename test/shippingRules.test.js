@@ -0,0 +1,78 @@
+/**
+ * Tests for loading and validating shipping rules
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createShippingRules, loadShippingRules, hasShippingRule, getStoreRule } from '../src/utils/shippingRules.js';
+
+describe('createShippingRules', () => {
+	it('reads amounts written as text and trims store names', () => {
+		const rules = createShippingRules({ freeAbove: '50', stores: { ' Amazon ': { flatRate: 0 } } }, 'test rules');
+
+		assert.deepEqual(rules, {
+			freeAbove: 50,
+			flatRate: null,
+			stores: { Amazon: { flatRate: 0 } },
+			source: 'test rules',
+		});
+	});
+
+	it('rejects negative or non-numeric amounts', () => {
+		assert.throws(() => createShippingRules({ flatRate: 'x' }, 'test rules'), {
+			message: 'Invalid flat rate "x" for the default rule in test rules: use an amount of 0 or more, e.g. 50',
+		});
+		assert.throws(() => createShippingRules({ stores: { Amazon: { freeAbove: -1 } } }, 'test rules'), /"Amazon"/);
+	});
+
+	it('rejects rules that are not an object of store rules', () => {
+		assert.throws(() => createShippingRules([], 'test rules'), /expected an object with freeAbove/);
+		assert.throws(() => createShippingRules({ stores: [] }, 'test rules'), /"stores" must map store names/);
+		assert.throws(() => createShippingRules({ stores: { Amazon: 5 } }, 'test rules'), /must set freeAbove/);
+	});
+});
+
+describe('loadShippingRules', () => {
+	let folder;
+
+	before(() => {
+		folder = fs.mkdtempSync(path.join(os.tmpdir(), 'shipstation-rules-'));
+	});
+
+	after(() => {
+		fs.rmSync(folder, { recursive: true, force: true });
+	});
+
+	it('loads rules from a YAML file', async () => {
+		const rulesPath = path.join(folder, 'rules.yaml');
+		fs.writeFileSync(
+			rulesPath,
+			['freeAbove: 50', 'flatRate: 5.99', 'stores:', '  Walmart Store:', '    freeAbove: 35'].join('\n')
+		);
+
+		const rules = await loadShippingRules(rulesPath);
+
+		assert.equal(rules.source, rulesPath);
+		assert.deepEqual(getStoreRule(rules, 'walmart store'), { freeAbove: 35, flatRate: 5.99 });
+		assert.deepEqual(getStoreRule(rules, 'Amazon'), { freeAbove: 50, flatRate: 5.99 });
+	});
+
+	it('reports missing and malformed files', async () => {
+		const rulesPath = path.join(folder, 'rules.json');
+		fs.writeFileSync(rulesPath, '{ "freeAbove": ');
+
+		await assert.rejects(loadShippingRules(path.join(folder, 'missing.json')), /Shipping rules not found/);
+		await assert.rejects(loadShippingRules(rulesPath), /Failed to parse shipping rules/);
+	});
+});
+
+describe('hasShippingRule', () => {
+	it('is true only when the default rule or a store rule sets an amount', () => {
+		assert.equal(hasShippingRule(createShippingRules({})), false);
+		assert.equal(hasShippingRule(createShippingRules({ stores: { Amazon: {} } })), false);
+		assert.equal(hasShippingRule(createShippingRules({ stores: { Amazon: { freeAbove: 0 } } })), true);
+	});
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests for replaying orders under hypothetical shipping rules
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyShippingRules, simulateShippingRules } from '../src/metrics/simulation.js';
+import { createShippingRules } from '../src/utils/shippingRules.js';
+import { createTagCatalog } from '../src/utils/tagCatalog.js';
+
+const rules = createShippingRules({ freeAbove: 50, flatRate: 5.99 }, 'test rules');
+
+describe('applyShippingRules', () => {
+	it('ships orders at or above the threshold free and charges the flat rate below it', () => {
+		const data = [
+			{ Store: 'Shopify Store', Rate: '6.10', 'Order Total': '57.99', 'Shipping Paid': '7.99' },
+			{ Store: 'Shopify Store', Rate: '4.33', 'Order Total': '30.00', 'Shipping Paid': '0' },
+		];
+
+		const { rows, outcomes } = applyShippingRules(data, rules);
+
+		assert.equal(rows[0]['Order Total'], 50);
+		assert.equal(rows[0]['Shipping Paid'], 0);
+		assert.equal(rows[0].Shipping, 0);
+		assert.equal(rows[1]['Order Total'], 35.99);
+		assert.equal(rows[1]['Shipping Paid'], 5.99);
+		assert.equal(rows[1].Rate, '4.33');
+		assert.deepEqual(outcomes['Shopify Store'], {
+			freeAbove: 50,
+			flatRate: 5.99,
+			orders: 2,
+			free: 1,
+			flat: 1,
+			unchanged: 0,
+			excluded: 0,
+		});
+	});
+
+	it('does not change the rows it was given', () => {
+		const order = { Store: 'Shopify Store', Rate: '6.10', 'Order Total': '57.99', 'Shipping Paid': '7.99' };
+
+		applyShippingRules([order], rules);
+
+		assert.equal(order['Order Total'], '57.99');
+		assert.equal(order['Shipping Paid'], '7.99');
+	});
+
+	it('applies store rules, with null turning an amount off', () => {
+		const storeRules = createShippingRules(
+			{
+				freeAbove: 50,
+				flatRate: 5.99,
+				stores: { 'walmart store': { freeAbove: 35 }, Amazon: { flatRate: null } },
+			},
+			'test rules'
+		);
+		const data = [
+			{ Store: 'Walmart Store', Rate: '4.00', 'Order Total': '40.00', 'Shipping Paid': '0' },
+			{ Store: 'Amazon', Rate: '4.00', 'Order Total': '30.00', 'Shipping Paid': '3.00' },
+		];
+
+		const { rows, outcomes } = applyShippingRules(data, storeRules);
+
+		assert.equal(outcomes['Walmart Store'].free, 1);
+		assert.equal(outcomes.Amazon.unchanged, 1);
+		assert.equal(rows[1], data[1]);
+	});
+
+	it('passes through labels that are not shipped orders', () => {
+		const data = [
+			{ Store: 'Shopify Store', Rate: '4.00', 'Order Total': '0', 'Shipping Paid': '0', Voided: 'Yes' },
+			{ Store: 'Shopify Store', Rate: '4.00', 'Order Total': '0', 'Shipping Paid': '0', 'Return Label': 'Yes' },
+		];
+
+		const { rows, outcomes } = applyShippingRules(data, rules);
+
+		assert.deepEqual(rows, data);
+		assert.equal(outcomes['Shopify Store'].orders, 0);
+	});
+
+	it('keeps excluded tags and orders without a subtotal unchanged', () => {
+		const tagCatalog = createTagCatalog({
+			tags: [{ name: 'Giveaways', aliases: ['Free Gift'], excludeFromRevenue: true }],
+		});
+		const data = [
+			{ Store: 'Shopify Store', Rate: '4.00', 'Order Total': '0', 'Shipping Paid': '0', Tags: 'free gift' },
+			{ Store: 'Shopify Store', Rate: '4.00', 'Order Total': '5.00', 'Shipping Paid': '7.99' },
+		];
+
+		const { rows, outcomes } = applyShippingRules(data, rules, tagCatalog);
+
+		assert.deepEqual(rows, data);
+		assert.equal(outcomes['Shopify Store'].excluded, 1);
+		assert.equal(outcomes['Shopify Store'].unchanged, 1);
+	});
+});
+
+describe('simulateShippingRules', () => {
+	it('compares the current and simulated metrics of all stores and of each store', () => {
+		const data = [
+			{ Store: 'Shopify Store', Rate: '6.10', 'Order Total': '57.99', 'Shipping Paid': '7.99' },
+			{ Store: 'Shopify Store', Rate: '4.33', 'Order Total': '30.00', 'Shipping Paid': '0' },
+			{ Store: 'Amazon', Rate: '5.00', 'Order Total': '0', 'Shipping Paid': '0', Voided: 'Yes' },
+		];
+
+		const simulation = simulateShippingRules(data, rules);
+
+		assert.equal(simulation.rules, rules);
+		assert.deepEqual(simulation.outcomeTotals, { orders: 2, free: 1, flat: 1, unchanged: 0, excluded: 0 });
+		assert.deepEqual(simulation.totals.metrics.totalShippingPaid, {
+			base: 7.99,
+			current: 5.99,
+			change: -2,
+			percentChange: -25.03,
+		});
+		assert.equal(simulation.totals.metrics.totalRate.change, 0);
+		assert.equal(simulation.stores['Shopify Store'].metrics.totalShippingPaid.current, 5.99);
+	});
+});
@@ -0,0 +1,83 @@
+/**
+ * Tests for the tag catalog and tag aliases
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	createTagCatalog,
+	loadTagCatalog,
+	resolveTagName,
+	getTagTranslation,
+	getTagDescription,
+	isExcludedFromRevenue,
+} from '../src/utils/tagCatalog.js';
+import { getOrderTags } from '../src/metrics/calculator.js';
+
+const tagCatalog = createTagCatalog({
+	tags: [
+		{
+			name: 'Giveaways',
+			aliases: ['Giveaway', ' Free Gift '],
+			translations: { zh: '免费赠品' },
+			excludeFromRevenue: true,
+		},
+		{ name: 'Not Delivered', aliases: ['Undelivered'] },
+	],
+});
+
+describe('resolveTagName', () => {
+	it('resolves aliases to the canonical name regardless of case and spacing', () => {
+		assert.equal(resolveTagName('giveaway', tagCatalog), 'Giveaways');
+		assert.equal(resolveTagName('  FREE GIFT ', tagCatalog), 'Giveaways');
+		assert.equal(resolveTagName('not delivered', tagCatalog), 'Not Delivered');
+	});
+
+	it('excludes a tag from revenue through any of its aliases', () => {
+		assert.equal(isExcludedFromRevenue('free gift', tagCatalog), true);
+		assert.equal(isExcludedFromRevenue('Not Delivered', tagCatalog), false);
+		assert.equal(isExcludedFromRevenue('Giveaways', null), false);
+	});
+
+	it('keeps tags that are not in the catalog as written, trimmed', () => {
+		assert.equal(resolveTagName(' VIP ', tagCatalog), 'VIP');
+		assert.equal(resolveTagName(' Giveaway ', null), 'Giveaway');
+	});
+
+	it('merges a tag and its aliases into one tag per order', () => {
+		assert.deepEqual(getOrderTags({ Tags: 'Giveaway, Free Gift, Undelivered, VIP' }, tagCatalog), [
+			'Giveaways',
+			'Not Delivered',
+			'VIP',
+		]);
+	});
+
+	it('rejects an alias listed for two tags', () => {
+		assert.throws(
+			() =>
+				createTagCatalog({
+					tags: [
+						{ name: 'Giveaways', aliases: ['Gift'] },
+						{ name: 'Influencer', aliases: ['gift'] },
+					],
+				}),
+			/"gift" is listed for both "Giveaways" and "Influencer"/
+		);
+	});
+
+	it('resolves the aliases of the shipped catalog', async () => {
+		const shippedCatalog = await loadTagCatalog();
+
+		assert.equal(resolveTagName('Warehouse Error', shippedCatalog), 'Fulfillment Error');
+		assert.equal(resolveTagName('Lost Package', shippedCatalog), 'Not Delivered');
+	});
+});
+
+describe('getTagTranslation', () => {
+	it('looks up translations and descriptions by name or alias', () => {
+		assert.equal(getTagTranslation('free gift', tagCatalog), '免费赠品');
+		assert.equal(getTagTranslation('Undelivered', tagCatalog), '');
+		assert.equal(getTagTranslation('VIP', null), '');
+		assert.equal(getTagDescription('Giveaway', tagCatalog), '');
+	});
+});
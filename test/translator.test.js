@@ -0,0 +1,66 @@
+/**
+ * Tests for the message catalog and translator
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTranslator, LANGUAGES } from '../src/i18n/translator.js';
+import { MESSAGES } from '../src/i18n/messages.js';
+import { createTagCatalog } from '../src/utils/tagCatalog.js';
+import { parseDateRange } from '../src/utils/dateFilter.js';
+
+describe('createTranslator', () => {
+	it('looks up messages in each language and fills in placeholders', () => {
+		assert.equal(createTranslator('en').t('metric.orders'), 'Orders');
+		assert.equal(createTranslator('zh').t('metric.orders'), '订单数');
+		assert.equal(createTranslator().t('metric.orders'), 'Orders | 订单数');
+		assert.equal(createTranslator('zh').t('validation.more', { count: 3 }), '(另有 3 行)');
+
+		// Messages with their own bilingual text don't repeat the placeholders in Chinese
+		assert.equal(createTranslator('bilingual').t('validation.more', { count: 3 }), '(+3 more)');
+	});
+
+	it('keeps compact headers in English in bilingual mode', () => {
+		for (const key of Object.keys(MESSAGES).filter((name) => name.startsWith('compact.'))) {
+			assert.equal(MESSAGES[key].bilingual, MESSAGES[key].en, key);
+		}
+	});
+
+	it('rejects unknown languages and messages', () => {
+		assert.deepEqual(LANGUAGES, ['en', 'zh', 'bilingual']);
+		assert.throws(() => createTranslator('fr'), /Invalid language "fr"\. Use one of: en, zh, bilingual/);
+		assert.throws(() => createTranslator('en').t('metric.unknown'), /Unknown message "metric\.unknown"/);
+	});
+
+	it('formats numbers and dates in the locale of the language', () => {
+		const en = createTranslator('en');
+		const zh = createTranslator('zh');
+		const date = new Date(2025, 1, 3);
+
+		assert.equal(en.currency(1234.5), '$1,234.50');
+		assert.equal(en.currency(-0.001), '$0.00');
+		assert.equal(en.percent(12.345), '12.35%');
+		assert.equal(en.date(date), '02/03/2025');
+		assert.equal(zh.date(date), '2025/02/03');
+		assert.equal(en.periodLabel(date, 'week'), 'Week of 02/03/2025');
+		assert.equal(zh.periodLabel(date, 'week'), '2025/02/03 当周');
+		assert.equal(en.periodLabel(date, 'day'), '02/03/2025');
+		assert.equal(en.excelDateFormat, 'mm/dd/yyyy');
+		assert.equal(zh.excelDateFormat, 'yyyy/mm/dd');
+	});
+
+	it('names the reporting period in the locale of the language', () => {
+		assert.equal(parseDateRange('02/01/25-03/28/25', 'en').periodName, 'Feb 1-Mar 28, 2025');
+		assert.equal(parseDateRange('02/01/25-03/28/25', 'zh').periodName, '2025年2月1日-3月28日');
+		assert.equal(parseDateRange('02/01/25-03/28/25').periodName, 'Feb 1-Mar 28, 2025');
+	});
+
+	it('shows tags under their catalog translation', () => {
+		const tagCatalog = createTagCatalog({ tags: [{ name: 'Giveaways', translations: { zh: '免费赠品' } }] });
+
+		assert.equal(createTranslator('en').tag('Giveaways', tagCatalog), 'Giveaways');
+		assert.equal(createTranslator('zh').tag('Giveaways', tagCatalog), '免费赠品');
+		assert.equal(createTranslator('bilingual').tag('Giveaways', tagCatalog), 'Giveaways | 免费赠品');
+		assert.equal(createTranslator('zh').tag('VIP', tagCatalog), 'VIP');
+	});
+});